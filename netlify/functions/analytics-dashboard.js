@@ -21,7 +21,7 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const summary = getAnalyticsSummary();
+    const summary = await getAnalyticsSummary();
     
     // Create a simple HTML dashboard
     const html = `
@@ -87,6 +87,11 @@ exports.handler = async (event, context) => {
         .tone-item:last-child {
           border-bottom: none;
         }
+        .stat-note {
+          color: #999;
+          font-size: 0.85em;
+          margin-top: 8px;
+        }
         .refresh-btn {
           background: linear-gradient(135deg, #ffd700 0%, #ffed4e 100%);
           color: #0a0a0a;
@@ -129,6 +134,15 @@ exports.handler = async (event, context) => {
             <div class="stat-value">${summary.totalSummarizations > 0 ? Math.round((summary.successfulSummarizations / summary.totalSummarizations) * 100) : 0}%</div>
           </div>
           
+          <div class="stat-card">
+            <div class="stat-title">Cache Hit Rate</div>
+            <ul class="tone-list">
+              <li class="tone-item"><span>summaries</span><span>${Math.round(summary.responseCache.summary.hitRate * 100)}% (${summary.responseCache.summary.hits}/${summary.responseCache.summary.hits + summary.responseCache.summary.misses})</span></li>
+              <li class="tone-item"><span>explanations</span><span>${Math.round(summary.responseCache.explanation.hitRate * 100)}% (${summary.responseCache.explanation.hits}/${summary.responseCache.explanation.hits + summary.responseCache.explanation.misses})</span></li>
+            </ul>
+            ${summary.responseCache.shared ? '' : '<div class="stat-note">Counted by this function instance only. Use the redis cache store to count across instances.</div>'}
+          </div>
+          
           <div class="stat-card">
             <div class="stat-title">Tone Usage</div>
             <ul class="tone-list">
@@ -1,4 +1,5 @@
 const { google } = require('googleapis');
+const { getCacheStats } = require('./lib/response-cache');
 
 // Create a new Google Sheet for analytics
 const SPREADSHEET_ID = '1BvQxK8mZnP4rL2sT6uY9wE3rT7yU1iO5pA8sD2fG4hJ'; // This will be created
@@ -268,13 +269,15 @@ async function logSummarizationRequest(tone, length, contentType, success = true
 }
 
 // Get analytics summary
-function getAnalyticsSummary() {
+async function getAnalyticsSummary() {
   return {
     toneUsage: analyticsData.toneUsage,
     totalVisits: Object.values(analyticsData.dailyVisits).reduce((sum, count) => sum + count, 0),
     dailyVisits: analyticsData.dailyVisits,
     totalSummarizations: analyticsData.summarizationLogs.length,
     successfulSummarizations: analyticsData.summarizationLogs.filter(log => log.status === 'Success').length,
+    // Response cache hits and misses for summaries and explanations (see lib/response-cache.js)
+    responseCache: await getCacheStats(),
     lastUpdated: new Date().toISOString()
   };
 }
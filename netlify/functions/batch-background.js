@@ -0,0 +1,47 @@
+const { runBatchJob } = require('./lib/batch');
+const { getJobStore } = require('./lib/job-store');
+const { resolveTopReplies } = require('./lib/twitter-thread');
+const { withExport } = require('./lib/export');
+const { resolveThreadText, summarizeWithCache, getResponseSessionId, TIME_BUDGET_MS } = require('./summarize');
+
+// Runs the batch jobs queued by batch.js. The "-background" suffix makes this a Netlify
+// background function: it's invoked with POST { jobId }, answers 202 straight away and keeps
+// running for up to 15 minutes, saving progress to the shared job store as it goes.
+
+// Summarize one batch item, the same way /summarize does, except that LLM rate limits are
+// passed on to runBatchJob so the item is retried after a pause. Each item gets its own time budget.
+async function summarizeBatchItem(fields) {
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const { tone, length, mode, format, targetLanguage } = fields;
+  const input = await resolveThreadText(fields.threadUrl, fields.rawText, { topReplies: resolveTopReplies(fields.topReplies), deadline });
+  const { result, cache } = await summarizeWithCache({ ...input, tone, length, mode, format, targetLanguage, contentTypeOverride: fields.contentType }, {
+    bypassCache: fields.bypassCache,
+    deadline,
+    passRateLimits: true
+  });
+  return withExport({ ...result, cache, sessionId: await getResponseSessionId(input, fields, result) }, fields);
+}
+
+exports.handler = async (event, context) => {
+  let jobId = null;
+  try {
+    ({ jobId } = JSON.parse(event.body || '{}'));
+  } catch (err) {
+    console.error('Batch background function got a body that is not JSON');
+    return;
+  }
+
+  const store = getJobStore();
+  const job = typeof jobId === 'string' ? await store.getJob(jobId) : null;
+  // Only queued jobs are started, so a repeated invocation doesn't run a job twice
+  if (!job || job.status !== 'queued') {
+    console.error(`Batch ${jobId} is not waiting to run`);
+    return;
+  }
+
+  try {
+    await runBatchJob(store, job.id, summarizeBatchItem);
+  } catch (err) {
+    console.error(`Batch ${job.id} stopped:`, err);
+  }
+};
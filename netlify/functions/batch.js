@@ -0,0 +1,99 @@
+const fetch = require('node-fetch');
+const AbortController = require('abort-controller');
+const { resolveBatchRequest, createBatchJob, getJobStatus } = require('./lib/batch');
+const { getJobStore, isJobStoreShared } = require('./lib/job-store');
+const { getBaseUrl } = require('./lib/shares');
+
+// Batch summarization:
+//   GET  /.netlify/functions/batch        { available }: whether batches work on this site
+//   POST /.netlify/functions/batch        queue a job, returns its status and statusUrl (202)
+//   GET  /.netlify/functions/batch/:id    a job's status
+// The id can also be passed as ?id=. A Netlify function stops once its response is sent, so the
+// job is run by batch-background.js, a background function with its own memory. Queuing a job
+// needs BATCH_JOB_STORE=redis or file, so both functions (and later polls) see it.
+const UNSHARED_STORE_MESSAGE = 'Batch summarization is turned off on this site: batch jobs need BATCH_JOB_STORE set to redis or file.';
+// Time allowed for the background function to accept a job
+const TRIGGER_TIMEOUT_MS = 5000;
+
+// Helper function to get the job id from the path or query string
+function getJobId(event) {
+  const match = /\/batch\/([^/?]+)/.exec(event.path || '');
+  if (match) return decodeURIComponent(match[1]);
+  return (event.queryStringParameters && event.queryStringParameters.id) || null;
+}
+
+// Helper function to hand a queued job to batch-background.js. Background functions answer
+// 202 as soon as they are invoked and keep running for up to 15 minutes.
+async function startBackgroundJob(baseUrl, jobId) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TRIGGER_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${baseUrl}/.netlify/functions/batch-background`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobId }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`The background function returned ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const id = getJobId(event);
+      if (!id) {
+        return respond(200, { available: isJobStoreShared() });
+      }
+      const job = await getJobStore().getJob(id);
+      return job ? respond(200, getJobStatus(job)) : respond(404, { error: `Batch job "${id}" not found` });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return respond(405, { error: 'Method not allowed' });
+    }
+
+    if (!isJobStoreShared()) {
+      return respond(503, { error: UNSHARED_STORE_MESSAGE });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (err) {
+      return respond(400, { error: 'Request body must be JSON.' });
+    }
+
+    const store = getJobStore();
+    const job = await createBatchJob(store, await resolveBatchRequest(body));
+    try {
+      await startBackgroundJob(getBaseUrl(event.headers || {}), job.id);
+    } catch (err) {
+      console.error(`Batch ${job.id} could not be started:`, err.message);
+      // Polls see that the job will never run
+      await store.updateJob(job.id, { status: 'failed', finishedAt: new Date().toISOString() });
+      return respond(502, { error: 'The batch job could not be started. Please try again.' });
+    }
+    return respond(202, { ...getJobStatus(job), statusUrl: `/.netlify/functions/batch/${job.id}` });
+  } catch (err) {
+    console.error('Error in batch function:', err);
+    return respond(err.statusCode || 500, { error: err.message || 'Internal server error' });
+  }
+};
@@ -0,0 +1,74 @@
+const { PassThrough } = require('stream');
+const { stream } = require('@netlify/functions');
+const { explainTermWithCache, getErrorResponse } = require('./crypto-explain');
+const { formatSseEvent } = require('./lib/sse');
+
+// Streaming variant of crypto-explain: relays the explanation as Server-Sent Events.
+// Events: "delta" { text } while generating, then "done" { explanation, targetLanguage, provider, model, fallback, cache }
+// or "error" { error, statusCode }. A cached explanation arrives in "done" without deltas.
+exports.handler = stream(async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  let term;
+  let targetLanguage;
+  let bypassCache;
+  try {
+    ({ term, targetLanguage, bypassCache } = JSON.parse(event.body || '{}'));
+  } catch (err) {
+    term = '';
+  }
+
+  if (!term || typeof term !== 'string' || !term.trim()) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'No crypto term provided.' })
+    };
+  }
+
+  const cleanTerm = term.trim();
+  console.log('Streaming explanation for crypto term:', cleanTerm);
+
+  const body = new PassThrough();
+
+  explainTermWithCache(cleanTerm, {
+    targetLanguage,
+    bypassCache,
+    onDelta: text => body.write(formatSseEvent('delta', { text }))
+  })
+    .then(result => body.write(formatSseEvent('done', result)))
+    .catch(err => {
+      console.error('Error in crypto-explain-stream function:', err);
+      body.write(formatSseEvent('error', getErrorResponse(err)));
+    })
+    .finally(() => body.end());
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    },
+    body
+  };
+});
@@ -0,0 +1,38 @@
+const { validateExportRequest, exportSummary } = require('./lib/export');
+
+// Export a summary: POST { format, summary, structured?, source?: { url?, title? }, tone? } with
+// format "thread", "markdown", "notion" or "slack". Summarize requests with one of these formats
+// return the same export as "export"; this endpoint exports a summary that is already on screen,
+// such as a refined version.
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (err) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Request body must be JSON.' }) };
+    }
+
+    const { format, ...summary } = validateExportRequest(body);
+    return { statusCode: 200, headers, body: JSON.stringify(exportSummary(format, summary)) };
+  } catch (err) {
+    console.error('Error in export function:', err);
+    return { statusCode: err.statusCode || 500, headers, body: JSON.stringify({ error: err.message || 'Internal server error' }) };
+  }
+};
@@ -0,0 +1,97 @@
+const { complete } = require('./lib/llm-provider');
+const { validateQuestion, answerQuestion } = require('./lib/follow-up');
+const { isSessionStoreShared } = require('./lib/sessions');
+const { resolveSummarySession, getRetryAfterHeaders, getErrorResponse } = require('./summarize');
+
+// Follow-up questions about a summary: POST { sessionId, question } with the sessionId a
+// summarize response returned. Answers come from the summarized source only and cite the
+// tweets (or paragraphs) they used.
+// Sessions are opened by the summarize functions, which don't share memory with this one, so
+// follow-ups need SESSION_STORE=redis or file. An expired session is rebuilt when the request
+// also carries the original threadUrl/rawText, plus the summary and summarize options; otherwise
+// the response is a 404 asking to summarize again.
+const UNSHARED_STORE_MESSAGE = 'Follow-up questions are turned off on this site: they need SESSION_STORE set to redis or file.';
+
+exports.handler = async (event, context) => {
+  // Set context timeout to maximum available
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!isSessionStoreShared()) {
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({ error: UNSHARED_STORE_MESSAGE })
+    };
+  }
+
+  try {
+    const body = JSON.parse(event.body || '{}');
+    // Checked before anything is fetched for a rebuilt session
+    validateQuestion(body.question);
+    const session = await resolveSummarySession(body);
+
+    const result = await answerQuestion(session, body.question, prompt => complete('followUp', prompt, {
+      retries: 1,
+      timeouts: [6000],
+      backoffMs: 300
+    }));
+    console.log(`Answered follow-up question with ${result.citations.length} citations (${result.completion.provider}/${result.completion.model})`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        sessionId: session.id,
+        answer: result.answer,
+        citations: result.citations,
+        unit: result.unit,
+        provider: result.completion.provider,
+        model: result.completion.model,
+        fallback: result.completion.fallback
+      })
+    };
+  } catch (err) {
+    console.error('Error in follow-up function:', err);
+
+    // Bad questions, expired sessions and Twitter rate limits are passed on as they are
+    if (err.statusCode === 400 || err.statusCode === 404 || err.retryAfterSeconds) {
+      return {
+        statusCode: err.statusCode || 400,
+        headers: { ...headers, ...getRetryAfterHeaders(err) },
+        body: JSON.stringify({ error: err.message, retryAfterSeconds: err.retryAfterSeconds })
+      };
+    }
+
+    const { statusCode, error } = getErrorResponse(err);
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({ error })
+    };
+  }
+};
@@ -0,0 +1,429 @@
+const fetch = require('node-fetch');
+const AbortController = require('abort-controller');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Fetch a web article and extract its readable content and metadata.
+// Navigation, ads, comments and other page chrome are dropped; the title, author and
+// publish date come from Open Graph / article meta tags, JSON-LD or the markup itself.
+//
+// Private, loopback and other reserved addresses are refused unless ARTICLE_ALLOW_PRIVATE_HOSTS
+// is "true", or a comma-separated list of host names that may be private (handy for a local
+// fixture server during development). The address is checked in the DNS lookup the connection
+// itself uses, so a host can't pass the check with one address and be fetched from another.
+
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const MIN_ARTICLE_CHARS = 100;
+
+// Elements whose content is never article text
+const SKIP_TAGS = new Set([
+  'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'dialog', 'noscript', 'svg', 'iframe', 'template'
+]);
+
+// Class/id names that mark page chrome rather than content
+const BOILERPLATE_PATTERN = /(?:^|[\s_-])(?:comments?|sidebar|advert\w*|ads?|ad-slot|promo\w*|sponsor\w*|related|share|sharing|social|newsletter|subscribe|cookie\w*|popup|modal|nav\w*|menu|breadcrumbs?|footer|masthead|outbrain|taboola|paywall)(?:$|[\s_-])/i;
+
+const SKIP_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog']);
+
+// Elements that end a paragraph of text
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'blockquote', 'pre', 'table', 'tr', 'td', 'th',
+  'dd', 'dt', 'figcaption', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'source', 'wbr', 'area', 'base', 'col', 'embed', 'track']);
+
+// Addresses that are never fetched. Node checks IPv4-mapped IPv6 addresses (::ffff:7f00:1)
+// against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  // Unspecified, loopback and IPv4-compatible addresses
+  ['::', 96],
+  // NAT64, which reaches IPv4 addresses through a gateway
+  ['64:ff9b::', 96], ['64:ff9b:1::', 48],
+  ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£'
+};
+
+// Helper function to check if a URL is a web page we should fetch as an article (not a tweet)
+function isArticleUrl(url) {
+  if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url.trim())) return false;
+  return !/https?:\/\/(?:www\.)?(?:twitter|x)\.com\/[^\/]+\/status\/\d+/i.test(url);
+}
+
+// Helper function to decode HTML entities
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+// Helper function to parse the attributes of a tag
+function parseAttributes(source) {
+  const attributes = {};
+  const attributeRegex = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attributeRegex.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+// Helper function to clean up extracted text
+function cleanText(text) {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+// Collect <meta> tags by property/name
+function extractMetaTags(html) {
+  const meta = {};
+  const metaRegex = /<meta\b([^>]*)>/gi;
+  let match;
+  while ((match = metaRegex.exec(html)) !== null) {
+    const attributes = parseAttributes(match[1]);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) {
+      meta[key] = attributes.content.trim();
+    }
+  }
+  return meta;
+}
+
+// Find the first Article-like object in the page's JSON-LD
+function extractJsonLdArticle(html) {
+  const scriptRegex = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scriptRegex.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch (error) {
+      continue;
+    }
+
+    const candidates = [].concat(data).flatMap(item => (item && item['@graph'] ? item['@graph'] : [item]));
+    const article = candidates.find(item => item && /Article|BlogPosting|Report/i.test([].concat(item['@type'] || '').join(' ')));
+    if (article) return article;
+  }
+  return null;
+}
+
+// Helper function to get a readable author name from JSON-LD or a meta value
+function getAuthorName(author) {
+  if (!author) return null;
+  if (Array.isArray(author)) {
+    const names = author.map(getAuthorName).filter(Boolean);
+    return names.length > 0 ? names.join(', ') : null;
+  }
+  if (typeof author === 'object') return author.name ? cleanText(String(author.name)) : null;
+  const name = cleanText(String(author));
+  // article:author is often a profile URL rather than a name
+  return name && !/^https?:\/\//i.test(name) ? name : null;
+}
+
+// Helper function to read the text of the first element matching a pattern
+function getFirstElementText(html, pattern) {
+  const match = html.match(pattern);
+  return match ? cleanText(match[1].replace(/<[^>]+>/g, ' ')) || null : null;
+}
+
+// Walk the markup and collect text blocks, skipping page chrome.
+// Each block records whether it sat inside <article>/<main> and how much of it was link text.
+function collectTextBlocks(html) {
+  const blocks = [];
+  const stack = [{ tag: 'root', skip: false, inMain: false, inLink: false }];
+  let buffer = '';
+  let linkChars = 0;
+  let bufferTag = 'p';
+
+  const flush = () => {
+    const text = cleanText(buffer);
+    if (text) {
+      const top = stack[stack.length - 1];
+      blocks.push({ text, tag: bufferTag, inMain: top.inMain, linkRatio: Math.min(1, linkChars / text.length) });
+    }
+    buffer = '';
+    linkChars = 0;
+    bufferTag = 'p';
+  };
+
+  const tokenRegex = /<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)/g;
+  let match;
+  while ((match = tokenRegex.exec(html)) !== null) {
+    const [, closing, rawTag, attributeSource, text] = match;
+    const top = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      if (!top.skip) {
+        buffer += text;
+        if (top.inLink) linkChars += cleanText(text).length;
+      }
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    if (BLOCK_TAGS.has(tag)) {
+      flush();
+    }
+
+    if (closing) {
+      // Pop back to the matching element; ignore stray closing tags
+      const index = stack.map(entry => entry.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    if (VOID_TAGS.has(tag) || /\/\s*$/.test(attributeSource)) continue;
+
+    // Browsers implicitly close an open <p> or <li> when the next one starts
+    if ((tag === 'p' || tag === 'li') && top.tag === tag) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1];
+    const attributes = parseAttributes(attributeSource);
+    const marker = `${attributes.class || ''} ${attributes.id || ''}`;
+    const skip = parent.skip ||
+      SKIP_TAGS.has(tag) ||
+      BOILERPLATE_PATTERN.test(marker) ||
+      SKIP_ROLES.has((attributes.role || '').toLowerCase()) ||
+      attributes['aria-hidden'] === 'true' ||
+      'hidden' in attributes;
+
+    stack.push({
+      tag,
+      skip,
+      inMain: parent.inMain || tag === 'article' || tag === 'main' || (attributes.role || '').toLowerCase() === 'main',
+      inLink: parent.inLink || tag === 'a'
+    });
+
+    if (BLOCK_TAGS.has(tag)) {
+      bufferTag = tag;
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+// Extract the readable article from an HTML page.
+// Resolves with { title, author, publishedAt, siteName, url, text }.
+function extractArticle(html, url) {
+  const meta = extractMetaTags(html);
+  const jsonLd = extractJsonLdArticle(html) || {};
+
+  // Raw text elements and comments can't be walked as markup
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg|math)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<head\b[\s\S]*?<\/head\s*>/i, ' ');
+
+  const title = cleanText(meta['og:title'] || meta['twitter:title'] || jsonLd.headline || '') ||
+    getFirstElementText(html, /<title[^>]*>([\s\S]*?)<\/title>/i) ||
+    getFirstElementText(markup, /<h1[^>]*>([\s\S]*?)<\/h1>/i) ||
+    null;
+
+  const author = getAuthorName(meta.author) ||
+    getAuthorName(meta['article:author']) ||
+    getAuthorName(jsonLd.author) ||
+    getFirstElementText(markup, /<[^>]+rel=["']?author["']?[^>]*>([\s\S]*?)<\/a>/i) ||
+    getFirstElementText(markup, /<[^>]+class=["'][^"']*\bbyline\b[^"']*["'][^>]*>([\s\S]*?)<\/[a-z]+>/i);
+
+  let publishedAt = meta['article:published_time'] || jsonLd.datePublished || meta['date'] ||
+    meta['pubdate'] || meta['publish-date'] || meta['dc.date'] || null;
+  if (!publishedAt) {
+    const timeMatch = markup.match(/<time\b[^>]*datetime=["']([^"']+)["']/i);
+    publishedAt = timeMatch ? timeMatch[1] : null;
+  }
+  if (publishedAt) {
+    const parsed = new Date(publishedAt);
+    publishedAt = Number.isNaN(parsed.getTime()) ? String(publishedAt) : parsed.toISOString();
+  }
+
+  const blocks = collectTextBlocks(markup).filter(block =>
+    block.linkRatio < 0.5 &&
+    (/^h[2-6]$/.test(block.tag) ? block.text.length > 3 : block.text.length >= 25 || /[.!?]["')\]]*$/.test(block.text))
+  );
+
+  // Prefer text inside <article>/<main> when the page marks it up
+  const mainBlocks = blocks.filter(block => block.inMain);
+  const chosen = mainBlocks.reduce((sum, block) => sum + block.text.length, 0) >= MIN_ARTICLE_CHARS * 2 ? mainBlocks : blocks;
+
+  const paragraphs = [];
+  chosen.forEach(block => {
+    if (block.tag === 'h1' && title && block.text === title) return;
+    if (paragraphs[paragraphs.length - 1] !== block.text) {
+      paragraphs.push(block.text);
+    }
+  });
+
+  return {
+    title,
+    author: author || null,
+    publishedAt,
+    siteName: meta['og:site_name'] || null,
+    url,
+    text: paragraphs.join('\n\n')
+  };
+}
+
+// Helper function to check whether an IP address is loopback, private, link-local or reserved
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Helper function to create the error for a private address
+function privateAddressError() {
+  const error = new Error('This link points to a private address and cannot be fetched');
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+// Helper function to check whether ARTICLE_ALLOW_PRIVATE_HOSTS lets a host be private
+function isPrivateHostAllowed(hostname, setting = process.env.ARTICLE_ALLOW_PRIVATE_HOSTS) {
+  if (!setting) return false;
+  if (setting === 'true') return true;
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return setting.split(',').map(name => name.trim().toLowerCase()).includes(host);
+}
+
+// DNS lookup for connections that may only reach public addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) return callback(privateAddressError());
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const PUBLIC_AGENTS = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// The node-fetch agent for a URL that must not reach private addresses: it connects to the
+// address its own lookup checked
+function getPublicAgent(parsedUrl) {
+  return PUBLIC_AGENTS[parsedUrl.protocol];
+}
+
+// Refuse URLs that point into the server's own network. allowPrivate defaults to
+// ARTICLE_ALLOW_PRIVATE_HOSTS for the URL's host.
+async function assertPublicUrl(url, { allowPrivate } = {}) {
+  const { hostname } = new URL(url);
+  if (allowPrivate === undefined ? isPrivateHostAllowed(hostname) : allowPrivate) return;
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  if (host === 'localhost' || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw privateAddressError();
+  }
+}
+
+// Fetch a page and extract its article.
+// Throws plain errors with user-facing messages; the caller decides the status code.
+async function fetchArticle(url, { timeoutMs = 5000 } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let currentUrl = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      const allowPrivate = isPrivateHostAllowed(new URL(currentUrl).hostname);
+      await assertPublicUrl(currentUrl, { allowPrivate });
+      response = await fetch(currentUrl, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; JustOneMinuteBot/1.0; +https://just-one-minute-goldman.netlify.app)',
+          'Accept': 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.8'
+        },
+        redirect: 'manual',
+        size: MAX_HTML_BYTES,
+        signal: controller.signal,
+        agent: allowPrivate ? undefined : getPublicAgent
+      });
+
+      // Follow redirects by hand so every hop is checked
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects');
+        currentUrl = new URL(response.headers.get('location'), currentUrl).toString();
+        continue;
+      }
+      break;
+    }
+
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? 'Page not found' : `The page returned an error (${response.status})`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/text\/html|application\/xhtml|text\/plain/i.test(contentType)) {
+      throw new Error(`This link is not a web page (${contentType.split(';')[0]})`);
+    }
+
+    const body = await response.text();
+    const article = /text\/plain/i.test(contentType) ?
+      { title: null, author: null, publishedAt: null, siteName: null, url: currentUrl, text: body.trim() } :
+      extractArticle(body, currentUrl);
+
+    if (article.text.length < MIN_ARTICLE_CHARS) {
+      throw new Error('Could not find any readable article text on this page');
+    }
+
+    return article;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('The page took too long to load');
+    }
+    if (error.type === 'max-size') {
+      throw new Error('The page is too large to summarize');
+    }
+    if (error.code === 'EPRIVATEADDRESS') {
+      throw privateAddressError();
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Helper function to format an article as summarizer input, with its metadata up front
+function formatArticleText(article) {
+  const header = [
+    article.title ? `Title: ${article.title}` : null,
+    article.author ? `By: ${article.author}` : null,
+    article.publishedAt ? `Published: ${article.publishedAt.substring(0, 10)}` : null
+  ].filter(Boolean);
+
+  return header.length > 0 ? `${header.join('\n')}\n\n${article.text}` : article.text;
+}
+
+module.exports = {
+  isArticleUrl,
+  isPrivateAddress,
+  assertPublicUrl,
+  getPublicAgent,
+  extractArticle,
+  fetchArticle,
+  formatArticleText
+};
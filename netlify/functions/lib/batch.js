@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const AbortController = require('abort-controller');
+const { assertPublicUrl, getPublicAgent } = require('./article');
+const { resolveLength } = require('./length-budget');
+
+// Batch summarization jobs. A job holds up to MAX_BATCH_ITEMS links or texts, each with the
+// batch's shared options overridden by its own. Items are summarized BATCH_CONCURRENCY at a time;
+// when an item hits a rate limit (Twitter or the LLM provider) every worker pauses for the
+// retry-after time and the item is tried again. Job state goes through a job store (see
+// job-store.js), so it can be polled while the job runs. When the job finishes, its final status
+// is POSTed to the optional webhookUrl, signed with BATCH_WEBHOOK_SECRET when that is set.
+// The Express server runs jobs in its own process; on Netlify they run in batch-background.js.
+
+const MAX_BATCH_ITEMS = 50;
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+const MAX_ITEM_ATTEMPTS = 3;
+// Pause after a rate limit that doesn't say how long to wait, and the longest pause allowed
+const DEFAULT_RATE_LIMIT_WAIT_SECONDS = 10;
+const MAX_RATE_LIMIT_WAIT_SECONDS = 120;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_ATTEMPTS = 2;
+// Summarize options an item can take from the batch or set itself
+const ITEM_OPTIONS = ['tone', 'length', 'mode', 'format', 'targetLanguage', 'contentType', 'topReplies', 'bypassCache'];
+
+// Helper function to read how many items run at once
+function getConcurrency() {
+  const concurrency = parseInt(process.env.BATCH_CONCURRENCY, 10);
+  return concurrency > 0 ? Math.min(concurrency, MAX_CONCURRENCY) : DEFAULT_CONCURRENCY;
+}
+
+// Helper function to create an error with a status code
+function batchError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Helper function to pick the summarize options set on a batch or an item
+function pickOptions(fields) {
+  const options = {};
+  ITEM_OPTIONS.forEach(name => {
+    if (fields[name] !== undefined && fields[name] !== null && fields[name] !== '') options[name] = fields[name];
+  });
+  return options;
+}
+
+// Check a batch request: { items, webhookUrl?, ...shared options }. Items are links or texts,
+// or objects with threadUrl/rawText, an optional id of the caller's and their own options.
+// Bad requests are thrown with statusCode 400. Resolves with { items, webhookUrl }.
+async function resolveBatchRequest(body) {
+  const { items, webhookUrl } = body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    throw batchError('No items to summarize. Send "items" as a list of links or texts.');
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw batchError(`A batch can have at most ${MAX_BATCH_ITEMS} items.`);
+  }
+
+  const shared = pickOptions(body);
+  const resolved = items.map((item, index) => {
+    const fields = typeof item === 'string' ?
+      (/^https?:\/\/\S+$/i.test(item.trim()) ? { threadUrl: item.trim() } : { rawText: item }) :
+      item;
+    if (!fields || typeof fields !== 'object' || (!fields.threadUrl && !fields.rawText)) {
+      throw batchError(`Item ${index + 1} has no link or text to summarize.`);
+    }
+
+    const request = { threadUrl: fields.threadUrl, rawText: fields.rawText, ...shared, ...pickOptions(fields) };
+    // Compare mode takes two sources per request, which a batch item doesn't have
+    if (request.format === 'compare') {
+      throw batchError(`Item ${index + 1}: compare mode isn't available in batches.`);
+    }
+    try {
+      request.length = resolveLength(request.length).length;
+    } catch (error) {
+      throw batchError(`Item ${index + 1}: ${error.message}`);
+    }
+    return { index, id: fields.id !== undefined ? fields.id : null, request };
+  });
+
+  if (webhookUrl !== undefined && webhookUrl !== null && webhookUrl !== '') {
+    if (typeof webhookUrl !== 'string' || !/^https?:\/\/\S+$/i.test(webhookUrl)) {
+      throw batchError('webhookUrl must be an http(s) URL.');
+    }
+    try {
+      await assertPublicUrl(webhookUrl, { allowPrivate: process.env.BATCH_WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true' });
+    } catch (error) {
+      throw batchError(`webhookUrl can't be used: ${error.message}`);
+    }
+  }
+
+  return { items: resolved, webhookUrl: webhookUrl || null };
+}
+
+// Save a new queued job for a resolved batch request. Resolves with the job.
+function createBatchJob(store, { items, webhookUrl }) {
+  return store.createJob({
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    total: items.length,
+    completed: 0,
+    failed: 0,
+    webhookUrl,
+    webhook: null,
+    items: items.map(item => ({
+      ...item,
+      status: 'queued',
+      attempts: 0,
+      result: null,
+      error: null
+    }))
+  });
+}
+
+// Helper function to tell rate limit errors (retried after a pause) from other failures.
+// rateLimited marks the LLM error for every backend being skipped by its circuit breaker.
+function getRateLimitWaitSeconds(error) {
+  if (error.retryAfterSeconds) return Math.min(error.retryAfterSeconds, MAX_RATE_LIMIT_WAIT_SECONDS);
+  if (error.status === 429 || error.statusCode === 429 || error.rateLimited) return DEFAULT_RATE_LIMIT_WAIT_SECONDS;
+  return null;
+}
+
+// Whether an error is a rate limit a batch item should wait out. The summarizers fall back to
+// an extractive summary when the LLM fails; in a batch they pass these errors on instead, so
+// the item is retried with the model rather than finishing as llm_unavailable.
+function isRateLimitError(error) {
+  return getRateLimitWaitSeconds(error) !== null;
+}
+
+// Helper function to wait
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A job as returned to clients and webhooks: progress and each item's result or error
+function getJobStatus(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    total: job.total,
+    completed: job.completed,
+    failed: job.failed,
+    webhook: job.webhook,
+    items: job.items.map(item => ({
+      index: item.index,
+      id: item.id,
+      status: item.status,
+      attempts: item.attempts,
+      result: item.result,
+      error: item.error
+    }))
+  };
+}
+
+// Helper function to POST a finished job to its webhook. Resolves with the delivery details.
+async function deliverWebhook(job) {
+  const body = JSON.stringify(getJobStatus(job));
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'JustOneMinuteBatch/1.0' };
+  if (process.env.BATCH_WEBHOOK_SECRET) {
+    headers['X-Batch-Signature'] = `sha256=${crypto.createHmac('sha256', process.env.BATCH_WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+      // Checked again on delivery, and the connection goes to the address that was checked
+      const allowPrivate = process.env.BATCH_WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+      await assertPublicUrl(job.webhookUrl, { allowPrivate });
+      const response = await fetch(job.webhookUrl, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: controller.signal,
+        agent: allowPrivate ? undefined : getPublicAgent
+      });
+      if (response.ok) {
+        return { status: 'delivered', statusCode: response.status, attempts: attempt, deliveredAt: new Date().toISOString() };
+      }
+      lastError = `The webhook returned ${response.status}`;
+    } catch (error) {
+      lastError = error.name === 'AbortError' ? 'The webhook took too long to respond' : error.message;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  return { status: 'failed', error: lastError, attempts: WEBHOOK_ATTEMPTS };
+}
+
+// Run a saved job to the end. summarizeItem(request) summarizes one item's request
+// ({ threadUrl, rawText, ...options }) and resolves with the summarize response.
+// Item failures are recorded on the item; the job always finishes as "completed".
+async function runBatchJob(store, jobId, summarizeItem, { concurrency = getConcurrency() } = {}) {
+  const job = await store.updateJob(jobId, { status: 'running', startedAt: new Date().toISOString() });
+  let next = 0;
+  let completed = 0;
+  let failed = 0;
+  // Set when a rate limit is hit, so every worker waits it out
+  let pausedUntil = 0;
+
+  const runItem = async item => {
+    for (let attempt = 1; ; attempt++) {
+      if (pausedUntil > Date.now()) await sleep(pausedUntil - Date.now());
+      await store.updateItem(jobId, item.index, { status: 'running', attempts: attempt });
+
+      try {
+        const result = await summarizeItem(item.request);
+        completed++;
+        await store.updateItem(jobId, item.index, { status: 'done', result });
+        await store.updateJob(jobId, { completed });
+        return;
+      } catch (error) {
+        const waitSeconds = getRateLimitWaitSeconds(error);
+        if (waitSeconds && attempt < MAX_ITEM_ATTEMPTS) {
+          console.log(`Batch ${jobId} item ${item.index} was rate limited, pausing for ${waitSeconds}s`);
+          pausedUntil = Math.max(pausedUntil, Date.now() + waitSeconds * 1000);
+          continue;
+        }
+        failed++;
+        await store.updateItem(jobId, item.index, {
+          status: 'failed',
+          error: { statusCode: error.statusCode || error.status || 500, message: error.message || 'Internal server error' }
+        });
+        await store.updateJob(jobId, { failed });
+        return;
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (next < job.items.length) {
+      await runItem(job.items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, job.items.length) }, worker));
+
+  let finished = await store.updateJob(jobId, { status: 'completed', finishedAt: new Date().toISOString() });
+  console.log(`Batch ${jobId} finished: ${completed} done, ${failed} failed`);
+
+  if (finished.webhookUrl) {
+    const webhook = await deliverWebhook(finished);
+    if (webhook.status === 'failed') console.error(`Batch ${jobId} webhook failed:`, webhook.error);
+    finished = await store.updateJob(jobId, { webhook });
+  }
+  return finished;
+}
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  resolveBatchRequest,
+  createBatchJob,
+  runBatchJob,
+  getJobStatus,
+  isRateLimitError
+};
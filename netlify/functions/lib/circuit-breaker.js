@@ -0,0 +1,85 @@
+// In-memory circuit breaker for LLM backends.
+// After repeated credit (402) or rate-limit (429) failures a backend is skipped
+// until a cool-down has passed, then a single trial call is let through.
+// State lives as long as the process (or warm function instance) does.
+
+const FAILURE_THRESHOLD = parseInt(process.env.LLM_CIRCUIT_THRESHOLD || '3', 10);
+const COOLDOWN_MS = parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS || '60000', 10);
+
+const circuits = new Map();
+
+// Check whether calls to a backend should be skipped right now
+function isCircuitOpen(key) {
+  const circuit = circuits.get(key);
+  if (!circuit || circuit.failures < FAILURE_THRESHOLD) {
+    return false;
+  }
+
+  if (Date.now() - circuit.openedAt >= COOLDOWN_MS) {
+    // Cool-down over: half-open, let one trial call through
+    if (!circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      console.log(`Circuit for ${key} is half-open, trying it again`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Check whether a backend could be called right now, without taking its half-open trial call
+function isCircuitCallable(key) {
+  const circuit = circuits.get(key);
+  if (!circuit || circuit.failures < FAILURE_THRESHOLD) {
+    return true;
+  }
+  return Date.now() - circuit.openedAt >= COOLDOWN_MS && !circuit.trialInFlight;
+}
+
+// Record a failed call. Credit and rate-limit failures are counted and open the circuit after
+// FAILURE_THRESHOLD of them; any failure of a half-open trial call (a timeout, a server or
+// network error too) re-opens it for another cool-down.
+function recordFailure(key, { counted = true } = {}) {
+  const circuit = circuits.get(key) || { failures: 0, openedAt: 0, trialInFlight: false };
+  const wasTrial = circuit.trialInFlight;
+  circuit.trialInFlight = false;
+  if (counted) {
+    circuit.failures++;
+  }
+
+  if (circuit.failures >= FAILURE_THRESHOLD && (counted || wasTrial)) {
+    circuit.openedAt = Date.now();
+    console.log(`Circuit for ${key} opened after ${circuit.failures} failures, cooling down for ${COOLDOWN_MS}ms`);
+  }
+
+  if (circuit.failures > 0) {
+    circuits.set(key, circuit);
+  }
+}
+
+// Record a successful call, closing the circuit
+function recordSuccess(key) {
+  if (circuits.has(key)) {
+    circuits.delete(key);
+  }
+}
+
+// Current state of every tracked backend, for debugging and health checks
+function getCircuitStates() {
+  const states = {};
+  circuits.forEach((circuit, key) => {
+    states[key] = {
+      failures: circuit.failures,
+      open: circuit.failures >= FAILURE_THRESHOLD && Date.now() - circuit.openedAt < COOLDOWN_MS
+    };
+  });
+  return states;
+}
+
+module.exports = {
+  isCircuitOpen,
+  isCircuitCallable,
+  recordFailure,
+  recordSuccess,
+  getCircuitStates
+};
@@ -0,0 +1,180 @@
+const { analyzeContent } = require('./content-analysis');
+const { parseJsonLoose } = require('./structured');
+const { extractNumbers, isNumberSupported, checkFaithfulness } = require('./faithfulness');
+const { resolveTargetLanguage, getLanguageInstruction } = require('./language');
+
+// Compare mode (format "compare"): two sources, A and B, are contrasted in one LLM call that
+// returns JSON with the points they share, where they disagree, the claims only one side makes
+// and the numbers they give differently. Both sides go through analyzeContent first: their
+// names and numbers are put in the prompt, and the names are compared locally as well.
+// Conflicting numbers are only kept when each side's figure really appears in that side's text.
+
+const SIDES = ['A', 'B'];
+// Text sent per source; each side gets half of what a single summary would
+const MAX_SOURCE_CHARS = 6000;
+
+const SCHEMA_DESCRIPTION = `{
+  "overview": "one or two sentences on how the two sources relate (string)",
+  "shared": ["points both sources make"],
+  "disagreements": [{ "topic": "what they disagree about", "a": "what A says", "b": "what B says" }],
+  "onlyA": ["claims only source A makes"],
+  "onlyB": ["claims only source B makes"],
+  "conflictingNumbers": [{ "about": "what the figure measures", "a": "A's figure exactly as written", "b": "B's figure exactly as written" }]
+}`;
+
+// Helper function to create an error with a status code
+function compareError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Check the "sources" of a compare request: exactly two objects with a threadUrl or rawText.
+// Bad ones are thrown with statusCode 400.
+function validateCompareSources(sources) {
+  if (!Array.isArray(sources) || sources.length !== 2) {
+    throw compareError('Compare needs "sources" with exactly two items, each with a threadUrl or rawText.');
+  }
+  sources.forEach((source, index) => {
+    if (!source || typeof source !== 'object' || (!source.threadUrl && !source.rawText)) {
+      throw compareError(`Source ${SIDES[index]} has no thread link or text.`);
+    }
+  });
+  return sources;
+}
+
+// Helper function to split names into the ones both sides mention and the ones only one does
+function getEntityOverlap(analyses) {
+  const [namesA, namesB] = analyses.map(analysis => new Map(analysis.names.map(name => [name.toLowerCase(), name])));
+  return {
+    shared: [...namesA.keys()].filter(key => namesB.has(key)).map(key => namesA.get(key)),
+    onlyA: [...namesA.keys()].filter(key => !namesB.has(key)).map(key => namesA.get(key)),
+    onlyB: [...namesB.keys()].filter(key => !namesA.has(key)).map(key => namesB.get(key))
+  };
+}
+
+// Build the prompt asking for a comparison
+function getComparePrompt(sources, analyses, { tone, targetLanguage, sourceLanguage }) {
+  const toneInstruction = tone ? ` Write the text values in a ${tone} tone.` : '';
+  const languageInstruction = getLanguageInstruction(targetLanguage, sourceLanguage);
+  const languageRule = languageInstruction ? `\n\n${languageInstruction} JSON keys stay in English.` : '';
+  const blocks = sources.map((source, index) => {
+    const analysis = analyses[index];
+    const text = source.threadText.length > MAX_SOURCE_CHARS ? `${source.threadText.substring(0, MAX_SOURCE_CHARS)}...` : source.threadText;
+    return `SOURCE ${SIDES[index]}${source.isTwitterContent ? ' (a Twitter/X thread)' : ''}:
+Key names: ${analysis.names.join(', ') || '(none)'}
+Numbers: ${analysis.numbers.join(', ') || '(none)'}
+
+${text}`;
+  });
+
+  return `Compare the two sources below: what does A claim versus B? Answer as JSON matching this schema exactly:
+
+${SCHEMA_DESCRIPTION}
+
+Rules: return ONLY the JSON object, no markdown fences or commentary. Use empty arrays when there is nothing to list. Only put a point in "shared" when both sources really make it. Put a topic in "disagreements" when the sources take different positions on it, and a figure in "conflictingNumbers" when they give different numbers for the same thing, copying each figure exactly as its source writes it. Only use what the sources say.${toneInstruction}${languageRule}
+
+${blocks.join('\n\n---\n\n')}`;
+}
+
+// Helper function to coerce a value into a clean list of strings
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : (value ? [value] : []);
+  return [...new Set(list
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(item => String(item).replace(/^[-•*]\s*/, '').trim())
+    .filter(Boolean))];
+}
+
+// Helper function to coerce a list of { key, a, b } objects, dropping incomplete ones
+function toPairList(value, key, altKeys = []) {
+  return (Array.isArray(value) ? value : [])
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      [key]: String([item[key], ...altKeys.map(alt => item[alt])].find(text => typeof text === 'string') || '').trim(),
+      a: String(item.a || item.A || item.sourceA || '').trim(),
+      b: String(item.b || item.B || item.sourceB || '').trim()
+    }))
+    .filter(item => item.a && item.b);
+}
+
+// Map near-misses (snake_case keys, a single string for a list) onto the schema
+function normalizeComparison(raw) {
+  return {
+    overview: typeof raw.overview === 'string' ? raw.overview.trim() : (typeof raw.summary === 'string' ? raw.summary.trim() : ''),
+    shared: toStringList(raw.shared || raw.sharedPoints || raw.shared_points || raw.agreements),
+    disagreements: toPairList(raw.disagreements, 'topic', ['point', 'about']),
+    onlyA: toStringList(raw.onlyA || raw.only_a || raw.uniqueToA),
+    onlyB: toStringList(raw.onlyB || raw.only_b || raw.uniqueToB),
+    conflictingNumbers: toPairList(raw.conflictingNumbers || raw.conflicting_numbers, 'about', ['topic', 'metric'])
+  };
+}
+
+// Helper function to keep only the conflicting numbers whose figures appear in their own source
+function filterConflictingNumbers(conflicts, sources) {
+  const sourceNumbers = sources.map(source => extractNumbers(source.threadText));
+  return conflicts.filter(conflict => ['a', 'b'].every((side, index) => {
+    const numbers = extractNumbers(conflict[side]);
+    return numbers.length > 0 && numbers.every(number => isNumberSupported(number, sourceNumbers[index]));
+  }));
+}
+
+// Compare two resolved sources ({ threadText, isTwitterContent }).
+// callModel(prompt, attempt) runs one LLM call and resolves with its text; canRetry() says
+// whether there's time to ask again after output that isn't valid JSON.
+// Resolves with { comparison, entities, sources, faithfulness, sourceLanguage, targetLanguage }.
+async function compareSources(sources, { tone, targetLanguage, callModel, maxAttempts = 2, canRetry = () => true }) {
+  const analyses = sources.map(source => analyzeContent(source.threadText));
+  const sourceLanguage = analyses[0].language;
+  const outputLanguage = resolveTargetLanguage(targetLanguage, sourceLanguage);
+  const prompt = getComparePrompt(sources, analyses, { tone, targetLanguage: outputLanguage, sourceLanguage });
+
+  let comparison = null;
+  for (let attempt = 1; attempt <= maxAttempts && !comparison; attempt++) {
+    const parsed = parseJsonLoose(await callModel(prompt, attempt));
+    const normalized = parsed ? normalizeComparison(parsed) : null;
+    if (normalized && normalized.overview) {
+      comparison = normalized;
+    } else {
+      console.log(`Comparison attempt ${attempt} was not valid JSON with an overview`);
+      if (!canRetry()) break;
+    }
+  }
+  if (!comparison) {
+    throw new Error('Invalid response from AI service: the comparison was not valid JSON');
+  }
+
+  comparison.conflictingNumbers = filterConflictingNumbers(comparison.conflictingNumbers, sources);
+  const comparisonText = [
+    comparison.overview,
+    ...comparison.shared,
+    ...comparison.disagreements.map(item => `${item.a}\n${item.b}`),
+    ...comparison.onlyA,
+    ...comparison.onlyB
+  ].join('\n');
+  const combinedAnalysis = {
+    names: [...analyses[0].names, ...analyses[1].names],
+    numbers: [...analyses[0].numbers, ...analyses[1].numbers]
+  };
+
+  return {
+    comparison,
+    entities: getEntityOverlap(analyses),
+    sources: sources.map((source, index) => ({
+      label: SIDES[index],
+      contentType: analyses[index].contentType,
+      language: analyses[index].language,
+      names: analyses[index].names,
+      numbers: analyses[index].numbers,
+      truncated: source.threadText.length > MAX_SOURCE_CHARS
+    })),
+    faithfulness: checkFaithfulness(comparisonText, sources.map(source => source.threadText).join('\n\n'), combinedAnalysis, { language: outputLanguage }),
+    sourceLanguage,
+    targetLanguage: outputLanguage
+  };
+}
+
+module.exports = {
+  validateCompareSources,
+  compareSources
+};
@@ -0,0 +1,264 @@
+const { detectLanguage } = require('./language');
+
+// Content analysis: classifies text as social_media, academic, business, technical, news or
+// general, and pulls out names, numbers and technical terms for the prompt. Each type is
+// scored from several weighted keywords and patterns, and the best type has to clear a
+// minimum score and density before it beats "general". Each non-general type has its own
+// summary shape (e.g. question/method/findings/limitations for academic text).
+
+const CONTENT_TYPES = ['social_media', 'academic', 'business', 'technical', 'news', 'general'];
+
+const CONTENT_TYPE_ALIASES = {
+  social: 'social_media',
+  twitter: 'social_media',
+  tweet: 'social_media',
+  thread: 'social_media',
+  research: 'academic',
+  paper: 'academic',
+  finance: 'business',
+  tech: 'technical',
+  engineering: 'technical'
+};
+
+// The parts each summary shape walks through, in order
+const CONTENT_SHAPES = {
+  academic: {
+    fields: ['question', 'method', 'findings', 'limitations'],
+    description: 'the research question, the method used, the main findings and the limitations'
+  },
+  business: {
+    fields: ['company', 'metric', 'impact'],
+    description: 'the company involved, the key metric or figure and its impact'
+  },
+  technical: {
+    fields: ['problem', 'solution', 'tradeoffs'],
+    description: 'the problem being solved, the solution and its tradeoffs'
+  },
+  news: {
+    fields: ['who', 'what', 'when', 'where'],
+    description: 'who is involved, what happened, when it happened and where'
+  },
+  social_media: {
+    fields: ['claim', 'evidence', 'takeaway'],
+    description: "the author's main claim, the evidence they give and the takeaway"
+  }
+};
+
+// Keywords count once per occurrence; patterns count double as they're more specific
+const CLASSIFIER_SIGNALS = {
+  social_media: {
+    keywords: ['thread', 'retweet', 'rt', 'follow', 'dm', 'gm', 'ngmi', 'wagmi', 'alpha', 'ct'],
+    patterns: [
+      /\b\d{1,2}\/\d{1,2}\b/g, // Tweet numbering like "1/5"
+      /(?:^|\s)@\w+/g, // Mentions
+      /(?:^|\s)#[A-Za-z]\w*/g, // Hashtags
+      /🧵/g, // Thread emoji
+      /\bthread:/gi
+    ]
+  },
+  academic: {
+    keywords: ['research', 'study', 'studies', 'findings', 'methodology', 'methods', 'hypothesis', 'participants',
+      'sample', 'significant', 'significance', 'abstract', 'literature', 'experiment', 'experiments', 'dataset',
+      'peer-reviewed', 'journal', 'limitations', 'cohort', 'correlation', 'empirical', 'theory', 'conclusion'],
+    patterns: [
+      /\bet al\.?/gi,
+      /\bp\s*[<=>]\s*0?\.\d+/gi,
+      /\bdoi:\s*\S+|\b10\.\d{4,}\/\S+/gi,
+      /\[\d+(?:\s*[,–-]\s*\d+)*\]/g, // Numbered citations like [3] or [4-6]
+      /\([A-Z][a-z]+(?: et al\.| and [A-Z][a-z]+)?,? (?:19|20)\d{2}\)/g, // Author-year citations
+      /\bn\s*=\s*\d+/gi
+    ]
+  },
+  business: {
+    keywords: ['revenue', 'profit', 'profits', 'market', 'business', 'company', 'ceo', 'cfo', 'startup', 'earnings',
+      'quarter', 'quarterly', 'customers', 'sales', 'margin', 'margins', 'valuation', 'investors', 'funding',
+      'shares', 'shareholders', 'guidance', 'acquisition', 'ipo', 'yoy', 'eps', 'ebitda', 'forecast', 'stock'],
+    patterns: [
+      /\bQ[1-4]\b/g,
+      /[$€£]\s?\d[\d,.]*\s?(?:[kmb]n?|million|billion|trillion)?\b/gi,
+      /\b(?:FY|H[12])\s?\d{2,4}\b/g,
+      /\b\d+(?:\.\d+)?%\s+(?:growth|increase|decrease|decline|rise|drop|yoy|year-over-year)\b/gi,
+      /\b(?:Inc|Corp|Ltd|LLC|PLC)\b\.?/g
+    ]
+  },
+  technical: {
+    keywords: ['code', 'programming', 'software', 'api', 'database', 'algorithm', 'function', 'deploy', 'deployment',
+      'server', 'bug', 'latency', 'library', 'framework', 'compile', 'compiler', 'repository', 'query', 'cache',
+      'endpoint', 'protocol', 'architecture', 'refactor', 'runtime', 'implementation', 'backend', 'frontend', 'config'],
+    patterns: [
+      /```/g,
+      /`[^`\n]+`/g,
+      /\b[a-z_]\w*\([^)\n]*\)/g, // Function calls
+      /\b[a-z]+(?:[A-Z][a-z0-9]+)+\b/g, // camelCase identifiers
+      /\b(?:npm|git|docker|kubernetes|sql|json|http|https|rust|python|javascript|typescript|node\.js|linux)\b/gi,
+      /\bv\d+\.\d+(?:\.\d+)?\b/g
+    ]
+  },
+  news: {
+    keywords: ['breaking', 'news', 'reported', 'reports', 'sources', 'officials', 'announced', 'spokesperson',
+      'statement', 'government', 'police', 'minister', 'president', 'yesterday', 'confirmed', 'told', 'said',
+      'according', 'reporters', 'authorities', 'residents'],
+    patterns: [
+      /\((?:Reuters|AP|AFP|Bloomberg|CNN|BBC)\)/g,
+      /\b(?:said|told|announced|confirmed)\s+(?:on\s+)?(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)\b/g,
+      /^[A-Z][A-Z .,]{2,}\s[—–-]\s/gm, // Datelines like "LONDON — "
+      /\baccording to\b/gi
+    ]
+  }
+};
+
+// The best type needs at least this score, and this many points per 100 words
+const MIN_TYPE_SCORE = 3;
+const MIN_TYPE_DENSITY = 0.5;
+
+// Helper function to detect if text contains Twitter-like content
+function detectTwitterContent(text) {
+  const twitterIndicators = [
+    /\d+\/\d+/g, // Tweet numbering like "1/5"
+    /@\w+/g, // Mentions
+    /#\w+/g, // Hashtags
+    /🧵/g, // Thread emoji
+    /Thread:/i, // Thread indicator
+    /THREAD/i, // Thread indicator caps
+  ];
+
+  let score = 0;
+  twitterIndicators.forEach(regex => {
+    const matches = text.match(regex);
+    if (matches) score += matches.length;
+  });
+
+  return score > 2; // If we find multiple indicators, likely Twitter content
+}
+
+// Helper function to score text against each content type's signals
+function scoreContentTypes(text) {
+  const wordCounts = new Map();
+  (text.toLowerCase().match(/[a-z][a-z'-]*/g) || []).forEach(word => {
+    wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+  });
+
+  const scores = {};
+  Object.entries(CLASSIFIER_SIGNALS).forEach(([type, { keywords, patterns }]) => {
+    const keywordScore = keywords.reduce((sum, keyword) => sum + (wordCounts.get(keyword) || 0), 0);
+    const patternScore = patterns.reduce((sum, pattern) => sum + (text.match(pattern) || []).length * 2, 0);
+    scores[type] = keywordScore + patternScore;
+  });
+  return scores;
+}
+
+// Classify text by content type.
+// Returns { contentType, confidence, scores }; confidence is the winner's share of all points.
+function classifyContent(text) {
+  const scores = scoreContentTypes(text);
+  const wordCount = (text.match(/\S+/g) || []).length;
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  const [bestType, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  const density = bestScore / Math.max(1, wordCount / 100);
+  const confidence = total ? Math.round(bestScore / total * 100) / 100 : 0;
+
+  // A long thread is sparse in thread markers, so the isTwitterContent check is enough for social_media
+  const isThread = bestType === 'social_media' && detectTwitterContent(text);
+  if (!isThread && (bestScore < MIN_TYPE_SCORE || density < MIN_TYPE_DENSITY)) {
+    return { contentType: 'general', confidence: 0, scores };
+  }
+
+  return { contentType: bestType, confidence, scores };
+}
+
+// Map a requested content type (or one of its aliases) onto CONTENT_TYPES.
+// Returns null for "auto" or nothing; unknown values are thrown with statusCode 400.
+function resolveContentType(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (key === 'auto') return null;
+  if (CONTENT_TYPES.includes(key)) return key;
+  if (CONTENT_TYPE_ALIASES[key]) return CONTENT_TYPE_ALIASES[key];
+
+  const error = new Error(`Unsupported contentType "${value}". Use auto or one of: ${CONTENT_TYPES.join(', ')}.`);
+  error.statusCode = 400;
+  throw error;
+}
+
+// Helper function to turn a shape field into a label like "Tradeoffs"
+function getShapeLabel(field) {
+  return field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+// Build the prompt instruction for a content type's summary shape ('' for general text)
+function getContentShapeInstruction(contentType, length) {
+  const shape = CONTENT_SHAPES[contentType];
+  if (!shape) return '';
+
+  const skipRule = "Leave out a part only if the content doesn't cover it; never make one up.";
+  if (length === 'bullet list') {
+    const labels = shape.fields.map(field => `"${getShapeLabel(field)}:"`).join(', ');
+    return `SUMMARY SHAPE: This is ${contentType.replace('_', ' ')} content. Write one bullet for each of ${shape.description}, starting the bullets with ${labels} in that order. ${skipRule}`;
+  }
+  if (length === '1 line') {
+    return `SUMMARY SHAPE: This is ${contentType.replace('_', ' ')} content. In one line, cover ${shape.description}.`;
+  }
+  return `SUMMARY SHAPE: This is ${contentType.replace('_', ' ')} content. Structure the summary around ${shape.description}, in that order. ${skipRule}`;
+}
+
+// Intelligent content analysis. contentType overrides the detected type (see resolveContentType);
+// the detected one is kept as detectedContentType either way.
+function analyzeContent(text, { contentType = null } = {}) {
+  const classification = classifyContent(text);
+  const analysis = {
+    contentType: contentType || classification.contentType,
+    detectedContentType: classification.contentType,
+    contentTypeConfidence: classification.confidence,
+    keyTopics: [],
+    technicalTerms: [],
+    names: [],
+    numbers: [],
+    mainPoints: [],
+    complexity: 'medium',
+    language: detectLanguage(text).code
+  };
+
+  // Extract key elements
+  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
+
+  // Extract names (capitalized words that aren't common words)
+  const commonWords = new Set(['The', 'This', 'That', 'These', 'Those', 'And', 'But', 'Or', 'So', 'For', 'If', 'When', 'Where', 'Why', 'How', 'What', 'Who', 'Which']);
+  const nameMatches = text.match(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g) || [];
+  analysis.names = [...new Set(nameMatches.filter(name => !commonWords.has(name)))].slice(0, 10);
+
+  // Extract numbers and percentages
+  analysis.numbers = [...new Set(text.match(/\b\d+(?:[.,]\d+)*%?(?:\s*(?:million|billion|thousand|k|M|B))?\b/g) || [])].slice(0, 10);
+
+  // Extract technical terms (words with specific patterns)
+  const techTerms = text.match(/\b[A-Z]{2,}(?:[A-Z][a-z]*)*\b|\b\w+(?:API|SDK|AI|ML|UI|UX|SaaS|IoT)\b|\b\w*(?:tech|soft|ware|system|platform|framework)\w*\b/gi) || [];
+  analysis.technicalTerms = [...new Set(techTerms)].slice(0, 10);
+
+  // Determine complexity
+  const avgWordsPerSentence = sentences.reduce((sum, s) => sum + s.split(' ').length, 0) / sentences.length;
+  const complexWords = text.match(/\b\w{8,}\b/g) || [];
+
+  if (avgWordsPerSentence > 25 || complexWords.length > text.split(' ').length * 0.3) {
+    analysis.complexity = 'high';
+  } else if (avgWordsPerSentence < 15 && complexWords.length < text.split(' ').length * 0.1) {
+    analysis.complexity = 'low';
+  }
+
+  // Extract main points (sentences with key indicators)
+  analysis.mainPoints = sentences
+    .filter(s => s.match(/\b(key|important|main|significant|crucial|essential|primary|major)\b/gi) ||
+                 s.match(/\b(because|therefore|however|moreover|furthermore|additionally)\b/gi) ||
+                 s.length > 50)
+    .slice(0, 5);
+
+  return analysis;
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  CONTENT_SHAPES,
+  detectTwitterContent,
+  classifyContent,
+  resolveContentType,
+  getContentShapeInstruction,
+  analyzeContent
+};
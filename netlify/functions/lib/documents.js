@@ -0,0 +1,290 @@
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when loaded without a parent module, so load the library directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { extractArticle } = require('./article');
+
+// Text extraction for uploaded documents: PDF, DOCX, Markdown, HTML, SRT/VTT subtitles and plain text.
+// Uploads arrive either as multipart/form-data or as JSON { file: { name, type, data } } with base64 data.
+// Transcripts keep their timestamps and speaker labels so the summary can refer to them.
+
+const MAX_DOCUMENT_BYTES = 4 * 1024 * 1024;
+
+const EXTENSION_TYPES = {
+  pdf: 'pdf',
+  docx: 'docx',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  srt: 'srt',
+  vtt: 'vtt',
+  txt: 'text'
+};
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+  'application/x-subrip': 'srt',
+  'text/srt': 'srt',
+  'text/vtt': 'vtt',
+  'text/plain': 'text'
+};
+
+// Helper function to build an upload error (bad input, so statusCode 400)
+function documentError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Work out the document type from its content, name and MIME type
+function detectDocumentType(name, mimeType, buffer) {
+  // Magic bytes win over whatever the client claims
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer.subarray(0, 4).toString('latin1') === 'PK\u0003\u0004') return 'docx';
+
+  const extension = (name || '').toLowerCase().split('.').pop();
+  const type = EXTENSION_TYPES[extension] || MIME_TYPES[(mimeType || '').split(';')[0].trim().toLowerCase()];
+  if (type && type !== 'text') return type;
+
+  // Sniff text formats that came without a useful name
+  const head = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '');
+  if (/^WEBVTT/.test(head)) return 'vtt';
+  if (/^\s*\d+\s*\r?\n\d{2}:\d{2}:\d{2}[,.]\d{3}\s*-->/.test(head)) return 'srt';
+  if (/^\s*(?:<!doctype html|<html)/i.test(head)) return 'html';
+  return type || 'text';
+}
+
+// Parse a multipart/form-data body into { fields, files }
+function parseMultipart(body, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!boundaryMatch) {
+    throw documentError('Invalid multipart upload: missing boundary.');
+  }
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2].trim()}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" after the delimiter marks the end of the body
+    if (body.subarray(partStart, partStart + 2).toString() === '--') break;
+
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) break;
+
+    // Each part is CRLF, headers, blank line, content, CRLF
+    const part = body.subarray(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const disposition = /content-disposition:[^\r\n]*/i.exec(headers);
+      const name = disposition && /\bname="([^"]*)"/i.exec(disposition[0]);
+      const filename = disposition && /\bfilename="([^"]*)"/i.exec(disposition[0]);
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+
+      if (name && filename) {
+        files.push({ field: name[1], name: filename[1], type: type ? type[1].trim() : '', buffer: content });
+      } else if (name) {
+        fields[name[1]] = content.toString('utf8');
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+// Helper function to format a subtitle timestamp as [hh:mm:ss]
+function formatTimestamp(timestamp) {
+  const parts = timestamp.replace(',', '.').split('.')[0].split(':');
+  while (parts.length < 3) parts.unshift('00');
+  return `[${parts.map(part => part.padStart(2, '0')).join(':')}]`;
+}
+
+// Turn SRT/VTT cues into "[hh:mm:ss] Speaker: text" lines, one per speaker turn
+function extractTranscript(text) {
+  const cues = [];
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const timestamp = formatTimestamp(lines[timingIndex].split('-->')[0].trim());
+    lines.slice(timingIndex + 1).forEach(line => {
+      let speaker = null;
+      let content = line;
+
+      // WebVTT voice spans: <v Jane Doe>text</v>
+      const voice = /^<v(?:\.[^\s>]+)*\s+([^>]+)>/.exec(content);
+      if (voice) {
+        speaker = voice[1].trim();
+      }
+      content = content.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim();
+
+      // "JANE: text", "Jane Doe: text", "- Jane: text" and "[Jane] text" speaker labels
+      const label = /^-?\s*(?:\[([^\]]{1,40})\]|([A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3}|[A-Z0-9 ]{2,30}):)\s+(.+)$/.exec(content);
+      if (!speaker && label) {
+        speaker = (label[1] || label[2]).trim();
+        content = label[3];
+      } else {
+        content = content.replace(/^-\s*/, '');
+      }
+
+      if (content) cues.push({ timestamp, speaker, content });
+    });
+  });
+
+  // Merge consecutive cues from the same speaker into one turn
+  const turns = [];
+  cues.forEach(cue => {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === cue.speaker && last.content.length < 600) {
+      last.content += ` ${cue.content}`;
+    } else {
+      turns.push({ ...cue });
+    }
+  });
+
+  return turns
+    .map(turn => `${turn.timestamp} ${turn.speaker ? `${turn.speaker}: ` : ''}${turn.content}`)
+    .join('\n\n');
+}
+
+// Helper function to strip Markdown syntax down to readable text
+function extractMarkdown(text) {
+  return text
+    .replace(/^---\n[\s\S]*?\n---\n/, '') // Front matter
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1') // Keep code block contents, drop fences
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // Images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links keep their text
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '') // Headings
+    .replace(/^\s{0,3}>\s?/gm, '') // Blockquotes
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '• ') // Bullet lists
+    .replace(/(\*\*|__)(.+?)\1/g, '$2') // Bold
+    .replace(/(\*|_)(.+?)\1/g, '$2') // Italic
+    .replace(/`([^`]+)`/g, '$1') // Inline code
+    .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '') // Horizontal rules
+    .replace(/<[^>]+>/g, '') // Inline HTML
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Extract text from an uploaded document.
+// Resolves with { text, documentType, isTranscript, title }.
+async function extractDocumentText({ name, type, buffer }) {
+  if (!buffer || buffer.length === 0) {
+    throw documentError('The uploaded file is empty.');
+  }
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    throw documentError(`The uploaded file is too large (max ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB).`);
+  }
+
+  const documentType = detectDocumentType(name, type, buffer);
+  let text;
+  let title = null;
+
+  try {
+    switch (documentType) {
+      case 'pdf': {
+        const pdf = await pdfParse(buffer);
+        text = pdf.text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
+        title = (pdf.info && pdf.info.Title) || null;
+        break;
+      }
+      case 'docx': {
+        const result = await mammoth.extractRawText({ buffer });
+        text = result.value;
+        break;
+      }
+      case 'html': {
+        const article = extractArticle(buffer.toString('utf8'), null);
+        text = article.text;
+        title = article.title;
+        break;
+      }
+      case 'markdown':
+        text = extractMarkdown(buffer.toString('utf8'));
+        break;
+      case 'srt':
+      case 'vtt':
+        text = extractTranscript(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+        break;
+      default:
+        text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    }
+  } catch (error) {
+    console.error(`Failed to extract text from ${documentType} upload:`, error);
+    throw documentError(`Could not read the uploaded ${documentType.toUpperCase()} file. It may be damaged or password protected.`);
+  }
+
+  text = (text || '').trim();
+  if (!text) {
+    throw documentError(documentType === 'pdf' ?
+      'No text found in this PDF. Scanned documents without a text layer are not supported.' :
+      'No text found in the uploaded file.');
+  }
+
+  return {
+    text,
+    documentType,
+    isTranscript: documentType === 'srt' || documentType === 'vtt',
+    title
+  };
+}
+
+// Get the base64 upload { name, type, data } out of a parsed JSON request, as { name, type, buffer }
+function getUploadedFile(fields) {
+  if (!fields || !fields.file || !fields.file.data) return null;
+
+  const data = String(fields.file.data).replace(/^data:[^,]*,/, '');
+  return { name: fields.file.name || '', type: fields.file.type || '', buffer: Buffer.from(data, 'base64') };
+}
+
+// Read a request body that is either multipart/form-data or JSON (optionally with a base64 file).
+// Returns { fields, file } where file is { name, type, buffer } or null if nothing was uploaded.
+// A body that isn't a JSON object is thrown with statusCode 400.
+function readUpload(body, contentType) {
+  if (/multipart\/form-data/i.test(contentType || '')) {
+    const { fields, files } = parseMultipart(body, contentType);
+    const file = files.find(upload => upload.field === 'file') || files[0] || null;
+    return { fields, file };
+  }
+
+  let fields;
+  try {
+    fields = JSON.parse(body.toString('utf8') || '{}');
+  } catch (error) {
+    throw documentError('Request body must be JSON.');
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw documentError('Request body must be a JSON object.');
+  }
+  return { fields, file: getUploadedFile(fields) };
+}
+
+// Helper function to format extracted document text as summarizer input
+function formatDocumentText(document, name) {
+  const header = document.isTranscript ?
+    `--- Transcript${name ? ` (${name})` : ''}: lines start with [hh:mm:ss] timestamps and speaker names. Keep timestamps and speakers when referring to what was said ---` :
+    document.title ? `Title: ${document.title}` : '';
+
+  return header ? `${header}\n\n${document.text}` : document.text;
+}
+
+module.exports = {
+  detectDocumentType,
+  parseMultipart,
+  extractTranscript,
+  extractDocumentText,
+  getUploadedFile,
+  readUpload,
+  formatDocumentText
+};
@@ -0,0 +1,359 @@
+const { segmentSentences, isListItem } = require('./sentences');
+
+// Export formats for a finished summary (format "thread", "markdown", "notion" or "slack"):
+//   thread    numbered posts of at most 280 characters, counted the way X counts them
+//   markdown  the summary with its source attribution
+//   notion    Notion API block objects, ready to append to a page
+//   slack     Slack Block Kit blocks, with a plain text fallback
+// The summary is read as paragraphs, bullet points and headings. Threads split on bullet and
+// sentence boundaries, and only between words within an overlong sentence, so URLs and
+// cashtags are never cut.
+
+const EXPORT_FORMATS = ['thread', 'markdown', 'notion', 'slack'];
+const TWEET_MAX_LENGTH = 280;
+// X shortens every link to a t.co URL of this length
+const TWEET_URL_LENGTH = 23;
+const NOTION_MAX_TEXT = 2000;
+const SLACK_MAX_TEXT = 3000;
+const SLACK_MAX_HEADER = 150;
+const MAX_SUMMARY_CHARS = 10000;
+
+const URL_PATTERN = /https?:\/\/\S+/g;
+const HEADING = /^#{1,3}\s+/;
+
+// Helper function to create an error with a status code
+function exportError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Check whether a summarize "format" is one of the export formats
+function isExportFormat(format) {
+  return EXPORT_FORMATS.includes(format);
+}
+
+// Helper function to read a summary as blocks: { type: "heading" | "paragraph" | "bullet", text }.
+// Structured summaries become their TL;DR followed by their key points.
+function parseSummary(summary, structured) {
+  if (structured && typeof structured.tldr === 'string') {
+    return [
+      { type: 'paragraph', text: structured.tldr.trim() },
+      ...(structured.keyPoints || []).map(point => ({ type: 'bullet', text: String(point).trim() }))
+    ].filter(block => block.text);
+  }
+
+  return String(summary || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    if (HEADING.test(line)) return { type: 'heading', text: line.replace(HEADING, '') };
+    if (isListItem(line)) return { type: 'bullet', text: line.replace(/^\s*(?:[-•*▪◦‣]|\d{1,2}[.)]|\d{1,2}\/\d{0,2})\s+/, '') };
+    return { type: 'paragraph', text: line };
+  });
+}
+
+// Helper function to drop markdown emphasis for formats without it
+function stripEmphasis(text) {
+  return text.replace(/\*\*(.+?)\*\*/g, '$1').replace(/__(.+?)__/g, '$1').replace(/`([^`]+)`/g, '$1');
+}
+
+// Helper function to get the date a summary was exported on, as YYYY-MM-DD
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Length of a post as X counts it: links are 23 characters, and CJK characters and emoji count twice
+function getTweetLength(text) {
+  const withoutUrls = text.replace(URL_PATTERN, '');
+  const urls = (text.match(URL_PATTERN) || []).length;
+  let length = urls * TWEET_URL_LENGTH;
+  for (const char of withoutUrls) {
+    const code = char.codePointAt(0);
+    const light = code <= 0x10ff || (code >= 0x2000 && code <= 0x200d) || (code >= 0x2010 && code <= 0x201f) || (code >= 0x2032 && code <= 0x2037);
+    length += light ? 1 : 2;
+  }
+  return length;
+}
+
+// Helper function to split a piece that can't fit in one post between words. A single word
+// that is still too long (never a URL, which always counts as 23) is cut by characters.
+function splitLongPiece(text, maxLength) {
+  const parts = [];
+  let current = '';
+  for (const word of text.split(/\s+/)) {
+    const next = current ? `${current} ${word}` : word;
+    if (getTweetLength(next) <= maxLength) {
+      current = next;
+      continue;
+    }
+    if (current) parts.push(current);
+    current = word;
+    while (getTweetLength(current) > maxLength) {
+      const chars = [...current];
+      let cut = chars.length;
+      while (cut > 1 && getTweetLength(chars.slice(0, cut).join('')) > maxLength) cut--;
+      parts.push(chars.slice(0, cut).join(''));
+      current = chars.slice(cut).join('');
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Helper function to pack pieces ({ text, separator }) into posts with room for a numbering prefix
+function packPosts(pieces, reserve) {
+  const maxLength = TWEET_MAX_LENGTH - reserve;
+  const posts = [];
+  let current = '';
+  pieces.forEach(({ text, separator }) => {
+    const next = current ? `${current}${separator}${text}` : text;
+    if (getTweetLength(next) <= maxLength) {
+      current = next;
+      return;
+    }
+    if (current) posts.push(current);
+    const parts = getTweetLength(text) <= maxLength ? [text] : splitLongPiece(text, maxLength);
+    posts.push(...parts.slice(0, -1));
+    current = parts[parts.length - 1];
+  });
+  if (current) posts.push(current);
+  return posts;
+}
+
+// Split a summary into a thread of posts of at most 280 characters (as X counts them), numbered
+// "1/N" when there is more than one. Posts break between bullets and sentences; a sentence
+// too long for a post is broken between words. A source URL is added at the end.
+function splitThread(summary, { structured, source = {} } = {}) {
+  const pieces = [];
+  parseSummary(summary, structured).forEach((block, blockIndex) => {
+    const text = stripEmphasis(block.text);
+    const sentences = block.type === 'bullet' ? [`• ${text}`] : segmentSentences(text);
+    sentences.forEach((sentence, index) => {
+      let separator = ' ';
+      if (index === 0) separator = block.type === 'bullet' ? '\n' : '\n\n';
+      pieces.push({ text: sentence, separator: blockIndex === 0 && index === 0 ? '' : separator });
+    });
+  });
+  if (source.url) {
+    pieces.push({ text: `Source: ${source.url}`, separator: '\n\n' });
+  }
+  if (pieces.length === 0) return [];
+
+  // One post doesn't need numbering
+  const single = pieces.map((piece, index) => (index === 0 ? '' : piece.separator) + piece.text).join('');
+  if (getTweetLength(single) <= TWEET_MAX_LENGTH) return [single];
+
+  // The "N/N " prefix takes room from every post, so pack again if N needs more digits
+  let digits = 1;
+  let posts = packPosts(pieces, digits * 2 + 2);
+  while (String(posts.length).length > digits) {
+    digits = String(posts.length).length;
+    posts = packPosts(pieces, digits * 2 + 2);
+  }
+  return posts.map((post, index) => `${index + 1}/${posts.length} ${post}`);
+}
+
+// Helper function to escape text for Markdown link labels
+function escapeMarkdownLabel(text) {
+  return text.replace(/([[\]\\])/g, '\\$1');
+}
+
+// Render a summary as Markdown, with a source line under it
+function toMarkdown(blocks, { source, tone, date }) {
+  const lines = [`## ${source.title || 'Summary'}`, ''];
+  blocks.forEach((block, index) => {
+    const previous = blocks[index - 1];
+    if (previous && (block.type !== 'bullet' || previous.type !== 'bullet')) lines.push('');
+    if (block.type === 'heading') lines.push(`### ${block.text}`);
+    else if (block.type === 'bullet') lines.push(`- ${block.text}`);
+    else lines.push(block.text);
+  });
+
+  const sourceLabel = source.url ? `[${escapeMarkdownLabel(source.title || source.url)}](${source.url})` : source.title;
+  const details = [sourceLabel ? `Source: ${sourceLabel}` : '', tone ? `${tone} tone` : '', `summarized ${date} with just one minute`].filter(Boolean);
+  lines.push('', '---', '', `*${details.join(' · ')}*`);
+  return lines.join('\n');
+}
+
+// Helper function to build Notion rich text, with **bold** and links kept. Notion takes at
+// most 2000 characters per text object, so longer runs are split.
+function toNotionRichText(text) {
+  return text.split(/(\*\*.+?\*\*|https?:\/\/\S+)/).filter(Boolean).flatMap(part => {
+    const bold = /^\*\*(.+)\*\*$/.exec(part);
+    const content = bold ? bold[1] : part;
+    const link = /^https?:\/\/\S+$/.test(part) ? { url: part } : null;
+    const runs = [];
+    for (let start = 0; start < content.length; start += NOTION_MAX_TEXT) {
+      runs.push({
+        type: 'text',
+        text: { content: content.slice(start, start + NOTION_MAX_TEXT), link },
+        annotations: { bold: Boolean(bold) }
+      });
+    }
+    return runs;
+  });
+}
+
+// Helper function to build one Notion block
+function notionBlock(type, richText) {
+  return { object: 'block', type, [type]: { rich_text: richText } };
+}
+
+// Render a summary as Notion blocks: a heading, the summary and a source line
+function toNotionBlocks(blocks, { source, tone, date }) {
+  const types = { heading: 'heading_3', bullet: 'bulleted_list_item', paragraph: 'paragraph' };
+  const sourceText = source.url ?
+    [{ type: 'text', text: { content: source.title || source.url, link: { url: source.url } }, annotations: { bold: false } }] :
+    (source.title ? toNotionRichText(source.title) : []);
+  const details = [tone ? `${tone} tone` : '', `summarized ${date} with just one minute`].filter(Boolean).join(' · ');
+
+  return [
+    notionBlock('heading_2', toNotionRichText(source.title || 'Summary')),
+    ...blocks.map(block => notionBlock(types[block.type], toNotionRichText(block.text))),
+    { object: 'block', type: 'divider', divider: {} },
+    notionBlock('paragraph', [
+      ...(sourceText.length > 0 ? [{ type: 'text', text: { content: 'Source: ', link: null }, annotations: { bold: false } }, ...sourceText, { type: 'text', text: { content: ' · ', link: null }, annotations: { bold: false } }] : []),
+      { type: 'text', text: { content: details, link: null }, annotations: { bold: false } }
+    ])
+  ];
+}
+
+// Helper function to write text in Slack's mrkdwn: &, < and > escaped, **bold** as *bold*
+function toSlackText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*');
+}
+
+// Helper function to split text into Slack section-sized runs, between lines where possible
+function splitSlackText(text) {
+  const runs = [];
+  let current = '';
+  text.split('\n').forEach(line => {
+    const next = current ? `${current}\n${line}` : line;
+    if (next.length <= SLACK_MAX_TEXT) {
+      current = next;
+      return;
+    }
+    if (current) runs.push(current);
+    for (current = line; current.length > SLACK_MAX_TEXT; current = current.slice(SLACK_MAX_TEXT)) {
+      runs.push(current.slice(0, SLACK_MAX_TEXT));
+    }
+  });
+  if (current) runs.push(current);
+  return runs;
+}
+
+// Render a summary as Slack blocks: a header, sections (a list is one section) and a source context
+function toSlackBlocks(blocks, { source, tone, date }) {
+  const sections = [];
+  blocks.forEach((block, index) => {
+    const line = block.type === 'bullet' ? `• ${toSlackText(block.text)}` :
+      (block.type === 'heading' ? `*${toSlackText(stripEmphasis(block.text))}*` : toSlackText(block.text));
+    if (block.type === 'bullet' && index > 0 && blocks[index - 1].type === 'bullet') {
+      sections[sections.length - 1] += `\n${line}`;
+    } else {
+      sections.push(line);
+    }
+  });
+
+  const title = stripEmphasis(source.title || 'Summary');
+  const sourceLabel = source.url ?
+    `<${source.url}|${toSlackText(source.title || source.url).replace(/\|/g, '-')}>` :
+    (source.title ? toSlackText(source.title) : '');
+  const details = [sourceLabel ? `Source: ${sourceLabel}` : '', tone ? `${toSlackText(tone)} tone` : '', `summarized ${date} with just one minute`].filter(Boolean);
+
+  return [
+    { type: 'header', text: { type: 'plain_text', text: title.length > SLACK_MAX_HEADER ? `${title.slice(0, SLACK_MAX_HEADER - 3)}...` : title, emoji: true } },
+    ...sections.flatMap(splitSlackText).map(text => ({ type: 'section', text: { type: 'mrkdwn', text } })),
+    { type: 'context', elements: [{ type: 'mrkdwn', text: details.join(' · ') }] }
+  ];
+}
+
+// Export a summary in one of EXPORT_FORMATS. summary is the summary text (structured
+// summaries can pass structured instead), source is { url?, title? } for the attribution.
+// Returns, depending on the format:
+//   thread   { format, tweets: [...] }
+//   markdown { format, markdown }
+//   notion   { format, blocks }
+//   slack    { format, text, blocks }
+function exportSummary(format, { summary, structured, source = {}, tone, date = new Date() }) {
+  if (!isExportFormat(format)) {
+    throw exportError(`"format" must be one of: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  const blocks = parseSummary(summary, structured);
+  if (blocks.length === 0) {
+    throw exportError('There is no summary to export.');
+  }
+  const options = { source: { url: source.url || null, title: source.title || null }, tone, date: formatDate(date) };
+
+  if (format === 'thread') {
+    return { format, tweets: splitThread(summary, { structured, source: options.source }) };
+  }
+  if (format === 'markdown') {
+    return { format, markdown: toMarkdown(blocks, options) };
+  }
+  if (format === 'notion') {
+    return { format, blocks: toNotionBlocks(blocks, options) };
+  }
+  return {
+    format,
+    text: blocks.map(block => (block.type === 'bullet' ? '• ' : '') + stripEmphasis(block.text)).join('\n'),
+    blocks: toSlackBlocks(blocks, options)
+  };
+}
+
+// Check an export request: { format, summary, structured?, source?: { url?, title? }, tone? }.
+// Bad requests are thrown with statusCode 400.
+function validateExportRequest(body) {
+  const fields = body || {};
+  if (!isExportFormat(fields.format)) {
+    throw exportError(`"format" must be one of: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  const hasStructured = fields.structured && typeof fields.structured === 'object' && typeof fields.structured.tldr === 'string';
+  if (!hasStructured && (typeof fields.summary !== 'string' || !fields.summary.trim())) {
+    throw exportError('No summary to export. Send it as "summary".');
+  }
+  if (typeof fields.summary === 'string' && fields.summary.length > MAX_SUMMARY_CHARS) {
+    throw exportError(`"summary" can be at most ${MAX_SUMMARY_CHARS} characters.`);
+  }
+  const source = fields.source && typeof fields.source === 'object' ? fields.source : {};
+  if (source.url && (typeof source.url !== 'string' || !/^https?:\/\/\S+$/i.test(source.url))) {
+    throw exportError('"source.url" must be an http(s) URL.');
+  }
+  return {
+    format: fields.format,
+    summary: fields.summary,
+    structured: hasStructured ? fields.structured : undefined,
+    source: { url: source.url || null, title: typeof source.title === 'string' ? source.title.trim().slice(0, 200) : null },
+    tone: typeof fields.tone === 'string' ? fields.tone.slice(0, 50) : undefined
+  };
+}
+
+// Add the export to a summarize response when the request's format is an export format.
+// The source is the request's link (a tweet, or an article pasted as a link) and the title of
+// the fetched article or uploaded document.
+function withExport(response, request) {
+  if (!response || !isExportFormat(request.format)) return response;
+  const link = [request.threadUrl, request.rawText].find(value => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim()));
+  const title = (response.article && response.article.title) || (response.document && (response.document.title || response.document.name));
+  return {
+    ...response,
+    export: exportSummary(request.format, {
+      summary: response.summary,
+      structured: response.structured,
+      source: { url: link ? link.trim() : null, title },
+      tone: request.tone
+    })
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  getTweetLength,
+  splitThread,
+  exportSummary,
+  validateExportRequest,
+  withExport
+};
@@ -0,0 +1,129 @@
+const { segmentSentences, isCompleteSentence } = require('./sentences');
+
+// Offline extractive summarizer (TextRank).
+// Picks the most central sentences of the input without calling an LLM, so there is
+// still a summary when every provider fails or when the caller asks for mode "extractive".
+
+// Largest number of sentences ranked - similarity is quadratic in the sentence count
+const MAX_SENTENCES = 300;
+const DAMPING = 0.85;
+const ITERATIONS = 30;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'of', 'to', 'in', 'on', 'at', 'by',
+  'for', 'with', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its',
+  'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'we', 'they', 'me', 'him', 'her',
+  'us', 'them', 'my', 'your', 'his', 'our', 'their', 'not', 'no', 'do', 'does', 'did', 'have',
+  'has', 'had', 'will', 'would', 'can', 'could', 'should', 'just', 'about', 'into', 'than',
+  'there', 'here', 'what', 'which', 'who', 'when', 'where', 'why', 'how', 'all', 'also', 'more',
+  'very', 'up', 'out', 'rt', 'amp'
+]);
+
+// Helper function to strip thread scaffolding (numbering, fetch markers, links) from a line
+function cleanLine(line) {
+  return line
+    .replace(/^---.*---$/, '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/^\s*(?:\d+\s*\/\s*\d*|\d+[.)])\s+/, '')
+    .replace(/\s*🧵\s*/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Split text into sentences, keeping their punctuation (see lib/sentences.js). Thread
+// scaffolding is stripped first, and fragments under three words are left out.
+function splitSentences(text) {
+  return segmentSentences(text.split(/\n+/).map(cleanLine).filter(Boolean).join('\n'))
+    .filter(sentence => sentence.split(' ').length >= 3);
+}
+
+// Helper function to reduce a sentence to its content words
+function tokenize(sentence) {
+  return (sentence.toLowerCase().match(/[\p{L}\p{N}$%']+/gu) || [])
+    .map(word => word.replace(/'s$/, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+// Helper function for the TextRank similarity between two token sets
+function similarity(a, b) {
+  if (a.size < 2 || b.size < 2) return 0;
+  let overlap = 0;
+  a.forEach(word => {
+    if (b.has(word)) overlap++;
+  });
+  return overlap / (Math.log(a.size) + Math.log(b.size));
+}
+
+// Score every sentence with TextRank. boostPhrases (e.g. the main points and names from
+// analyzeContent) nudge sentences that contain them up the ranking.
+function rankSentences(sentences, boostPhrases = []) {
+  const tokens = sentences.map(sentence => new Set(tokenize(sentence)));
+  const count = sentences.length;
+
+  const weights = tokens.map((a, i) => tokens.map((b, j) => (i === j ? 0 : similarity(a, b))));
+  const totals = weights.map(row => row.reduce((sum, weight) => sum + weight, 0));
+
+  let scores = new Array(count).fill(1);
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    scores = scores.map((_, i) => {
+      let rank = 0;
+      for (let j = 0; j < count; j++) {
+        if (weights[j][i] > 0 && totals[j] > 0) {
+          rank += (weights[j][i] / totals[j]) * scores[j];
+        }
+      }
+      return (1 - DAMPING) + DAMPING * rank;
+    });
+  }
+
+  const phrases = boostPhrases
+    .map(phrase => String(phrase).trim().toLowerCase())
+    .filter(phrase => phrase.length > 1);
+
+  return scores.map((score, index) => {
+    const lower = sentences[index].toLowerCase();
+    const boosts = phrases.filter(phrase => lower.includes(phrase)).length;
+    // Earlier sentences get a small lead, as in most articles and threads the point comes first
+    const position = 1 + 0.1 * (1 - index / count);
+    return score * position * (1 + 0.1 * Math.min(boosts, 5));
+  });
+}
+
+// Number of sentences to pick for a length option
+function getSentenceCount(length, available) {
+  if (length === '1 line') return 1;
+  // Up to 5 bullets, but never just the whole input again
+  if (length === 'bullet list') return Math.min(5, Math.max(3, Math.ceil(available / 2)));
+  const match = /(\d+)\s*sentences?/.exec(length || '');
+  return match ? parseInt(match[1], 10) : 3;
+}
+
+// Build an extractive summary honoring the "1 line" / "N sentences" / "bullet list" options.
+// Picked sentences keep their original order.
+function extractiveSummarize(text, length, { boostPhrases = [] } = {}) {
+  const sentences = splitSentences(text).slice(0, MAX_SENTENCES);
+
+  if (sentences.length === 0) {
+    const fallback = cleanLine(text.replace(/\s+/g, ' '));
+    return fallback.length > 280 ? `${fallback.substring(0, 277).replace(/\s+\S*$/, '')}...` : fallback;
+  }
+
+  const scores = rankSentences(sentences, boostPhrases);
+  const picked = sentences
+    .map((sentence, index) => ({ sentence, index, score: scores[index] }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, getSentenceCount(length, sentences.length))
+    .sort((a, b) => a.index - b.index)
+    .map(({ sentence }) => (isCompleteSentence(sentence) ? sentence : `${sentence}.`));
+
+  if (length === 'bullet list') {
+    return picked.map(sentence => `• ${sentence}`).join('\n');
+  }
+  return picked.join(' ');
+}
+
+module.exports = {
+  splitSentences,
+  rankSentences,
+  extractiveSummarize
+};
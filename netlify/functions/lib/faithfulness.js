@@ -0,0 +1,204 @@
+// Hallucination guard: checks that the figures, percentages, tickers, mentions and proper names
+// in a summary actually appear in the source text. Produces a faithfulness report the UI shows
+// as warnings, and a retry prompt for when a summary should be regenerated.
+
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mn: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, tn: 1e12, trillion: 1e12
+};
+
+// Numbers with an optional currency sign, decimals, percent sign or scale ("$4.2B", "3.5 million", "12%")
+const NUMBER_PATTERN = /(?<![\w.])([$€£¥])?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:(%)|\s*(percent|thousand|million|billion|trillion|bn|mn|tn)\b|([kmbt])\b)?/gi;
+
+// Capitalized words that are not names on their own
+const COMMON_WORDS = new Set([
+  'The', 'This', 'That', 'These', 'Those', 'And', 'But', 'Or', 'So', 'For', 'If', 'When', 'Where', 'Why',
+  'How', 'What', 'Who', 'Which', 'It', 'Its', 'They', 'We', 'You', 'He', 'She', 'I', 'A', 'An', 'In', 'On',
+  'At', 'By', 'With', 'From', 'As', 'To', 'Of', 'Overall', 'However', 'Meanwhile', 'Also', 'Plus', 'Here',
+  'There', 'Then', 'Now', 'Still', 'Even', 'After', 'Before', 'While', 'Although', 'Because', 'Since', 'Despite',
+  'Both', 'Some', 'Many', 'Most', 'All', 'Each', 'Every', 'One', 'Another', 'Other', 'Our', 'My', 'His', 'Her',
+  'Their', 'Your', 'Is', 'Are', 'Was', 'Were', 'Will', 'Can', 'Should', 'Could', 'Would', 'Do', 'Does', 'Did',
+  'Has', 'Have', 'Had', 'Today', 'Yesterday', 'Tomorrow', 'Key', 'Main', 'Bottom', 'Line', 'Summary', 'Thread', 'TL', 'DR',
+  'TLDR', 'CEO', 'CFO', 'CTO', 'COO', 'AI', 'OK', 'Yes', 'No', 'Not', 'Just', 'Basically', 'Essentially',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'
+]);
+
+// Helper function to escape text for use in a RegExp
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse every number in a text into { raw, value, isPercent, precision }.
+// precision is the size of one unit in the last written digit, used as the rounding tolerance.
+function extractNumbers(text) {
+  const numbers = [];
+  let match;
+  NUMBER_PATTERN.lastIndex = 0;
+  while ((match = NUMBER_PATTERN.exec(text)) !== null) {
+    const [raw, currency, integer, decimals = '', percentSign, word, letter] = match;
+    const scale = (word || letter || '').toLowerCase();
+    const isPercent = Boolean(percentSign) || scale === 'percent';
+    const multiplier = isPercent ? 1 : MULTIPLIERS[scale] || 1;
+
+    numbers.push({
+      raw: raw.trim(),
+      value: parseFloat(`${integer.replace(/,/g, '')}.${decimals || '0'}`) * multiplier,
+      isPercent,
+      precision: Math.pow(10, -decimals.length) * multiplier,
+      scale: multiplier,
+      hasUnit: Boolean(currency || percentSign || scale)
+    });
+  }
+  return numbers;
+}
+
+// Helper function to check a summary number against the source numbers.
+// Allows rounding to the precision the summary wrote it with, or a 0.5% difference.
+// With ignoreScale the digits are compared without their scale word, for translated
+// summaries whose scale words ("mil millones", "milyar") aren't recognized.
+function isNumberSupported(number, sourceNumbers, { ignoreScale = false } = {}) {
+  const close = (a, b, precision) => Math.abs(a - b) <= precision / 2 + 1e-9 || Math.abs(a - b) <= Math.abs(a) * 0.005;
+  return sourceNumbers.some(source =>
+    source.isPercent === number.isPercent &&
+    (close(source.value, number.value, number.precision) ||
+      (ignoreScale && close(source.value / source.scale, number.value / number.scale, number.precision / number.scale)))
+  );
+}
+
+// Helper function to check whether the source uses a word as an ordinary (lowercase) word
+function isSourceVocabulary(word, sourceText) {
+  return new RegExp(`(?:^|[^\\w])${escapeRegExp(word.toLowerCase())}(?![\\w])`).test(sourceText);
+}
+
+// Find proper names (runs of capitalized words) in a summary.
+// A single capitalized word that starts a sentence could just be capitalized for the sentence:
+// with the source text it's skipped when the source writes it in lowercase ("Revenue grew" over
+// a source about revenue) and counted otherwise ("Solana grew 40%."); without it, it's skipped.
+function extractNames(text, sourceText = null) {
+  const names = new Set();
+  const namePattern = /[A-Z][\w'’&-]*[A-Za-z0-9](?:\s+[A-Z][\w'’&-]*[A-Za-z0-9])*/g;
+  let match;
+  while ((match = namePattern.exec(text)) !== null) {
+    const before = text.substring(0, match.index);
+    const startsSentence = /(?:^|[.!?:•\n]\s*|^\s*[-*]\s*)$/.test(before);
+
+    let words = match[0].split(/\s+/);
+    if (startsSentence && words.length === 1 && (sourceText === null || isSourceVocabulary(words[0], sourceText))) continue;
+    // Drop leading/trailing common words ("The Fed", "Tuesday Apple")
+    while (words.length > 0 && COMMON_WORDS.has(words[0])) words = words.slice(1);
+    while (words.length > 0 && COMMON_WORDS.has(words[words.length - 1])) words = words.slice(0, -1);
+
+    // Acronyms of two letters are too often generic (US, EU, AI) to judge
+    if (words.length === 0 || (words.length === 1 && words[0].length <= 2)) continue;
+    names.add(words.join(' '));
+  }
+  return [...names];
+}
+
+// Helper function to check a name against the source: the whole name, or every word of it
+function isNameSupported(name, sourceText, knownNames) {
+  const lowerSource = sourceText.toLowerCase();
+  const lowerName = name.toLowerCase();
+  if (lowerSource.includes(lowerName) || knownNames.some(known => known.toLowerCase() === lowerName)) {
+    return true;
+  }
+  return name.split(/[\s-]+/)
+    .filter(word => word.length > 1)
+    .every(word => new RegExp(`(?:^|[^\\w])${escapeRegExp(word.replace(/['’]s$/, ''))}`, 'i').test(sourceText));
+}
+
+// Check a summary against its source.
+// contentAnalysis (from analyzeContent) is optional; its names and numbers count as supported.
+// language is the summary's language: names are only checked in English, where capitalization
+// reliably marks them, and other languages may write decimals with a comma.
+// Returns { faithful, score, checked, unsupported: [{ type, value }], warnings, regenerated }.
+function checkFaithfulness(summary, sourceText, contentAnalysis = null, { language = 'en' } = {}) {
+  const english = language === 'en';
+  const knownNames = (contentAnalysis && contentAnalysis.names) || [];
+  const knownNumbers = ((contentAnalysis && contentAnalysis.numbers) || []).join(' ');
+  const sourceNumbers = extractNumbers(`${sourceText} ${knownNumbers}`);
+  const lowerSource = sourceText.toLowerCase();
+
+  const claims = [];
+
+  // "6,2%" and "1.500" in most other languages are 6.2% and 1500
+  const numberText = english ? summary : summary
+    .replace(/(\d)\.(\d{3})(?!\d)/g, '$1$2')
+    .replace(/(\d),(\d{1,2})(?!\d)/g, '$1.$2');
+
+  extractNumbers(numberText).forEach(number => {
+    // Small bare counts ("3 key points", "top 5") are usually the summary's own wording
+    if (!number.hasUnit && number.value <= 10 && Number.isInteger(number.value)) return;
+    claims.push({
+      type: number.isPercent ? 'percentage' : 'number',
+      value: number.raw,
+      supported: isNumberSupported(number, sourceNumbers, { ignoreScale: !english })
+    });
+  });
+
+  (summary.match(/\$[A-Za-z]{2,6}\b/g) || []).forEach(ticker => {
+    const symbol = ticker.substring(1).toLowerCase();
+    claims.push({
+      type: 'ticker',
+      value: ticker.toUpperCase(),
+      supported: new RegExp(`(?:\\$|\\b)${symbol}\\b`, 'i').test(sourceText)
+    });
+  });
+
+  (summary.match(/@\w{2,15}/g) || []).forEach(mention => {
+    claims.push({ type: 'mention', value: mention, supported: lowerSource.includes(mention.toLowerCase()) });
+  });
+
+  (english ? extractNames(summary.replace(/\$[A-Za-z]{2,6}\b|@\w+/g, ' '), sourceText) : []).forEach(name => {
+    claims.push({ type: 'name', value: name, supported: isNameSupported(name, sourceText, knownNames) });
+  });
+
+  // Report each value once
+  const seen = new Set();
+  const uniqueClaims = claims.filter(claim => {
+    const key = `${claim.type}:${claim.value.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const unsupported = uniqueClaims
+    .filter(claim => !claim.supported)
+    .map(({ type, value }) => ({ type, value }));
+
+  return {
+    faithful: unsupported.length === 0,
+    score: uniqueClaims.length > 0 ? Math.round((1 - unsupported.length / uniqueClaims.length) * 100) / 100 : 1,
+    checked: uniqueClaims.length,
+    unsupported,
+    warnings: unsupported.map(({ type, value }) => `"${value}" (${type}) does not appear in the original text`),
+    // Set by the caller when the summary was regenerated after a failed check
+    regenerated: false
+  };
+}
+
+// Whether a report is bad enough to regenerate: invented figures or tickers.
+// Unmatched names alone are only flagged, since the check is looser for them.
+function shouldRegenerate(report) {
+  return report.unsupported.some(item => item.type !== 'name');
+}
+
+// Add a correction to a summary prompt, listing what the previous attempt made up
+function getFaithfulnessRetryPrompt(prompt, report) {
+  const items = report.unsupported.map(item => item.value).join(', ');
+  return `${prompt}
+
+IMPORTANT: A previous summary of this content mentioned ${items}, which do not appear in the content. Only use names, numbers and tickers that appear in the content, exactly as written.`;
+}
+
+module.exports = {
+  extractNumbers,
+  isNumberSupported,
+  extractNames,
+  checkFaithfulness,
+  shouldRegenerate,
+  getFaithfulnessRetryPrompt
+};
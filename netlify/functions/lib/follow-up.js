@@ -0,0 +1,152 @@
+const { getLanguageInstruction } = require('./language');
+const { ensureCompleteSentence } = require('./sentences');
+const { saveSession } = require('./sessions');
+
+// Follow-up questions about a summary, asked in its session (see sessions.js). Questions are
+// answered from the summarized source only, citing the tweets (or paragraphs) they came from
+// as [3] or [2, 5].
+
+const MAX_QUESTION_CHARS = 500;
+// Source text sent with each question; longer sources keep the parts that best match it
+const MAX_SOURCE_CHARS = 12000;
+// Earlier questions and answers sent along, so follow-ups like "and the fees?" make sense
+const MAX_HISTORY_TURNS = 4;
+const MAX_ANSWER_WORDS = 150;
+
+// Helper function to create an error with a status code
+function followUpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Split the source into numbered parts to cite. Threads (numbered "1. ..." tweets, as written by
+// twitter-thread.js and pasted-thread.js) are cited by tweet number; the byline and replies
+// section come along unnumbered. Other text is cited by paragraph.
+function getSourceParts(threadText) {
+  const paragraphs = String(threadText || '').split(/\n{2,}/).map(part => part.trim()).filter(Boolean);
+  const tweets = paragraphs.filter(part => /^\d+\.\s/.test(part));
+
+  if (tweets.length >= 2) {
+    return {
+      unit: 'tweet',
+      parts: paragraphs.map(part => {
+        const match = /^(\d+)\.\s+([\s\S]*)$/.exec(part);
+        return match ? { number: Number(match[1]), text: match[2] } : { number: null, text: part };
+      })
+    };
+  }
+  return { unit: 'paragraph', parts: paragraphs.map((text, index) => ({ number: index + 1, text })) };
+}
+
+// Helper function to get a session's citable parts, split once per session
+function getCitableSource(session) {
+  if (!session.citable) {
+    session.citable = getSourceParts(session.threadText);
+  }
+  return session.citable;
+}
+
+// Check a follow-up question; bad ones are thrown with statusCode 400
+function validateQuestion(question) {
+  if (typeof question !== 'string' || !question.trim()) {
+    throw followUpError('No question provided.');
+  }
+  if (question.length > MAX_QUESTION_CHARS) {
+    throw followUpError(`Questions can be at most ${MAX_QUESTION_CHARS} characters.`);
+  }
+  return question.trim();
+}
+
+// Helper function to pick the parts of a long source that share the most words with the question,
+// keeping them in their original order
+function selectParts(parts, question) {
+  const total = parts.reduce((sum, part) => sum + part.text.length, 0);
+  if (total <= MAX_SOURCE_CHARS) return parts;
+
+  const questionWords = new Set((question.toLowerCase().match(/[\p{L}\p{N}$@#]{3,}/gu) || []));
+  const scored = parts.map((part, index) => ({
+    index,
+    score: (part.text.toLowerCase().match(/[\p{L}\p{N}$@#]{3,}/gu) || []).filter(word => questionWords.has(word)).length
+  }));
+
+  const kept = new Set();
+  let used = 0;
+  scored.sort((a, b) => b.score - a.score || a.index - b.index).forEach(({ index }) => {
+    if (used + parts[index].text.length <= MAX_SOURCE_CHARS) {
+      kept.add(index);
+      used += parts[index].text.length;
+    }
+  });
+  return parts.filter((part, index) => kept.has(index));
+}
+
+// Build the prompt for one follow-up question
+function getFollowUpPrompt(session, question) {
+  const { unit, parts } = getCitableSource(session);
+  const unitName = unit === 'tweet' ? 'tweet' : 'paragraph';
+  const source = selectParts(parts, question)
+    .map(part => (part.number ? `[${part.number}] ${part.text}` : part.text))
+    .join('\n\n');
+  const analysis = session.contentAnalysis;
+  const history = session.history.slice(-MAX_HISTORY_TURNS)
+    .map(turn => `Q: ${turn.question}\nA: ${turn.answer}`)
+    .join('\n\n');
+  const languageInstruction = getLanguageInstruction(session.targetLanguage);
+
+  return `You answer follow-up questions about a ${session.isTwitterContent ? 'Twitter/X thread' : 'text'} that was just summarized. Answer ONLY from the source below, never from outside knowledge. After each claim, cite the ${unitName} numbers you used in square brackets, like [3] or [2, 5]. Quote short phrases exactly when it helps. If the source doesn't answer the question, say so plainly instead of guessing. Keep the answer under ${MAX_ANSWER_WORDS} words, with no introductory phrases.${languageInstruction ? ` ${languageInstruction}` : ''}
+
+SUMMARY:
+${session.summary || '(none)'}
+
+KEY NAMES: ${analysis.names.join(', ') || '(none)'}
+IMPORTANT NUMBERS: ${analysis.numbers.join(', ') || '(none)'}
+
+SOURCE (${unitName}s numbered in brackets):
+${source}${history ? `\n\nEARLIER QUESTIONS:\n${history}` : ''}
+
+QUESTION: ${question}`;
+}
+
+// Helper function to collect the cited parts of an answer, in the order they were first cited
+function getCitations(session, answer) {
+  const byNumber = new Map(getCitableSource(session).parts.filter(part => part.number).map(part => [part.number, part]));
+  const cited = [];
+
+  (answer.match(/\[\d+(?:\s*[,–-]\s*\d+)*\]/g) || []).forEach(group => {
+    group.slice(1, -1).split(/\s*,\s*/).forEach(item => {
+      // "[2-4]" cites 2, 3 and 4
+      const [from, to = from] = item.split(/\s*[–-]\s*/).map(Number);
+      for (let number = from; number <= Math.min(to, from + 20); number++) {
+        if (byNumber.has(number) && !cited.includes(number)) cited.push(number);
+      }
+    });
+  });
+
+  return cited.map(number => ({ number, text: byNumber.get(number).text }));
+}
+
+// Answer a question in a session. callModel(prompt) runs the LLM call and resolves with a
+// completion from llm-provider.js. Resolves with { answer, citations, unit, completion }.
+async function answerQuestion(session, question, callModel) {
+  const cleanQuestion = validateQuestion(question);
+  const completion = await callModel(getFollowUpPrompt(session, cleanQuestion));
+  const answer = ensureCompleteSentence(String(completion.text || '').trim(), {
+    finishReason: completion.finishReason,
+    language: session.targetLanguage
+  });
+
+  if (!answer) {
+    throw new Error('Empty answer received from AI service');
+  }
+
+  session.history.push({ question: cleanQuestion, answer });
+  await saveSession(session);
+
+  return { answer, citations: getCitations(session, answer), unit: getCitableSource(session).unit, completion };
+}
+
+module.exports = {
+  validateQuestion,
+  answerQuestion
+};
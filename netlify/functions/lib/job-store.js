@@ -0,0 +1,193 @@
+const os = require('os');
+const path = require('path');
+const { createFileCacheStore, createRedisCacheStore } = require('./response-cache');
+
+// Storage for batch jobs (see batch.js). A job store is any object with these async methods:
+// - createJob(job): saves a new job (with an id) and resolves with it
+// - getJob(id): resolves with the job, or null when there's no such job
+// - updateJob(id, changes): merges changes into the job and resolves with it
+// - updateItem(id, index, changes): merges changes into one of the job's items and resolves with the job
+// Jobs are plain JSON-safe objects, so a shared store (Redis, a database) only has to save
+// and load them. createMemoryJobStore() keeps them in memory, which is enough for local runs
+// and a single Express server. On Netlify a job is queued by batch.js and run by
+// batch-background.js, separate functions that don't share memory, so jobs there are kept in a
+// cache store (see response-cache.js) picked by BATCH_JOB_STORE ("memory", "file" or "redis").
+
+const MAX_JOBS = 100;
+// Finished jobs are kept this long for status polling
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to copy a job, so callers can't change stored state by accident
+function copyJob(job) {
+  return job ? JSON.parse(JSON.stringify(job)) : null;
+}
+
+// Helper function to create an error for a job that doesn't exist
+function jobNotFoundError(id) {
+  const error = new Error(`Batch job "${id}" not found`);
+  error.statusCode = 404;
+  return error;
+}
+
+// Helper function to check whether a job's runner is done with it (including its webhook)
+function isFinished(job) {
+  return Boolean(job.finishedAt) && (!job.webhookUrl || Boolean(job.webhook));
+}
+
+// In-memory job store
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  // Drop finished jobs past their TTL, and the oldest finished jobs to make room for a new one.
+  // Queued and running jobs are never dropped, since their runner still updates them.
+  const prune = () => {
+    const now = Date.now();
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > FINISHED_JOB_TTL_MS) jobs.delete(id);
+    });
+    // Maps keep insertion order, so the first finished ones are the oldest
+    let excess = jobs.size - MAX_JOBS + 1;
+    for (const [id, job] of jobs) {
+      if (excess <= 0) break;
+      if (isFinished(job)) {
+        jobs.delete(id);
+        excess--;
+      }
+    }
+  };
+
+  return {
+    async createJob(job) {
+      prune();
+      // Only unfinished jobs are left when pruning couldn't make room
+      if (jobs.size >= MAX_JOBS) {
+        const error = new Error(`${MAX_JOBS} batch jobs are already running. Try again when one has finished.`);
+        error.statusCode = 503;
+        throw error;
+      }
+      jobs.set(job.id, copyJob(job));
+      return copyJob(job);
+    },
+
+    async getJob(id) {
+      return copyJob(jobs.get(id));
+    },
+
+    async updateJob(id, changes) {
+      const job = jobs.get(id);
+      if (!job) throw jobNotFoundError(id);
+      Object.assign(job, copyJob(changes));
+      return copyJob(job);
+    },
+
+    async updateItem(id, index, changes) {
+      const job = jobs.get(id);
+      if (!job || !job.items[index]) throw jobNotFoundError(id);
+      Object.assign(job.items[index], copyJob(changes));
+      return copyJob(job);
+    }
+  };
+}
+
+// Job store on top of a cache store (memory, file or redis). Each job is one entry, saved again
+// on every change and kept for FINISHED_JOB_TTL_MS after its last one. Changes are read, merged
+// and written back one at a time, so the workers of a job don't overwrite each other's updates;
+// a job is only run by one process, so that's enough for a shared store too.
+function createCacheJobStore(store) {
+  let pending = Promise.resolve();
+
+  const save = async job => {
+    const now = Date.now();
+    await store.set(job.id, {
+      value: job,
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + FINISHED_JOB_TTL_MS).toISOString()
+    }, FINISHED_JOB_TTL_MS / 1000);
+    return copyJob(job);
+  };
+
+  const load = async id => {
+    const entry = await store.get(id);
+    return entry ? copyJob(entry.value) : null;
+  };
+
+  // Helper function to run one read-modify-write after the ones before it
+  const update = change => {
+    const run = pending.then(change);
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    createJob(job) {
+      return update(() => save(copyJob(job)));
+    },
+
+    getJob(id) {
+      return load(id);
+    },
+
+    updateJob(id, changes) {
+      return update(async () => {
+        const job = await load(id);
+        if (!job) throw jobNotFoundError(id);
+        return save(Object.assign(job, copyJob(changes)));
+      });
+    },
+
+    updateItem(id, index, changes) {
+      return update(async () => {
+        const job = await load(id);
+        if (!job || !job.items[index]) throw jobNotFoundError(id);
+        Object.assign(job.items[index], copyJob(changes));
+        return save(job);
+      });
+    }
+  };
+}
+
+let jobStore = null;
+let jobStoreShared = false;
+
+// The job store batch endpoints use: the one set with setJobStore(), or one created on first use
+// from BATCH_JOB_STORE. The default "memory" keeps jobs in this process.
+function getJobStore() {
+  if (jobStore) return jobStore;
+
+  const type = (process.env.BATCH_JOB_STORE || 'memory').toLowerCase();
+  const redisUrl = process.env.BATCH_REDIS_URL || process.env.RESPONSE_CACHE_REDIS_URL || process.env.REDIS_URL;
+  jobStoreShared = type === 'file' || (type === 'redis' && Boolean(redisUrl));
+  if (type === 'file') {
+    jobStore = createCacheJobStore(createFileCacheStore(process.env.BATCH_JOB_STORE_DIR || path.join(os.tmpdir(), 'just-one-minute-batches')));
+  } else if (type === 'redis' && redisUrl) {
+    jobStore = createCacheJobStore(createRedisCacheStore(redisUrl, { keyPrefix: 'jom:batch:' }));
+  } else {
+    if (type !== 'memory') {
+      console.error(`Unknown batch job store "${type}" (or no BATCH_REDIS_URL), using memory`);
+    }
+    jobStore = createMemoryJobStore();
+  }
+  return jobStore;
+}
+
+// Use another job store, e.g. one backed by a database. It's trusted to be reachable from
+// every process; null goes back to BATCH_JOB_STORE.
+function setJobStore(store) {
+  jobStore = store;
+  jobStoreShared = Boolean(store);
+}
+
+// Whether jobs are kept outside this process (redis, file or a store from setJobStore), so a
+// job queued by one function can be run and polled through others
+function isJobStoreShared() {
+  getJobStore();
+  return jobStoreShared;
+}
+
+module.exports = {
+  createMemoryJobStore,
+  createCacheJobStore,
+  getJobStore,
+  setJobStore,
+  isJobStoreShared
+};
@@ -0,0 +1,160 @@
+// Language detection for summarizer input and target-language handling for prompts.
+// Non-Latin scripts are recognized by their characters; Latin-script languages by common words
+// and diacritics. English-only post-processing checks isEnglish() before running.
+
+const LANGUAGES = {
+  en: { name: 'English', aliases: ['english'] },
+  es: { name: 'Spanish', aliases: ['spanish', 'español', 'espanol'] },
+  pt: { name: 'Portuguese', aliases: ['portuguese', 'português', 'portugues'] },
+  tr: { name: 'Turkish', aliases: ['turkish', 'türkçe', 'turkce'] },
+  fr: { name: 'French', aliases: ['french', 'français', 'francais'] },
+  de: { name: 'German', aliases: ['german', 'deutsch'] },
+  it: { name: 'Italian', aliases: ['italian', 'italiano'] },
+  nl: { name: 'Dutch', aliases: ['dutch', 'nederlands'] },
+  id: { name: 'Indonesian', aliases: ['indonesian', 'bahasa indonesia'] },
+  vi: { name: 'Vietnamese', aliases: ['vietnamese', 'tiếng việt'] },
+  ru: { name: 'Russian', aliases: ['russian', 'русский'] },
+  uk: { name: 'Ukrainian', aliases: ['ukrainian', 'українська'] },
+  ar: { name: 'Arabic', aliases: ['arabic', 'العربية'] },
+  hi: { name: 'Hindi', aliases: ['hindi', 'हिन्दी'] },
+  th: { name: 'Thai', aliases: ['thai', 'ไทย'] },
+  ko: { name: 'Korean', aliases: ['korean', '한국어'] },
+  ja: { name: 'Japanese', aliases: ['japanese', '日本語'] },
+  zh: { name: 'Chinese', aliases: ['chinese', '中文', 'mandarin'] }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Common short words per Latin-script language
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'of', 'to', 'in', 'that', 'it', 'for', 'with', 'this', 'on', 'you', 'not', 'be', 'have', 'will', 'what', 'but', 'they', 'from', 'just', 'about'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'para', 'con', 'no', 'se', 'del', 'al', 'lo', 'como', 'más', 'pero', 'su', 'está', 'muy', 'ya', 'también', 'hay'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'é', 'para', 'com', 'não', 'do', 'da', 'dos', 'das', 'no', 'na', 'mais', 'mas', 'como', 'se', 'está', 'muito', 'também', 'isso', 'você'],
+  tr: ['ve', 'bir', 'bu', 'da', 'de', 'için', 'ile', 'çok', 'ne', 'var', 'daha', 'olarak', 'gibi', 'ama', 'kadar', 'sonra', 'şu', 'değil', 'mi', 'yok', 'her', 'olan', 'ben', 'sen'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'en', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'avec', 'ce', 'il', 'elle', 'sont', 'mais', 'plus', 'au', 'nous', 'vous'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'sich', 'auf', 'für', 'es', 'im', 'dem', 'auch', 'wird', 'sind', 'aber', 'ich', 'wir', 'oder'],
+  it: ['il', 'lo', 'la', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'non', 'con', 'del', 'della', 'sono', 'ma', 'più', 'come', 'anche', 'questo', 'gli', 'nel', 'alla', 'ha'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'zijn', 'voor', 'met', 'ook', 'maar', 'er', 'wordt', 'naar', 'dit', 'wel'],
+  id: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'dari', 'dalam', 'akan', 'ada', 'juga', 'saya', 'kita', 'bisa', 'sudah', 'karena', 'atau'],
+  vi: ['và', 'của', 'là', 'có', 'không', 'được', 'trong', 'cho', 'các', 'những', 'này', 'với', 'một', 'người', 'đã', 'sẽ']
+};
+
+// Letters that (nearly) only one of the Latin-script languages uses
+const DIACRITICS = {
+  es: /[ñ¿¡]/g,
+  pt: /[ãõ]/g,
+  tr: /[ğşı]/g,
+  de: /ß/g,
+  vi: /[ơưđạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g
+};
+
+const SCRIPTS = [
+  { language: 'ko', pattern: /[가-힯ᄀ-ᇿ㄰-㆏]/g },
+  { language: 'ja', pattern: /[぀-ヿ]/g },
+  { language: 'zh', pattern: /[一-鿿㐀-䶿]/g },
+  { language: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { language: 'ar', pattern: /[؀-ۿ]/g },
+  { language: 'hi', pattern: /[ऀ-ॿ]/g },
+  { language: 'th', pattern: /[฀-๿]/g }
+];
+
+// Helper function to build a detection result
+function detected(code, confidence, reliable) {
+  return { code, name: LANGUAGES[code].name, confidence: Math.round(confidence * 100) / 100, reliable };
+}
+
+// Detect the language of a text.
+// Returns { code, name, confidence, reliable }; unreliable results (too little text) default to English.
+function detectLanguage(text) {
+  // Links, handles, tickers and numbers say nothing about the language
+  const cleaned = String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#$]\w+/g, ' ')
+    .replace(/\d+/g, ' ');
+
+  const latinLetters = (cleaned.match(/[A-Za-zÀ-ɏḀ-ỿ]/g) || []).length;
+  const scriptCounts = SCRIPTS.map(({ language, pattern }) => ({ language, count: (cleaned.match(pattern) || []).length }));
+
+  // Japanese mixes kana with Han characters, so any real amount of kana means Japanese
+  const kana = scriptCounts.find(script => script.language === 'ja');
+  const han = scriptCounts.find(script => script.language === 'zh');
+  if (kana.count > 0 && kana.count >= han.count * 0.1) {
+    kana.count += han.count;
+    han.count = 0;
+  }
+
+  // One character of these scripts carries about a word's worth of text, so they count double
+  const dominant = scriptCounts.reduce((best, script) => (script.count > best.count ? script : best), { count: 0 });
+  if (dominant.count * 2 > latinLetters * 0.5 && dominant.count >= 2) {
+    const total = dominant.count * 2 + latinLetters;
+    let code = dominant.language;
+    if (code === 'ru' && /[іїєґІЇЄҐ]/.test(cleaned)) code = 'uk';
+    return detected(code, (dominant.count * 2) / total, dominant.count >= 4);
+  }
+
+  const words = cleaned.toLowerCase().match(/[a-zÀ-ɏḀ-ỿ']+/g) || [];
+  const scores = Object.entries(STOPWORDS).map(([code, stopwords]) => {
+    const set = new Set(stopwords);
+    const diacritics = DIACRITICS[code] ? (cleaned.toLowerCase().match(DIACRITICS[code]) || []).length : 0;
+    return { code, score: words.filter(word => set.has(word)).length + diacritics * 2 };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (words.length < 3 || best.score < 2) {
+    return detected(DEFAULT_LANGUAGE, 0, false);
+  }
+  return detected(best.code, best.score / (best.score + second.score), best.score >= second.score * 1.5);
+}
+
+// Map a language code, locale or name ("pt-BR", "es", "Korean", "español") to a supported code.
+// Returns null for empty, "auto" or unknown values.
+function normalizeLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const lower = value.trim().toLowerCase();
+  if (lower === 'auto') return null;
+
+  const code = lower.split(/[-_]/)[0];
+  if (LANGUAGES[code]) return code;
+  const match = Object.entries(LANGUAGES).find(([, language]) => language.aliases.includes(lower));
+  return match ? match[0] : null;
+}
+
+// Work out the output language: the requested one, otherwise the input's.
+// An unsupported requested language is a bad request (statusCode 400).
+function resolveTargetLanguage(requested, sourceLanguage = DEFAULT_LANGUAGE) {
+  if (requested === undefined || requested === null || requested === '' || requested === 'auto') {
+    return sourceLanguage;
+  }
+
+  const code = normalizeLanguage(requested);
+  if (!code) {
+    const error = new Error(`Unsupported targetLanguage "${requested}". Use a language code like ${Object.keys(LANGUAGES).slice(0, 5).map(key => `"${key}"`).join(', ')}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return code;
+}
+
+// Prompt line asking for output in the target language (empty for English in, English out)
+function getLanguageInstruction(targetLanguage, sourceLanguage = targetLanguage) {
+  if (targetLanguage === 'en' && sourceLanguage === 'en') return '';
+
+  const target = LANGUAGES[targetLanguage] ? LANGUAGES[targetLanguage].name : targetLanguage;
+  const translate = sourceLanguage && sourceLanguage !== targetLanguage && LANGUAGES[sourceLanguage] ?
+    ` The content is in ${LANGUAGES[sourceLanguage].name}, so translate as you go.` :
+    '';
+  return `LANGUAGE: Write your entire response in ${target}.${translate} Keep names, tickers, hashtags and handles exactly as they appear in the original.`;
+}
+
+function isEnglish(language) {
+  return !language || language === 'en';
+}
+
+module.exports = {
+  LANGUAGES,
+  detectLanguage,
+  normalizeLanguage,
+  resolveTargetLanguage,
+  getLanguageInstruction,
+  isEnglish
+};
@@ -0,0 +1,178 @@
+const { isEnglish } = require('./language');
+const { segmentSentences } = require('./sentences');
+
+// Length budgets and the one-minute reading cap. Each length option maps to a word budget that
+// goes into the prompt and sizes max_tokens for the final summary call. A summary that would take
+// longer than MAX_READING_SECONDS to read at SUMMARY_READING_WPM is compressed, then trimmed to
+// whole sentences or bullets if it is still too long.
+
+const DEFAULT_LENGTH = '3 sentences';
+const MAX_READING_SECONDS = 60;
+const DEFAULT_READING_WPM = 200;
+const WORDS_PER_SENTENCE = 25;
+const MAX_SENTENCES = 10;
+
+const LENGTH_PRESETS = {
+  '1 line': { words: 25, instruction: 'a single line of at most 25 words' },
+  '3 sentences': { words: 75, instruction: 'exactly 3 sentences, about 75 words in total' },
+  'bullet list': { words: 120, instruction: '3 to 5 short bullet points, about 120 words in total' }
+};
+
+// About 1.3 tokens per English word; the rest is headroom so the last sentence isn't cut off.
+// Other languages, and CJK scripts in particular, take more tokens per word.
+const TOKENS_PER_WORD = 1.5;
+const NON_ENGLISH_TOKEN_FACTOR = 2;
+const TOKEN_HEADROOM = 20;
+
+// Scripts written without spaces between words; two characters count as roughly one word
+const UNSPACED_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/gu;
+
+// Helper function to read the reading speed, falling back to the default for bad values
+function getReadingWpm() {
+  const wpm = parseInt(process.env.SUMMARY_READING_WPM, 10);
+  return wpm > 0 ? wpm : DEFAULT_READING_WPM;
+}
+
+// Number of words that can be read within the reading cap
+function getMaxReadingWords() {
+  return Math.floor(getReadingWpm() * MAX_READING_SECONDS / 60);
+}
+
+// Map a length option to its preset. Missing lengths get DEFAULT_LENGTH, "N sentences" works for
+// up to MAX_SENTENCES, anything else is thrown with statusCode 400.
+function resolveLength(length) {
+  const key = String(length || DEFAULT_LENGTH).trim().toLowerCase();
+  if (LENGTH_PRESETS[key]) {
+    return { length: key, ...LENGTH_PRESETS[key] };
+  }
+
+  const match = /^(\d+)\s*sentences?$/.exec(key);
+  const count = match ? parseInt(match[1], 10) : 0;
+  if (count >= 1 && count <= MAX_SENTENCES) {
+    const words = count * WORDS_PER_SENTENCE;
+    return {
+      length: `${count} ${count === 1 ? 'sentence' : 'sentences'}`,
+      words,
+      instruction: `exactly ${count} ${count === 1 ? 'sentence' : 'sentences'}, about ${words} words in total`
+    };
+  }
+
+  const error = new Error(`Unsupported length "${length}". Use ${Object.keys(LENGTH_PRESETS).join(', ')} or "N sentences" (up to ${MAX_SENTENCES}).`);
+  error.statusCode = 400;
+  throw error;
+}
+
+// Work out the word and token budget for a length option.
+// Returns { length, words, maxTokens, maxReadingWords, instruction }; words never exceeds the reading cap.
+function getLengthBudget(length, language = 'en') {
+  const preset = resolveLength(length);
+  const maxReadingWords = getMaxReadingWords();
+  const words = Math.min(preset.words, maxReadingWords);
+
+  return {
+    length: preset.length,
+    words,
+    maxTokens: getMaxTokens(words, language),
+    maxReadingWords,
+    instruction: preset.instruction
+  };
+}
+
+// max_tokens for a summary of up to this many words
+function getMaxTokens(words, language = 'en') {
+  const tokensPerWord = TOKENS_PER_WORD * (isEnglish(language) ? 1 : NON_ENGLISH_TOKEN_FACTOR);
+  return Math.ceil(words * tokensPerWord) + TOKEN_HEADROOM;
+}
+
+// Build the prompt instruction for a length budget
+function getLengthInstruction(budget) {
+  return `LENGTH: Write ${budget.instruction}. Never go over ${budget.words} words, so it can be read in under a minute.`;
+}
+
+// Count words, with unspaced scripts (Chinese, Japanese, Thai) counted by characters
+function countWords(text) {
+  const value = String(text || '');
+  const unspaced = (value.match(UNSPACED_SCRIPTS) || []).length;
+  const spaced = (value.replace(UNSPACED_SCRIPTS, ' ').match(/\S*[\p{L}\p{N}]\S*/gu) || []).length;
+  return spaced + Math.ceil(unspaced / 2);
+}
+
+// Word count and estimated reading time for a summary
+function getReadingStats(text) {
+  const wordCount = countWords(text);
+  return {
+    wordCount,
+    readingTimeSeconds: wordCount > 0 ? Math.max(1, Math.round(wordCount / getReadingWpm() * 60)) : 0
+  };
+}
+
+// Trim text to a word budget, keeping whole bullets (or sentences) from the start.
+// A first sentence that is already over budget is cut at a word boundary.
+function trimToWordBudget(text, maxWords) {
+  const value = String(text || '').trim();
+  if (countWords(value) <= maxWords) return value;
+
+  const lines = value.split('\n').map(line => line.trim()).filter(Boolean);
+  const isList = lines.length > 1;
+  const units = isList ? lines : segmentSentences(value);
+
+  const kept = [];
+  let used = 0;
+  for (const unit of units) {
+    const words = countWords(unit);
+    if (used + words > maxWords) break;
+    kept.push(unit.trim());
+    used += words;
+  }
+
+  if (kept.length > 0) {
+    return kept.join(isList ? '\n' : ' ');
+  }
+  return units[0].trim().split(/\s+/).slice(0, maxWords).join(' ').replace(/[,;:]*$/, '') + '...';
+}
+
+// Build the prompt asking the model to shorten a summary to a word budget
+function getCompressionPrompt(summary, maxWords) {
+  return `Shorten this summary to at most ${maxWords} words so it can be read in under a minute. Keep the same language, tone and format (bullet points stay bullet points), and keep the most important names and numbers exactly as written. Do not add anything new. Return ONLY the shortened summary.
+
+SUMMARY:
+${summary}`;
+}
+
+// Make sure a summary can be read within the reading cap.
+// compress(prompt) runs the shortening call and resolves with the new text; pass null when
+// there's no time for it. Resolves with { summary, compressed }.
+async function enforceReadingTime(summary, budget, compress) {
+  if (countWords(summary) <= budget.maxReadingWords) {
+    return { summary, compressed: false };
+  }
+
+  let shortened = summary;
+  if (compress) {
+    try {
+      const result = await compress(getCompressionPrompt(summary, budget.words));
+      if (result && countWords(result) < countWords(summary)) {
+        shortened = result;
+      }
+    } catch (error) {
+      console.error('Compressing the summary failed, trimming it instead:', error.message);
+    }
+  }
+
+  return { summary: trimToWordBudget(shortened, budget.maxReadingWords), compressed: true };
+}
+
+module.exports = {
+  LENGTH_PRESETS,
+  MAX_READING_SECONDS,
+  getReadingWpm,
+  getMaxReadingWords,
+  resolveLength,
+  getLengthBudget,
+  getMaxTokens,
+  getLengthInstruction,
+  countWords,
+  getReadingStats,
+  trimToWordBudget,
+  enforceReadingTime
+};
@@ -0,0 +1,524 @@
+const fetch = require('node-fetch');
+const AbortController = require('abort-controller');
+const { readCompletionStream } = require('./sse');
+const { isCircuitOpen, isCircuitCallable, recordFailure, recordSuccess } = require('./circuit-breaker');
+
+// Pluggable LLM provider layer shared by the Netlify functions and server.ts.
+//
+// Backends are config driven:
+// - "openrouter": OpenRouter's OpenAI-compatible API (OPENROUTER_API_KEY)
+// - "local": any OpenAI-compatible base URL such as llama.cpp or Ollama (LLM_BASE_URL, optional LLM_API_KEY)
+// - "mock": deterministic offline responses for development and tests
+//
+// Each feature (summarize, summarizeChunk, summarizeStructured, cryptoExplain, followUp, refine, compare) picks a provider, model,
+// temperature and max_tokens. Overrides, from lowest to highest priority:
+// - LLM_PROVIDER / LLM_MODEL for every feature
+// - LLM_<FEATURE>_PROVIDER, _MODEL, _TEMPERATURE, _MAX_TOKENS (e.g. LLM_CRYPTO_EXPLAIN_MODEL)
+// - LLM_CONFIG, a JSON object with "providers" and/or "features" merged over the defaults
+//
+// Each feature also has an ordered list of fallback backends, tried when the primary one
+// runs out of credits (402), is rate limited (429), fails with a server error, times out or
+// can't be reached. Set them with LLM_FALLBACKS / LLM_<FEATURE>_FALLBACKS as a comma-separated
+// list of "provider:model" or plain model names (which use the feature's provider), or
+// "fallbacks" in LLM_CONFIG.
+// The built-in fallbacks only apply while the feature uses its default provider.
+
+const DEFAULT_PROVIDERS = {
+  openrouter: {
+    type: 'openai',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    headers: {
+      'HTTP-Referer': 'https://just-one-minute-goldman.netlify.app'
+    }
+  },
+  local: {
+    type: 'openai',
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKeyEnv: 'LLM_API_KEY',
+    optionalApiKey: true
+  },
+  mock: {
+    type: 'mock'
+  }
+};
+
+const DEFAULT_FEATURES = {
+  summarize: {
+    provider: 'openrouter',
+    model: 'openai/gpt-4.1-mini',
+    temperature: 0.6, // Slightly lower for more consistent output
+    maxTokens: 150, // Summaries pass a maxTokens sized to their length budget (lib/length-budget.js)
+    title: 'Just One Minute',
+    fallbacks: [
+      { model: 'google/gemini-2.0-flash-001' },
+      { model: 'deepseek/deepseek-chat-v3-0324:free' }
+    ]
+  },
+  summarizeChunk: {
+    provider: 'openrouter',
+    model: 'openai/gpt-4.1-mini',
+    temperature: 0.6,
+    maxTokens: 120,
+    title: 'Just One Minute',
+    fallbacks: [
+      { model: 'google/gemini-2.0-flash-001' }
+    ]
+  },
+  summarizeStructured: {
+    provider: 'openrouter',
+    model: 'openai/gpt-4.1-mini',
+    temperature: 0.3, // Low temperature keeps the JSON on schema
+    maxTokens: 500,
+    title: 'Just One Minute',
+    fallbacks: [
+      { model: 'google/gemini-2.0-flash-001' }
+    ]
+  },
+  cryptoExplain: {
+    provider: 'openrouter',
+    model: 'deepseek/deepseek-chat-v3-0324',
+    temperature: 0.8, // Higher temperature for more natural, conversational responses
+    maxTokens: 30,
+    title: 'Just One Minute - Crypto Dictionary',
+    fallbacks: [
+      { model: 'deepseek/deepseek-chat-v3-0324:free' },
+      { model: 'openai/gpt-4.1-mini' }
+    ]
+  },
+  followUp: {
+    provider: 'openrouter',
+    model: 'openai/gpt-4.1-mini',
+    temperature: 0.3, // Answers stick to the source
+    maxTokens: 300,
+    title: 'Just One Minute',
+    fallbacks: [
+      { model: 'google/gemini-2.0-flash-001' }
+    ]
+  },
+  refine: {
+    provider: 'openrouter',
+    model: 'openai/gpt-4.1-mini',
+    temperature: 0.5,
+    maxTokens: 300, // Raised or lowered per call from the rewrite's word budget
+    title: 'Just One Minute',
+    fallbacks: [
+      { model: 'google/gemini-2.0-flash-001' }
+    ]
+  },
+  compare: {
+    provider: 'openrouter',
+    model: 'openai/gpt-4.1-mini',
+    temperature: 0.2, // JSON output, sticking to what each source says
+    maxTokens: 900,
+    title: 'Just One Minute',
+    fallbacks: [
+      { model: 'google/gemini-2.0-flash-001' }
+    ]
+  }
+};
+
+// Helper function to turn a feature name into its env var prefix (cryptoExplain -> LLM_CRYPTO_EXPLAIN)
+function getEnvPrefix(feature) {
+  return `LLM_${feature.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+// Helper function to read the LLM_CONFIG JSON override
+function getConfigOverride() {
+  if (!process.env.LLM_CONFIG) return {};
+  try {
+    return JSON.parse(process.env.LLM_CONFIG);
+  } catch (error) {
+    console.error('Ignoring invalid LLM_CONFIG:', error.message);
+    return {};
+  }
+}
+
+// Resolve the provider/model settings for a feature
+function getFeatureConfig(feature) {
+  const base = DEFAULT_FEATURES[feature];
+  if (!base) {
+    throw new Error(`Unknown LLM feature: ${feature}`);
+  }
+
+  const prefix = getEnvPrefix(feature);
+  const env = process.env;
+  const override = (getConfigOverride().features || {})[feature] || {};
+
+  const config = {
+    ...base,
+    provider: env[`${prefix}_PROVIDER`] || env.LLM_PROVIDER || base.provider,
+    model: env[`${prefix}_MODEL`] || env.LLM_MODEL || base.model,
+    ...override
+  };
+
+  if (env[`${prefix}_TEMPERATURE`] && !('temperature' in override)) {
+    config.temperature = parseFloat(env[`${prefix}_TEMPERATURE`]);
+  }
+  if (env[`${prefix}_MAX_TOKENS`] && !('maxTokens' in override)) {
+    config.maxTokens = parseInt(env[`${prefix}_MAX_TOKENS`], 10);
+  }
+
+  return config;
+}
+
+// Helper function to parse a fallback list like "openrouter:openai/gpt-4o-mini,local:llama3.1"
+function parseFallbacks(value) {
+  const providerNames = new Set([
+    ...Object.keys(DEFAULT_PROVIDERS),
+    ...Object.keys(getConfigOverride().providers || {})
+  ]);
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const providerName = separator > 0 ? entry.substring(0, separator) : '';
+      return providerNames.has(providerName) ?
+        { provider: providerName, model: entry.substring(separator + 1) } :
+        { model: entry };
+    });
+}
+
+// Resolve the ordered list of backends (primary first, then fallbacks) for a feature
+function getBackendChain(feature) {
+  const config = getFeatureConfig(feature);
+  const prefix = getEnvPrefix(feature);
+  const env = process.env;
+  const override = (getConfigOverride().features || {})[feature] || {};
+
+  let fallbacks;
+  if (Array.isArray(override.fallbacks)) {
+    fallbacks = override.fallbacks;
+  } else if (env[`${prefix}_FALLBACKS`] !== undefined || env.LLM_FALLBACKS !== undefined) {
+    fallbacks = parseFallbacks(env[`${prefix}_FALLBACKS`] !== undefined ? env[`${prefix}_FALLBACKS`] : env.LLM_FALLBACKS);
+  } else {
+    fallbacks = config.provider === DEFAULT_FEATURES[feature].provider ? DEFAULT_FEATURES[feature].fallbacks || [] : [];
+  }
+
+  const primary = { ...config };
+  delete primary.fallbacks;
+
+  const chain = [primary];
+  fallbacks.forEach(fallback => {
+    const backend = { ...primary, provider: config.provider, ...fallback };
+    // Skip duplicates of a backend already in the chain
+    if (!chain.some(existing => existing.provider === backend.provider && existing.model === backend.model)) {
+      chain.push(backend);
+    }
+  });
+
+  return chain;
+}
+
+// Resolve a provider definition by name
+function getProviderConfig(name) {
+  const overrides = getConfigOverride().providers || {};
+  const provider = { ...DEFAULT_PROVIDERS[name], ...overrides[name] };
+  if (!provider.type) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+}
+
+// List env vars the configured providers need but that are not set
+function getMissingProviderEnv() {
+  const missing = new Set();
+  Object.keys(DEFAULT_FEATURES).forEach(feature => {
+    const provider = getProviderConfig(getFeatureConfig(feature).provider);
+    if (provider.apiKeyEnv && !provider.optionalApiKey && !process.env[provider.apiKeyEnv]) {
+      missing.add(provider.apiKeyEnv);
+    }
+  });
+  return [...missing];
+}
+
+// Deterministic mock completion: echoes the start of the prompt's content section
+function mockCompletion(prompt, maxTokens) {
+  const sections = prompt.split(/\n\s*\n/).filter(section => section.trim());
+  let content = (sections[sections.length - 1] || prompt)
+    .replace(/^[A-Za-z ]+:\s*/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Structured summary prompts get schema-shaped JSON built from the content's sentences
+  if (prompt.includes('"keyPoints"')) {
+    const sentences = content.split(/(?<=[.!?])\s+/);
+    return {
+      text: JSON.stringify({
+        tldr: sentences[0].trim().substring(0, 300),
+        keyPoints: sentences.slice(0, 3).map(sentence => sentence.trim()),
+        entities: { people: [], organizations: [], tickers: [] },
+        figures: [],
+        sentiment: 'neutral'
+      }),
+      finishReason: 'stop'
+    };
+  }
+
+  // Compare prompts get an overview built from the last source; the lists stay empty
+  if (prompt.includes('"conflictingNumbers"')) {
+    return {
+      text: JSON.stringify({
+        overview: `Mock comparison: ${content.split(/(?<=[.!?])\s+/)[0].trim().substring(0, 200)}`,
+        shared: [],
+        disagreements: [],
+        onlyA: [],
+        onlyB: [],
+        conflictingNumbers: []
+      }),
+      finishReason: 'stop'
+    };
+  }
+
+  if (content.split(' ').length < 8) {
+    content = `This is a mock response about ${content.replace(/[.!?]*$/, '')} from the offline test provider.`;
+  }
+  const allWords = content.split(' ');
+  const words = allWords.slice(0, Math.max(5, maxTokens));
+  const text = words.join(' ').replace(/[.!?,;:]*$/, '') + '.';
+  return { text, finishReason: words.length < allWords.length ? 'length' : 'stop' };
+}
+
+// One HTTP call to an OpenAI-compatible chat completions endpoint. readResponse(llmRes, keepAlive)
+// reads the response under the same timeout, so a body or stream that stalls after the headers
+// arrive times out too; streams call keepAlive() on every delta to restart the timer.
+async function callOpenAiCompatible(provider, config, prompt, { stream, timeoutMs }, readResponse) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...provider.headers,
+    ...(config.title ? { 'X-Title': config.title } : {})
+  };
+  const apiKey = provider.apiKey || process.env[provider.apiKeyEnv];
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const controller = new AbortController();
+  let timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const keepAlive = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  };
+
+  try {
+    const llmRes = await fetch(`${provider.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.model,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }],
+        max_tokens: config.maxTokens,
+        temperature: config.temperature,
+        stream
+      }),
+      signal: controller.signal
+    });
+    return await readResponse(llmRes, keepAlive);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timeout');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Parse a non-streamed chat completion response
+async function readCompletionResponse(llmRes) {
+  const responseText = await llmRes.text();
+
+  if (!responseText) {
+    throw new Error('Empty response from AI service');
+  }
+
+  let llmData;
+  try {
+    llmData = JSON.parse(responseText);
+  } catch (parseError) {
+    console.error('Failed to parse AI service response:', responseText);
+    throw new Error('Invalid response from AI service');
+  }
+
+  if (!llmData.choices || !llmData.choices[0] || !llmData.choices[0].message) {
+    console.error('Invalid response structure from AI service:', llmData);
+    throw new Error('Invalid response structure from AI service');
+  }
+
+  return {
+    text: llmData.choices[0].message.content || '',
+    finishReason: llmData.choices[0].finish_reason || null
+  };
+}
+
+// Network errors that mean the backend couldn't be reached (node-fetch reports them as type "system")
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Helper function to check whether an error should move on to the next backend in the chain:
+// credit, rate-limit and server errors, timeouts and network errors
+function isFallbackError(error) {
+  if (error.status) {
+    return error.status === 402 || error.status === 429 || error.status >= 500;
+  }
+  return error.message === 'Request timeout' || error.type === 'system' || NETWORK_ERROR_CODES.includes(error.code);
+}
+
+// Run one completion against a single backend with retries.
+// Rate limits are only retried when there is no other backend left to fall back to. Once part of a
+// stream has been sent on (stream.emitted), a failure isn't retried, since the text would repeat.
+async function callBackend(feature, config, prompt, options) {
+  const { retries, timeouts, backoffMs, onDelta, retryRateLimits, stream = {} } = options;
+  const provider = getProviderConfig(config.provider);
+  const meta = { provider: config.provider, model: config.model };
+
+  if (provider.type === 'mock') {
+    const result = mockCompletion(prompt, config.maxTokens);
+    if (onDelta) {
+      result.text.split(/(?<= )/).forEach(piece => onDelta(piece));
+    }
+    return { ...result, ...meta };
+  }
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      console.log(`${feature} call attempt ${attempt}/${retries} (${config.provider}/${config.model})`);
+
+      const timeoutMs = timeouts[Math.min(attempt, timeouts.length) - 1];
+      const response = await callOpenAiCompatible(provider, config, prompt, { stream: Boolean(onDelta), timeoutMs }, async (llmRes, keepAlive) => {
+        if (!llmRes.ok) {
+          return { status: llmRes.status, errText: await llmRes.text().catch(() => 'Unknown error') };
+        }
+        return {
+          result: onDelta ?
+            await readCompletionStream(llmRes.body, delta => {
+              keepAlive();
+              onDelta(delta);
+            }) :
+            await readCompletionResponse(llmRes)
+        };
+      });
+
+      if (response.status) {
+        console.error(`AI service error (attempt ${attempt}):`, response.errText);
+
+        // Retry server errors and rate limits if we have attempts left, not other 4xx
+        if ((response.status >= 500 || (response.status === 429 && retryRateLimits)) && attempt < retries) {
+          console.log(`Retrying due to server error (${response.status})...`);
+          await new Promise(resolve => setTimeout(resolve, backoffMs * attempt));
+          continue;
+        }
+
+        const error = new Error(`AI service error (${response.status}): ${response.errText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const { result } = response;
+
+      const text = result.text.trim();
+      if (!text) {
+        throw new Error('Empty response from AI service');
+      }
+
+      return { text, finishReason: result.finishReason, ...meta };
+    } catch (error) {
+      console.error(`Attempt ${attempt} failed:`, error.message);
+      if (stream.emitted) {
+        throw error;
+      }
+
+      // Only retry timeouts and network errors if we have attempts left
+      if (!error.status && (error.message === 'Request timeout' || error.message.includes('fetch') || error.code === 'ECONNRESET') && attempt < retries) {
+        console.log(`Retrying due to ${error.message}...`);
+        await new Promise(resolve => setTimeout(resolve, backoffMs * attempt));
+        continue;
+      }
+
+      // If it's the last attempt or a non-retryable error, throw it
+      throw error;
+    }
+  }
+
+  throw new Error('All retry attempts failed');
+}
+
+// Run one completion for a feature, falling back through the feature's backend chain.
+// options: retries, timeouts (ms per attempt, last one repeats), backoffMs, maxTokens override,
+// and onDelta to stream the completion.
+// Credit (402), rate-limit (429) and server errors, timeouts and network errors move on to the
+// next fallback; backends that keep returning 402/429 are skipped for a while by the circuit
+// breaker. A stream that fails after some of it was sent on doesn't fall back, so the text
+// never mixes two models.
+// Resolves with { text, finishReason, provider, model, fallback } where provider/model is the
+// backend that actually answered and fallback is true if it was not the primary one.
+async function complete(feature, prompt, options = {}) {
+  const { retries = 2, timeouts = [8000], backoffMs = 500 } = options;
+  const stream = { emitted: false };
+  const onDelta = options.onDelta && (text => {
+    stream.emitted = true;
+    options.onDelta(text);
+  });
+  const chain = getBackendChain(feature).map(config => ({
+    ...config,
+    ...(options.maxTokens ? { maxTokens: options.maxTokens } : {})
+  }));
+
+  const getKey = config => `${config.provider}/${config.model}`;
+  let lastError = null;
+  for (let index = 0; index < chain.length; index++) {
+    const config = chain[index];
+    const key = getKey(config);
+    const isLast = index === chain.length - 1;
+    // Later backends whose circuit is open can't take over, so this one retries rate limits itself
+    const canFallBack = chain.slice(index + 1).some(next => isCircuitCallable(getKey(next)));
+
+    if (isCircuitOpen(key)) {
+      console.log(`Skipping ${key}: circuit open`);
+      continue;
+    }
+
+    try {
+      const result = await callBackend(feature, config, prompt, {
+        retries,
+        timeouts,
+        backoffMs,
+        onDelta,
+        retryRateLimits: !canFallBack,
+        stream
+      });
+      recordSuccess(key);
+      return { ...result, fallback: index > 0 };
+    } catch (error) {
+      // Only credit and rate-limit failures count towards opening the circuit, but any failure
+      // of a half-open trial call re-opens it
+      recordFailure(key, { counted: error.status === 402 || error.status === 429 });
+      if (isLast || !canFallBack || !isFallbackError(error) || stream.emitted) {
+        throw error;
+      }
+      console.log(`${key} failed (${error.status || error.message}), falling back to the next model`);
+      lastError = error;
+    }
+  }
+
+  // Every backend was skipped or failed with a fallback error
+  if (lastError) {
+    throw lastError;
+  }
+  const error = new Error('AI service unavailable: all models are rate limited or out of credits');
+  error.status = 503;
+  // Callers that can wait (batch jobs) treat this like a rate limit
+  error.rateLimited = true;
+  throw error;
+}
+
+module.exports = {
+  complete,
+  getFeatureConfig,
+  getBackendChain,
+  getMissingProviderEnv
+};
@@ -0,0 +1,124 @@
+// Map-reduce summarization for inputs that are too long for a single prompt.
+// Text is split on tweet/paragraph boundaries, each chunk is summarized on its
+// own and the partial summaries are merged in one final call.
+
+// Helper function to split one oversized paragraph on sentence ends, then on whitespace
+function splitLongBlock(block, maxChars) {
+  const pieces = [];
+  const sentences = block.match(/[^.!?]+(?:[.!?]+|$)/g) || [block];
+
+  sentences.forEach(sentence => {
+    let rest = sentence.trim();
+    while (rest.length > maxChars) {
+      let cut = rest.lastIndexOf(' ', maxChars);
+      if (cut <= 0) cut = maxChars;
+      pieces.push(rest.substring(0, cut).trim());
+      rest = rest.substring(cut).trim();
+    }
+    if (rest) pieces.push(rest);
+  });
+
+  return pieces;
+}
+
+// Split text into chunks of at most maxChars, keeping tweets and paragraphs whole where possible
+function splitIntoChunks(text, maxChars) {
+  // Tweets in fetched threads and paragraphs in pasted text are separated by blank lines
+  const blocks = text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+
+  const pieces = [];
+  blocks.forEach(block => {
+    if (block.length <= maxChars) {
+      pieces.push({ text: block, separator: '\n\n' });
+    } else {
+      splitLongBlock(block, maxChars).forEach((piece, index) => {
+        pieces.push({ text: piece, separator: index === 0 ? '\n\n' : ' ' });
+      });
+    }
+  });
+
+  // Greedily pack pieces into chunks
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    if (current && current.length + piece.separator.length + piece.text.length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? current + piece.separator + piece.text : piece.text;
+  });
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+// Prompt used for the "map" step on a single chunk
+function getChunkPrompt(chunk, index, total, isTwitterContent = false) {
+  const twitterContext = isTwitterContent ?
+    "This is Twitter/X content. " :
+    "";
+
+  return `${twitterContext}This is part ${index + 1} of ${total} of a longer piece. Summarize ONLY this part in 2-3 plain sentences. Preserve ALL important names, numbers, technical terms and claims exactly as written. Provide only the summary without any introductory phrases or commentary.\n\nPART ${index + 1}:\n${chunk}`;
+}
+
+// Wrap partial summaries so the final tone/length prompt knows it is merging them
+function getMergeContent(partials) {
+  return `The following are summaries of consecutive parts of one longer piece, in order. Merge them into a single coherent summary of the whole piece.\n\n${partials.join('\n\n')}`;
+}
+
+// Summarize text with map-reduce when it does not fit in one chunk.
+// summarizeChunk(chunk, index, total, remainingMs) and summarizeFinal(content, remainingMs, isMerged)
+// do the actual LLM calls; remainingMs is what is left of the overall time budget.
+// The map step needs minMapMs of the budget (chunks plus the merge); with less left, only the
+// first chunk is summarized and the result is marked truncated.
+async function mapReduceSummarize(text, options) {
+  const { maxChunkChars, maxChunks, timeBudgetMs, minMapMs = 0, summarizeChunk, summarizeFinal } = options;
+  const deadline = Date.now() + timeBudgetMs;
+  const remainingMs = () => Math.max(0, deadline - Date.now());
+
+  const allChunks = splitIntoChunks(text, maxChunkChars);
+  let chunks = allChunks.slice(0, maxChunks);
+  let truncated = allChunks.length > chunks.length;
+
+  if (chunks.length > 1 && remainingMs() < minMapMs) {
+    console.log(`Only ${remainingMs()}ms left, summarizing the first of ${allChunks.length} chunks`);
+    chunks = chunks.slice(0, 1);
+    truncated = true;
+  }
+
+  // Short input: a single pass over the original text
+  if (chunks.length <= 1) {
+    const summary = await summarizeFinal(chunks[0] || text, remainingMs(), false);
+    return { summary, chunksUsed: 1, chunksTotal: Math.max(allChunks.length, 1), truncated };
+  }
+
+  console.log(`Map-reduce summarization: ${chunks.length} of ${allChunks.length} chunks`);
+
+  const results = await Promise.allSettled(
+    chunks.map((chunk, index) => summarizeChunk(chunk, index, chunks.length, remainingMs()))
+  );
+
+  const partials = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled' && result.value) {
+      partials.push(`Part ${index + 1}: ${result.value}`);
+    } else {
+      console.log(`Chunk ${index + 1} failed, leaving it out:`, result.reason && result.reason.message);
+      truncated = true;
+    }
+  });
+
+  if (partials.length === 0) {
+    // Every chunk failed - surface the first error so the caller can report it
+    throw results[0].reason;
+  }
+
+  const summary = await summarizeFinal(getMergeContent(partials), remainingMs(), true);
+  return { summary, chunksUsed: partials.length, chunksTotal: allChunks.length, truncated };
+}
+
+module.exports = {
+  splitIntoChunks,
+  getChunkPrompt,
+  mapReduceSummarize
+};
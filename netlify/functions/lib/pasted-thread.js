@@ -0,0 +1,239 @@
+// Normalize thread text copied from X/Twitter by hand - what users paste when the API can't
+// fetch a thread. Copies from the X website, the mobile apps and Thread Reader come with
+// display names, @handles, timestamps, "Replying to" lines, "1/12" counters, like/repost/view
+// counts and buttons like "Show more" or "Translate post". The copy is parsed into an ordered
+// list of tweets with their author and index, the UI text is dropped, and the thread is written
+// out the same way fetched threads are (see twitter-thread.js). Text that doesn't look like a
+// copied thread is left alone.
+
+// Buttons, labels and headings from the X website and apps
+const UI_PHRASES = /^(?:show more|show less|show this thread|show replies|show more replies|show additional replies.*|translate post|translate tweet|show translation|translated from .+|rate this translation|post|posts|see new posts|conversation|thread|quote|quotes|reply|replies|repost|reposts|retweet|retweets|retweeted|like|likes|bookmark|bookmarks|views?|share|follow|following|subscribe|copy link|pinned|promoted|ad|read \d+ repl(?:y|ies)|post your reply|discover more|sourced from across x|relevant people|who to follow|trending now|what's happening|more replies|probable spam|new to x\?|this post is unavailable\.?|read on twitter|view quotes|most relevant|edited|last edited .+|the following media includes potentially sensitive content\.?|content warning: .+)$/i;
+// "45", "1.2K", "1.2M Views", "300 Likes"
+const COUNT_LINE = /^[\d.,]+\s*[KMB]?(?:\s+(?:views?|reposts?|retweets?|quotes?|likes?|bookmarks?|replies|reply))?$/i;
+// Mobile count rows like "💬 12  🔁 45  ❤️ 300  📊 1.2K"
+const ICON_COUNT_LINE = /^(?:[💬🔁❤♡♥🤍📊🔖↻\uFE0F]+\s*[\d.,]+\s*[KMB]?\s*)+$/u;
+// "10:42 AM · Mar 3, 2025", "· Mar 3", "2h", "3 Mar 2025", optionally followed by "· 1.2M Views"
+const TIMESTAMP_LINE = /^(?:·\s*)?(?:\d{1,2}:\d{2}\s*(?:[AP]M)?\s*·\s*)?(?:[A-Z][a-z]{2,8}\.? \d{1,2}(?:, \d{4})?|\d{1,2} [A-Z][a-z]{2,8}\.?(?: \d{4})?|\d{1,2}[smhd]|\d{4}-\d{2}-\d{2})(?:\s*·\s*[\d.,]+\s*[KMB]?\s*Views?)?$/;
+const SEPARATOR_LINE = /^[·•|]$/;
+const REPLYING_TO = /^replying to\b/i;
+const HANDLE_LINE = /^@(\w{1,15})(?:\s*·\s*(.*))?$/;
+// "Jane Doe @janedoe · 2h", the one-line header of the mobile apps
+const ONE_LINE_HEADER = /^(.{1,50}?)\s+@(\w{1,15})\s*·\s*(.+)$/;
+
+// Thread Reader pages: the header, the "• • •" that ends the thread, and the page footer
+const THREADREADER_MARKER = /thread reader app|threadreaderapp|^\d+ tweets?, \d+ min read$/im;
+const THREADREADER_HEADER = /^(?:thread by @(\w{1,15})(?: on thread reader app)?|\d+ tweets?, \d+ min read|read on twitter|save as pdf|unroll|bookmark|help|share this page!?)$/i;
+const THREADREADER_END = /^(?:•\s*){3}$|^(?:missing some tweet in this thread\?|keep current with|this thread may be removed anytime|twitter may remove this content|did thread reader help you today\?|try unrolling a thread yourself)/i;
+
+// A mention, hashtag or cashtag starting a line, and a line that is only one
+const LINKED_TOKEN = /^[@#$][A-Za-z_]\w*/;
+const LINKED_TOKEN_LINE = /^[@#$][A-Za-z_]\w*[.,!?:;]?$/;
+
+// Tweet counters like "1/", "1/12", "(1/12)" and "🧵 1/"
+const LEADING_COUNTER = /^(?:🧵\s*)?\(?(\d{1,3})\s*\/\s*(\d{1,3})?\)?[.:]?(?:\s+|$)/u;
+const TRAILING_COUNTER = /\s+\(?(\d{1,3})\/(\d{1,3})\)?\s*(?:🧵)?$/u;
+
+// Helper function to check whether a line is part of the X/Twitter interface rather than a tweet
+function isChromeLine(line) {
+  return UI_PHRASES.test(line) || COUNT_LINE.test(line) || ICON_COUNT_LINE.test(line) ||
+    TIMESTAMP_LINE.test(line) || SEPARATOR_LINE.test(line);
+}
+
+// Helper function to check whether a line could be a display name
+function isDisplayName(line) {
+  return line.length > 0 && line.length <= 50 && line.split(/\s+/).length <= 6 &&
+    !/^@|https?:\/\/|[.,:;!?]$/.test(line) && !isChromeLine(line) && !LEADING_COUNTER.test(line);
+}
+
+// Helper function to read an author header (name and @handle) starting at lines[i].
+// Returns { author, consumed } or null. A two-line header without a timestamp after it has to
+// start on a boundary (after a blank line or interface text, and not straight after another
+// header), so a tweet line followed by a line starting with a mention isn't taken for one.
+function readAuthorHeader(lines, i, atBoundary) {
+  const oneLine = ONE_LINE_HEADER.exec(lines[i]);
+  if (oneLine && TIMESTAMP_LINE.test(oneLine[3].trim())) {
+    return { author: { name: oneLine[1].trim(), handle: oneLine[2] }, consumed: 1 };
+  }
+
+  const handle = i + 1 < lines.length ? HANDLE_LINE.exec(lines[i + 1]) : null;
+  if (!handle || !isDisplayName(lines[i]) || (handle[2] && !TIMESTAMP_LINE.test(handle[2].trim()))) {
+    return null;
+  }
+  const next = lines[i + 2] || '';
+  const timestamped = Boolean(handle[2]) || SEPARATOR_LINE.test(next) || TIMESTAMP_LINE.test(next);
+  return atBoundary || timestamped ? { author: { name: lines[i], handle: handle[1] }, consumed: 2 } : null;
+}
+
+// Helper function to strip "1/12" style counters, returning the text and the tweet's number
+function stripCounters(text) {
+  let number = null;
+  let stripped = text;
+
+  const leading = LEADING_COUNTER.exec(stripped);
+  if (leading && (!leading[2] || Number(leading[1]) <= Number(leading[2]))) {
+    number = Number(leading[1]);
+    stripped = stripped.slice(leading[0].length);
+  }
+  const trailing = TRAILING_COUNTER.exec(stripped);
+  // "open 24/7" isn't a counter
+  if (trailing && Number(trailing[1]) <= Number(trailing[2])) {
+    number = number || Number(trailing[1]);
+    stripped = stripped.slice(0, trailing.index);
+  }
+  return { text: stripped.trim(), number };
+}
+
+// Helper function to split a block of text into tweets on lines that start with a counter
+function splitOnCounters(text) {
+  const parts = text.split(/\n(?=\s*(?:🧵\s*)?\(?\d{1,3}\s*\/\s*\d{0,3}\)?[.:]?\s)/u);
+  return parts.length > 1 ? parts : [text];
+}
+
+// Work out which app or site a thread was copied from: 'threadreader', 'mobile' or 'web'
+function detectPasteFormat(text) {
+  if (THREADREADER_MARKER.test(text)) return 'threadreader';
+  if (/^(.{1,50}?)\s+@\w{1,15}\s*·\s*\d{1,2}[smhd]$/m.test(text) || /[💬🔁📊]\s*[\d.,]+/u.test(text)) return 'mobile';
+  return 'web';
+}
+
+// Parse text copied from X/Twitter into tweets.
+// Returns { format, author, tweets } where tweets are { index, number, author, text } in
+// order (number is the "n/" counter the author wrote, if any), or null when the text doesn't
+// look like a copied thread.
+function parsePastedThread(text) {
+  const value = String(text || '').replace(/\r\n?/g, '\n');
+  const format = detectPasteFormat(value);
+  const lines = value.split('\n').map(line => line.replace(/\s+$/, '').trim());
+
+  const blocks = [];
+  let current = null;
+  let atBoundary = true;
+  let skippingReplyTargets = false;
+  let joinNextLine = false;
+  let headers = 0;
+  let uiLines = 0;
+  let timestamps = 0;
+  let threadreaderAuthor = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (format === 'threadreader') {
+      if (THREADREADER_END.test(line)) break;
+      const header = THREADREADER_HEADER.exec(line);
+      if (header) {
+        if (header[1]) threadreaderAuthor = threadreaderAuthor || header[1];
+        uiLines++;
+        atBoundary = true;
+        continue;
+      }
+    }
+
+    if (!line) {
+      if (current) current.lines.push('');
+      joinNextLine = false;
+      atBoundary = true;
+      continue;
+    }
+
+    // "Replying to" is often followed by the handles on their own lines
+    if (REPLYING_TO.test(line)) {
+      skippingReplyTargets = /replying to\s*$/i.test(line) || / and$/i.test(line);
+      uiLines++;
+      atBoundary = true;
+      continue;
+    }
+    if (skippingReplyTargets && /^(?:@\w{1,15}|and|and \d+ others?|,)(?:\s+(?:and|,)\s*@?\w*)*$/i.test(line)) {
+      continue;
+    }
+    skippingReplyTargets = false;
+
+    const header = readAuthorHeader(lines, i, atBoundary && (!current || current.lines.some(Boolean)));
+    if (header) {
+      current = { author: header.author, lines: [] };
+      blocks.push(current);
+      headers++;
+      i += header.consumed - 1;
+      atBoundary = true;
+      continue;
+    }
+
+    if (isChromeLine(line)) {
+      if (UI_PHRASES.test(line)) uiLines++;
+      else if (TIMESTAMP_LINE.test(line)) timestamps++;
+      atBoundary = true;
+      continue;
+    }
+
+    if (!current) {
+      current = { author: null, lines: [] };
+      blocks.push(current);
+    }
+    // The website puts mentions, hashtags and cashtags on lines of their own; join them back up
+    const last = current.lines.length - 1;
+    if (last >= 0 && current.lines[last] && (joinNextLine || LINKED_TOKEN.test(line))) {
+      current.lines[last] += ` ${line}`;
+    } else {
+      current.lines.push(line);
+    }
+    joinNextLine = LINKED_TOKEN_LINE.test(line);
+    atBoundary = false;
+  }
+
+  // Without author headers it takes interface text to tell a copy from prose; dates on their
+  // own lines are common in notes and changelogs, so they only count alongside it
+  if (headers === 0 && format !== 'threadreader' && (uiLines === 0 || uiLines + timestamps < 2)) return null;
+
+  const author = (blocks.find(block => block.author) || {}).author ||
+    (threadreaderAuthor ? { name: null, handle: threadreaderAuthor } : null);
+
+  // Thread Reader puts each tweet in its own paragraph under one header; other copies number them
+  const tweets = [];
+  blocks.forEach(block => {
+    const body = block.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (!body) return;
+    const parts = format === 'threadreader' ? body.split(/\n{2,}/) : splitOnCounters(body);
+    parts.forEach(part => {
+      const { text: tweetText, number } = stripCounters(part.trim());
+      if (tweetText) {
+        tweets.push({ index: tweets.length + 1, number, author: block.author || author, text: tweetText });
+      }
+    });
+  });
+
+  return tweets.length > 0 ? { format, author, tweets } : null;
+}
+
+// Write a parsed thread out as text for the summarizer: the author's tweets numbered in order,
+// and tweets from other accounts in their own section after it.
+function formatPastedThread(thread) {
+  const isThreadAuthor = tweet => !thread.author || !tweet.author || tweet.author.handle.toLowerCase() === thread.author.handle.toLowerCase();
+  const own = thread.tweets.filter(isThreadAuthor);
+  const others = thread.tweets.filter(tweet => !isThreadAuthor(tweet));
+
+  const byline = thread.author ?
+    `Thread by ${thread.author.name ? `${thread.author.name} (@${thread.author.handle})` : `@${thread.author.handle}`}\n\n` : '';
+  const text = own.length > 1 ?
+    own.map((tweet, index) => `${index + 1}. ${tweet.text}`).join('\n\n') :
+    (own[0] ? own[0].text : '');
+
+  if (others.length === 0) return `${byline}${text}`;
+
+  const replies = others.map(tweet => `- @${tweet.author.handle}: ${tweet.text.replace(/\n+/g, ' ')}`);
+  return `${byline}${text}\n\n--- REPLIES (from other accounts, not part of the thread) ---\n${replies.join('\n')}`;
+}
+
+// Clean up pasted text if it is a thread copied from X/Twitter.
+// Returns { text, thread }; thread is the parsed thread, or null when the text was left as it was.
+function normalizePastedText(text) {
+  const thread = parsePastedThread(text);
+  if (!thread) return { text, thread: null };
+  return { text: formatPastedThread(thread), thread };
+}
+
+module.exports = {
+  detectPasteFormat,
+  parsePastedThread,
+  formatPastedThread,
+  normalizePastedText
+};
@@ -0,0 +1,120 @@
+const { getLanguageInstruction } = require('./language');
+const { ensureCompleteSentence } = require('./sentences');
+const { checkFaithfulness } = require('./faithfulness');
+const { getMaxReadingWords, getMaxTokens, countWords, getReadingStats, trimToWordBudget } = require('./length-budget');
+const { saveSession } = require('./sessions');
+
+// Refine actions on an existing summary, run in its session (see sessions.js) so the source
+// isn't fetched again. "regenerate" writes a fresh summary with the session's options and is
+// run by the summarize pipeline; the other actions rewrite the current summary against the
+// source. Every version is still held to one minute of reading and checked for made-up facts.
+
+// Each action's instruction, and how many words the rewrite may use given the current summary's word count
+const REFINE_ACTIONS = {
+  shorter: {
+    instruction: 'Make it about half as long. Keep the most important points, names and numbers.',
+    getWords: words => Math.max(10, Math.round(words / 2))
+  },
+  longer: {
+    instruction: 'Add more detail from the source: supporting points, figures and names the summary left out.',
+    getWords: words => words * 2
+  },
+  casual: {
+    instruction: 'Rewrite it in a more casual, conversational voice, like telling a friend. Keep every fact.',
+    getWords: words => words + 10
+  },
+  regenerate: null,
+  custom: {
+    instruction: null,
+    getWords: words => words * 2
+  }
+};
+
+const MAX_INSTRUCTION_CHARS = 300;
+// Source text sent with each rewrite
+const MAX_SOURCE_CHARS = 12000;
+
+// Helper function to create an error with a status code
+function refineError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Check a refine action and its instruction (only "custom" takes one); bad ones are thrown with statusCode 400.
+// Returns { action, instruction }.
+function resolveRefineAction(action, instruction) {
+  if (!Object.prototype.hasOwnProperty.call(REFINE_ACTIONS, action)) {
+    throw refineError(`Unsupported refine action "${action}". Use ${Object.keys(REFINE_ACTIONS).join(', ')}.`);
+  }
+  if (action !== 'custom') {
+    return { action, instruction: null };
+  }
+  if (typeof instruction !== 'string' || !instruction.trim()) {
+    throw refineError('No instruction provided for the custom refine action.');
+  }
+  if (instruction.length > MAX_INSTRUCTION_CHARS) {
+    throw refineError(`Instructions can be at most ${MAX_INSTRUCTION_CHARS} characters.`);
+  }
+  return { action, instruction: instruction.trim() };
+}
+
+// Build the prompt that rewrites a summary
+function getRefinePrompt(session, summary, instruction, words) {
+  const source = session.threadText.length > MAX_SOURCE_CHARS ?
+    `${session.threadText.slice(0, MAX_SOURCE_CHARS)}...` :
+    session.threadText;
+  const languageInstruction = getLanguageInstruction(session.targetLanguage);
+
+  return `You're editing a summary of a ${session.isTwitterContent ? 'Twitter/X thread' : 'text'}. Rewrite the current summary as the instruction asks. Only use facts from the source and never add anything it doesn't say. Keep the same format (bullet points stay bullet points) unless the instruction asks for another one. Never go over ${words} words. Start directly with the summary, with no introductory phrases.${languageInstruction ? ` ${languageInstruction}` : ''}
+
+SOURCE:
+${source}
+
+CURRENT SUMMARY:
+${summary}
+
+INSTRUCTION: ${instruction}`;
+}
+
+// Rewrite a summary with a refine action other than "regenerate". summary is the version to
+// refine (the session's latest one by default); callModel(prompt, maxTokens) runs the LLM call and
+// resolves with a completion from llm-provider.js. The result becomes the session's latest summary.
+// Resolves with { summary, wordCount, readingTimeSeconds, faithfulness, completion }.
+async function refineSummary(session, { action, instruction, summary = session.summary }, callModel) {
+  const current = String(summary || '').trim();
+  if (!current) {
+    throw refineError('There is no summary to refine yet.');
+  }
+
+  const { getWords } = REFINE_ACTIONS[action];
+  const words = Math.min(getWords(countWords(current)), getMaxReadingWords());
+  const completion = await callModel(
+    getRefinePrompt(session, current, instruction || REFINE_ACTIONS[action].instruction, words),
+    getMaxTokens(words, session.targetLanguage)
+  );
+
+  const refined = trimToWordBudget(ensureCompleteSentence(String(completion.text || '').trim(), {
+    finishReason: completion.finishReason,
+    language: session.targetLanguage
+  }), getMaxReadingWords());
+  if (!refined) {
+    throw new Error('Empty summary received from AI service');
+  }
+
+  session.summary = refined;
+  await saveSession(session);
+
+  return {
+    summary: refined,
+    ...getReadingStats(refined),
+    faithfulness: checkFaithfulness(refined, session.threadText, session.contentAnalysis, { language: session.targetLanguage }),
+    completion
+  };
+}
+
+module.exports = {
+  REFINE_ACTIONS,
+  resolveRefineAction,
+  refineSummary
+};
@@ -0,0 +1,492 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const { getFeatureConfig } = require('./llm-provider');
+
+// Response cache for summaries and crypto explanations, so the same thread or term asked for
+// twice doesn't make a second paid LLM call. Keys are a hash of the normalized content plus
+// everything that changes the answer: tone, length and the other options, the provider/model
+// of the feature and PROMPT_VERSIONS (bump it when a prompt changes, so old answers aren't served).
+//
+// Entries go through a cache store, any object with these async methods:
+// - get(key): resolves with the stored entry ({ value, storedAt, expiresAt }), or null
+// - set(key, entry, ttlSeconds): saves the entry until it expires
+// - delete(key): removes the entry
+// and optionally, for the hit and miss counts in the analytics summary:
+// - incrementStat(name): adds one to a counter like "summary.hits"
+// - getStats(): resolves with every counter, as { name: count }
+// RESPONSE_CACHE_STORE picks the built-in store: "memory" (the default), "file" (one JSON file per
+// entry in RESPONSE_CACHE_DIR), "redis" (any server speaking the Redis protocol, at
+// RESPONSE_CACHE_REDIS_URL) or "off". A failing store never fails a request; the answer is
+// just generated again. The counters live in the store, so with redis every function instance
+// adds to the same ones.
+
+// Bump a kind's version when its prompts change
+const PROMPT_VERSIONS = {
+  summary: 1,
+  explanation: 1
+};
+
+const DEFAULT_TTL_SECONDS = {
+  summary: 24 * 60 * 60,
+  explanation: 7 * 24 * 60 * 60
+};
+
+const MAX_MEMORY_ENTRIES = 500;
+// Expired files are swept after this many writes
+const FILE_PRUNE_EVERY_SETS = 50;
+const REDIS_TIMEOUT_MS = 2000;
+const STAT_EVENTS = ['hits', 'misses', 'bypassed', 'errors'];
+
+// Helper function to hash a string
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Helper function to read a kind's TTL: RESPONSE_CACHE_<KIND>_TTL_SECONDS, then
+// RESPONSE_CACHE_TTL_SECONDS, then the default. 0 turns the cache off for that kind.
+function getCacheTtlSeconds(kind) {
+  for (const name of [`RESPONSE_CACHE_${kind.toUpperCase()}_TTL_SECONDS`, 'RESPONSE_CACHE_TTL_SECONDS']) {
+    const seconds = parseInt(process.env[name], 10);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds;
+  }
+  return DEFAULT_TTL_SECONDS[kind] || 0;
+}
+
+// Helper function to normalize content before hashing, so whitespace and Unicode variants
+// of the same text share an entry
+function normalizeContent(content) {
+  return (Array.isArray(content) ? content : [content])
+    .map(text => String(text || '').normalize('NFKC').replace(/\s+/g, ' ').trim())
+    .join('\n---\n');
+}
+
+// Helper function to serialize options with sorted keys, so their order doesn't change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Build the cache key for a kind ("summary" or "explanation"). content is the source text (or a
+// list of texts), feature the LLM feature that answers it, and options everything else that
+// changes the answer.
+function getCacheKey(kind, { content, feature, options = {} }) {
+  const { provider, model } = getFeatureConfig(feature);
+  return `${kind}:${sha256(stableStringify({
+    version: PROMPT_VERSIONS[kind],
+    content: sha256(normalizeContent(content)),
+    model: `${provider}:${model}`,
+    options
+  }))}`;
+}
+
+// In-memory cache store, dropping the least recently used entries past MAX_MEMORY_ENTRIES
+function createMemoryCacheStore({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+  const entries = new Map();
+  const stats = {};
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (Date.parse(entry.expiresAt) <= Date.now()) return null;
+      // Re-inserted so Map order stays least recently used first
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async incrementStat(name) {
+      stats[name] = (stats[name] || 0) + 1;
+    },
+
+    async getStats() {
+      return { ...stats };
+    }
+  };
+}
+
+// File cache store: one JSON file per entry in dir. Survives restarts of a single server.
+// The counters are kept in one more file, stats.json.
+function createFileCacheStore(dir) {
+  let sets = 0;
+  const getFile = key => path.join(dir, `${key.replace(/[^\w-]/g, '_')}.json`);
+  const statsFile = path.join(dir, 'stats.json');
+  // Counter updates are read-modify-write, so they run one at a time
+  let statsUpdate = Promise.resolve();
+
+  const readStats = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(statsFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  };
+
+  // Remove expired entries left behind by keys that were never asked for again
+  const prune = async () => {
+    const now = Date.now();
+    for (const name of await fs.promises.readdir(dir)) {
+      const file = path.join(dir, name);
+      try {
+        if (file !== statsFile && Date.parse(JSON.parse(await fs.promises.readFile(file, 'utf8')).expiresAt) <= now) {
+          await fs.promises.unlink(file);
+        }
+      } catch (error) {
+        // Half-written or already removed files are skipped
+      }
+    }
+  };
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(getFile(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (Date.parse(entry.expiresAt) <= Date.now()) {
+        await fs.promises.unlink(getFile(key)).catch(() => {});
+        return null;
+      }
+      return entry;
+    },
+
+    async set(key, entry) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Written to a temporary file first, so readers never see half an entry
+      const temp = `${getFile(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(entry));
+      await fs.promises.rename(temp, getFile(key));
+      if (++sets % FILE_PRUNE_EVERY_SETS === 0) {
+        prune().catch(error => console.error('Could not prune the response cache:', error.message));
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(getFile(key)).catch(() => {});
+    },
+
+    incrementStat(name) {
+      statsUpdate = statsUpdate.catch(() => {}).then(async () => {
+        const stats = await readStats();
+        stats[name] = (stats[name] || 0) + 1;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(`${statsFile}.${process.pid}.tmp`, JSON.stringify(stats));
+        await fs.promises.rename(`${statsFile}.${process.pid}.tmp`, statsFile);
+      });
+      return statsUpdate;
+    },
+
+    async getStats() {
+      await statsUpdate.catch(() => {});
+      return readStats();
+    }
+  };
+}
+
+// Helper function to encode a command in the Redis protocol (RESP)
+function encodeRedisCommand(args) {
+  return `*${args.length}\r\n${args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`;
+}
+
+// Helper function to parse one RESP reply from buffer at offset.
+// Returns { value, offset } or null when the reply hasn't fully arrived yet.
+function parseRedisReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseRedisReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+// Redis cache store for a redis:// or rediss:// URL (user, password and /db are optional).
+// Speaks the Redis protocol directly over one connection, so Redis, Valkey, KeyDB or any
+// compatible server works without a client library. Replies are matched to commands in order,
+// so after a timeout, a closed socket or a failed AUTH the connection is dropped (failing the
+// commands still waiting on it) and the next command opens a new one.
+function createRedisCacheStore(url, { keyPrefix = 'jom:cache:' } = {}) {
+  const parsed = new URL(url);
+  let connection = null;
+
+  // Helper function to drop a connection, failing the commands still waiting on it
+  const drop = (current, error) => {
+    if (connection === current) connection = null;
+    current.socket.destroy();
+    const waiting = current.pending;
+    current.pending = [];
+    waiting.forEach(({ reject }) => reject(error));
+  };
+
+  const send = (current, args) => new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      drop(current, new Error('The Redis server took too long to respond'));
+    }, REDIS_TIMEOUT_MS);
+    current.pending.push({
+      resolve: value => { clearTimeout(timeoutId); resolve(value); },
+      reject: error => { clearTimeout(timeoutId); reject(error); }
+    });
+    current.socket.write(encodeRedisCommand(args));
+  });
+
+  const connect = () => {
+    const options = { host: parsed.hostname, port: parseInt(parsed.port, 10) || 6379 };
+    const socket = parsed.protocol === 'rediss:' ? tls.connect({ ...options, servername: parsed.hostname }) : net.connect(options);
+    const current = { socket, buffer: Buffer.alloc(0), pending: [] };
+    // A cache connection shouldn't keep the process (or a Netlify function) alive
+    socket.unref();
+
+    socket.on('data', chunk => {
+      current.buffer = Buffer.concat([current.buffer, chunk]);
+      let reply;
+      while (current.pending.length > 0 && (reply = parseRedisReply(current.buffer))) {
+        current.buffer = current.buffer.subarray(reply.offset);
+        const { resolve, reject } = current.pending.shift();
+        if (reply.value instanceof Error) reject(reply.value);
+        else resolve(reply.value);
+      }
+    });
+    socket.on('error', error => {
+      console.error('Response cache Redis connection error:', error.message);
+    });
+    socket.on('close', () => drop(current, new Error('The Redis connection closed')));
+
+    const setup = [];
+    if (parsed.password) {
+      setup.push(parsed.username ?
+        ['AUTH', decodeURIComponent(parsed.username), decodeURIComponent(parsed.password)] :
+        ['AUTH', decodeURIComponent(parsed.password)]);
+    }
+    const db = parseInt(parsed.pathname.slice(1), 10);
+    if (db > 0) setup.push(['SELECT', db]);
+
+    // Queued ahead of the first command; if one fails, so does every command on the connection
+    current.ready = Promise.all(setup.map(args => send(current, args))).catch(error => {
+      drop(current, error);
+      throw error;
+    });
+    return current;
+  };
+
+  const command = async args => {
+    if (!connection) connection = connect();
+    const current = connection;
+    const [, reply] = await Promise.all([current.ready, send(current, args)]);
+    return reply;
+  };
+
+  return {
+    async get(key) {
+      const value = await command(['GET', keyPrefix + key]);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, entry, ttlSeconds) {
+      await command(['SET', keyPrefix + key, JSON.stringify(entry), 'EX', ttlSeconds]);
+    },
+
+    async delete(key) {
+      await command(['DEL', keyPrefix + key]);
+    },
+
+    async incrementStat(name) {
+      await command(['HINCRBY', `${keyPrefix}stats`, name, 1]);
+    },
+
+    async getStats() {
+      // HGETALL replies with a flat list of fields and values
+      const reply = await command(['HGETALL', `${keyPrefix}stats`]) || [];
+      const stats = {};
+      for (let i = 0; i + 1 < reply.length; i += 2) {
+        stats[reply[i]] = parseInt(reply[i + 1], 10) || 0;
+      }
+      return stats;
+    }
+  };
+}
+
+let cacheStore;
+
+// The cache store responses use: the one set with setCacheStore(), or the one RESPONSE_CACHE_STORE
+// picks. null when caching is off.
+function getCacheStore() {
+  if (cacheStore !== undefined) return cacheStore;
+
+  const type = (process.env.RESPONSE_CACHE_STORE || 'memory').toLowerCase();
+  if (type === 'off') {
+    cacheStore = null;
+  } else if (type === 'file') {
+    cacheStore = createFileCacheStore(process.env.RESPONSE_CACHE_DIR || path.join(os.tmpdir(), 'just-one-minute-cache'));
+  } else if (type === 'redis' && (process.env.RESPONSE_CACHE_REDIS_URL || process.env.REDIS_URL)) {
+    cacheStore = createRedisCacheStore(process.env.RESPONSE_CACHE_REDIS_URL || process.env.REDIS_URL);
+  } else {
+    if (type !== 'memory') {
+      console.error(`Unknown response cache store "${type}" (or no RESPONSE_CACHE_REDIS_URL), using memory`);
+    }
+    cacheStore = createMemoryCacheStore();
+  }
+  return cacheStore;
+}
+
+// Use another cache store (or null to turn caching off)
+function setCacheStore(store) {
+  cacheStore = store;
+}
+
+// Helper function to count a cache event for a kind in the store. Not waited for, and a
+// counter that can't be saved is skipped.
+function count(store, kind, event) {
+  if (!store.incrementStat) return;
+  Promise.resolve()
+    .then(() => store.incrementStat(`${kind}.${event}`))
+    .catch(() => {});
+}
+
+// Whether a request's bypassCache flag is set (JSON true, or "true" from a form field)
+function isCacheBypassed(value) {
+  return value === true || value === 'true';
+}
+
+// Answer through the cache. compute() generates the answer on a miss; isCacheable(result) can
+// keep results out of the cache (e.g. fallbacks). With bypass the cached answer is ignored and
+// replaced by a fresh one. Resolves with { result, cache }, where cache is the hit metadata
+// returned to clients: { hit, bypassed?, storedAt?, expiresAt?, ageSeconds? }.
+async function withResponseCache(kind, keyFields, compute, { bypass = false, isCacheable = result => Boolean(result) } = {}) {
+  const store = getCacheStore();
+  const ttlSeconds = getCacheTtlSeconds(kind);
+  if (!store || ttlSeconds === 0) {
+    return { result: await compute(), cache: { hit: false } };
+  }
+
+  const key = getCacheKey(kind, keyFields);
+  if (bypass) {
+    count(store, kind, 'bypassed');
+  } else {
+    try {
+      const entry = await store.get(key);
+      if (entry) {
+        count(store, kind, 'hits');
+        return {
+          result: entry.value,
+          cache: {
+            hit: true,
+            storedAt: entry.storedAt,
+            expiresAt: entry.expiresAt,
+            ageSeconds: Math.round((Date.now() - Date.parse(entry.storedAt)) / 1000)
+          }
+        };
+      }
+    } catch (error) {
+      count(store, kind, 'errors');
+      console.error('Response cache read failed:', error.message);
+    }
+    count(store, kind, 'misses');
+  }
+
+  const result = await compute();
+  if (isCacheable(result)) {
+    const now = Date.now();
+    const entry = { value: result, storedAt: new Date(now).toISOString(), expiresAt: new Date(now + ttlSeconds * 1000).toISOString() };
+    try {
+      await store.set(key, entry, ttlSeconds);
+    } catch (error) {
+      count(store, kind, 'errors');
+      console.error('Response cache write failed:', error.message);
+    }
+  }
+  return { result, cache: bypass ? { hit: false, bypassed: true } : { hit: false } };
+}
+
+// Hit and miss counts per kind from the cache store's counters, with the hit rate of the lookups.
+// shared is true for the redis store, whose counts cover every server and function instance;
+// the other stores only count what went through this server (or this function instance on Netlify).
+// Resolves with zero counts when the store has no counters or can't be read.
+async function getCacheStats() {
+  const store = getCacheStore();
+  let counters = {};
+  try {
+    counters = (store && store.getStats && await store.getStats()) || {};
+  } catch (error) {
+    console.error('Could not read the response cache stats:', error.message);
+  }
+
+  const kinds = {};
+  Object.keys(PROMPT_VERSIONS).forEach(kind => {
+    const stats = {};
+    STAT_EVENTS.forEach(event => { stats[event] = counters[`${kind}.${event}`] || 0; });
+    const lookups = stats.hits + stats.misses;
+    kinds[kind] = { ...stats, hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0 };
+  });
+  const type = (process.env.RESPONSE_CACHE_STORE || 'memory').toLowerCase();
+  return {
+    store: store ? type : 'off',
+    shared: type === 'redis' && Boolean(process.env.RESPONSE_CACHE_REDIS_URL || process.env.REDIS_URL),
+    ...kinds
+  };
+}
+
+module.exports = {
+  createMemoryCacheStore,
+  createFileCacheStore,
+  createRedisCacheStore,
+  getCacheStore,
+  setCacheStore,
+  getCacheKey,
+  isCacheBypassed,
+  withResponseCache,
+  getCacheStats
+};
@@ -0,0 +1,188 @@
+const { isEnglish } = require('./language');
+
+// Sentence segmentation shared by the summary and explanation clean-up, the extractive
+// summarizer and the length budget. A period only ends a sentence when whitespace follows it,
+// so decimals ("$3.5B"), URLs and domains stay whole; abbreviations and initials ("U.S.",
+// "e.g.", "J. Powell") don't end one either, unless one that often closes a sentence is followed
+// by a word that starts sentences ("the U.S. It is big"). Line breaks always do, list items are
+// kept as units, and closing quotes, brackets and emoji stay with the sentence they close.
+
+// Lowercased, without the final period
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'e.g', 'i.e', 'cf', 'al', 'approx', 'est',
+  'inc', 'ltd', 'co', 'corp', 'llc', 'plc', 'dept', 'gov', 'gen', 'col', 'lt', 'sgt', 'rep', 'sen', 'mt', 'ft',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'a.m', 'p.m', 'ph.d', 'etc'
+]);
+
+// Abbreviations that only count as one before a number ("No. 1", "Vol. 2")
+const NUMBER_ABBREVIATIONS = new Set(['no', 'nos', 'vol', 'pp', 'p', 'fig', 'sec', 'art']);
+
+// Abbreviations that often end a sentence ("... Acme Inc. They ..."), along with capitalized
+// dotted ones ("... in the U.S. It ...")
+const FINAL_ABBREVIATIONS = new Set(['inc', 'ltd', 'co', 'corp', 'llc', 'plc', 'etc', 'a.m', 'p.m']);
+
+// Capitalized words that start a new sentence rather than continue a name ("U.S. Senate")
+const SENTENCE_STARTERS = new Set([
+  'it', 'its', 'the', 'this', 'that', 'these', 'those', 'there', 'they', 'we', 'he', 'she', 'i', 'you',
+  'a', 'an', 'and', 'but', 'so', 'if', 'when', 'what', 'how', 'why', 'our', 'their', 'his', 'her', 'my',
+  'in', 'on', 'at', 'for', 'after', 'before', 'then', 'now', 'meanwhile', 'however', 'also', 'still'
+]);
+
+// Bullets, "1." / "1)" numbering and tweet numbering like "2/"
+const LIST_ITEM = /^\s*(?:[-•*▪◦‣]|\d{1,2}[.)]|\d{1,2}\/\d{0,2})\s+/;
+
+const TERMINATORS = /[.!?…。！？]+/g;
+const CJK_TERMINATOR = /[。！？]/;
+// Closing quotes and brackets, and emoji (with skin tones, joiners and variation selectors)
+const CLOSING = /^(?:["'”’»)\]]|\s*\p{Extended_Pictographic}[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200D\uFE0F]*)*/u;
+const COMPLETE_ENDING = /(?:[.!?…。！？]["'”’»)\]]*|\p{Extended_Pictographic}[\p{Emoji_Modifier}\u200D\uFE0F]*)\s*$/u;
+
+// English words a sentence doesn't end on; a fragment ending with one was cut off
+const DANGLING_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'so', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from',
+  'as', 'that', 'which', 'who', 'because', 'since', 'while', 'when', 'where', 'than', 'is', 'are', 'was',
+  'were', 'be', 'has', 'have', 'will', 'would', 'can', 'could', 'its', 'their', 'his', 'her', 'our', 'your'
+]);
+
+// finish_reason values that mean the model ran out of tokens
+const TRUNCATED_FINISH_REASONS = new Set(['length', 'max_tokens', 'MAX_TOKENS']);
+
+// Helper function to check whether the period ending `before` belongs to an abbreviation
+function endsWithAbbreviation(before, after) {
+  const word = (/(\S+)$/.exec(before) || ['', ''])[1].replace(/^["'“‘(\[]+/, '');
+  const lower = word.toLowerCase();
+  const dotted = /^(?:\p{L}\.)+\p{L}$/u.test(word);
+  const canEndSentence = FINAL_ABBREVIATIONS.has(lower) || /^(?:\p{Lu}\.)+\p{Lu}$/u.test(word);
+
+  if (canEndSentence && startsSentence(after)) return false;
+  if (ABBREVIATIONS.has(lower)) return true;
+  if (NUMBER_ABBREVIATIONS.has(lower)) return /^\s*\d/.test(after);
+  // Initials ("J. Powell") and dotted abbreviations ("U.S", "U.K")
+  return /^\p{Lu}$/u.test(word) || dotted;
+}
+
+// Helper function to check whether the text after a period opens a new sentence
+function startsSentence(after) {
+  const next = /^\s+(\p{Lu}\p{Ll}*)\b/u.exec(after);
+  return Boolean(next) && SENTENCE_STARTERS.has(next[1].toLowerCase());
+}
+
+// Helper function to split one line into sentences
+function splitLine(line) {
+  const sentences = [];
+  let start = 0;
+  let match;
+  // List numbering like "1." isn't a sentence of its own
+  const marker = LIST_ITEM.exec(line);
+  TERMINATORS.lastIndex = marker ? marker[0].length : 0;
+
+  while ((match = TERMINATORS.exec(line))) {
+    const closing = CLOSING.exec(line.slice(match.index + match[0].length));
+    const end = match.index + match[0].length + closing[0].length;
+    const after = line.slice(end);
+
+    // Western punctuation needs whitespace after it; "3.5", "x.com" and "U.S" carry on
+    if (after && !CJK_TERMINATOR.test(match[0]) && !/^\s/.test(after)) continue;
+    // An ellipsis followed by a lowercase word is a pause, not an ending
+    if (/^(?:\.\.\.|…)$/.test(match[0]) && /^\s+\p{Ll}/u.test(after)) continue;
+    if (match[0] === '.' && endsWithAbbreviation(line.slice(start, match.index), after)) continue;
+
+    sentences.push(line.slice(start, end).trim());
+    start = end;
+    TERMINATORS.lastIndex = end;
+  }
+
+  const rest = line.slice(start).trim();
+  if (rest) sentences.push(rest);
+  return sentences.filter(Boolean);
+}
+
+// Split text into sentences, keeping their punctuation. Each line is split on its own, since
+// tweets and list items often have no closing punctuation.
+function segmentSentences(text) {
+  return String(text || '')
+    .split(/\n+/)
+    .flatMap(line => splitLine(line.trim()));
+}
+
+// Check whether a line starts with a bullet or list numbering
+function isListItem(line) {
+  return LIST_ITEM.test(line);
+}
+
+// A sentence is complete when it ends with sentence punctuation (optionally followed by
+// closing quotes or brackets) or with an emoji
+function isCompleteSentence(sentence) {
+  return COMPLETE_ENDING.test(String(sentence || '').trim());
+}
+
+// Check whether a finish_reason means the completion was cut off
+function isTruncated(finishReason) {
+  return TRUNCATED_FINISH_REASONS.has(finishReason);
+}
+
+// Helper function to check whether a fragment looks cut off mid-thought (used when the
+// provider didn't say why it stopped)
+function looksCutOff(fragment, language) {
+  if (/[,;:(\-–—]$/.test(fragment)) return true;
+  if (!isEnglish(language)) return false;
+  const lastWord = (/([\p{L}']+)$/u.exec(fragment) || ['', ''])[1].toLowerCase();
+  return DANGLING_WORDS.has(lastWord);
+}
+
+// Helper function to check for languages written without spaces between sentences
+function isUnspaced(language) {
+  return language === 'zh' || language === 'ja';
+}
+
+// Helper function to turn a fragment into a sentence, dropping dangling words at the end
+function closeFragment(fragment, language) {
+  const terminator = isUnspaced(language) ? '。' : '.';
+  let words = fragment.replace(/[\s,;:(\-–—]+$/, '').split(/\s+/);
+
+  if (isEnglish(language)) {
+    const lastKept = words.length - [...words].reverse().findIndex(word => !DANGLING_WORDS.has(word.toLowerCase().replace(/[^\p{L}']/gu, '')));
+    // Keep the fragment as it was if the cut would leave almost nothing
+    if (lastKept >= 2 && lastKept <= words.length) words = words.slice(0, lastKept);
+  }
+  return words.join(' ').replace(/[\s,;:(\-–—]+$/, '') + terminator;
+}
+
+// Make sure text ends with a complete sentence.
+// finishReason is the provider's finish_reason: when the model ran out of tokens the
+// unfinished last sentence (or list item) is dropped. When it stopped on its own the text is
+// only closed off, and when the reason is unknown a fragment is dropped only if it looks cut
+// off. Finished list items, and text ending in an emoji, don't get a period added.
+function ensureCompleteSentence(text, { finishReason = null, language = 'en' } = {}) {
+  if (!text || !text.trim()) return text;
+
+  const lines = text.trim().split('\n');
+  const lastLine = lines[lines.length - 1].trim();
+  const truncated = isTruncated(finishReason);
+
+  if (lines.length > 1 && isListItem(lastLine)) {
+    if (!truncated || isCompleteSentence(lastLine)) return text.trim();
+    return lines.slice(0, -1).join('\n').trim();
+  }
+
+  const sentences = splitLine(lastLine);
+  const lastSentence = sentences[sentences.length - 1];
+  if (isCompleteSentence(lastSentence)) return text.trim();
+
+  const separator = isUnspaced(language) ? '' : ' ';
+  const before = [...lines.slice(0, -1), sentences.slice(0, -1).join(separator)].join('\n').trim();
+  const cutOff = truncated || looksCutOff(lastSentence, language);
+
+  if (cutOff && before) {
+    return ensureCompleteSentence(before, { language });
+  }
+  return [before, closeFragment(lastSentence, language)].filter(Boolean).join(sentences.length > 1 ? separator : '\n');
+}
+
+module.exports = {
+  segmentSentences,
+  isListItem,
+  isCompleteSentence,
+  isTruncated,
+  ensureCompleteSentence
+};
@@ -0,0 +1,112 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { analyzeContent } = require('./content-analysis');
+const { createMemoryCacheStore, createFileCacheStore, createRedisCacheStore } = require('./response-cache');
+
+// Summary sessions. Summarizing opens a session that keeps the source text (threadText), its
+// contentAnalysis, the latest summary and the options it was written with on the server, so
+// follow-up questions (follow-up.js) and refine actions (refine.js) reuse the source instead of
+// fetching it again. The client only gets the session id.
+//
+// Sessions are kept for QA_SESSION_TTL_MINUTES after they were last saved. They use the cache
+// store interface from response-cache.js, picked by SESSION_STORE ("memory", "file" or
+// "redis"). On Netlify, summarize opens a session and follow-up and refine use it, and those
+// separate functions don't share memory, so sessions there need the redis or file store.
+// Requests can also carry the original threadUrl/rawText to rebuild an expired session.
+
+const DEFAULT_SESSION_TTL_MINUTES = 60;
+const MAX_MEMORY_SESSIONS = 200;
+
+let sessionStore = null;
+let sessionStoreShared = false;
+
+// The store sessions are kept in, created on first use from SESSION_STORE
+function getSessionStore() {
+  if (sessionStore) return sessionStore;
+
+  const type = (process.env.SESSION_STORE || 'memory').toLowerCase();
+  const redisUrl = process.env.SESSION_REDIS_URL || process.env.RESPONSE_CACHE_REDIS_URL || process.env.REDIS_URL;
+  sessionStoreShared = type === 'file' || (type === 'redis' && Boolean(redisUrl));
+  if (type === 'file') {
+    sessionStore = createFileCacheStore(process.env.SESSION_STORE_DIR || path.join(os.tmpdir(), 'just-one-minute-sessions'));
+  } else if (type === 'redis' && redisUrl) {
+    sessionStore = createRedisCacheStore(redisUrl, { keyPrefix: 'jom:session:' });
+  } else {
+    if (type !== 'memory') {
+      console.error(`Unknown session store "${type}" (or no SESSION_REDIS_URL), using memory`);
+    }
+    sessionStore = createMemoryCacheStore({ maxEntries: MAX_MEMORY_SESSIONS });
+  }
+  return sessionStore;
+}
+
+// Use another store for sessions, with the same interface as the response cache stores.
+// It's trusted to be reachable from every process; null goes back to SESSION_STORE.
+function setSessionStore(store) {
+  sessionStore = store;
+  sessionStoreShared = Boolean(store);
+}
+
+// Whether sessions are kept outside this process (redis, file or a store from setSessionStore),
+// so a session opened by one function instance can be used through another
+function isSessionStoreShared() {
+  getSessionStore();
+  return sessionStoreShared;
+}
+
+// Helper function to read the session TTL
+function getSessionTtlMs() {
+  const minutes = parseInt(process.env.QA_SESSION_TTL_MINUTES, 10);
+  return (minutes > 0 ? minutes : DEFAULT_SESSION_TTL_MINUTES) * 60 * 1000;
+}
+
+// Save a session for another TTL. Resolves once it is stored.
+async function saveSession(session) {
+  const ttlMs = getSessionTtlMs();
+  const now = Date.now();
+  // The citable parts are worked out again from threadText when needed
+  const { citable, ...value } = session;
+  await getSessionStore().set(session.id, {
+    value,
+    storedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  }, Math.ceil(ttlMs / 1000));
+}
+
+// Open a session for a summarized source. options are the summarize options ({ tone, length,
+// mode, format }) that a regenerated summary is written with. Resolves with the session id.
+async function createSession({ threadText, isTwitterContent = false, summary = '', contentType, targetLanguage, options = {} }) {
+  const id = crypto.randomUUID();
+  const contentAnalysis = analyzeContent(threadText, { contentType });
+
+  await saveSession({
+    id,
+    threadText,
+    isTwitterContent,
+    contentAnalysis,
+    summary: typeof summary === 'string' ? summary : '',
+    // Without a target language, answers and rewrites are in the source's language
+    targetLanguage: targetLanguage || contentAnalysis.language,
+    options,
+    history: []
+  });
+  return id;
+}
+
+// Look up a session. Resolves with a copy to change and save, or null when it doesn't exist
+// or has expired.
+async function getSession(id) {
+  if (typeof id !== 'string' || !/^[\w-]{1,64}$/.test(id)) return null;
+  const entry = await getSessionStore().get(id);
+  if (!entry) return null;
+  return { ...entry.value, history: [...(entry.value.history || [])] };
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  saveSession,
+  setSessionStore,
+  isSessionStoreShared
+};
@@ -0,0 +1,174 @@
+const zlib = require('zlib');
+
+// Preview images for shared results (the og:image of /s/:id). Slack, Discord and X don't
+// show SVG previews, so the card is drawn into a PNG here: a 5x7 bitmap font scaled up on a
+// 1200x630 canvas, encoded with zlib. Only printable ASCII has glyphs; accents are stripped
+// and other characters are drawn as "?", so text in other scripts gets a plain card instead.
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MARGIN = 60;
+const BORDER = 8;
+
+const COLORS = {
+  background: [10, 10, 10],
+  gold: [255, 215, 0],
+  purple: [139, 92, 246],
+  text: [245, 245, 245]
+};
+
+// Glyphs for ASCII 32-126, five columns each; bit 0 is the top row (bit 7 is for descenders)
+const FONT = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649562050', '0008070300',
+  '001c224100', '0041221c00', '2a1c7f1c2a', '08083e0808', '0080703000', '0808080808', '0000606000', '2010080402',
+  '3e5149453e', '00427f4000', '7249494946', '2141494d33', '1814127f10', '2745454539', '3c4a494931', '4121110907',
+  '3649494936', '464949291e', '0000140000', '0040340000', '0008142241', '1414141414', '0041221408', '0201590906',
+  '3e415d594e', '7c1211127c', '7f49494936', '3e41414122', '7f4141413e', '7f49494941', '7f09090901', '3e41415173',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f021c027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '2649494932', '03017f0103', '3f4040403f', '1f2040201f', '3f4038403f',
+  '6314081463', '0304780403', '6151494543', '007f414141', '0204081020', '004141417f', '0402010204', '4040404040',
+  '0003070800', '2054547840', '7f28444438', '3844444428', '384444287f', '3854545418', '00087e0902', '18a4a49c78',
+  '7f08040478', '00447d4000', '2040403d00', '7f10284400', '00417f4000', '7c04780478', '7c08040478', '3844444438',
+  'fc18242418', '18242418fc', '7c08040408', '4854545424', '04043f4424', '3c4040207c', '1c2040201c', '3c4030403c',
+  '4428102844', '4c9090907c', '4464544c44', '0008364100', '0000770000', '0041360800', '0201020402'
+];
+
+// Helper function to compute the CRC-32 of a PNG chunk
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper function to build one PNG chunk
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode an RGB pixel buffer as a PNG
+function encodePng(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+  // Every row starts with filter type 0 (none)
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Helper function to fill a rectangle of the canvas
+function fillRect(pixels, x, y, width, height, color) {
+  for (let row = Math.max(0, y); row < Math.min(HEIGHT, y + height); row++) {
+    for (let col = Math.max(0, x); col < Math.min(WIDTH, x + width); col++) {
+      pixels.set(color, (row * WIDTH + col) * 3);
+    }
+  }
+}
+
+// Helper function to reduce text to the characters the font has
+function toDrawableText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, '\'')
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014\u2022\u00b7]/g, '-')
+    .replace(/\u2026/g, '...')
+    .replace(/\s+/g, ' ')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .trim();
+}
+
+// Helper function to draw one line of text at a scale (each glyph is 6 x 8 units with spacing)
+function drawText(pixels, text, x, y, scale, color) {
+  [...text].forEach((char, index) => {
+    const glyph = FONT[char.charCodeAt(0) - 32] || FONT[31];
+    for (let col = 0; col < 5; col++) {
+      const bits = parseInt(glyph.substr(col * 2, 2), 16);
+      for (let row = 0; row < 8; row++) {
+        if (bits & (1 << row)) {
+          fillRect(pixels, x + (index * 6 + col) * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    }
+  });
+}
+
+// Helper function to wrap text into lines of at most maxChars, ending with "..." when cut short
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars) {
+      line = next;
+    } else {
+      if (line) lines.push(line);
+      line = word.length > maxChars ? word.slice(0, maxChars) : word;
+    }
+    if (lines.length === maxLines) break;
+  }
+  if (line && lines.length < maxLines) lines.push(line);
+
+  const truncated = lines.join(' ').length < text.length;
+  if (truncated && lines.length > 0) {
+    const last = lines[lines.length - 1];
+    lines[lines.length - 1] = `${last.length > maxChars - 3 ? last.slice(0, maxChars - 3).trimEnd() : last}...`;
+  }
+  return lines;
+}
+
+// Draw the preview card for a share ({ title, text, footer }) and return it as a PNG buffer
+function renderShareImage({ title, text, footer }) {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  fillRect(pixels, 0, 0, WIDTH, HEIGHT, COLORS.background);
+  fillRect(pixels, 0, 0, WIDTH, BORDER, COLORS.gold);
+  fillRect(pixels, 0, HEIGHT - BORDER, WIDTH, BORDER, COLORS.gold);
+  fillRect(pixels, 0, 0, BORDER, HEIGHT, COLORS.gold);
+  fillRect(pixels, WIDTH - BORDER, 0, BORDER, HEIGHT, COLORS.gold);
+
+  const usableWidth = WIDTH - MARGIN * 2;
+  drawText(pixels, '...just one minute', MARGIN, MARGIN, 5, COLORS.gold);
+
+  const titleText = toDrawableText(title);
+  const titleLines = titleText ? wrapText(titleText, Math.floor(usableWidth / (6 * 4)), 1) : [];
+  titleLines.forEach(line => drawText(pixels, line, MARGIN, MARGIN + 70, 4, COLORS.purple));
+
+  // Mostly undrawable text (other scripts) would be a wall of "?", so it's left off the card
+  const bodyText = toDrawableText(text);
+  const unknown = (bodyText.match(/\?/g) || []).length;
+  const body = bodyText && unknown < bodyText.length / 4 ? bodyText : 'Open the link to read it.';
+  const bodyTop = MARGIN + (titleLines.length > 0 ? 130 : 90);
+  wrapText(body, Math.floor(usableWidth / (6 * 4)), 8)
+    .forEach((line, index) => drawText(pixels, line, MARGIN, bodyTop + index * 40, 4, COLORS.text));
+
+  const footerText = toDrawableText(footer);
+  if (footerText) {
+    drawText(pixels, wrapText(footerText, Math.floor(usableWidth / (6 * 3)), 1)[0], MARGIN, HEIGHT - MARGIN - 24, 3, COLORS.purple);
+  }
+
+  return encodePng(pixels, WIDTH, HEIGHT);
+}
+
+module.exports = {
+  renderShareImage
+};
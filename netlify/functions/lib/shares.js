@@ -0,0 +1,381 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryCacheStore, createFileCacheStore, createRedisCacheStore } = require('./response-cache');
+
+// Shared results. A summary or crypto explanation is saved with its source (link, title or a
+// short excerpt), tone, length and timestamp under a short id, and shown at /s/:id: a
+// server-rendered page with Open Graph and Twitter Card tags, plus a preview image at
+// /s/:id/image.png (see share-image.js), so links unfurl in Slack, Discord and X.
+//
+// Shares expire after SHARE_TTL_DAYS (or the expiresInDays asked for, up to MAX_TTL_DAYS).
+// Creating one returns a delete token; only its hash is kept. Shares use the cache store
+// interface from response-cache.js, picked by SHARE_STORE ("memory", "file" or "redis").
+// On Netlify, share.js saves shares and share-page.js shows them, and those separate functions
+// don't share memory, so the share function refuses to save anything into the memory store.
+
+const KINDS = ['summary', 'explanation'];
+const ID_LENGTH = 8;
+const ID_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DEFAULT_TTL_DAYS = 30;
+const MAX_TTL_DAYS = 90;
+const MAX_TEXT_CHARS = 5000;
+const MAX_FIELD_CHARS = 200;
+const MAX_EXCERPT_CHARS = 280;
+const MAX_MEMORY_SHARES = 1000;
+
+let shareStore = null;
+let shareStoreShared = false;
+
+// Helper function to create an error with a status code
+function shareError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// The store shares are kept in, created on first use from SHARE_STORE
+function getShareStore() {
+  if (shareStore) return shareStore;
+
+  const type = (process.env.SHARE_STORE || 'memory').toLowerCase();
+  const redisUrl = process.env.SHARE_REDIS_URL || process.env.RESPONSE_CACHE_REDIS_URL || process.env.REDIS_URL;
+  shareStoreShared = type === 'file' || (type === 'redis' && Boolean(redisUrl));
+  if (type === 'file') {
+    shareStore = createFileCacheStore(process.env.SHARE_STORE_DIR || path.join(os.tmpdir(), 'just-one-minute-shares'));
+  } else if (type === 'redis' && redisUrl) {
+    shareStore = createRedisCacheStore(redisUrl, { keyPrefix: 'jom:share:' });
+  } else {
+    if (type !== 'memory') {
+      console.error(`Unknown share store "${type}" (or no SHARE_REDIS_URL), using memory`);
+    }
+    shareStore = createMemoryCacheStore({ maxEntries: MAX_MEMORY_SHARES });
+  }
+  return shareStore;
+}
+
+// Use another store for shares, with the same interface as the response cache stores.
+// It's trusted to be reachable from every process; null goes back to SHARE_STORE.
+function setShareStore(store) {
+  shareStore = store;
+  shareStoreShared = Boolean(store);
+}
+
+// Whether shares are kept outside this process (redis, file or a store from setShareStore),
+// so a link saved by one function instance can be opened through another
+function isShareStoreShared() {
+  getShareStore();
+  return shareStoreShared;
+}
+
+// Helper function to read how many days shares are kept by default
+function getDefaultTtlDays() {
+  const days = parseInt(process.env.SHARE_TTL_DAYS, 10);
+  return days > 0 ? Math.min(days, MAX_TTL_DAYS) : DEFAULT_TTL_DAYS;
+}
+
+// Helper function to make a short random id
+function createShareId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  return [...bytes].map(byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+// Helper function to hash a delete token
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Helper function to turn the HTML some explanations come back as into plain text
+function toPlainText(text) {
+  return String(text)
+    .replace(/<br\s*\/?>|<\/(p|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Helper function to check an optional short text field
+function optionalText(value, name, maxChars = MAX_FIELD_CHARS) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > maxChars) {
+    throw shareError(`"${name}" must be text of at most ${maxChars} characters.`);
+  }
+  return value.trim();
+}
+
+// Check a share request: { kind, text, source: { url?, title?, excerpt? }, term?, tone?,
+// length?, targetLanguage?, expiresInDays? }. Bad requests are thrown with statusCode 400.
+function validateShareRequest(body) {
+  const fields = body || {};
+  if (!KINDS.includes(fields.kind)) {
+    throw shareError(`"kind" must be one of: ${KINDS.join(', ')}.`);
+  }
+  if (typeof fields.text !== 'string' || !toPlainText(fields.text)) {
+    throw shareError('Nothing to share. Send the summary or explanation as "text".');
+  }
+  const text = toPlainText(fields.text);
+  if (text.length > MAX_TEXT_CHARS) {
+    throw shareError(`"text" can be at most ${MAX_TEXT_CHARS} characters.`);
+  }
+
+  const source = fields.source && typeof fields.source === 'object' ? fields.source : {};
+  const url = optionalText(source.url, 'source.url', 2000);
+  if (url && !/^https?:\/\/\S+$/i.test(url)) {
+    throw shareError('"source.url" must be an http(s) URL.');
+  }
+
+  let ttlDays = getDefaultTtlDays();
+  if (fields.expiresInDays !== undefined && fields.expiresInDays !== null && fields.expiresInDays !== '') {
+    ttlDays = Number(fields.expiresInDays);
+    if (!Number.isInteger(ttlDays) || ttlDays < 1 || ttlDays > MAX_TTL_DAYS) {
+      throw shareError(`"expiresInDays" must be a whole number from 1 to ${MAX_TTL_DAYS}.`);
+    }
+  }
+
+  return {
+    kind: fields.kind,
+    text,
+    source: {
+      url,
+      title: optionalText(source.title, 'source.title'),
+      excerpt: optionalText(source.excerpt, 'source.excerpt', MAX_EXCERPT_CHARS)
+    },
+    term: optionalText(fields.term, 'term'),
+    tone: optionalText(fields.tone, 'tone', 50),
+    length: optionalText(fields.length, 'length', 50),
+    targetLanguage: optionalText(fields.targetLanguage, 'targetLanguage', 20),
+    ttlDays
+  };
+}
+
+// Save a share. Resolves with { id, expiresAt, deleteToken }; the token is only returned here.
+async function createShare(body) {
+  const { ttlDays, ...fields } = validateShareRequest(body);
+  const store = getShareStore();
+
+  let id = createShareId();
+  // Collisions are very unlikely, but a taken id must not be overwritten
+  while (await store.get(id)) {
+    id = createShareId();
+  }
+
+  const deleteToken = crypto.randomBytes(24).toString('hex');
+  const now = Date.now();
+  const share = {
+    id,
+    ...fields,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+  };
+  await store.set(id, { value: { ...share, deleteTokenHash: hashToken(deleteToken) }, storedAt: share.createdAt, expiresAt: share.expiresAt }, ttlDays * 24 * 60 * 60);
+  return { ...share, deleteToken };
+}
+
+// Look up a share by id, or null when it doesn't exist, expired or was deleted
+async function getShare(id) {
+  if (!id || !/^[A-Za-z0-9]{1,32}$/.test(id)) return null;
+  const entry = await getShareStore().get(id);
+  if (!entry) return null;
+  const { deleteTokenHash, ...share } = entry.value;
+  return share;
+}
+
+// Delete a share with the token it was created with. Wrong tokens are thrown with
+// statusCode 403, unknown shares with 404.
+async function deleteShare(id, deleteToken) {
+  const store = getShareStore();
+  const entry = id && /^[A-Za-z0-9]{1,32}$/.test(id) ? await store.get(id) : null;
+  if (!entry) {
+    throw shareError('This shared link has expired or was already deleted.', 404);
+  }
+  const expected = Buffer.from(entry.value.deleteTokenHash, 'hex');
+  const given = Buffer.from(hashToken(deleteToken || ''), 'hex');
+  if (!deleteToken || !crypto.timingSafeEqual(expected, given)) {
+    throw shareError('The delete token does not match this link.', 403);
+  }
+  await store.delete(id);
+}
+
+// Helper function to read a delete token from "Authorization: Bearer <token>" or X-Delete-Token
+function getDeleteToken(headers = {}) {
+  const authorization = headers.authorization || headers.Authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+  return match ? match[1] : (headers['x-delete-token'] || headers['X-Delete-Token'] || null);
+}
+
+// The absolute base URL that share links and preview images use: SHARE_BASE_URL, the site URL
+// Netlify sets, or the request's own host
+function getBaseUrl(headers = {}) {
+  const configured = process.env.SHARE_BASE_URL || process.env.URL;
+  if (configured) return configured.replace(/\/+$/, '');
+  const host = headers['x-forwarded-host'] || headers.host || headers.Host || 'localhost';
+  const protocol = (headers['x-forwarded-proto'] || (/^(localhost|127\.)/.test(host) ? 'http' : 'https')).split(',')[0];
+  return `${protocol}://${host}`;
+}
+
+// Helper function to escape text for HTML and attribute values
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The title shown on a share's page and preview card
+function getShareTitle(share) {
+  if (share.kind === 'explanation') {
+    return share.term ? `${share.term}, explained` : 'A crypto term, explained';
+  }
+  return share.source.title ? `Summary: ${share.source.title}` : 'A one-minute summary';
+}
+
+// The line under a share: tone, length and when it was made
+function getShareFooter(share) {
+  const date = new Date(share.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  return [share.tone ? `${share.tone} tone` : '', share.length || '', date].filter(Boolean).join(' - ');
+}
+
+// Helper function to shorten text for a description tag
+function getDescription(text, maxChars = 200) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > maxChars ? `${flat.slice(0, maxChars - 3).trimEnd()}...` : flat;
+}
+
+// Render a share's page, with its Open Graph / Twitter Card tags
+function renderSharePage(share, baseUrl) {
+  const pageUrl = `${baseUrl}/s/${share.id}`;
+  const title = getShareTitle(share);
+  const description = getDescription(share.text);
+  const paragraphs = share.text.split(/\n+/).map(line => {
+    const bullet = /^[•·\-*]\s+/.test(line);
+    return `<p${bullet ? ' class="bullet"' : ''}>${escapeHtml(bullet ? line.replace(/^[•·\-*]\s+/, '• ') : line)}</p>`;
+  }).join('\n      ');
+  const sourceLink = share.source.url ?
+    `<a href="${escapeHtml(share.source.url)}" rel="nofollow noopener" target="_blank">${escapeHtml(share.source.title || share.source.url)}</a>` :
+    (share.source.title ? escapeHtml(share.source.title) : '');
+  const source = sourceLink || (share.source.excerpt ? `"${escapeHtml(share.source.excerpt)}"` : '');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(share.targetLanguage || 'en')}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Just One Minute</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <meta name="robots" content="noindex">
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="Just One Minute">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  <meta property="og:image" content="${escapeHtml(pageUrl)}/image.png">
+  <meta property="og:image:width" content="1200">
+  <meta property="og:image:height" content="630">
+  <meta property="article:published_time" content="${escapeHtml(share.createdAt)}">
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <meta name="twitter:image" content="${escapeHtml(pageUrl)}/image.png">
+  <style>
+    body { margin: 0; min-height: 100vh; background: linear-gradient(135deg, #0a0a0a 0%, #1a1a1a 100%); color: #f5f5f5; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+    .container { max-width: 720px; margin: 0 auto; padding: 40px 20px; }
+    .brand { color: #ffd700; text-decoration: none; font-size: 1.4em; font-weight: 700; }
+    h1 { color: #8b5cf6; font-size: 1.3em; margin: 24px 0 16px; }
+    .card { background: linear-gradient(135deg, #1a1a1a 0%, #2a2a2a 100%); border: 2px solid #ffd700; border-radius: 16px; padding: 24px; line-height: 1.6; }
+    .card p { margin: 0 0 12px; }
+    .card p.bullet { padding-left: 8px; }
+    .meta { color: #8b5cf6; font-size: 0.85em; margin-top: 16px; }
+    .meta a { color: #8b5cf6; }
+    .actions { margin-top: 24px; display: flex; gap: 12px; align-items: center; }
+    .cta { color: #0a0a0a; background: #ffd700; padding: 10px 18px; border-radius: 12px; text-decoration: none; font-weight: 600; }
+    #deleteShareBtn { display: none; background: none; border: 1px solid #8b5cf6; color: #8b5cf6; border-radius: 12px; padding: 8px 14px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <a class="brand" href="/">...just one minute</a>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="card">
+      ${paragraphs}
+    </div>
+    <div class="meta">
+      ${source ? `Source: ${source}<br>` : ''}${escapeHtml(getShareFooter(share))} - this link expires ${escapeHtml(new Date(share.expiresAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' }))}
+    </div>
+    <div class="actions">
+      <a class="cta" href="/">summarize your own</a>
+      <button type="button" id="deleteShareBtn">delete this link</button>
+    </div>
+  </div>
+  <script>
+    // The browser that shared the link keeps its delete token
+    (function () {
+      var id = ${JSON.stringify(share.id)};
+      var tokens = {};
+      try { tokens = JSON.parse(localStorage.getItem('shareDeleteTokens') || '{}'); } catch (err) {}
+      var button = document.getElementById('deleteShareBtn');
+      if (!tokens[id] || !button) return;
+      button.style.display = 'inline-block';
+      button.addEventListener('click', function () {
+        if (!confirm('Delete this shared link? It will stop working for everyone.')) return;
+        fetch('/.netlify/functions/share/' + id, { method: 'DELETE', headers: { Authorization: 'Bearer ' + tokens[id] } })
+          .then(function (res) {
+            if (!res.ok && res.status !== 404) throw new Error('Could not delete the link (' + res.status + ')');
+            delete tokens[id];
+            localStorage.setItem('shareDeleteTokens', JSON.stringify(tokens));
+            location.reload();
+          })
+          .catch(function (err) { alert(err.message); });
+      });
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+// Render the page for a share that doesn't exist (anymore)
+function renderMissingSharePage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Link expired - Just One Minute</title>
+  <meta name="robots" content="noindex">
+  <style>
+    body { margin: 0; min-height: 100vh; background: #0a0a0a; color: #f5f5f5; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; text-align: center; }
+    .container { padding: 80px 20px; }
+    a { color: #ffd700; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>This link has expired or was deleted</h1>
+    <p><a href="/">Summarize something new</a></p>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  createShare,
+  getShare,
+  deleteShare,
+  getDeleteToken,
+  getBaseUrl,
+  getShareTitle,
+  getShareFooter,
+  renderSharePage,
+  renderMissingSharePage,
+  getShareStore,
+  setShareStore,
+  isShareStoreShared
+};
@@ -0,0 +1,66 @@
+const { StringDecoder } = require('string_decoder');
+
+// Server-Sent Events helpers shared by the streaming endpoints
+
+// Format one SSE event
+function formatSseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Read an OpenAI-style streamed completion ("data: {...}" lines ending with "data: [DONE]"),
+// calling onDelta with each piece of content. Resolves with the full text and finish reason.
+async function readCompletionStream(body, onDelta) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let text = '';
+  let finishReason = null;
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newlineIndex).trim();
+      buffer = buffer.substring(newlineIndex + 1);
+
+      // Skip blank lines and keep-alive comments like ": OPENROUTER PROCESSING"
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.substring(5).trim();
+      if (data === '[DONE]') {
+        return { text, finishReason };
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (parseError) {
+        console.log('Skipping unparseable stream line:', data);
+        continue;
+      }
+
+      if (parsed.error) {
+        throw new Error(`AI service error: ${parsed.error.message || JSON.stringify(parsed.error)}`);
+      }
+
+      const choice = parsed.choices && parsed.choices[0];
+      if (!choice) continue;
+
+      const delta = choice.delta && choice.delta.content;
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+  }
+
+  return { text, finishReason };
+}
+
+module.exports = {
+  formatSseEvent,
+  readCompletionStream
+};
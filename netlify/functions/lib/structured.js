@@ -0,0 +1,304 @@
+const { extractiveSummarize, splitSentences } = require('./extractive');
+const { getLanguageInstruction } = require('./language');
+const { CONTENT_SHAPES } = require('./content-analysis');
+const { countWords, getReadingWpm } = require('./length-budget');
+
+// Structured summaries (format "structured"): the LLM returns JSON with a TL;DR, key points,
+// entities, key figures and sentiment. The output is parsed leniently, repaired where possible,
+// checked against the schema and retried with the validation errors when it doesn't fit.
+// Content type and reading time are computed locally rather than trusted to the model.
+// Content types with a summary shape (see content-analysis.js) also get a "sections" object.
+
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed'];
+
+const SCHEMA_DESCRIPTION = `{
+  "tldr": "one or two sentence summary (string, max 300 characters)",
+  "keyPoints": ["3-7 short key points (strings)"],
+  "entities": {
+    "people": ["names of people"],
+    "organizations": ["companies, projects, institutions"],
+    "tickers": ["stock or crypto tickers without the $, like BTC or AAPL"]
+  },
+  "figures": [{ "value": "a number, amount or percentage exactly as written", "context": "what it measures" }],
+  "sentiment": "positive | negative | neutral | mixed"
+}`;
+
+// Helper function to add the content type's "sections" to the schema
+function getSchemaDescription(contentType) {
+  const shape = CONTENT_SHAPES[contentType];
+  if (!shape) return SCHEMA_DESCRIPTION;
+
+  const sections = shape.fields.map(field => `    "${field}": "one sentence on the ${field}, or an empty string if the content doesn't say"`).join(',\n');
+  return SCHEMA_DESCRIPTION.replace(/\n}$/, `,\n  "sections": {\n${sections}\n  }\n}`);
+}
+
+// Build the prompt asking for a structured summary
+function getStructuredPrompt(content, { tone, isTwitterContent, contentType, sourceLanguage = 'en', targetLanguage = sourceLanguage } = {}) {
+  const toneInstruction = tone ? ` Write the tldr and key points in a ${tone} tone.` : '';
+  const languageInstruction = getLanguageInstruction(targetLanguage, sourceLanguage);
+  // Only the text values are translated; keys and the sentiment label stay as in the schema
+  const languageRule = languageInstruction ? `\n\n${languageInstruction} JSON keys and the sentiment value stay in English.` : '';
+  const twitterContext = isTwitterContent ? 'This is a Twitter/X thread. ' : '';
+
+  return `${twitterContext}Summarize the content below as JSON matching this schema exactly:
+
+${getSchemaDescription(contentType)}
+
+Rules: return ONLY the JSON object, no markdown fences or commentary. Use empty arrays when there is nothing to list. Only include names, tickers and figures that actually appear in the content, copied exactly.${toneInstruction}${languageRule}
+
+CONTENT TO SUMMARIZE:
+${content}`;
+}
+
+// Build the follow-up prompt when the previous output didn't validate
+function getRepairPrompt(previousOutput, errors, contentType) {
+  return `Your previous answer was not valid for the required JSON schema.
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Schema:
+${getSchemaDescription(contentType)}
+
+Previous answer:
+${previousOutput}
+
+Return ONLY the corrected JSON object.`;
+}
+
+// Helper function to close strings, arrays and objects left open by a cut-off response
+function closeTruncatedJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') stack.push('}');
+    else if (char === '[') stack.push(']');
+    else if (char === '}' || char === ']') stack.pop();
+  }
+
+  let repaired = inString ? `${text}"` : text;
+  // Drop a dangling key (a last string in an array is a value) or trailing comma before closing
+  if (stack[stack.length - 1] === '}') {
+    repaired = repaired.replace(/([{,])\s*"[^"]*"\s*:?\s*$/, '$1');
+  }
+  repaired = repaired.replace(/[,:]\s*$/, '');
+  return repaired + stack.reverse().join('');
+}
+
+// Parse model output into an object, repairing common problems (fences, prose around the JSON,
+// smart quotes, trailing commas, truncation). Returns null if it can't be parsed.
+function parseJsonLoose(text) {
+  let candidate = String(text || '').trim();
+  const fenced = /```(?:json)?\s*([\s\S]*?)(?:```|$)/i.exec(candidate);
+  if (fenced) candidate = fenced[1];
+
+  const start = candidate.indexOf('{');
+  if (start === -1) return null;
+  const end = candidate.lastIndexOf('}');
+  candidate = end > start ? candidate.substring(start, end + 1) : candidate.substring(start);
+
+  const attempts = [
+    candidate,
+    candidate.replace(/[“”]/g, '"').replace(/[‘’]/g, "'").replace(/,\s*([}\]])/g, '$1')
+  ];
+  attempts.push(closeTruncatedJson(attempts[1]));
+  // A truncated response may also have been cut right after a complete value
+  if (end > start) {
+    attempts.push(closeTruncatedJson(attempts[1].substring(0, attempts[1].length - 1)));
+  }
+
+  for (const attempt of attempts) {
+    try {
+      const parsed = JSON.parse(attempt);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Try the next repair
+    }
+  }
+  return null;
+}
+
+// Helper function to coerce a value into a clean list of strings
+function toStringList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/\s*[,;\n]\s*/);
+  return [...new Set(list
+    .map(item => (item && typeof item === 'object' ? item.name || item.value || item.text : item))
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(item => String(item).replace(/^[-•*]\s*/, '').trim())
+    .filter(Boolean))];
+}
+
+// Helper function to keep the shape's sections that came back as text
+function normalizeSections(sections, shape) {
+  const source = sections && typeof sections === 'object' ? sections : {};
+  const normalized = {};
+  shape.fields.forEach(field => {
+    const value = source[field] || source[field.charAt(0).toUpperCase() + field.slice(1)];
+    normalized[field] = typeof value === 'string' ? value.trim() : '';
+  });
+  return normalized;
+}
+
+// Map common near-misses (snake_case keys, strings instead of lists) onto the schema
+function normalizeStructuredOutput(raw, contentType) {
+  const entities = raw.entities && typeof raw.entities === 'object' ? raw.entities : {};
+  const figures = raw.figures || raw.keyFigures || raw.key_figures || raw.numbers || [];
+
+  return {
+    tldr: typeof (raw.tldr || raw.tl_dr || raw.TLDR || raw.summary) === 'string' ?
+      (raw.tldr || raw.tl_dr || raw.TLDR || raw.summary).trim() : raw.tldr,
+    keyPoints: toStringList(raw.keyPoints || raw.key_points || raw.points),
+    entities: {
+      people: toStringList(entities.people || entities.persons || raw.people),
+      organizations: toStringList(entities.organizations || entities.orgs || entities.organisations || raw.organizations),
+      tickers: [...new Set(toStringList(entities.tickers || entities.symbols || raw.tickers).map(ticker => ticker.replace(/^\$/, '').toUpperCase()))]
+    },
+    figures: (Array.isArray(figures) ? figures : [figures])
+      .map(figure => (figure && typeof figure === 'object' ?
+        { value: String(figure.value || figure.figure || figure.number || '').trim(), context: String(figure.context || figure.description || figure.label || '').trim() } :
+        { value: String(figure || '').trim(), context: '' }))
+      .filter(figure => figure.value),
+    sentiment: typeof raw.sentiment === 'string' ? raw.sentiment.trim().toLowerCase() : raw.sentiment,
+    ...(CONTENT_SHAPES[contentType] ? { sections: normalizeSections(raw.sections, CONTENT_SHAPES[contentType]) } : {})
+  };
+}
+
+// Check a normalized object against the schema. Returns a list of problems (empty when valid).
+function validateStructuredSummary(summary) {
+  const errors = [];
+
+  if (typeof summary.tldr !== 'string' || !summary.tldr) {
+    errors.push('"tldr" must be a non-empty string');
+  } else if (summary.tldr.length > 300) {
+    errors.push('"tldr" must be at most 300 characters');
+  }
+
+  if (summary.keyPoints.length === 0) {
+    errors.push('"keyPoints" must be a non-empty array of strings');
+  } else if (summary.keyPoints.length > 7) {
+    errors.push('"keyPoints" must have at most 7 items');
+  }
+
+  if (!SENTIMENTS.includes(summary.sentiment)) {
+    errors.push(`"sentiment" must be one of ${SENTIMENTS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Helper function to estimate reading time
+function getReadingTime(sourceText, summary) {
+  const wordsPerMinute = getReadingWpm();
+  const summaryWords = countWords([summary.tldr, ...summary.keyPoints].join(' '));
+  return {
+    sourceMinutes: Math.max(1, Math.round(countWords(sourceText) / wordsPerMinute)),
+    summarySeconds: Math.max(1, Math.round(summaryWords / wordsPerMinute * 60))
+  };
+}
+
+// Helper function to find cashtags like $BTC written in the source (returned without the $)
+function findTickers(text) {
+  return [...new Set((text.match(/\$[A-Z]{2,6}\b/g) || []).map(ticker => ticker.substring(1)))];
+}
+
+const ORGANIZATION_SUFFIX = /\b(?:Inc|Corp|Corporation|Company|Co|Ltd|LLC|Group|Labs|Foundation|Bank|University|Institute|Association|Agency|Ministry|Network|Protocol|Exchange|Capital|Ventures|Partners|Holdings|Systems|Technologies)$/;
+
+// Helper function to escape a string for use in a RegExp
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to sort analyzeContent names into people and organizations without the model.
+// Multi-word names are people unless they end like an organization ("Acme Labs"); single words
+// are kept as organizations (companies, projects) only when they also appear mid-sentence, so
+// capitalized sentence openers like "Today" are dropped.
+function splitNames(text, names) {
+  const people = [];
+  const organizations = [];
+
+  names.forEach(name => {
+    if (ORGANIZATION_SUFFIX.test(name)) {
+      organizations.push(name);
+    } else if (/\s/.test(name)) {
+      people.push(name);
+    } else if (new RegExp(`[^.!?\\s]\\s+${escapeRegExp(name)}\\b`).test(text)) {
+      organizations.push(name);
+    }
+  });
+
+  return { people, organizations };
+}
+
+// Build a structured summary without the LLM, from the extractive summarizer and analyzeContent
+function getExtractiveStructuredSummary(text, { contentType = 'general', numbers = [], names = [], boostPhrases = [] } = {}) {
+  const keyPoints = extractiveSummarize(text, 'bullet list', { boostPhrases })
+    .split('\n')
+    .map(point => point.replace(/^•\s*/, ''))
+    .filter(Boolean);
+  const sentences = splitSentences(text);
+
+  const summary = {
+    tldr: extractiveSummarize(text, '1 line', { boostPhrases }),
+    keyPoints,
+    entities: { ...splitNames(text, names), tickers: findTickers(text) },
+    figures: numbers.slice(0, 10).map(value => ({
+      value,
+      context: sentences.find(sentence => sentence.includes(value)) || ''
+    })),
+    // Sentiment needs the model, so stay neutral
+    sentiment: 'neutral'
+  };
+
+  return { ...summary, contentType, readingTime: getReadingTime(text, summary) };
+}
+
+// Generate a validated structured summary.
+// callModel(prompt, attempt) runs one LLM call and resolves with its text; attempts are
+// stopped early when canRetry() returns false (e.g. the time budget is spent).
+// Resolves with the summary object; throws 'Invalid response ...' if nothing validated.
+async function generateStructuredSummary(content, { sourceText, contentType = 'general', tone, isTwitterContent, sourceLanguage, targetLanguage, callModel, maxAttempts = 2, canRetry = () => true }) {
+  let prompt = getStructuredPrompt(content, { tone, isTwitterContent, contentType, sourceLanguage, targetLanguage });
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const output = await callModel(prompt, attempt);
+    const parsed = parseJsonLoose(output);
+
+    if (parsed) {
+      const summary = normalizeStructuredOutput(parsed, contentType);
+      lastErrors = validateStructuredSummary(summary);
+
+      if (lastErrors.length === 0) {
+        const source = sourceText || content;
+        summary.entities.tickers = [...new Set([...summary.entities.tickers, ...findTickers(source)])];
+        return { ...summary, contentType, readingTime: getReadingTime(source, summary) };
+      }
+    } else {
+      lastErrors = ['the answer was not a JSON object'];
+    }
+
+    console.log(`Structured summary attempt ${attempt} did not validate:`, lastErrors.join('; '));
+    if (attempt < maxAttempts && !canRetry()) break;
+    prompt = getRepairPrompt(output, lastErrors, contentType);
+  }
+
+  throw new Error(`Invalid response from AI service: structured summary did not validate (${lastErrors.join('; ')})`);
+}
+
+module.exports = {
+  parseJsonLoose,
+  normalizeStructuredOutput,
+  validateStructuredSummary,
+  generateStructuredSummary,
+  getExtractiveStructuredSummary
+};
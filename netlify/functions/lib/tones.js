@@ -0,0 +1,351 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Tone presets: each tone is a prompt template with {variables}, an optional example of the
+// style and optional post-processing rules. Built-in tones ship with the app; custom tones are
+// added through the tones endpoints and kept in memory (per function instance on Netlify),
+// or in the JSON file named by TONE_PRESETS_FILE when it is set. Changing tones needs
+// TONES_ADMIN_TOKEN; without it the registry is read-only.
+
+const TEMPLATE_VARIABLES = {
+  length: 'requested length, e.g. "3 sentences" or "bullet list"',
+  content: 'the text to summarize',
+  contentType: 'detected content type, e.g. "business" or "social_media"',
+  tone: 'the tone name',
+  names: 'key names found in the content',
+  numbers: 'important numbers found in the content',
+  technicalTerms: 'technical terms found in the content',
+  complexity: 'low, medium or high',
+  twitterContext: 'a note that the content is from Twitter/X (empty otherwise)',
+  bulletInstruction: 'bullet formatting instructions when length is "bullet list" (empty otherwise)',
+  instructions: 'the shared summarizing rules, content analysis, language and style example'
+};
+
+const MAX_TEMPLATE_CHARS = 4000;
+const MAX_EXAMPLE_CHARS = 2000;
+const MAX_CUSTOM_TONES = parseInt(process.env.MAX_CUSTOM_TONES) || 50;
+
+const BUILT_IN_TONES = [
+  {
+    id: 'simple',
+    name: 'simple',
+    description: 'Plain words anyone can follow',
+    template: '{twitterContext}{bulletInstruction}Break this down into {length} anyone can understand. Use everyday language and simple examples. Keep ALL important names/numbers but explain what they mean clearly. Like explaining to a friend who wants to understand. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}',
+    postProcess: {
+      replacements: {
+        utilize: 'use',
+        demonstrate: 'show',
+        facilitate: 'help',
+        implement: 'do',
+        subsequently: 'then',
+        approximately: 'about',
+        numerous: 'many',
+        substantial: 'large'
+      }
+    }
+  },
+  {
+    id: 'professional',
+    name: 'professional',
+    description: 'Polished, like a good meeting summary',
+    template: '{twitterContext}{bulletInstruction}Write this as {length} in professional tone that\'s polished but human. Like a good meeting summary. Keep all technical terms/names/numbers but make it business-appropriate and clear. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}',
+    postProcess: {
+      replacements: { "can't": 'cannot', "won't": 'will not', "don't": 'do not' }
+    }
+  },
+  {
+    id: 'conversational',
+    name: 'conversational',
+    description: 'Relaxed, like talking to a friend',
+    template: '{twitterContext}{bulletInstruction}Explain this in {length} like talking to a friend. Natural, relaxed, with some personality. Real conversation feel. Keep all important names/numbers but explain them naturally. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}'
+  },
+  {
+    id: 'shitpost',
+    name: 'shitpost',
+    description: 'Funny and informal, still on point',
+    template: '{twitterContext}{bulletInstruction}Turn this into a {length} that\'s funny and engaging while hitting the main points. Use casual internet language but keep it informative. Keep ALL important names/numbers but make it entertaining. Be witty but not over the top. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}',
+    // Ensure it doesn't go too far into nonsense
+    postProcess: { minLength: 20, shortPrefix: 'This content is basically saying: ' }
+  },
+  {
+    id: 'infographics',
+    name: 'infographics',
+    description: 'Scannable sections, stats and emojis',
+    template: '{twitterContext}{bulletInstruction}Make this into {length} perfect for an infographic. Clean sections, key stats, visual structure. Use emojis naturally and organize for easy scanning. Keep ALL important numbers/names but structure them clearly. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}'
+  },
+  {
+    id: 'investor-memo',
+    name: 'investor memo',
+    description: 'Thesis, numbers and risks for an investment committee',
+    template: '{bulletInstruction}Write {length} as an internal investor memo about this {contentType} content. Lead with the thesis, then the numbers that support it, then the main risk. Be neutral and precise, no hype. Keep every figure and ticker exactly as written. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}',
+    example: 'Thesis: ETF inflows are now the main driver of $BTC demand. Inflows hit $1.2B last week, the most since March. Risk: flows reverse quickly if rates stay high.',
+    postProcess: {
+      replacements: { "can't": 'cannot', "won't": 'will not', "don't": 'do not' }
+    }
+  },
+  {
+    id: 'changelog',
+    name: 'changelog',
+    description: 'What changed, in release-notes style',
+    template: 'Summarize this as a changelog in {length}. Group changes under Added, Changed, Fixed or Removed where they apply, one short line per change, starting with a verb. Leave out anything that is not a change. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}',
+    example: 'Added: staking rewards dashboard.\nChanged: withdrawal limit raised to 50 ETH per day.\nFixed: delayed balance updates on Arbitrum.'
+  },
+  {
+    id: 'degen-recap',
+    name: 'degen recap',
+    description: 'Crypto Twitter recap with the alpha up front',
+    template: '{twitterContext}{bulletInstruction}Give a degen recap of this in {length}: alpha first, then the numbers, in crypto Twitter slang (ser, ngmi, wagmi, aped) without losing accuracy. Keep every ticker, handle and number exactly as written. No financial advice claims. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}',
+    example: 'ser, $SOL just flipped its ATH and memecoin volume is up 40% on the week. funding is getting spicy though, so don\'t ape with leverage.'
+  }
+].map(tone => ({ description: '', example: '', postProcess: {}, ...tone, builtIn: true }));
+
+// Used for tones that aren't in the registry (same behavior as the old default case)
+const DEFAULT_TEMPLATE = '{twitterContext}{bulletInstruction}Write this as {length} with {tone} tone that\'s authentic and human. Keep all important keywords/names/numbers but make it clear and engaging. {instructions}\n\nCONTENT TO SUMMARIZE:\n{content}';
+
+let customTones = null;
+
+// Helper function to build a tone error with an HTTP status code
+function toneError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Helper function to load custom tones on first use
+function getCustomTones() {
+  if (customTones) return customTones;
+
+  customTones = new Map();
+  const file = process.env.TONE_PRESETS_FILE;
+  if (file && fs.existsSync(file)) {
+    try {
+      JSON.parse(fs.readFileSync(file, 'utf8')).forEach(tone => customTones.set(tone.id, tone));
+    } catch (error) {
+      console.error(`Could not read tone presets from ${file}:`, error.message);
+    }
+  }
+  return customTones;
+}
+
+// Helper function to write custom tones back to TONE_PRESETS_FILE, if configured
+function saveCustomTones() {
+  const file = process.env.TONE_PRESETS_FILE;
+  if (!file) return;
+
+  try {
+    fs.writeFileSync(file, JSON.stringify([...getCustomTones().values()], null, 2));
+  } catch (error) {
+    console.error(`Could not save tone presets to ${file}:`, error.message);
+  }
+}
+
+// Helper function to turn a tone name into its id ("Investor Memo" -> "investor-memo")
+function slugify(text) {
+  return String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40);
+}
+
+// Check and clean a tone definition from a request body.
+// With partial, missing fields are allowed (for updates).
+function validateTone(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw toneError('Tone must be a JSON object.');
+  }
+
+  const tone = {};
+  const errors = [];
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 60) {
+      errors.push('"name" must be a non-empty string of at most 60 characters');
+    } else {
+      tone.name = input.name.trim();
+    }
+  }
+
+  if (input.template !== undefined || !partial) {
+    if (typeof input.template !== 'string' || !input.template.trim()) {
+      errors.push('"template" must be a non-empty string');
+    } else if (input.template.length > MAX_TEMPLATE_CHARS) {
+      errors.push(`"template" must be at most ${MAX_TEMPLATE_CHARS} characters`);
+    } else {
+      const unknown = [...input.template.matchAll(/\{(\w+)\}/g)]
+        .map(match => match[1])
+        .filter(name => !TEMPLATE_VARIABLES[name]);
+      if (unknown.length > 0) {
+        errors.push(`"template" uses unknown variables ${[...new Set(unknown)].map(name => `{${name}}`).join(', ')}; available: ${Object.keys(TEMPLATE_VARIABLES).map(name => `{${name}}`).join(', ')}`);
+      } else {
+        tone.template = input.template;
+      }
+    }
+  }
+
+  ['description', 'example'].forEach(field => {
+    if (input[field] === undefined) return;
+    const max = field === 'example' ? MAX_EXAMPLE_CHARS : 200;
+    if (typeof input[field] !== 'string' || input[field].length > max) {
+      errors.push(`"${field}" must be a string of at most ${max} characters`);
+    } else {
+      tone[field] = input[field].trim();
+    }
+  });
+
+  if (input.postProcess !== undefined) {
+    const rules = input.postProcess || {};
+    const postProcess = {};
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      errors.push('"postProcess" must be an object');
+    } else {
+      if (rules.replacements !== undefined) {
+        const valid = rules.replacements && typeof rules.replacements === 'object' && !Array.isArray(rules.replacements) &&
+          Object.entries(rules.replacements).every(([from, to]) => from.trim() && typeof to === 'string');
+        if (valid) postProcess.replacements = rules.replacements;
+        else errors.push('"postProcess.replacements" must map words to their replacements, e.g. { "utilize": "use" }');
+      }
+      if (rules.shortPrefix !== undefined || rules.minLength !== undefined) {
+        if (typeof rules.shortPrefix !== 'string' || !Number.isInteger(rules.minLength) || rules.minLength < 1) {
+          errors.push('"postProcess.shortPrefix" and "postProcess.minLength" go together: a string and a positive integer');
+        } else {
+          postProcess.shortPrefix = rules.shortPrefix;
+          postProcess.minLength = rules.minLength;
+        }
+      }
+      tone.postProcess = postProcess;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw toneError(`Invalid tone: ${errors.join('; ')}.`);
+  }
+  return tone;
+}
+
+// All tones, built-in first
+function listTones() {
+  const custom = [...getCustomTones().values()].sort((a, b) => a.name.localeCompare(b.name));
+  return [...BUILT_IN_TONES, ...custom];
+}
+
+// Find a tone by id (or by name, since older clients send the tone name). Returns null if unknown.
+function getTone(id) {
+  if (!id) return null;
+  const key = String(id).trim();
+  return BUILT_IN_TONES.find(tone => tone.id === key) || getCustomTones().get(key) ||
+    listTones().find(tone => tone.id === slugify(key) || tone.name.toLowerCase() === key.toLowerCase()) || null;
+}
+
+function createTone(input) {
+  const fields = validateTone(input);
+  const id = input.id ? slugify(input.id) : slugify(fields.name);
+  if (!id) {
+    throw toneError('Invalid tone: "id" must contain letters or numbers.');
+  }
+  if (getTone(id) && getTone(id).id === id) {
+    throw toneError(`A tone with id "${id}" already exists.`, 409);
+  }
+  if (getCustomTones().size >= MAX_CUSTOM_TONES) {
+    throw toneError(`There are already ${MAX_CUSTOM_TONES} custom tones. Delete one before adding another.`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const tone = { id, description: '', example: '', postProcess: {}, ...fields, builtIn: false, createdAt: now, updatedAt: now };
+  getCustomTones().set(id, tone);
+  saveCustomTones();
+  return tone;
+}
+
+// Helper function to find a custom tone that can be changed
+function getEditableTone(id) {
+  if (BUILT_IN_TONES.some(tone => tone.id === id)) {
+    throw toneError(`"${id}" is a built-in tone and can't be changed. Create a new tone instead.`, 403);
+  }
+  const tone = getCustomTones().get(id);
+  if (!tone) {
+    throw toneError(`No tone with id "${id}".`, 404);
+  }
+  return tone;
+}
+
+function updateTone(id, input) {
+  const tone = getEditableTone(id);
+  const updated = { ...tone, ...validateTone(input, { partial: true }), updatedAt: new Date().toISOString() };
+  getCustomTones().set(id, updated);
+  saveCustomTones();
+  return updated;
+}
+
+function deleteTone(id) {
+  const tone = getEditableTone(id);
+  getCustomTones().delete(id);
+  saveCustomTones();
+  return tone;
+}
+
+// Fill in a tone's template. Variables missing from a custom template are added so every
+// prompt still gets the shared instructions and the content.
+function buildTonePrompt(toneId, variables) {
+  const tone = getTone(toneId);
+  let template = tone ? tone.template : DEFAULT_TEMPLATE;
+  const example = tone && tone.example ?
+    `\n\nEXAMPLE OF THIS STYLE (match the style, not the facts):\n${tone.example}` : '';
+
+  if (!template.includes('{instructions}')) template += ' {instructions}';
+  if (!template.includes('{content}')) template += '\n\nCONTENT TO SUMMARIZE:\n{content}';
+
+  const values = {
+    ...variables,
+    tone: tone ? tone.name : toneId,
+    instructions: `${variables.instructions || ''}${example}`
+  };
+  // One pass, so braces inside the content are left alone
+  return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+}
+
+// Apply a tone's post-processing rules (word replacements, prefix for very short output)
+function applyTonePostProcessing(text, toneId) {
+  const tone = getTone(toneId);
+  const rules = (tone && tone.postProcess) || {};
+  let processed = text;
+
+  Object.entries(rules.replacements || {}).forEach(([from, to]) => {
+    const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    processed = processed.replace(new RegExp(`(?<![\\w'])${escaped}(?![\\w'])`, 'gi'), match =>
+      // Keep the capital at the start of a sentence
+      (/^[A-Z]/.test(match) ? to.charAt(0).toUpperCase() + to.slice(1) : to));
+  });
+
+  if (rules.shortPrefix && processed.length < rules.minLength) {
+    processed = rules.shortPrefix + processed;
+  }
+  return processed;
+}
+
+// Whether a request may change tones: only with "Authorization: Bearer <TONES_ADMIN_TOKEN>".
+// Without TONES_ADMIN_TOKEN nobody can.
+function canManageTones(authorization) {
+  const token = process.env.TONES_ADMIN_TOKEN;
+  if (!token) return false;
+
+  const provided = Buffer.from(String(authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Error message for a request that canManageTones turned down
+function getToneAdminError() {
+  return process.env.TONES_ADMIN_TOKEN ?
+    'A valid admin token is required to change tones.' :
+    'Changing tones is disabled. Set TONES_ADMIN_TOKEN to enable it.';
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  listTones,
+  getTone,
+  createTone,
+  updateTone,
+  deleteTone,
+  buildTonePrompt,
+  applyTonePostProcessing,
+  canManageTones,
+  getToneAdminError
+};
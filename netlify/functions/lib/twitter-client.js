@@ -0,0 +1,182 @@
+const fetch = require('node-fetch');
+const AbortController = require('abort-controller');
+
+// Twitter API v2 client used to rebuild threads (see twitter-thread.js).
+// The x-rate-limit-* headers are tracked per endpoint: once a window is used up, calls fail
+// straight away with a "retry after" error (status 429, retryAfterSeconds) until it resets,
+// instead of going out and burning time. Successful responses are cached for
+// TWITTER_CACHE_TTL_SECONDS, and identical requests made at the same time share one call.
+// State lives as long as the process (or warm function instance) does.
+//
+// TWITTER_API_BASE_URL points the client at another host, e.g. a local API stand-in for tests.
+
+const DEFAULT_API_BASE_URL = 'https://api.twitter.com';
+const DEFAULT_REQUEST_TIMEOUT_MS = 3000;
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+const MAX_CACHE_ENTRIES = 500;
+// Wait assumed when a 429 comes back without a reset time
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+const rateLimits = new Map();
+const cache = new Map();
+const pending = new Map();
+
+// Helper function to read the API host, without a trailing slash
+function getApiBaseUrl() {
+  return (process.env.TWITTER_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+// Helper function to read the cache TTL; 0 turns the cache off
+function getCacheTtlMs() {
+  const seconds = parseInt(process.env.TWITTER_CACHE_TTL_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_CACHE_TTL_SECONDS) * 1000;
+}
+
+// Helper function to group paths by endpoint, since rate limits are per endpoint ("/2/tweets/:id")
+function getEndpoint(path) {
+  return path.replace(/\/tweets\/\d+/, '/tweets/:id');
+}
+
+// Turn an API status into a readable error (status is kept on the error)
+function getApiError(status, detail) {
+  const messages = {
+    401: 'Twitter API authentication failed',
+    403: 'Tweet is private or protected',
+    404: 'Tweet not found or has been deleted'
+  };
+  const error = new Error(messages[status] || `Twitter API error: ${status} - ${detail || 'Unknown error'}`);
+  error.status = status;
+  return error;
+}
+
+// Helper function to build the error for a used-up rate limit window
+function getRateLimitError(resetAt) {
+  const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  const error = new Error(`Twitter API rate limit reached. Retry after ${retryAfterSeconds} seconds.`);
+  error.status = 429;
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+}
+
+// Helper function to remember an endpoint's rate limit from the response headers
+function recordRateLimit(endpoint, headers) {
+  const remaining = parseInt(headers.get('x-rate-limit-remaining'), 10);
+  const reset = parseInt(headers.get('x-rate-limit-reset'), 10);
+  if (!Number.isFinite(remaining) || !Number.isFinite(reset)) return;
+
+  rateLimits.set(endpoint, {
+    limit: parseInt(headers.get('x-rate-limit-limit'), 10) || null,
+    remaining,
+    // x-rate-limit-reset is in epoch seconds
+    resetAt: reset * 1000
+  });
+}
+
+// Helper function to work out when a 429 response can be retried
+function getRetryAt(headers) {
+  const retryAfter = parseInt(headers.get('retry-after'), 10);
+  if (Number.isFinite(retryAfter)) return Date.now() + retryAfter * 1000;
+  const reset = parseInt(headers.get('x-rate-limit-reset'), 10);
+  if (Number.isFinite(reset) && reset * 1000 > Date.now()) return reset * 1000;
+  return Date.now() + DEFAULT_RETRY_AFTER_SECONDS * 1000;
+}
+
+// Helper function to make one request with a timeout that never runs past the deadline
+async function request(url, endpoint, deadline) {
+  const token = process.env.TWITTER_BEARER_TOKEN;
+  if (!token) {
+    throw new Error('Twitter API access not configured');
+  }
+
+  const remaining = deadline - Date.now();
+  if (remaining <= 0) {
+    throw new Error('Twitter API timeout');
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), Math.min(remaining, DEFAULT_REQUEST_TIMEOUT_MS));
+
+  try {
+    const response = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      signal: controller.signal
+    });
+    recordRateLimit(endpoint, response.headers);
+
+    if (response.status === 429) {
+      const resetAt = getRetryAt(response.headers);
+      rateLimits.set(endpoint, { ...(rateLimits.get(endpoint) || { limit: null }), remaining: 0, resetAt });
+      throw getRateLimitError(resetAt);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw getApiError(response.status, data.detail || data.title);
+    }
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Twitter API timeout');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// GET an API path (like "/2/tweets/123") with query params, giving up at the deadline
+// (a Date.now() timestamp). Resolves with the parsed JSON body; throws getApiError errors,
+// or a rate limit error with retryAfterSeconds.
+async function twitterGet(path, params, deadline) {
+  const query = new URLSearchParams(params).toString();
+  const url = `${getApiBaseUrl()}${path}${query ? `?${query}` : ''}`;
+  const endpoint = getEndpoint(path);
+
+  const cached = cache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data;
+  }
+  if (pending.has(url)) {
+    return pending.get(url);
+  }
+
+  const limit = rateLimits.get(endpoint);
+  if (limit && limit.remaining <= 0 && limit.resetAt > Date.now()) {
+    console.log(`Twitter rate limit for ${endpoint} is used up, not calling it`);
+    throw getRateLimitError(limit.resetAt);
+  }
+
+  const call = request(url, endpoint, deadline)
+    .then(data => {
+      const ttlMs = getCacheTtlMs();
+      if (ttlMs > 0) {
+        cache.delete(url);
+        cache.set(url, { data, expiresAt: Date.now() + ttlMs });
+        // Maps keep insertion order, so the first key is the oldest entry
+        if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+      }
+      return data;
+    })
+    .finally(() => pending.delete(url));
+  pending.set(url, call);
+  return call;
+}
+
+// Current rate limit of every endpoint called so far, for debugging and health checks
+function getRateLimitStates() {
+  const states = {};
+  rateLimits.forEach((limit, endpoint) => {
+    states[endpoint] = {
+      limit: limit.limit,
+      remaining: limit.remaining,
+      resetsInSeconds: Math.max(0, Math.ceil((limit.resetAt - Date.now()) / 1000))
+    };
+  });
+  return states;
+}
+
+module.exports = {
+  getApiError,
+  twitterGet,
+  getRateLimitStates
+};
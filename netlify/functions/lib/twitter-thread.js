@@ -0,0 +1,308 @@
+const { twitterGet, getApiError } = require('./twitter-client');
+
+// Rebuild a Twitter/X thread from the v2 API. The thread is the author's own self-reply chain:
+// starting from the linked tweet we walk up through the tweets it replies to while they are by
+// the same author, then follow the author's replies down again. Search results are paged with
+// next_token, and other people's replies never end up in the thread - the top N replies can be
+// asked for separately. When search can't help (an error, or a thread older than the 7-day
+// recent-search window) we fall back to the root tweet plus the self-reply chain up to the
+// linked tweet, looked up one tweet at a time.
+//
+// Each tweet is rendered with what it carries besides its text: quoted tweets inline, t.co links
+// expanded to their real URL (with the page title when Twitter has one), image/video alt text
+// and poll options with their results.
+//
+// API calls go through twitter-client.js, which handles rate limits and caching.
+
+const TWEET_FIELDS = 'text,created_at,conversation_id,author_id,referenced_tweets,in_reply_to_user_id,public_metrics,entities,attachments';
+const USER_FIELDS = 'username,name';
+const MEDIA_FIELDS = 'type,alt_text,url,preview_image_url';
+const POLL_FIELDS = 'options,voting_status,end_datetime';
+// Authors, quoted tweets (with their authors and media), media and polls come back in "includes"
+const EXPANSIONS = [
+  'author_id', 'referenced_tweets.id', 'referenced_tweets.id.author_id', 'referenced_tweets.id.attachments.media_keys',
+  'attachments.media_keys', 'attachments.poll_ids'
+].join(',');
+const EXPANSION_PARAMS = {
+  'tweet.fields': TWEET_FIELDS,
+  expansions: EXPANSIONS,
+  'user.fields': USER_FIELDS,
+  'media.fields': MEDIA_FIELDS,
+  'poll.fields': POLL_FIELDS
+};
+
+const MEDIA_LABELS = { photo: 'Image', video: 'Video', animated_gif: 'GIF' };
+
+// Note for prompts about the bracketed lines formatTweet adds
+const TWEET_ATTACHMENTS_NOTE = 'Lines in [brackets] are quoted tweets, image alt text and polls attached to the tweets, and links are followed by their page titles - treat them as part of the thread. ';
+
+const RECENT_SEARCH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const SEARCH_PAGE_SIZE = 100;
+const MAX_SEARCH_PAGES = 5;
+// Tweet lookups made while walking up the reply chain
+const MAX_CHAIN_LOOKUPS = 25;
+const MAX_TOP_REPLIES = 10;
+
+// Helper function to extract the tweet id from a twitter.com or x.com status URL
+function extractTweetId(url) {
+  const match = String(url || '').match(/https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/[^\/]+\/status\/(\d+)/);
+  if (!match) throw new Error('Invalid Twitter URL format');
+  return match[1];
+}
+
+// Validate the number of top replies to include. Missing values mean none; anything that isn't
+// a whole number from 0 to MAX_TOP_REPLIES is thrown with statusCode 400.
+function resolveTopReplies(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_TOP_REPLIES) {
+    const error = new Error(`topReplies must be a whole number from 0 to ${MAX_TOP_REPLIES}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return count;
+}
+
+// Helper function to collect the users, tweets, media and polls from a response's "includes"
+function addIncludes(includes, data) {
+  const found = (data && data.includes) || {};
+  (found.users || []).forEach(user => includes.users.set(user.id, user));
+  (found.tweets || []).forEach(tweet => includes.tweets.set(tweet.id, tweet));
+  (found.media || []).forEach(media => includes.media.set(media.media_key, media));
+  (found.polls || []).forEach(poll => includes.polls.set(poll.id, poll));
+}
+
+// Helper function to look up one tweet, adding its expansions to includes
+async function lookupTweet(tweetId, deadline, includes) {
+  const data = await twitterGet(`/2/tweets/${tweetId}`, EXPANSION_PARAMS, deadline);
+
+  // Missing tweets come back as 200 with an "errors" list
+  if (!data.data) {
+    const problem = (data.errors || [])[0] || {};
+    throw getApiError(/not-found/.test(problem.type || '') ? 404 : /authorization/i.test(problem.title || '') ? 403 : 404);
+  }
+  addIncludes(includes, data);
+  return data.data;
+}
+
+// Helper function to run a recent search, following next_token for up to maxPages pages and
+// adding the expansions to includes. Resolves with { tweets, complete }; complete is false
+// when pages were left unread.
+async function searchRecent(query, deadline, includes, maxPages = MAX_SEARCH_PAGES) {
+  const tweets = [];
+  let nextToken;
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await twitterGet('/2/tweets/search/recent', {
+      query,
+      max_results: String(SEARCH_PAGE_SIZE),
+      ...EXPANSION_PARAMS,
+      ...(nextToken ? { next_token: nextToken } : {})
+    }, deadline);
+
+    tweets.push(...(data.data || []));
+    addIncludes(includes, data);
+    nextToken = data.meta && data.meta.next_token;
+    if (!nextToken) return { tweets, complete: true };
+  }
+  return { tweets, complete: false };
+}
+
+// Helper function to find the id of the tweet a tweet replies to
+function getParentId(tweet) {
+  const parent = (tweet.referenced_tweets || []).find(reference => reference.type === 'replied_to');
+  return parent ? parent.id : null;
+}
+
+// Helper function to order tweets oldest first (ids are time-ordered, created_at may be missing)
+function byTime(a, b) {
+  const difference = new Date(a.created_at || 0).getTime() - new Date(b.created_at || 0).getTime();
+  return difference || a.id.length - b.id.length || a.id.localeCompare(b.id);
+}
+
+// Helper function to score a reply for the top replies list
+function getEngagement(tweet) {
+  const metrics = tweet.public_metrics || {};
+  return (metrics.like_count || 0) + 2 * (metrics.retweet_count || 0) + (metrics.reply_count || 0) + (metrics.quote_count || 0);
+}
+
+// Fetch the thread a tweet belongs to.
+// topReplies is how many of the most engaged replies from other people to return alongside it,
+// timeBudgetMs caps the time spent on API calls. Resolves with
+// { tweets, replies, author, method, complete }: tweets is the author's thread oldest first,
+// method is 'search' or 'reply_chain' (the fallback), and complete is false when the thread
+// may go on past what could be fetched.
+async function fetchThread(tweetId, { topReplies = 0, timeBudgetMs = 5000 } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  const includes = { users: new Map(), tweets: new Map(), media: new Map(), polls: new Map() };
+  const linked = await lookupTweet(tweetId, deadline, includes);
+  const authorId = linked.author_id;
+  const byId = new Map([[linked.id, linked]]);
+
+  // Other tweets by the author in the conversation, from recent search
+  let method = 'reply_chain';
+  let complete = false;
+  // Recent search only covers the last 7 days
+  if (Date.now() - new Date(linked.created_at || 0).getTime() < RECENT_SEARCH_WINDOW_MS) {
+    try {
+      const result = await searchRecent(`conversation_id:${linked.conversation_id} from:${authorId}`, deadline, includes);
+      result.tweets.filter(tweet => tweet.author_id === authorId).forEach(tweet => byId.set(tweet.id, tweet));
+      method = 'search';
+      complete = result.complete;
+    } catch (error) {
+      console.log('Thread search failed, following the reply chain instead:', error.message);
+    }
+  }
+
+  // Walk up to the start of the author's chain, looking up parents search didn't return
+  const tweets = [linked];
+  let lookups = 0;
+  while (getParentId(tweets[0])) {
+    const parentId = getParentId(tweets[0]);
+    let parent = byId.get(parentId);
+    if (!parent) {
+      if (lookups >= MAX_CHAIN_LOOKUPS || Date.now() >= deadline) {
+        complete = false;
+        break;
+      }
+      lookups++;
+      try {
+        parent = await lookupTweet(parentId, deadline, includes);
+      } catch (error) {
+        // A deleted or protected tweet ends the chain
+        console.log(`Could not look up tweet ${parentId}:`, error.message);
+        break;
+      }
+    }
+    if (parent.author_id !== authorId) break;
+    tweets.unshift(parent);
+  }
+
+  // Follow the author's replies down from the linked tweet; the earliest self-reply continues
+  // the thread. Without search nothing after the linked tweet is known.
+  const children = new Map();
+  [...byId.values()].sort(byTime).forEach(tweet => {
+    const parentId = getParentId(tweet);
+    if (parentId && !children.has(parentId)) children.set(parentId, tweet);
+  });
+  const seen = new Set(tweets.map(tweet => tweet.id));
+  let next = children.get(linked.id);
+  while (next && !seen.has(next.id)) {
+    tweets.push(next);
+    seen.add(next.id);
+    next = children.get(next.id);
+  }
+
+  let replies = [];
+  if (topReplies > 0 && method === 'search') {
+    try {
+      const result = await searchRecent(`conversation_id:${linked.conversation_id} -from:${authorId}`, deadline, includes, 1);
+      replies = result.tweets
+        .filter(tweet => tweet.author_id !== authorId)
+        .sort((a, b) => getEngagement(b) - getEngagement(a))
+        .slice(0, topReplies);
+    } catch (error) {
+      console.log('Fetching top replies failed:', error.message);
+    }
+  }
+
+  return {
+    tweets: tweets.map(tweet => withAttachments(tweet, includes)),
+    replies: replies.map(tweet => withAttachments(tweet, includes)),
+    author: includes.users.get(authorId) || { id: authorId },
+    method,
+    complete
+  };
+}
+
+// Helper function to attach a tweet's author, media, poll and quoted tweet from the includes
+function withAttachments(tweet, includes, depth = 0) {
+  const attachments = tweet.attachments || {};
+  const quote = (tweet.referenced_tweets || []).find(reference => reference.type === 'quoted');
+  const quoted = quote && depth === 0 ? includes.tweets.get(quote.id) : null;
+
+  return {
+    ...tweet,
+    author: includes.users.get(tweet.author_id) || null,
+    media: (attachments.media_keys || []).map(key => includes.media.get(key)).filter(Boolean),
+    poll: (attachments.poll_ids || []).map(id => includes.polls.get(id)).find(Boolean) || null,
+    // Quotes of quotes aren't followed
+    quoted: quoted ? withAttachments(quoted, includes, depth + 1) : null
+  };
+}
+
+// Helper function to decode the HTML entities the API leaves in tweet text
+function decodeTweetText(text) {
+  return String(text || '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Helper function to swap a tweet's t.co links for their real URLs, with the page title when
+// there is one. Links to the tweet's own media or to the tweet it quotes are dropped, since
+// those are rendered separately.
+function expandLinks(tweet) {
+  const quotedId = tweet.quoted ? tweet.quoted.id : null;
+  let text = decodeTweetText(tweet.text);
+
+  ((tweet.entities && tweet.entities.urls) || []).forEach(link => {
+    const target = link.unwound_url || link.expanded_url || link.url;
+    const isMedia = Boolean(link.media_key) || /\/(?:photo|video)\/\d+$/.test(link.expanded_url || '');
+    const isQuote = quotedId && new RegExp(`/status/${quotedId}(?:\\D|$)`).test(link.expanded_url || '');
+    const replacement = isMedia || isQuote ? '' : link.title ? `${target} ("${link.title.trim()}")` : target;
+    text = text.split(link.url).join(replacement);
+  });
+
+  return text.replace(/[^\S\n]+$/gm, '').trim();
+}
+
+// Helper function to describe a poll with its options and results
+function formatPoll(poll) {
+  const options = [...(poll.options || [])].sort((a, b) => a.position - b.position);
+  const total = options.reduce((sum, option) => sum + (option.votes || 0), 0);
+  const status = poll.voting_status === 'closed' ? 'final results' : 'voting open';
+  const results = options.map(option => {
+    const share = total > 0 ? ` ${Math.round((option.votes || 0) / total * 100)}%` : '';
+    return `${option.label}${share} (${(option.votes || 0).toLocaleString('en-US')} votes)`;
+  });
+  return `[Poll, ${status}, ${total.toLocaleString('en-US')} votes: ${results.join('; ')}]`;
+}
+
+// Render one tweet with its links expanded, then its media, poll and quoted tweet on their own lines
+function formatTweet(tweet) {
+  const lines = [expandLinks(tweet)];
+
+  tweet.media.forEach(media => {
+    const label = MEDIA_LABELS[media.type] || 'Media';
+    lines.push(media.alt_text ? `[${label}: ${media.alt_text.replace(/\s+/g, ' ').trim()}]` : `[${label}, no description]`);
+  });
+  if (tweet.poll) {
+    lines.push(formatPoll(tweet.poll));
+  }
+  if (tweet.quoted) {
+    const author = tweet.quoted.author ? `@${tweet.quoted.author.username}` : 'another tweet';
+    lines.push(`[Quoting ${author}: ${formatTweet(tweet.quoted).replace(/\n+/g, ' ')}]`);
+  }
+
+  return lines.filter(Boolean).join('\n');
+}
+
+// Turn a fetched thread into the text that gets summarized. Replies go in their own section
+// after the thread so they aren't read as the author's words.
+function formatThreadText(thread) {
+  const text = thread.tweets.length > 1 ?
+    thread.tweets.map((tweet, index) => `${index + 1}. ${formatTweet(tweet)}`).join('\n\n') :
+    formatTweet(thread.tweets[0]);
+
+  if (thread.replies.length === 0) return text;
+
+  const replies = thread.replies.map(reply => `- ${reply.author ? `@${reply.author.username}` : 'Reply'}: ${formatTweet(reply).replace(/\n+/g, ' ')}`);
+  return `${text}\n\n--- TOP REPLIES (from other accounts, not part of the thread) ---\n${replies.join('\n')}`;
+}
+
+module.exports = {
+  MAX_TOP_REPLIES,
+  TWEET_ATTACHMENTS_NOTE,
+  extractTweetId,
+  resolveTopReplies,
+  fetchThread,
+  formatThreadText
+};
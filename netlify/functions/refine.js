@@ -0,0 +1,132 @@
+const { complete } = require('./lib/llm-provider');
+const { resolveRefineAction, refineSummary } = require('./lib/refine');
+const { saveSession, isSessionStoreShared } = require('./lib/sessions');
+const { resolveSummarySession, summarizeThread, getRetryAfterHeaders, getErrorResponse } = require('./summarize');
+
+// Refine an existing summary: POST { sessionId, action, instruction?, summary? } with the
+// sessionId a summarize response returned. action is "shorter", "longer", "casual",
+// "regenerate" or "custom" (with a free-text instruction like "focus on the tokenomics").
+// summary is the version to refine, so the client can go back to an earlier draft; it defaults
+// to the session's latest summary. The cached source is reused, so nothing is fetched again.
+// Like follow-ups, refining needs SESSION_STORE=redis or file on Netlify, and expired sessions
+// are rebuilt (or answered with a 404) as in follow-up.js.
+const UNSHARED_STORE_MESSAGE = 'Refining summaries is turned off on this site: it needs SESSION_STORE set to redis or file.';
+
+exports.handler = async (event, context) => {
+  // Set context timeout to maximum available
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!isSessionStoreShared()) {
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({ error: UNSHARED_STORE_MESSAGE })
+    };
+  }
+
+  try {
+    const body = JSON.parse(event.body || '{}');
+    // Checked before anything is fetched for a rebuilt session
+    const { action, instruction } = resolveRefineAction(body.action, body.instruction);
+    const session = await resolveSummarySession(body);
+    const { tone, length, mode, format } = session.options;
+
+    // A regenerated summary goes through the whole pipeline again, with the session's options
+    if (action === 'regenerate') {
+      const result = await summarizeThread({
+        threadText: session.threadText,
+        isTwitterContent: session.isTwitterContent,
+        tone,
+        length,
+        mode,
+        format,
+        targetLanguage: session.targetLanguage,
+        contentTypeOverride: session.contentAnalysis.contentType
+      });
+      session.summary = result.summary;
+      await saveSession(session);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ ...result, action, sessionId: session.id })
+      };
+    }
+
+    if (format === 'structured') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Structured summaries can only be regenerated.' })
+      };
+    }
+
+    const result = await refineSummary(session, { action, instruction, summary: body.summary }, (prompt, maxTokens) => complete('refine', prompt, {
+      retries: 2,
+      timeouts: [4000, 3000],
+      backoffMs: 300,
+      maxTokens
+    }));
+    console.log(`Refined summary (${action}) with ${result.completion.provider}/${result.completion.model}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        action,
+        sessionId: session.id,
+        summary: result.summary,
+        wordCount: result.wordCount,
+        readingTimeSeconds: result.readingTimeSeconds,
+        faithfulness: result.faithfulness,
+        targetLanguage: session.targetLanguage,
+        provider: result.completion.provider,
+        model: result.completion.model,
+        fallback: result.completion.fallback
+      })
+    };
+  } catch (err) {
+    console.error('Error in refine function:', err);
+
+    // Bad actions, expired sessions and Twitter rate limits are passed on as they are
+    if (err.statusCode === 400 || err.statusCode === 404 || err.retryAfterSeconds) {
+      return {
+        statusCode: err.statusCode || 400,
+        headers: { ...headers, ...getRetryAfterHeaders(err) },
+        body: JSON.stringify({ error: err.message, retryAfterSeconds: err.retryAfterSeconds })
+      };
+    }
+
+    const { statusCode, error } = getErrorResponse(err);
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({ error })
+    };
+  }
+};
@@ -0,0 +1,45 @@
+const { getShare, getBaseUrl, getShareTitle, getShareFooter, renderSharePage, renderMissingSharePage } = require('./lib/shares');
+const { renderShareImage } = require('./lib/share-image');
+
+// Shared result pages, reached through the /s/* redirect in netlify.toml:
+//   GET /s/:id             the share as an HTML page with Open Graph / Twitter Card tags
+//   GET /s/:id/image.png   its preview card image
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return { statusCode: 405, headers: { 'Content-Type': 'text/plain' }, body: 'Method not allowed' };
+  }
+
+  // The path is /s/:id when redirected, or the function's own path when called directly
+  const match = /\/(?:s|share-page)\/([A-Za-z0-9]+)(\/image\.png)?\/?$/.exec(event.path || '');
+  const wantsImage = Boolean(match && match[2]);
+
+  try {
+    const share = match ? await getShare(match[1]) : null;
+    if (!share) {
+      return wantsImage ?
+        { statusCode: 404, headers: { 'Content-Type': 'text/plain' }, body: 'Not found' } :
+        { statusCode: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' }, body: renderMissingSharePage() };
+    }
+
+    // Shares never change, so they can be cached until they expire
+    const maxAge = Math.max(0, Math.floor((new Date(share.expiresAt).getTime() - Date.now()) / 1000));
+    if (wantsImage) {
+      const image = renderShareImage({ title: getShareTitle(share), text: share.text, footer: getShareFooter(share) });
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'image/png', 'Cache-Control': `public, max-age=${Math.min(maxAge, 86400)}` },
+        body: image.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': `public, max-age=${Math.min(maxAge, 300)}` },
+      body: renderSharePage(share, getBaseUrl(event.headers || {}))
+    };
+  } catch (err) {
+    console.error('Error in share-page function:', err);
+    return { statusCode: 500, headers: { 'Content-Type': 'text/plain' }, body: 'Internal server error' };
+  }
+};
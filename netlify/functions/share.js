@@ -0,0 +1,80 @@
+const { createShare, getShare, deleteShare, getDeleteToken, getBaseUrl, isShareStoreShared } = require('./lib/shares');
+
+// Shared result permalinks:
+//   GET    /.netlify/functions/share        { available }: whether sharing works on this site
+//   POST   /.netlify/functions/share        save a summary or explanation, returns its link and delete token
+//   GET    /.netlify/functions/share/:id    a share as JSON
+//   DELETE /.netlify/functions/share/:id    delete a share, with "Authorization: Bearer <deleteToken>"
+// The id can also be passed as ?id=. The link itself (/s/:id) is served by share-page.js,
+// a separate function with its own memory, so saving needs SHARE_STORE=redis or file.
+const UNSHARED_STORE_MESSAGE = 'Sharing is turned off on this site: shared links need SHARE_STORE set to redis or file.';
+
+// Helper function to get the share id from the path or query string
+function getShareId(event) {
+  const match = /\/share\/([^/?]+)/.exec(event.path || '');
+  if (match) return decodeURIComponent(match[1]);
+  return (event.queryStringParameters && event.queryStringParameters.id) || null;
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+  const id = getShareId(event);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (!id) {
+        return respond(200, { available: isShareStoreShared() });
+      }
+      const share = await getShare(id);
+      return share ? respond(200, share) : respond(404, { error: 'This shared link has expired or was deleted.' });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!id) {
+        return respond(400, { error: 'No share id provided.' });
+      }
+      await deleteShare(id, getDeleteToken(event.headers || {}));
+      return respond(200, { deleted: id });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return respond(405, { error: 'Method not allowed' });
+    }
+
+    if (!isShareStoreShared()) {
+      return respond(503, { error: UNSHARED_STORE_MESSAGE });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (err) {
+      return respond(400, { error: 'Request body must be JSON.' });
+    }
+
+    const share = await createShare(body);
+    const url = `${getBaseUrl(event.headers || {})}/s/${share.id}`;
+    return respond(201, {
+      id: share.id,
+      url,
+      imageUrl: `${url}/image.png`,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      deleteToken: share.deleteToken
+    });
+  } catch (err) {
+    console.error('Error in share function:', err);
+    return respond(err.statusCode || 500, { error: err.message || 'Internal server error' });
+  }
+};
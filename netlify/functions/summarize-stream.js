@@ -0,0 +1,83 @@
+const { PassThrough } = require('stream');
+const { stream } = require('@netlify/functions');
+const { logToneUsage, logSummarizationRequest } = require('./analytics');
+const { resolveRequest, summarizeWithCache, getResponseSessionId, getErrorResponse, getRetryAfterHeaders, TIME_BUDGET_MS } = require('./summarize');
+const { formatSseEvent } = require('./lib/sse');
+const { withExport } = require('./lib/export');
+
+// Streaming variant of summarize: relays the summary as Server-Sent Events.
+// Events: "delta" { text } while generating, then "done" with the same payload
+// summarize returns (post-processed summary, cache metadata and follow-up sessionId) or "error" { error, statusCode }.
+// With format "structured" or "compare", or a cached summary, there are no deltas, only the final JSON in "done".
+// Export formats ("thread", "markdown", "notion", "slack") stream the summary, and "done" adds its "export".
+exports.handler = stream(async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // Resolve the input before opening the stream so bad requests get a normal JSON error.
+  // Fetching it uses up the same time budget as summarizing.
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  let request;
+  let input;
+  try {
+    ({ request, input } = await resolveRequest(event, { deadline }));
+  } catch (err) {
+    console.error('Error preparing streamed summary:', err);
+    return {
+      statusCode: err.statusCode || 400,
+      headers: { ...headers, ...getRetryAfterHeaders(err) },
+      body: JSON.stringify({ error: err.message, retryAfterSeconds: err.retryAfterSeconds })
+    };
+  }
+
+  const { length, tone, mode, format, targetLanguage } = request;
+  const body = new PassThrough();
+
+  summarizeWithCache({ ...input, tone, length, mode, format, targetLanguage, contentTypeOverride: request.contentType }, {
+    bypassCache: request.bypassCache,
+    deadline,
+    onDelta: text => body.write(formatSseEvent('delta', { text }))
+  })
+    .then(async ({ result, cache }) => {
+      body.write(formatSseEvent('done', format === 'compare' ? { ...result, cache } : withExport({ ...result, cache, sessionId: await getResponseSessionId(input, request, result) }, request)));
+      await Promise.all([
+        logToneUsage(tone),
+        logSummarizationRequest(tone, length, input.contentType, true)
+      ]).catch(err => console.log('Analytics logging failed:', err));
+    })
+    .catch(async err => {
+      console.error('Error in summarize-stream function:', err);
+      body.write(formatSseEvent('error', getErrorResponse(err)));
+      await logSummarizationRequest(tone || 'unknown', length || 'unknown', input.contentType, false)
+        .catch(logError => console.error('Error logging failed request:', logError));
+    })
+    .finally(() => body.end());
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    },
+    body
+  };
+});
@@ -1,5 +1,41 @@
-const fetch = require('node-fetch');
 const { logToneUsage, logSummarizationRequest } = require('./analytics');
+const { mapReduceSummarize, getChunkPrompt } = require('./lib/map-reduce');
+const { complete } = require('./lib/llm-provider');
+const { extractiveSummarize } = require('./lib/extractive');
+const { isArticleUrl, fetchArticle, formatArticleText } = require('./lib/article');
+const { extractDocumentText, readUpload, formatDocumentText } = require('./lib/documents');
+const { generateStructuredSummary, getExtractiveStructuredSummary } = require('./lib/structured');
+const { checkFaithfulness, shouldRegenerate, getFaithfulnessRetryPrompt } = require('./lib/faithfulness');
+const { resolveTargetLanguage, getLanguageInstruction, isEnglish } = require('./lib/language');
+const { getTone, buildTonePrompt, applyTonePostProcessing } = require('./lib/tones');
+const { detectTwitterContent, analyzeContent, resolveContentType, getContentShapeInstruction } = require('./lib/content-analysis');
+const { ensureCompleteSentence } = require('./lib/sentences');
+const { getLengthBudget, getLengthInstruction, getMaxReadingWords, getReadingStats, trimToWordBudget, enforceReadingTime } = require('./lib/length-budget');
+const { normalizePastedText } = require('./lib/pasted-thread');
+const { TWEET_ATTACHMENTS_NOTE, extractTweetId, resolveTopReplies, fetchThread, formatThreadText } = require('./lib/twitter-thread');
+const { createSession, getSession, isSessionStoreShared } = require('./lib/sessions');
+const { validateCompareSources, compareSources } = require('./lib/compare');
+const { isCacheBypassed, withResponseCache } = require('./lib/response-cache');
+const { isExportFormat, withExport } = require('./lib/export');
+const { isRateLimitError } = require('./lib/batch');
+
+// Article pages get a short fetch window so the LLM still has time within the function limit
+const ARTICLE_TIMEOUT_MS = 3000;
+// Time allowed for all the Twitter API calls that rebuild one thread
+const TWITTER_TIME_BUDGET_MS = 4000;
+// Thread links fetched from pasted text
+const MAX_TWITTER_URLS = 5;
+
+// Map-reduce limits - everything has to fit in the 10 second function limit. The time budget
+// starts when the request comes in, so fetching a thread or article uses it up too.
+const MAX_CHUNK_CHARS = 2500;
+const MAX_CHUNKS = 4;
+const TIME_BUDGET_MS = 9000;
+const MERGE_RESERVE_MS = 3500;
+// Chunks get at least this long, so the map step only runs with this much more than the merge reserve left
+const MIN_CHUNK_MS = 1000;
+// Minimum time left in the budget to regenerate a summary that failed the faithfulness check
+const REGENERATE_MIN_MS = 3000;
 
 // Helper function to detect and extract Twitter URLs from text
 function extractTwitterUrls(text) {
@@ -7,106 +43,44 @@ function extractTwitterUrls(text) {
   return text.match(twitterUrlRegex) || [];
 }
 
-// Helper function to extract thread id from tweet URL
-function extractThreadId(url) {
-  const match = url.match(/https?:\/\/(?:twitter|x)\.com\/[^\/]+\/status\/(\d+)/);
-  if (!match) throw new Error('Invalid Twitter URL format');
-  return match[1];
+// Helper function to get how much of a request's time budget is left
+function getRemainingMs(deadline) {
+  return Math.max(0, deadline - Date.now());
 }
 
-// Helper function to fetch Twitter content using a simple approach
-async function fetchTwitterContent(url) {
+// Helper function to fetch a Twitter thread (and optionally its top replies) as text
+async function fetchTwitterContent(url, { topReplies = 0, timeBudgetMs = TWITTER_TIME_BUDGET_MS } = {}) {
   try {
-    const threadId = extractThreadId(url);
-    
-    if (!process.env.TWITTER_BEARER_TOKEN) {
-      throw new Error('Twitter API access not configured');
-    }
-    
-    // First try to get the original tweet with shorter timeout
-    const originalResponse = await Promise.race([
-      fetch(`https://api.twitter.com/2/tweets/${threadId}?tweet.fields=text,created_at,conversation_id,author_id&user.fields=username,name`, {
-        headers: {
-          'Authorization': `Bearer ${process.env.TWITTER_BEARER_TOKEN}`
-        }
-      }),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Twitter API timeout')), 3000))
-    ]);
-    
-    if (originalResponse.ok) {
-      const originalData = await originalResponse.json();
-      const originalTweet = originalData.data;
-      
-      if (!originalTweet) {
-        throw new Error('Unable to fetch original tweet');
-      }
-      
-      // Try to get the full thread/conversation with shorter timeout
-      try {
-        const conversationResponse = await Promise.race([
-          fetch(`https://api.twitter.com/2/tweets/search/recent?query=conversation_id:${threadId}&tweet.fields=text,created_at,author_id&user.fields=username,name&max_results=100&sort_order=recency`, {
-            headers: {
-              'Authorization': `Bearer ${process.env.TWITTER_BEARER_TOKEN}`
-            }
-          }),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Twitter search timeout')), 2000))
-        ]);
-        
-        if (conversationResponse.ok) {
-          const conversationData = await conversationResponse.json();
-          const tweets = conversationData.data || [];
-          
-          if (tweets.length === 0) {
-            // Just return the original tweet if no thread found
-            return originalTweet.text;
-          }
-          
-          // Sort tweets chronologically and combine
-          const sorted = tweets.sort((a, b) =>
-            new Date(a.created_at).getTime() - new Date(b.created_at).getTime()
-          );
-          
-          return sorted.map((t, index) => `${index + 1}. ${t.text}`).join('\n\n');
-        } else {
-          // Fallback to just the original tweet
-          return originalTweet.text;
-        }
-      } catch (searchError) {
-        console.log('Thread search failed, using original tweet only:', searchError);
-        return originalTweet.text;
-      }
-    } else {
-      const errorData = await originalResponse.json().catch(() => ({}));
-      if (originalResponse.status === 401) {
-        throw new Error('Twitter API authentication failed');
-      } else if (originalResponse.status === 403) {
-        throw new Error('Tweet is private or protected');
-      } else if (originalResponse.status === 404) {
-        throw new Error('Tweet not found or has been deleted');
-      } else {
-        throw new Error(`Twitter API error: ${originalResponse.status} - ${errorData.detail || 'Unknown error'}`);
-      }
-    }
+    const thread = await fetchThread(extractTweetId(url), { topReplies, timeBudgetMs });
+    console.log(`Fetched ${thread.tweets.length} tweets and ${thread.replies.length} replies from ${url} (${thread.method})`);
+    return formatThreadText(thread);
   } catch (error) {
     console.error('Error fetching Twitter content:', error);
-    throw new Error(`Unable to fetch content from ${url}: ${error.message}`);
+    const fetchError = new Error(`Unable to fetch content from ${url}: ${error.message}`);
+    // Rate limit errors say how long to wait
+    if (error.retryAfterSeconds) fetchError.retryAfterSeconds = error.retryAfterSeconds;
+    throw fetchError;
   }
 }
 
-// Helper function to fetch content from multiple Twitter URLs
-async function fetchContentFromTwitterUrls(urls) {
+// Helper function to fetch content from multiple Twitter URLs. The threads are fetched in
+// parallel, so they share the one time budget.
+async function fetchContentFromTwitterUrls(urls, timeBudgetMs = TWITTER_TIME_BUDGET_MS) {
   const contents = [];
   const errors = [];
   
-  for (const url of urls.slice(0, 2)) { // Limit to 2 URLs to prevent timeouts
-    try {
-      const content = await fetchTwitterContent(url);
-      contents.push(`--- Content from ${url} ---\n${content}`);
-    } catch (error) {
+  const results = await Promise.all([...new Set(urls)].slice(0, MAX_TWITTER_URLS).map(url =>
+    fetchTwitterContent(url, { timeBudgetMs }).then(content => ({ url, content }), error => ({ url, error }))
+  ));
+  
+  results.forEach(({ url, content, error }) => {
+    if (error) {
       console.error(`Failed to fetch content from ${url}:`, error);
       errors.push(`${url}: ${error.message}`);
+    } else {
+      contents.push(`--- Content from ${url} ---\n${content}`);
     }
-  }
+  });
   
   if (contents.length === 0) {
     throw new Error(`Could not fetch any Twitter content. Errors: ${errors.join('; ')}`);
@@ -120,85 +94,499 @@ async function fetchContentFromTwitterUrls(urls) {
   return contents.join('\n\n');
 }
 
-// Helper function to detect if text contains Twitter-like content
-function detectTwitterContent(text) {
-  const twitterIndicators = [
-    /\d+\/\d+/g, // Tweet numbering like "1/5"
-    /@\w+/g, // Mentions
-    /#\w+/g, // Hashtags
-    /🧵/g, // Thread emoji
-    /Thread:/i, // Thread indicator
-    /THREAD/i, // Thread indicator caps
-  ];
+// Helper function to work out what to summarize from a thread URL and/or pasted text.
+// topReplies adds that many of the top replies to a fetched thread. Fetches stop by deadline,
+// the end of the request's time budget.
+// Input problems are thrown with statusCode 400.
+async function resolveThreadText(threadUrl, rawText, { topReplies = 0, deadline = Date.now() + TIME_BUDGET_MS } = {}) {
+  const inputError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+  
+  // Threads copied by hand from X/Twitter are cleaned up into numbered tweets first
+  const pasted = rawText ? normalizePastedText(rawText) : { text: rawText, thread: null };
+  if (pasted.thread) {
+    console.log(`Normalized a pasted ${pasted.thread.format} thread of ${pasted.thread.tweets.length} tweets`);
+    rawText = pasted.text;
+  }
+  
+  if (threadUrl && /https?:\/\/(?:twitter|x)\.com\/[^\/]+\/status\/\d+/.test(threadUrl)) {
+    try {
+      const threadText = await fetchTwitterContent(threadUrl, { topReplies, timeBudgetMs: Math.min(TWITTER_TIME_BUDGET_MS, getRemainingMs(deadline)) });
+      return { threadText, isTwitterContent: true, contentType: 'twitter_url' };
+    } catch (error) {
+      // If Twitter fetching fails, check if we have rawText as fallback
+      if (rawText && rawText.trim()) {
+        return { threadText: rawText, isTwitterContent: true, contentType: 'twitter_text' };
+      }
+      const message = `${error.message} Please copy and paste the tweet content directly into the text area instead.`;
+      // A Twitter rate limit is worth retrying later, so it keeps its wait time
+      if (error.retryAfterSeconds) {
+        const rateLimitError = new Error(message);
+        rateLimitError.statusCode = 429;
+        rateLimitError.retryAfterSeconds = error.retryAfterSeconds;
+        throw rateLimitError;
+      }
+      throw inputError(message);
+    }
+  }
+  
+  // Any other web link (as threadUrl, or pasted on its own) is fetched as an article
+  const articleUrl = isArticleUrl(threadUrl) ? threadUrl.trim() :
+    (!threadUrl && isArticleUrl(rawText) ? rawText.trim() : null);
+  if (articleUrl) {
+    try {
+      const article = await fetchArticle(articleUrl, { timeoutMs: Math.min(ARTICLE_TIMEOUT_MS, getRemainingMs(deadline)) });
+      const { text, ...metadata } = article;
+      return { threadText: formatArticleText(article), isTwitterContent: false, contentType: 'article_url', article: metadata };
+    } catch (error) {
+      console.error('Error fetching article:', error);
+      // If the article can't be fetched, fall back to pasted text
+      if (threadUrl && rawText && rawText.trim()) {
+        return { threadText: rawText, isTwitterContent: detectTwitterContent(rawText), contentType: 'general_text' };
+      }
+      throw inputError(`Unable to fetch content from ${articleUrl}: ${error.message}. Please copy and paste the article text into the text area instead.`);
+    }
+  }
   
-  let score = 0;
-  twitterIndicators.forEach(regex => {
-    const matches = text.match(regex);
-    if (matches) score += matches.length;
+  if (rawText && rawText.length > 0) {
+    // Check if the raw text contains Twitter URLs
+    const twitterUrls = extractTwitterUrls(rawText);
+    if (twitterUrls.length > 0) {
+      // Try to fetch actual content from Twitter URLs, but don't fail if it doesn't work
+      try {
+        const fetchedContent = await fetchContentFromTwitterUrls(twitterUrls, Math.min(TWITTER_TIME_BUDGET_MS, getRemainingMs(deadline)));
+        return {
+          threadText: `${rawText}\n\n--- FETCHED TWITTER CONTENT ---\n${fetchedContent}`,
+          isTwitterContent: true,
+          contentType: 'twitter_text'
+        };
+      } catch (error) {
+        console.log('Failed to fetch Twitter URLs from text, using raw text:', error);
+        return { threadText: rawText, isTwitterContent: true, contentType: 'twitter_text' };
+      }
+    }
+    
+    // Check if the text looks like Twitter content
+    const isTwitterContent = Boolean(pasted.thread) || detectTwitterContent(rawText);
+    return { threadText: rawText, isTwitterContent, contentType: isTwitterContent ? 'twitter_text' : 'general_text' };
+  }
+  
+  throw inputError('No thread link or text provided.');
+}
+
+// Helper function to extract an uploaded document (PDF, DOCX, Markdown, HTML, SRT/VTT) for summarizing
+async function resolveDocumentText(file) {
+  const document = await extractDocumentText(file);
+  console.log(`Extracted ${document.text.length} chars from ${document.documentType} upload ${file.name}`);
+  return {
+    threadText: formatDocumentText(document, file.name),
+    isTwitterContent: false,
+    contentType: `document_${document.documentType}`,
+    document: { name: file.name || null, type: document.documentType, title: document.title }
+  };
+}
+
+// Read a summarize request from a Netlify event - JSON, JSON with a base64 "file",
+// or multipart/form-data with a "file" part - and resolve what to summarize before deadline.
+// Resolves with { request, input }; input problems are thrown with statusCode 400.
+async function resolveRequest(event, { deadline = Date.now() + TIME_BUDGET_MS } = {}) {
+  const headers = event.headers || {};
+  const contentType = headers['content-type'] || headers['Content-Type'] || '';
+  const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+
+  const { fields, file } = readUpload(body, contentType);
+  
+  // Compare mode fetches both sources in parallel
+  if (!file && fields.format === 'compare') {
+    const sources = await Promise.all(validateCompareSources(fields.sources).map(source =>
+      resolveThreadText(source.threadUrl, source.rawText, { topReplies: resolveTopReplies(source.topReplies), deadline })));
+    return { request: fields, input: { sources, contentType: 'compare' } };
+  }
+  
+  const input = file ?
+    await resolveDocumentText(file) :
+    await resolveThreadText(fields.threadUrl, fields.rawText, { topReplies: resolveTopReplies(fields.topReplies), deadline });
+
+  return { request: fields, input };
+}
+
+// Build an offline extractive summary, ranked with the names and main points from analyzeContent.
+// reason is "requested" (mode "extractive") or "llm_unavailable" (every provider failed).
+function getExtractiveSummary(threadText, length, contentAnalysis, reason) {
+  // Picked sentences can be long, so they're held to the one-minute reading cap too
+  const summary = trimToWordBudget(extractiveSummarize(threadText, length, {
+    boostPhrases: [...contentAnalysis.mainPoints, ...contentAnalysis.names]
+  }), getMaxReadingWords());
+  return {
+    summary,
+    ...getReadingStats(summary),
+    extractive: true,
+    extractiveReason: reason,
+    // Extractive summaries are sentences from the input, so they stay in its language
+    sourceLanguage: contentAnalysis.language,
+    targetLanguage: contentAnalysis.language
+  };
+}
+
+// Helper function to summarize one map-reduce chunk with the LLM
+function summarizeChunk(isTwitterContent) {
+  return (chunk, index, total, remainingMs) => complete(
+    'summarizeChunk',
+    getChunkPrompt(chunk, index, total, isTwitterContent),
+    // Chunks run in parallel with a single attempt, leaving time for the merge call
+    { retries: 1, timeouts: [Math.max(MIN_CHUNK_MS, Math.min(4000, remainingMs - MERGE_RESERVE_MS))] }
+  ).then(completion => completion.text);
+}
+
+// Build a structured summary (format "structured"): TL;DR, key points, entities, figures,
+// sentiment, content type and reading time. Falls back to an extractive structure when the
+// LLM is unavailable or its output never validates.
+async function summarizeStructured({ threadText, isTwitterContent, tone, mode, targetLanguage }, contentAnalysis, deadline, { passRateLimits = false } = {}) {
+  const sourceLanguage = contentAnalysis.language;
+  const getExtractiveResult = reason => {
+    const structured = getExtractiveStructuredSummary(threadText, {
+      contentType: contentAnalysis.contentType,
+      numbers: contentAnalysis.numbers,
+      names: contentAnalysis.names,
+      boostPhrases: [...contentAnalysis.mainPoints, ...contentAnalysis.names]
+    });
+    return { format: 'structured', summary: structured.tldr, structured, ...getReadingStats([structured.tldr, ...structured.keyPoints].join('\n')), extractive: true, extractiveReason: reason, sourceLanguage, targetLanguage: sourceLanguage };
+  };
+  
+  if (mode === 'extractive') {
+    return getExtractiveResult('requested');
+  }
+  
+  let answeredBy = {};
+  try {
+    const result = await mapReduceSummarize(threadText, {
+      maxChunkChars: MAX_CHUNK_CHARS,
+      maxChunks: MAX_CHUNKS,
+      timeBudgetMs: getRemainingMs(deadline),
+      minMapMs: MERGE_RESERVE_MS + MIN_CHUNK_MS,
+      summarizeChunk: summarizeChunk(isTwitterContent),
+      summarizeFinal: content => {
+        return generateStructuredSummary(content, {
+          sourceText: threadText,
+          contentType: contentAnalysis.contentType,
+          tone,
+          isTwitterContent,
+          sourceLanguage,
+          targetLanguage,
+          // Only ask the model to repair its JSON while there's time left in the budget
+          canRetry: () => deadline - Date.now() > 3000,
+          callModel: prompt => complete('summarizeStructured', prompt, {
+            retries: 1,
+            timeouts: [Math.max(1000, Math.min(6000, deadline - Date.now()))]
+          }).then(completion => {
+            answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+            return completion.text;
+          })
+        });
+      }
+    });
+    
+    const { tldr, keyPoints, figures } = result.summary;
+    return {
+      format: 'structured',
+      summary: tldr,
+      structured: result.summary,
+      ...getReadingStats([tldr, ...keyPoints].join('\n')),
+      // Reported only: a repaired structured answer is not worth another model call
+      faithfulness: checkFaithfulness([tldr, ...keyPoints, ...figures.map(figure => figure.value)].join('\n'), threadText, contentAnalysis, { language: targetLanguage }),
+      sourceLanguage,
+      targetLanguage,
+      chunksUsed: result.chunksUsed,
+      chunksTotal: result.chunksTotal,
+      truncated: result.truncated,
+      ...answeredBy
+    };
+  } catch (error) {
+    if (passRateLimits && isRateLimitError(error)) throw error;
+    console.error('Structured summarization failed, using extractive summary:', error.message);
+    return getExtractiveResult('llm_unavailable');
+  }
+}
+
+// Compare two resolved sources (format "compare"): shared points, disagreements, one-sided
+// claims and conflicting numbers. Needs the LLM, so there's no extractive fallback.
+async function summarizeComparison({ sources, tone, targetLanguage }, deadline) {
+  let answeredBy = {};
+  const result = await compareSources(sources, {
+    tone,
+    targetLanguage,
+    // Only ask again after invalid JSON while there's time left in the budget
+    canRetry: () => deadline - Date.now() > 3000,
+    callModel: prompt => complete('compare', prompt, {
+      retries: 1,
+      timeouts: [Math.max(1000, Math.min(7000, deadline - Date.now()))]
+    }).then(completion => {
+      answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+      return completion.text;
+    })
   });
   
-  return score > 2; // If we find multiple indicators, likely Twitter content
+  return {
+    format: 'compare',
+    summary: result.comparison.overview,
+    ...result,
+    // A fetched article's details stay with its side
+    sources: result.sources.map((source, index) => ({ ...source, ...(sources[index].article ? { article: sources[index].article } : {}) })),
+    ...answeredBy
+  };
 }
 
-// NEW: Intelligent content analysis function
-function analyzeContent(text) {
-  const analysis = {
-    contentType: 'general',
-    keyTopics: [],
-    technicalTerms: [],
-    names: [],
-    numbers: [],
-    mainPoints: [],
-    complexity: 'medium',
-    language: 'english'
+// Run the summarization pipeline on resolved text, finishing by deadline (the end of the
+// request's time budget). With onDelta the final summary is streamed before post-processing.
+// With passRateLimits (batch jobs) an LLM rate limit is thrown instead, so it can be waited out.
+async function summarizeThread({ threadText, isTwitterContent, tone, length, mode, format, article, document, targetLanguage, contentTypeOverride, sources }, { onDelta, deadline = Date.now() + TIME_BUDGET_MS, passRateLimits = false } = {}) {
+  if (format === 'compare') {
+    return summarizeComparison({ sources, tone, targetLanguage }, deadline);
+  }
+  
+  // NEW: Analyze the content before summarization; a contentType from the caller overrides the detected one
+  const contentAnalysis = analyzeContent(threadText, { contentType: resolveContentType(contentTypeOverride) });
+  console.log('Content analysis:', contentAnalysis);
+  
+  // Summaries are written in the input's language unless another one was asked for
+  const sourceLanguage = contentAnalysis.language;
+  const outputLanguage = resolveTargetLanguage(targetLanguage, sourceLanguage);
+  
+  // Word and token budget for the requested length, capped at one minute of reading
+  const budget = getLengthBudget(length, outputLanguage);
+  
+  // The content type used, and details of a fetched article or uploaded document, are passed back alongside the summary
+  const source = {
+    contentType: contentAnalysis.contentType,
+    detectedContentType: contentAnalysis.detectedContentType,
+    ...(article ? { article } : {}),
+    ...(document ? { document } : {})
   };
   
-  // Detect content type
-  if (detectTwitterContent(text)) {
-    analysis.contentType = 'social_media';
-  } else if (text.match(/\b(research|study|analysis|findings|methodology|conclusion)\b/gi)) {
-    analysis.contentType = 'academic';
-  } else if (text.match(/\b(revenue|profit|market|business|company|CEO|startup)\b/gi)) {
-    analysis.contentType = 'business';
-  } else if (text.match(/\b(code|programming|software|API|database|algorithm)\b/gi)) {
-    analysis.contentType = 'technical';
-  } else if (text.match(/\b(breaking|news|report|according to|sources)\b/gi)) {
-    analysis.contentType = 'news';
+  if (format === 'structured') {
+    return { ...(await summarizeStructured({ threadText, isTwitterContent, tone, mode, targetLanguage: outputLanguage }, contentAnalysis, deadline, { passRateLimits })), ...source };
   }
   
-  // Extract key elements
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
+  if (mode === 'extractive') {
+    return { ...getExtractiveSummary(threadText, budget.length, contentAnalysis, 'requested'), ...source };
+  }
+
+  // The backend that wrote the final summary, which may be a fallback model
+  let answeredBy = {};
+  // The final prompt, kept for regenerating an unfaithful summary
+  let finalPrompt = null;
+  // Why the model stopped writing the final summary ("length" when it ran out of tokens)
+  let finishReason = null;
+
+  // Long text is summarized chunk by chunk and merged instead of being truncated
+  let result;
+  try {
+    result = await mapReduceSummarize(threadText, {
+      maxChunkChars: MAX_CHUNK_CHARS,
+      maxChunks: MAX_CHUNKS,
+      timeBudgetMs: getRemainingMs(deadline),
+      minMapMs: MERGE_RESERVE_MS + MIN_CHUNK_MS,
+      summarizeChunk: summarizeChunk(isTwitterContent),
+      summarizeFinal: (content, remainingMs, isMerged) => {
+        finalPrompt = getPromptForTone(tone, budget.length, content, isTwitterContent, contentAnalysis, outputLanguage);
+        return complete(
+          'summarize',
+          finalPrompt,
+          // Very aggressive timeouts to stay within the 10 second limit - 4 seconds, then 3 for the
+          // retry when a fetch hasn't used up the time for it
+          isMerged || remainingMs < 7300 ?
+            { retries: 1, timeouts: [Math.max(1000, Math.min(4000, remainingMs))], maxTokens: budget.maxTokens, onDelta } :
+            { retries: 2, timeouts: [4000, 3000], backoffMs: 300, maxTokens: budget.maxTokens, onDelta }
+        ).then(completion => {
+          answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+          finishReason = completion.finishReason;
+          return completion.text;
+        });
+      }
+    });
+  } catch (error) {
+    if (passRateLimits && isRateLimitError(error)) throw error;
+    // Still give the user something when every provider and fallback model failed
+    console.error('LLM summarization failed, using extractive summary:', error.message);
+    return { ...getExtractiveSummary(threadText, budget.length, contentAnalysis, 'llm_unavailable'), ...source };
+  }
   
-  // Extract names (capitalized words that aren't common words)
-  const commonWords = new Set(['The', 'This', 'That', 'These', 'Those', 'And', 'But', 'Or', 'So', 'For', 'If', 'When', 'Where', 'Why', 'How', 'What', 'Who', 'Which']);
-  const nameMatches = text.match(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g) || [];
-  analysis.names = [...new Set(nameMatches.filter(name => !commonWords.has(name)))].slice(0, 10);
+  // NEW: Post-process the summary to ensure clarity and remove any bogus content
+  let summary = postProcessSummary(result.summary, tone, contentAnalysis, outputLanguage);
   
-  // Extract numbers and percentages
-  analysis.numbers = [...new Set(text.match(/\b\d+(?:[.,]\d+)*%?(?:\s*(?:million|billion|thousand|k|M|B))?\b/g) || [])].slice(0, 10);
+  // Ensure the summary ends with a complete sentence
+  summary = ensureCompleteSentence(summary, { finishReason, language: outputLanguage });
   
-  // Extract technical terms (words with specific patterns)
-  const techTerms = text.match(/\b[A-Z]{2,}(?:[A-Z][a-z]*)*\b|\b\w+(?:API|SDK|AI|ML|UI|UX|SaaS|IoT)\b|\b\w*(?:tech|soft|ware|system|platform|framework)\w*\b/gi) || [];
-  analysis.technicalTerms = [...new Set(techTerms)].slice(0, 10);
+  // Check names and numbers against the source, regenerating once if figures were made up
+  let faithfulness = checkFaithfulness(summary, threadText, contentAnalysis, { language: outputLanguage });
+  if (shouldRegenerate(faithfulness) && deadline - Date.now() > REGENERATE_MIN_MS) {
+    try {
+      console.log('Summary failed the faithfulness check, regenerating:', faithfulness.unsupported);
+      // Not streamed: the client replaces the streamed text with the final summary
+      const completion = await complete('summarize', getFaithfulnessRetryPrompt(finalPrompt, faithfulness), {
+        retries: 1,
+        timeouts: [Math.min(4000, deadline - Date.now())],
+        maxTokens: budget.maxTokens
+      });
+      const retrySummary = ensureCompleteSentence(postProcessSummary(completion.text, tone, contentAnalysis, outputLanguage), { finishReason: completion.finishReason, language: outputLanguage });
+      const retryFaithfulness = checkFaithfulness(retrySummary, threadText, contentAnalysis, { language: outputLanguage });
+      
+      // Keep whichever version has fewer unsupported items
+      if (retryFaithfulness.unsupported.length < faithfulness.unsupported.length) {
+        summary = retrySummary;
+        faithfulness = retryFaithfulness;
+        answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+      }
+      faithfulness.regenerated = true;
+    } catch (error) {
+      console.error('Regenerating unfaithful summary failed:', error.message);
+    }
+  }
   
-  // Determine complexity
-  const avgWordsPerSentence = sentences.reduce((sum, s) => sum + s.split(' ').length, 0) / sentences.length;
-  const complexWords = text.match(/\b\w{8,}\b/g) || [];
+  // Anything that takes longer than a minute to read is shortened by the model if there's time, then trimmed
+  const compressSummary = deadline - Date.now() > REGENERATE_MIN_MS ?
+    prompt => complete('summarize', prompt, {
+      retries: 1,
+      timeouts: [Math.min(4000, deadline - Date.now())],
+      maxTokens: budget.maxTokens
+    }).then(completion => ensureCompleteSentence(postProcessSummary(completion.text, tone, contentAnalysis, outputLanguage), { finishReason: completion.finishReason, language: outputLanguage })) :
+    null;
+  const readable = await enforceReadingTime(summary, budget, compressSummary);
+  if (readable.compressed) {
+    summary = readable.summary;
+    faithfulness = { ...checkFaithfulness(summary, threadText, contentAnalysis, { language: outputLanguage }), regenerated: faithfulness.regenerated };
+  }
   
-  if (avgWordsPerSentence > 25 || complexWords.length > text.split(' ').length * 0.3) {
-    analysis.complexity = 'high';
-  } else if (avgWordsPerSentence < 15 && complexWords.length < text.split(' ').length * 0.1) {
-    analysis.complexity = 'low';
+  return {
+    summary,
+    ...getReadingStats(summary),
+    compressed: readable.compressed,
+    faithfulness,
+    sourceLanguage,
+    targetLanguage: outputLanguage,
+    chunksUsed: result.chunksUsed,
+    chunksTotal: result.chunksTotal,
+    truncated: result.truncated,
+    ...answeredBy,
+    ...source
+  };
+}
+
+// Open a session for a finished summary, for follow-up questions and refine actions.
+// The source text stays on the server and the client only gets the session id back.
+async function openSummarySession(input, request, result) {
+  const { tone, length, mode, format } = request;
+  return createSession({
+    threadText: input.threadText,
+    isTwitterContent: input.isTwitterContent,
+    summary: result.summary,
+    contentType: result.contentType,
+    targetLanguage: result.targetLanguage,
+    options: { tone, length, mode, format }
+  });
+}
+
+// Open a session for a summarize response. Follow-up and refine run in other functions, which
+// only see sessions in a shared store, so without one there's no session (and the web interface
+// hides the follow-up box and refine actions). A failing store leaves the summary without one too.
+async function getResponseSessionId(input, request, result) {
+  if (!isSessionStoreShared()) return undefined;
+  try {
+    return await openSummarySession(input, request, result);
+  } catch (error) {
+    console.error('Could not open a summary session:', error.message);
+    return undefined;
+  }
+}
+
+// Summarize through the response cache (see lib/response-cache.js), keyed on the source text and
+// every option that changes the summary. Export formats (see lib/export.js) are made from the
+// same summary, so they share its cache entry. Fallback extractive summaries aren't cached, so
+// the LLM is tried again next time. Resolves with { result, cache }.
+async function summarizeWithCache(params, { bypassCache, onDelta, deadline, passRateLimits } = {}) {
+  const { threadText, isTwitterContent, tone, length, mode, format, targetLanguage, contentTypeOverride, sources, article, document } = params;
+  const { result, cache } = await withResponseCache('summary', {
+    content: format === 'compare' ? sources.map(source => source.threadText) : threadText,
+    feature: format === 'compare' ? 'compare' : (format === 'structured' ? 'summarizeStructured' : 'summarize'),
+    // The tone's preset is part of the key, so editing a custom tone isn't answered from the cache
+    options: {
+      tone,
+      tonePreset: getTone(tone),
+      length,
+      mode,
+      format: isExportFormat(format) ? undefined : format,
+      targetLanguage,
+      contentType: contentTypeOverride,
+      twitter: format === 'compare' ? sources.map(source => source.isTwitterContent) : isTwitterContent
+    }
+  }, () => summarizeThread(params, { onDelta, deadline, passRateLimits }), {
+    bypass: isCacheBypassed(bypassCache),
+    isCacheable: summary => !summary.extractive || summary.extractiveReason === 'requested'
+  });
+  // The same text can come from another article or file, so those details are this request's
+  return { result: { ...result, ...(article ? { article } : {}), ...(document ? { document } : {}) }, cache };
+}
+
+// Find a request's summary session, rebuilding it from the original threadUrl/rawText (and the
+// summarize options and summary sent along) when it has expired.
+// Without the original input a missing session is thrown with statusCode 404.
+async function resolveSummarySession(fields) {
+  const session = fields.sessionId ? await getSession(fields.sessionId) : null;
+  if (session) return session;
+
+  if (!fields.threadUrl && !fields.rawText) {
+    const error = new Error('This summary has expired. Summarize the thread again to continue.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const input = await resolveThreadText(fields.threadUrl, fields.rawText, { topReplies: resolveTopReplies(fields.topReplies) });
+  console.log('Rebuilt summary session from the original input');
+  return getSession(await openSummarySession(input, fields, {
+    summary: fields.summary,
+    contentType: resolveContentType(fields.contentType),
+    targetLanguage: fields.targetLanguage
+  }));
+}
+
+// Helper function to pass a rate limit's wait time on as a Retry-After header
+function getRetryAfterHeaders(err) {
+  return err.retryAfterSeconds ? { 'Retry-After': String(err.retryAfterSeconds) } : {};
+}
+
+// Map a pipeline error to a status code and user-facing message
+function getErrorResponse(err) {
+  // Handle timeout specifically
+  if (err.message === 'Request timeout') {
+    return {
+      statusCode: 408,
+      error: 'Request timeout - the AI service is taking too long to respond. This usually happens with very long text. Try using shorter content or try again in a moment.'
+    };
   }
   
-  // Extract main points (sentences with key indicators)
-  analysis.mainPoints = sentences
-    .filter(s => s.match(/\b(key|important|main|significant|crucial|essential|primary|major)\b/gi) || 
-                 s.match(/\b(because|therefore|however|moreover|furthermore|additionally)\b/gi) ||
-                 s.length > 50)
-    .slice(0, 5);
+  // Handle different error types more gracefully
+  let statusCode = err.statusCode || 500;
+  let errorMessage = err.message || 'Internal server error';
+  
+  if (err.status === 429 || (err.message && err.message.includes('rate limit'))) {
+    statusCode = 429;
+    errorMessage = 'Too many requests - please wait a moment and try again.';
+  } else if (err.status === 402 || err.status === 503) {
+    // Every model in the fallback chain is out of credits or unavailable
+    statusCode = 503;
+    errorMessage = 'The AI service is temporarily unavailable. Please try again in a few minutes.';
+  } else if (err.message && err.message.includes('network')) {
+    statusCode = 503;
+    errorMessage = 'Network error - unable to connect to AI service. Please try again.';
+  } else if (err.message && err.message.includes('Invalid response')) {
+    statusCode = 502;
+    errorMessage = 'AI service returned an invalid response. Please try again.';
+  }
   
-  return analysis;
+  return { statusCode, error: errorMessage };
 }
 
 exports.handler = async (event, context) => {
@@ -230,180 +618,20 @@ exports.handler = async (event, context) => {
     };
   }
 
+  // The time budget covers fetching the source as well as summarizing it
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  let request = {};
   try {
-    const { threadUrl, rawText, length, tone } = JSON.parse(event.body);
-    
-    let threadText;
-    let isTwitterContent = false;
+    let input;
+    ({ request, input } = await resolveRequest(event, { deadline }));
+    const { length, tone, mode, format, targetLanguage } = request;
+    const { contentType } = input;
     
-    // Log the summarization request attempt
-    let contentType = 'general_text';
-    
-    if (threadUrl && /https?:\/\/(?:twitter|x)\.com\/[^\/]+\/status\/\d+/.test(threadUrl)) {
-      contentType = 'twitter_url';
-      try {
-        threadText = await fetchTwitterContent(threadUrl);
-        isTwitterContent = true;
-      } catch (error) {
-        // If Twitter fetching fails, check if we have rawText as fallback
-        if (rawText && rawText.trim()) {
-          threadText = rawText;
-          isTwitterContent = true;
-          contentType = 'twitter_text';
-        } else {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ 
-              error: `${error.message} Please copy and paste the tweet content directly into the text area instead.` 
-            })
-          };
-        }
-      }
-    } else if (rawText && rawText.length > 0) {
-      // Check if the raw text contains Twitter URLs
-      const twitterUrls = extractTwitterUrls(rawText);
-      if (twitterUrls.length > 0) {
-        contentType = 'twitter_text';
-        // Try to fetch actual content from Twitter URLs, but don't fail if it doesn't work
-        try {
-          const fetchedContent = await fetchContentFromTwitterUrls(twitterUrls);
-          threadText = `${rawText}\n\n--- FETCHED TWITTER CONTENT ---\n${fetchedContent}`;
-        } catch (error) {
-          console.log('Failed to fetch Twitter URLs from text, using raw text:', error);
-          threadText = rawText; // Use the raw text as fallback
-        }
-        isTwitterContent = true;
-      } else {
-        // Check if the text looks like Twitter content
-        isTwitterContent = detectTwitterContent(rawText);
-        contentType = isTwitterContent ? 'twitter_text' : 'general_text';
-        threadText = rawText;
-      }
-    } else {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'No thread link or text provided.' })
-      };
-    }
-
-    // Truncate very long text to prevent timeouts - more aggressive truncation
-    if (threadText.length > 2000) {
-      threadText = threadText.substring(0, 2000) + '...';
-    }
-
-    // NEW: Analyze the content before summarization
-    const contentAnalysis = analyzeContent(threadText);
-    console.log('Content analysis:', contentAnalysis);
-
-    const prompt = getPromptForTone(tone, length, threadText, isTwitterContent, contentAnalysis);
-    
-    // Aggressive retry logic with very short timeouts to stay within 10 second limit
-    const makeApiCallWithRetry = async (retries = 2) => {
-      for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-          console.log(`API call attempt ${attempt}/${retries}`);
-          
-          // Very aggressive timeout - 4 seconds for first attempt, 3 for retry
-          const timeoutMs = attempt === 1 ? 4000 : 3000;
-          
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Request timeout')), timeoutMs);
-          });
-
-          const apiCallPromise = fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: { 
-              'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`, 
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'https://just-one-minute-goldman.netlify.app',
-              'X-Title': 'Just One Minute'
-            },
-            body: JSON.stringify({
-              model: 'openai/gpt-4.1-mini',
-              messages: [{ 
-                role: 'user', 
-                content: prompt
-              }],
-              max_tokens: 30, // Reduced to work within credit limits
-              temperature: 0.6 // Slightly lower for more consistent output
-            })
-          });
-
-          const llmRes = await Promise.race([apiCallPromise, timeoutPromise]);
-          
-          if (!llmRes.ok) {
-            const errText = await llmRes.text().catch(() => 'Unknown error');
-            console.error(`OpenRouter API error (attempt ${attempt}):`, errText);
-            
-            // Only retry on 5xx errors and if we have attempts left
-            if (llmRes.status >= 500 && attempt < retries) {
-              console.log(`Retrying due to server error (${llmRes.status})...`);
-              await new Promise(resolve => setTimeout(resolve, 500)); // Very short backoff
-              continue;
-            }
-            
-            throw new Error(`AI service error: ${errText}`);
-          }
-          
-          return llmRes;
-          
-        } catch (error) {
-          console.error(`Attempt ${attempt} failed:`, error.message);
-          
-          // Only retry timeouts and network errors if we have attempts left
-          if ((error.message === 'Request timeout' || error.message.includes('fetch') || error.code === 'ECONNRESET') && attempt < retries) {
-            console.log(`Retrying due to ${error.message}...`);
-            await new Promise(resolve => setTimeout(resolve, 300)); // Very short backoff
-            continue;
-          }
-          
-          // If it's the last attempt or a non-retryable error, throw it
-          throw error;
-        }
-      }
-    };
-
-    const llmRes = await makeApiCallWithRetry();
-    
-    const responseText = await llmRes.text();
-    let llmData;
-    try {
-      llmData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('Failed to parse OpenRouter response:', responseText);
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'Invalid response from AI service' })
-      };
-    }
-    
-    if (!llmData.choices || !llmData.choices[0] || !llmData.choices[0].message) {
-      console.error('Invalid response structure from OpenRouter:', llmData);
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'Invalid response structure from AI service' })
-      };
-    }
-    
-    let summary = llmData.choices[0].message.content.trim();
-    
-    if (!summary) {
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'Empty summary received from AI service' })
-      };
-    }
-
-    // NEW: Post-process the summary to ensure clarity and remove any bogus content
-    summary = postProcessSummary(summary, tone, contentAnalysis);
-    
-    // Ensure the summary ends with a complete sentence
-    summary = ensureCompleteSentence(summary);
+    // request.contentType overrides the detected content type; input.contentType is where the text came from
+    const { result, cache } = await summarizeWithCache({ ...input, tone, length, mode, format, targetLanguage, contentTypeOverride: request.contentType }, {
+      bypassCache: request.bypassCache,
+      deadline
+    });
     
     // Log successful tone usage and summarization
     await Promise.all([
@@ -414,65 +642,67 @@ exports.handler = async (event, context) => {
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({ summary })
+      // Comparisons have two sources, so they don't get a session for follow-ups and refining
+      body: JSON.stringify(format === 'compare' ? { ...result, cache } : withExport({ ...result, cache, sessionId: await getResponseSessionId(input, request, result) }, request))
     };
   } catch (err) {
     console.error('Error in summarize function:', err);
     
+    // Bad input is not a failed summarization, and neither is a Twitter rate limit
+    if (err.statusCode === 400 || err.retryAfterSeconds) {
+      return {
+        statusCode: err.statusCode || 400,
+        headers: { ...headers, ...getRetryAfterHeaders(err) },
+        body: JSON.stringify({ error: err.message, retryAfterSeconds: err.retryAfterSeconds })
+      };
+    }
+    
     // Log failed summarization attempt
     try {
-      const { tone, length } = JSON.parse(event.body || '{}');
+      const { tone, length } = request;
       const contentType = 'unknown';
       await logSummarizationRequest(tone || 'unknown', length || 'unknown', contentType, false);
     } catch (logError) {
       console.error('Error logging failed request:', logError);
     }
     
-    // Handle timeout specifically
-    if (err.message === 'Request timeout') {
-      return {
-        statusCode: 408,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Request timeout - the AI service is taking too long to respond. This usually happens with very long text. Try using shorter content or try again in a moment.' 
-        })
-      };
-    }
-    
-    // Handle different error types more gracefully
-    let statusCode = 500;
-    let errorMessage = err.message || 'Internal server error';
-    
-    if (err.message && err.message.includes('rate limit')) {
-      statusCode = 429;
-      errorMessage = 'Too many requests - please wait a moment and try again.';
-    } else if (err.message && err.message.includes('network')) {
-      statusCode = 503;
-      errorMessage = 'Network error - unable to connect to AI service. Please try again.';
-    } else if (err.message && err.message.includes('Invalid response')) {
-      statusCode = 502;
-      errorMessage = 'AI service returned an invalid response. Please try again.';
-    }
+    const { statusCode, error } = getErrorResponse(err);
     
     return {
       statusCode,
       headers,
-      body: JSON.stringify({ error: errorMessage })
+      body: JSON.stringify({ error })
     };
   }
 };
 
+// Shared with the streaming variant in summarize-stream.js
+exports.resolveThreadText = resolveThreadText;
+exports.resolveRequest = resolveRequest;
+exports.getRetryAfterHeaders = getRetryAfterHeaders;
+exports.summarizeThread = summarizeThread;
+exports.summarizeWithCache = summarizeWithCache;
+exports.openSummarySession = openSummarySession;
+exports.getResponseSessionId = getResponseSessionId;
+exports.resolveSummarySession = resolveSummarySession;
+exports.getErrorResponse = getErrorResponse;
+exports.TIME_BUDGET_MS = TIME_BUDGET_MS;
+
 // NEW: Post-processing function to clean up and improve summary quality
-function postProcessSummary(summary, tone, contentAnalysis) {
+function postProcessSummary(summary, tone, contentAnalysis, language = 'en') {
   // Remove common AI artifacts and filler phrases
-  const artifactsToRemove = [
+  const englishArtifacts = [
     /^(Here's|Here is|This is|The following is|In summary|To summarize|Based on|According to)\s+/i,
     /\b(I think|I believe|It seems|It appears|Perhaps|Maybe|Possibly)\b/gi,
     /\b(very very|really really|quite quite)\b/gi, // Remove redundant intensifiers
-    /\b(um|uh|er|ah)\b/gi, // Remove filler words
+    /\b(um|uh|er|ah)\b/gi // Remove filler words
+  ];
+  const artifactsToRemove = [
+    // The filler phrases are English and would eat real words in other languages
+    ...(isEnglish(language) ? englishArtifacts : []),
     /\.\.\.\s*$/, // Remove trailing ellipsis
-    /^[^\w]*/, // Remove leading non-word characters
-    /[^\w\s.,!?;:'"()-]*$/ // Remove trailing non-standard characters
+    /^[^\p{L}\p{N}$#@•]*/u, // Remove leading non-word characters (but not a first bullet)
+    /[^\p{L}\p{N}\p{Extended_Pictographic}\u200D\uFE0F\s.,!?;:'"()%。！？、-]*$/u // Remove trailing non-standard characters (but not emoji)
   ];
   
   let cleaned = summary;
@@ -482,8 +712,8 @@ function postProcessSummary(summary, tone, contentAnalysis) {
   
   // Fix common formatting issues
   cleaned = cleaned
-    .replace(/\s+/g, ' ') // Multiple spaces to single space
-    .replace(/([.!?])\s*([a-z])/g, '$1 $2') // Ensure space after punctuation
+    .replace(/[^\S\n]+/g, ' ') // Multiple spaces to single space
+    .replace(/ *\n\s*/g, '\n') // Keep the line breaks of bullet lists, but not blank lines
     .replace(/([a-z])([A-Z])/g, '$1 $2') // Add space between camelCase words
     .trim();
   
@@ -492,140 +722,21 @@ function postProcessSummary(summary, tone, contentAnalysis) {
     cleaned = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
   }
   
-  // Tone-specific post-processing
-  switch (tone) {
-    case 'simple':
-      // Replace complex words with simpler alternatives
-      const simplifications = {
-        'utilize': 'use',
-        'demonstrate': 'show',
-        'facilitate': 'help',
-        'implement': 'do',
-        'subsequently': 'then',
-        'approximately': 'about',
-        'numerous': 'many',
-        'substantial': 'large'
-      };
-      Object.entries(simplifications).forEach(([complex, simple]) => {
-        cleaned = cleaned.replace(new RegExp(`\\b${complex}\\b`, 'gi'), simple);
-      });
-      break;
-      
-    case 'professional':
-      // Ensure professional language consistency
-      cleaned = cleaned
-        .replace(/\bcan't\b/g, 'cannot')
-        .replace(/\bwon't\b/g, 'will not')
-        .replace(/\bdon't\b/g, 'do not');
-      break;
-      
-    case 'shitpost':
-      // Ensure it doesn't go too far into nonsense
-      if (cleaned.length < 20 || !cleaned.match(/[a-zA-Z]/)) {
-        cleaned = "This content is basically saying: " + cleaned;
-      }
-      break;
+  // Tone preset post-processing rules (word swaps and contractions only make sense in English)
+  if (isEnglish(language)) {
+    cleaned = applyTonePostProcessing(cleaned, tone);
   }
   
-  // Final validation - ensure the summary makes sense
-  if (cleaned.length < 10 || !cleaned.match(/[a-zA-Z]/)) {
+  // Final validation - ensure the summary makes sense (CJK summaries are short in characters)
+  if (cleaned.length < (isEnglish(language) ? 10 : 4) || !cleaned.match(/\p{L}/u)) {
     cleaned = "Unable to generate a clear summary. The content may be too complex or unclear.";
   }
   
   return cleaned;
 }
 
-// Helper function to ensure text ends with a complete sentence
-function ensureCompleteSentence(text) {
-  if (!text || text.trim().length === 0) {
-    return text;
-  }
-  
-  let cleanText = text.trim();
-  
-  // Check if it ends with proper sentence punctuation
-  const endsWithPunctuation = /[.!?]$/.test(cleanText);
-  
-  if (endsWithPunctuation) {
-    // Even if it ends with punctuation, verify the last sentence is complete
-    const sentences = cleanText.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const lastSentence = sentences[sentences.length - 1];
-    
-    // Check if the last sentence has sufficient structure
-    if (lastSentence && lastSentence.trim().split(/\s+/).length >= 3) {
-      return cleanText; // Sentence appears complete
-    }
-  }
-  
-  // If we get here, we need to fix the sentence ending
-  // Split by sentence punctuation and rebuild complete sentences
-  const sentenceParts = cleanText.split(/([.!?]+)/);
-  let completeText = '';
-  
-  for (let i = 0; i < sentenceParts.length - 1; i += 2) {
-    const sentence = sentenceParts[i];
-    const punctuation = sentenceParts[i + 1];
-    
-    if (sentence && sentence.trim().length > 0 && punctuation && /[.!?]/.test(punctuation)) {
-      const words = sentence.trim().split(/\s+/);
-      
-      // Ensure sentence has meaningful length and structure
-      if (words.length >= 4) {
-        // Look for basic sentence components
-        const hasSubject = words.some(word => 
-          /^[A-Z]/.test(word) || 
-          /\b(it|this|that|these|those|they|we|you|I|he|she|the|a|an)\b/i.test(word)
-        );
-        const hasVerb = words.some(word => 
-          /\b(is|are|was|were|has|have|had|will|would|can|could|should|might|must|do|does|did|get|got|make|made|take|took|go|went|come|came|see|saw|know|knew|think|thought|say|said|tell|told|give|gave|find|found|use|used|work|worked|help|helped|show|showed|mean|means|allow|allows|enable|enables|provide|provides|include|includes|contain|contains|involve|involves|require|requires|offer|offers|support|supports)\b/i.test(word)
-        );
-
-        // Include sentence if it has basic structure or is reasonably substantial
-        if ((hasSubject && hasVerb) || words.length >= 6) {
-          completeText += sentence.trim() + punctuation;
-        }
-      }
-    }
-  }
-  
-  // If we found complete sentences, return them
-  if (completeText.trim().length > 15) {
-    return completeText.trim();
-  }
-  
-  // If no complete sentences, try to create one from the available text
-  const words = cleanText.replace(/[.!?]*$/, '').split(/\s+/);
-  
-  if (words.length <= 3) {
-    // Very short text, just add period
-    return cleanText.replace(/[.!?]*$/, '') + '.';
-  }
-  
-  // Look for natural breaking points to avoid cutting mid-thought
-  const breakWords = ['and', 'but', 'or', 'so', 'because', 'since', 'while', 'when', 'where', 'which', 'that', 'with', 'for', 'in', 'on', 'at', 'by', 'from', 'to'];
-  
-  // Work backwards from the end to find a good stopping point
-  for (let i = words.length - 1; i >= Math.max(3, words.length - 6); i--) {
-    if (breakWords.includes(words[i].toLowerCase())) {
-      const truncated = words.slice(0, i).join(' ');
-      if (truncated.split(/\s+/).length >= 3) {
-        return truncated + '.';
-      }
-    }
-  }
-  
-  // If no good break point, remove last few words to avoid incomplete thoughts
-  const safeTruncated = words.slice(0, Math.max(3, words.length - 3)).join(' ');
-  if (safeTruncated.split(/\s+/).length >= 3) {
-    return safeTruncated + '.';
-  }
-  
-  // Last resort: return original with proper punctuation
-  return cleanText.replace(/[.!?]*$/, '') + '.';
-}
-
 // UPDATED: Enhanced prompt generation with content analysis
-function getPromptForTone(tone, length, content, isTwitterContent = false, contentAnalysis = null) {
+function getPromptForTone(tone, length, content, isTwitterContent = false, contentAnalysis = null, targetLanguage = 'en') {
   const analysisContext = contentAnalysis ? `
 CONTENT ANALYSIS:
 - Type: ${contentAnalysis.contentType}
@@ -637,6 +748,11 @@ CONTENT ANALYSIS:
 CRITICAL INSTRUCTIONS:
 ` : '';
   
+  const languageInstruction = getLanguageInstruction(targetLanguage, contentAnalysis ? contentAnalysis.language : targetLanguage);
+  // Academic, business, technical, news and thread content each get their own summary shape
+  const shapeInstruction = contentAnalysis ? getContentShapeInstruction(contentAnalysis.contentType, length) : '';
+  const lengthInstruction = getLengthInstruction(getLengthBudget(length, targetLanguage));
+  
   const baseInstruction = `${analysisContext}You are a brilliant human content summarizer who writes with natural flow and authentic voice. Read and understand the content first, then provide ONLY the summary response without any introductory phrases, questions, or commentary. 
 
 MANDATORY REQUIREMENTS:
@@ -648,33 +764,29 @@ MANDATORY REQUIREMENTS:
 6. Never ask questions or request clarification
 7. Make it informative and engaging without being overly excited
 8. Avoid using em dashes (—) in your response
-9. Focus on accuracy and clarity over enthusiasm`;
+9. Focus on accuracy and clarity over enthusiasm
+
+${lengthInstruction}${shapeInstruction ? `\n\n${shapeInstruction}` : ''}${languageInstruction ? `\n\n${languageInstruction}` : ''}`;
   
   const twitterContext = isTwitterContent ? 
-    "This is Twitter/X content. Pull out the main points quickly and make them digestible. " : 
+    "This is Twitter/X content. Pull out the main points quickly and make them digestible. " + TWEET_ATTACHMENTS_NOTE : 
     "";
   
   const bulletInstruction = length === 'bullet list' ? 
     "Format as clean, SHORT bullet points. Use • or - for bullets. Make each bullet punchy and complete. " : 
     "";
   
-  switch (tone) {
-    case 'shitpost':
-      return `${twitterContext}${bulletInstruction}Turn this into a ${length} that's funny and engaging while hitting the main points. Use casual internet language but keep it informative. Keep ALL important names/numbers but make it entertaining. Be witty but not over the top. ${baseInstruction}\n\nCONTENT TO SUMMARIZE:\n${content}`;
-    
-    case 'infographics':
-      return `${twitterContext}${bulletInstruction}Make this into ${length} perfect for an infographic. Clean sections, key stats, visual structure. Use emojis naturally and organize for easy scanning. Keep ALL important numbers/names but structure them clearly. ${baseInstruction}\n\nCONTENT TO SUMMARIZE:\n${content}`;
-    
-    case 'simple':
-      return `${twitterContext}${bulletInstruction}Break this down into ${length} anyone can understand. Use everyday language and simple examples. Keep ALL important names/numbers but explain what they mean clearly. Like explaining to a friend who wants to understand. ${baseInstruction}\n\nCONTENT TO SUMMARIZE:\n${content}`;
-    
-    case 'professional':
-      return `${twitterContext}${bulletInstruction}Write this as ${length} in professional tone that's polished but human. Like a good meeting summary. Keep all technical terms/names/numbers but make it business-appropriate and clear. ${baseInstruction}\n\nCONTENT TO SUMMARIZE:\n${content}`;
-    
-    case 'conversational':
-      return `${twitterContext}${bulletInstruction}Explain this in ${length} like talking to a friend. Natural, relaxed, with some personality. Real conversation feel. Keep all important names/numbers but explain them naturally. ${baseInstruction}\n\nCONTENT TO SUMMARIZE:\n${content}`;
-    
-    default:
-      return `${twitterContext}${bulletInstruction}Write this as ${length} with ${tone} tone that's authentic and human. Keep all important keywords/names/numbers but make it clear and engaging. ${baseInstruction}\n\nCONTENT TO SUMMARIZE:\n${content}`;
-  }
+  // The tone's template comes from the preset registry in lib/tones.js
+  return buildTonePrompt(tone, {
+    length,
+    content,
+    contentType: contentAnalysis ? contentAnalysis.contentType : 'general',
+    names: contentAnalysis ? contentAnalysis.names.join(', ') : '',
+    numbers: contentAnalysis ? contentAnalysis.numbers.join(', ') : '',
+    technicalTerms: contentAnalysis ? contentAnalysis.technicalTerms.join(', ') : '',
+    complexity: contentAnalysis ? contentAnalysis.complexity : 'medium',
+    twitterContext,
+    bulletInstruction,
+    instructions: baseInstruction
+  });
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+const { listTones, getTone, TEMPLATE_VARIABLES } = require('./lib/tones');
+
+// Tone preset registry:
+//   GET    /.netlify/functions/tones          list tones (and the template variables)
+//   GET    /.netlify/functions/tones/:id      one tone
+// The id can also be passed as ?id=. Each Netlify function has its own memory and files, so a
+// tone created here would never reach the summarize function. Here the registry is read-only
+// ("available": false) and changes get a 503; custom tones come from a TONE_PRESETS_FILE deployed
+// with the functions. The Express server takes POST, PUT and DELETE (see server.ts).
+const READ_ONLY_MESSAGE = 'Custom tones can\'t be changed on Netlify, since each function keeps its own copy of them. Deploy them in TONE_PRESETS_FILE, or use the Express server.';
+
+// Helper function to get the tone id from the path or query string
+function getToneId(event) {
+  const match = /\/tones\/([^/?]+)/.exec(event.path || '');
+  if (match) return decodeURIComponent(match[1]);
+  return (event.queryStringParameters && event.queryStringParameters.id) || null;
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+  const id = getToneId(event);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (!id) {
+        return respond(200, { tones: listTones(), variables: TEMPLATE_VARIABLES, available: false });
+      }
+      const tone = getTone(id);
+      return tone ? respond(200, tone) : respond(404, { error: `No tone with id "${id}".` });
+    }
+
+    if (!['POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+      return respond(405, { error: 'Method not allowed' });
+    }
+
+    return respond(503, { error: READ_ONLY_MESSAGE });
+  } catch (err) {
+    console.error('Error in tones function:', err);
+    return respond(err.statusCode || 500, { error: err.message || 'Internal server error' });
+  }
+};
@@ -4,22 +4,45 @@
 
 import express, { Request, Response } from 'express';
 import dotenv from 'dotenv';
-import AbortController from 'abort-controller';
-import fetch from 'node-fetch';
-import { TwitterApi } from 'twitter-api-v2';
 import path from 'path';
+import { mapReduceSummarize, getChunkPrompt } from './netlify/functions/lib/map-reduce';
+import { formatSseEvent } from './netlify/functions/lib/sse';
+import { complete, getMissingProviderEnv } from './netlify/functions/lib/llm-provider';
+import { extractiveSummarize } from './netlify/functions/lib/extractive';
+import { isArticleUrl, fetchArticle, formatArticleText } from './netlify/functions/lib/article';
+import { extractDocumentText, getUploadedFile, readUpload, formatDocumentText } from './netlify/functions/lib/documents';
+import { generateStructuredSummary, getExtractiveStructuredSummary } from './netlify/functions/lib/structured';
+import { checkFaithfulness, shouldRegenerate, getFaithfulnessRetryPrompt } from './netlify/functions/lib/faithfulness';
+import { detectLanguage, resolveTargetLanguage, getLanguageInstruction, isEnglish } from './netlify/functions/lib/language';
+import { detectTwitterContent, analyzeContent, resolveContentType, getContentShapeInstruction } from './netlify/functions/lib/content-analysis';
+import { ensureCompleteSentence } from './netlify/functions/lib/sentences';
+import { getLengthBudget, getLengthInstruction, getMaxReadingWords, getReadingStats, trimToWordBudget, enforceReadingTime } from './netlify/functions/lib/length-budget';
+import { normalizePastedText } from './netlify/functions/lib/pasted-thread';
+import { TWEET_ATTACHMENTS_NOTE, extractTweetId, resolveTopReplies, fetchThread, formatThreadText } from './netlify/functions/lib/twitter-thread';
+import { createSession, getSession, saveSession } from './netlify/functions/lib/sessions';
+import { validateQuestion, answerQuestion } from './netlify/functions/lib/follow-up';
+import { resolveRefineAction, refineSummary } from './netlify/functions/lib/refine';
+import { getJobStore } from './netlify/functions/lib/job-store';
+import { validateCompareSources, compareSources } from './netlify/functions/lib/compare';
+import { resolveBatchRequest, createBatchJob, runBatchJob, getJobStatus, isRateLimitError } from './netlify/functions/lib/batch';
+import { isCacheBypassed, withResponseCache } from './netlify/functions/lib/response-cache';
+import { isExportFormat, exportSummary, validateExportRequest, withExport } from './netlify/functions/lib/export';
+import { createShare, getShare, deleteShare, getDeleteToken, getBaseUrl, getShareTitle, getShareFooter, renderSharePage, renderMissingSharePage } from './netlify/functions/lib/shares';
+import { renderShareImage } from './netlify/functions/lib/share-image';
+import { TEMPLATE_VARIABLES, listTones, getTone, createTone, updateTone, deleteTone, buildTonePrompt, applyTonePostProcessing, canManageTones, getToneAdminError } from './netlify/functions/lib/tones';
 
 dotenv.config();
 
 // Validate required environment variables
 const requiredEnvVars = {
-  OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY,
   TWITTER_BEARER_TOKEN: process.env.TWITTER_BEARER_TOKEN
 };
 
+// API keys are only required for the LLM providers that are configured (see lib/llm-provider.js)
 const missingVars = Object.entries(requiredEnvVars)
   .filter(([_, value]) => !value)
-  .map(([key, _]) => key);
+  .map(([key, _]) => key)
+  .concat(getMissingProviderEnv());
 
 if (missingVars.length > 0) {
   console.error('❌ Missing required environment variables:');
@@ -31,8 +54,10 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
-// initialize Twitter client with bearer token
-const twitterClient = new TwitterApi(requiredEnvVars.TWITTER_BEARER_TOKEN!);
+// Time allowed for all the Twitter API calls that rebuild one thread
+const TWITTER_TIME_BUDGET_MS = 15000;
+// Thread links fetched from pasted text
+const MAX_TWITTER_URLS = 5;
 
 // Helper function to detect and extract Twitter URLs from text
 function extractTwitterUrls(text: string): string[] {
@@ -40,22 +65,24 @@ function extractTwitterUrls(text: string): string[] {
   return text.match(twitterUrlRegex) || [];
 }
 
-// Helper function to fetch content from multiple Twitter URLs with retry logic
+// Helper function to fetch content from multiple Twitter URLs, in parallel within one time budget
 async function fetchContentFromTwitterUrls(urls: string[]): Promise<string> {
   const contents: string[] = [];
   const errors: string[] = [];
   
-  // Limit to 3 URLs to prevent timeouts
-  for (const url of urls.slice(0, 3)) {
-    try {
-      const content = await fetchThreadTextFromTwitter(url);
-      contents.push(`--- Content from ${url} ---\n${content}`);
-    } catch (error) {
+  const results = await Promise.all([...new Set(urls)].slice(0, MAX_TWITTER_URLS).map(url =>
+    fetchThreadTextFromTwitter(url).then(content => ({ url, content, error: null }), (error: unknown) => ({ url, content: '', error }))
+  ));
+  
+  results.forEach(({ url, content, error }) => {
+    if (error) {
       const errorMessage = error instanceof Error ? error.message : 'Unknown error';
       console.error(`Failed to fetch content from ${url}:`, error);
       errors.push(`${url}: ${errorMessage}`);
+    } else {
+      contents.push(`--- Content from ${url} ---\n${content}`);
     }
-  }
+  });
   
   if (contents.length === 0) {
     throw new Error(`Could not fetch content from any of the provided Twitter URLs. Errors: ${errors.join('; ')}`);
@@ -69,24 +96,473 @@ async function fetchContentFromTwitterUrls(urls: string[]): Promise<string> {
   return contents.join('\n\n');
 }
 
-// Helper function to detect if text contains Twitter-like content
-function detectTwitterContent(text: string): boolean {
-  const twitterIndicators = [
-    /\d+\/\d+/g, // Tweet numbering like "1/5"
-    /@\w+/g, // Mentions
-    /#\w+/g, // Hashtags
-    /🧵/g, // Thread emoji
-    /Thread:/i, // Thread indicator
-    /THREAD/i, // Thread indicator caps
-  ];
-  
-  let score = 0;
-  twitterIndicators.forEach(regex => {
-    const matches = text.match(regex);
-    if (matches) score += matches.length;
+// Map-reduce limits for long input
+const MAX_CHUNK_CHARS = 8000;
+const MAX_CHUNKS = 6;
+const TIME_BUDGET_MS = 90000;
+
+// Runtime retry policy for LLM calls - the Express server is not bound by the 10 second function limit
+const LLM_CALL_OPTIONS = { retries: 3, timeouts: [20000], backoffMs: 1000 };
+
+type SummarizeFields = { threadUrl?: string; rawText?: string; length: string; tone: string; mode?: string; format?: string; targetLanguage?: string; contentType?: string; topReplies?: number | string; sources?: Array<{ threadUrl?: string; rawText?: string; topReplies?: number | string }>; bypassCache?: boolean | string };
+type SummarizeInput = { threadText: string; isTwitterContent: boolean; article?: object; document?: object };
+
+// Helper function to work out what to summarize from a thread URL and/or pasted text.
+// topReplies adds that many of the top replies to a fetched thread.
+// Input problems are thrown with statusCode 400.
+async function resolveThreadText(threadUrl?: string, rawText?: string, topReplies: number = 0): Promise<SummarizeInput> {
+  const inputError = (message: string) => Object.assign(new Error(message), { statusCode: 400 });
+  
+  // Input validation
+  if (!threadUrl && !rawText) {
+    throw inputError('No thread link or text provided.');
+  }
+  
+  // Threads copied by hand from X/Twitter are cleaned up into numbered tweets first
+  const pasted = rawText ? normalizePastedText(rawText) : { text: rawText, thread: null };
+  if (pasted.thread) {
+    console.log(`Normalized a pasted ${pasted.thread.format} thread of ${pasted.thread.tweets.length} tweets`);
+    rawText = pasted.text;
+  }
+  
+  if (threadUrl && /https?:\/\/(?:twitter|x)\.com\/[^\/]+\/status\/\d+/.test(threadUrl)) {
+    try {
+      return { threadText: await fetchThreadTextFromTwitter(threadUrl, topReplies), isTwitterContent: true };
+    } catch (error) {
+      // If Twitter fetching fails, check if we have rawText as fallback
+      if (rawText && rawText.trim()) {
+        return { threadText: rawText, isTwitterContent: true };
+      }
+      const errorMessage = error instanceof Error ? error.message : 'An unexpected error occurred.';
+      const message = `${errorMessage} You can copy and paste the tweet content directly into the text area instead.`;
+      // A Twitter rate limit is worth retrying later, so it keeps its wait time
+      const retryAfterSeconds = (error as { retryAfterSeconds?: number }).retryAfterSeconds;
+      if (retryAfterSeconds) {
+        throw Object.assign(new Error(message), { statusCode: 429, retryAfterSeconds });
+      }
+      throw inputError(message);
+    }
+  }
+  
+  // Any other web link (as threadUrl, or pasted on its own) is fetched as an article
+  const articleUrl = isArticleUrl(threadUrl) ? threadUrl!.trim() :
+    (!threadUrl && isArticleUrl(rawText) ? rawText!.trim() : null);
+  if (articleUrl) {
+    try {
+      const article = await fetchArticle(articleUrl, { timeoutMs: 15000 });
+      const { text, ...metadata } = article;
+      return { threadText: formatArticleText(article), isTwitterContent: false, article: metadata };
+    } catch (error) {
+      console.error('Error fetching article:', error);
+      // If the article can't be fetched, fall back to pasted text
+      if (threadUrl && rawText && rawText.trim()) {
+        return { threadText: rawText, isTwitterContent: detectTwitterContent(rawText) };
+      }
+      const errorMessage = error instanceof Error ? error.message : 'An unexpected error occurred.';
+      throw inputError(`Unable to fetch content from ${articleUrl}: ${errorMessage}. You can copy and paste the article text into the text area instead.`);
+    }
+  }
+  
+  if (rawText && rawText.length > 0) {
+    // Check if the raw text contains Twitter URLs or looks like Twitter content
+    const twitterUrls = extractTwitterUrls(rawText);
+    if (twitterUrls.length > 0) {
+      // Try to fetch actual content from Twitter URLs, but don't fail if it doesn't work
+      try {
+        const fetchedContent = await fetchContentFromTwitterUrls(twitterUrls);
+        return { threadText: `${rawText}\n\n--- FETCHED TWITTER CONTENT ---\n${fetchedContent}`, isTwitterContent: true };
+      } catch (error) {
+        console.log('Failed to fetch Twitter URLs from text, using raw text:', error);
+        return { threadText: rawText, isTwitterContent: true }; // Use the raw text as fallback
+      }
+    }
+    return { threadText: rawText, isTwitterContent: Boolean(pasted.thread) || detectTwitterContent(rawText) };
+  }
+  
+  throw inputError('No thread link or text provided.');
+}
+
+// Helper function to read a summarize request - JSON, JSON with a base64 "file",
+// or multipart/form-data with a "file" part - and resolve what to summarize
+async function resolveSummarizeRequest(req: Request): Promise<{ fields: SummarizeFields; input: SummarizeInput }> {
+  const { fields, file } = Buffer.isBuffer(req.body)
+    ? readUpload(req.body, req.headers['content-type'])
+    : { fields: req.body || {}, file: getUploadedFile(req.body) };
+  
+  if (file) {
+    const document = await extractDocumentText(file);
+    console.log(`Extracted ${document.text.length} chars from ${document.documentType} upload ${file.name}`);
+    return {
+      fields,
+      input: {
+        threadText: formatDocumentText(document, file.name),
+        isTwitterContent: false,
+        document: { name: file.name || null, type: document.documentType, title: document.title }
+      }
+    };
+  }
+  
+  return { fields, input: await resolveThreadText(fields.threadUrl, fields.rawText, resolveTopReplies(fields.topReplies)) };
+}
+
+// Helper function to fetch both sources of a compare request (format "compare") in parallel
+async function resolveCompareSources(fields: SummarizeFields): Promise<SummarizeInput[]> {
+  const sources: Array<{ threadUrl?: string; rawText?: string; topReplies?: number | string }> = validateCompareSources(fields.sources);
+  return Promise.all(sources.map(source => resolveThreadText(source.threadUrl, source.rawText, resolveTopReplies(source.topReplies))));
+}
+
+// Compare two resolved sources: shared points, disagreements, one-sided claims and conflicting numbers
+async function summarizeComparison(sources: SummarizeInput[], tone?: string, targetLanguage?: string) {
+  let answeredBy = {};
+  const result = await compareSources(sources, {
+    tone,
+    targetLanguage,
+    callModel: (prompt: string) => complete('compare', prompt, LLM_CALL_OPTIONS).then(completion => {
+      answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+      return completion.text;
+    })
+  });
+  return {
+    format: 'compare',
+    summary: result.comparison.overview,
+    ...result,
+    sources: result.sources.map((source: object, index: number) => ({ ...source, ...getSourceDetails(sources[index]) })),
+    ...answeredBy
+  };
+}
+
+// Summarize through the response cache (lib/response-cache.js), keyed on the source text (both
+// texts for a comparison) and every option that changes the summary. Export formats share the
+// plain summary's entry. Fallback extractive summaries aren't cached, so the LLM is tried again
+// next time.
+async function summarizeWithCache(fields: SummarizeFields, inputs: SummarizeInput[], summarize: () => Promise<object>) {
+  const { tone, length, mode, format, targetLanguage, contentType } = fields;
+  const isCompare = format === 'compare';
+  return withResponseCache('summary', {
+    content: isCompare ? inputs.map(input => input.threadText) : inputs[0].threadText,
+    feature: isCompare ? 'compare' : (format === 'structured' ? 'summarizeStructured' : 'summarize'),
+    // The tone's preset is part of the key, so editing a custom tone isn't answered from the cache
+    options: {
+      tone,
+      tonePreset: getTone(tone),
+      length,
+      mode,
+      format: isExportFormat(format) ? undefined : format,
+      targetLanguage,
+      contentType,
+      twitter: isCompare ? inputs.map(input => input.isTwitterContent) : inputs[0].isTwitterContent
+    }
+  }, summarize, {
+    bypass: isCacheBypassed(fields.bypassCache),
+    isCacheable: (summary: { extractive?: boolean; extractiveReason?: string }) => !summary.extractive || summary.extractiveReason === 'requested'
+  });
+}
+
+// Helper function to pick the fetched article / uploaded document details returned with a summary
+function getSourceDetails(input: SummarizeInput) {
+  return { ...(input.article ? { article: input.article } : {}), ...(input.document ? { document: input.document } : {}) };
+}
+
+// Build an offline extractive summary; reason is "requested" or "llm_unavailable".
+// The sentences come straight from the input, so it stays in the input's language.
+function getExtractiveSummary(threadText: string, length: string, reason: string, sourceLanguage: string) {
+  // Picked sentences can be long, so they're held to the one-minute reading cap too
+  const summary = trimToWordBudget(extractiveSummarize(threadText, length), getMaxReadingWords());
+  return {
+    summary,
+    ...getReadingStats(summary),
+    extractive: true,
+    extractiveReason: reason,
+    sourceLanguage,
+    targetLanguage: sourceLanguage
+  };
+}
+
+// Run the summarization pipeline on resolved text.
+// With onDelta the final summary is streamed before post-processing.
+// mode "extractive" skips the LLM; the extractive summary is also used when every provider fails.
+// Summaries are written in the input's language unless targetLanguage asks for another one.
+// contentType overrides the detected content type, which picks the summary shape.
+// With passRateLimits (batch jobs) an LLM rate limit is thrown instead, so it can be waited out.
+async function summarizeThread(threadText: string, isTwitterContent: boolean, tone: string, length: string, mode?: string, targetLanguage?: string, contentType?: string, onDelta?: (text: string) => void, { passRateLimits = false }: { passRateLimits?: boolean } = {}) {
+  console.log('Processing text:', threadText.substring(0, 100) + '...');
+  
+  const contentAnalysis = analyzeContent(threadText, { contentType: resolveContentType(contentType) });
+  const classification = { contentType: contentAnalysis.contentType, detectedContentType: contentAnalysis.detectedContentType };
+  const sourceLanguage = contentAnalysis.language;
+  const outputLanguage = resolveTargetLanguage(targetLanguage, sourceLanguage);
+  // Word and token budget for the requested length, capped at one minute of reading
+  const budget = getLengthBudget(length, outputLanguage);
+  
+  if (mode === 'extractive') {
+    return { ...getExtractiveSummary(threadText, budget.length, 'requested', sourceLanguage), ...classification };
+  }
+  
+  // The backend that wrote the final summary, which may be a fallback model
+  let answeredBy = {};
+  // The final prompt, kept for regenerating an unfaithful summary
+  let finalPrompt = '';
+  // Why the model stopped writing the final summary ("length" when it ran out of tokens)
+  let finishReason: string | null = null;
+  
+  // Long text is summarized chunk by chunk and merged instead of being truncated
+  let result;
+  try {
+    result = await mapReduceSummarize(threadText, {
+      maxChunkChars: MAX_CHUNK_CHARS,
+      maxChunks: MAX_CHUNKS,
+      timeBudgetMs: TIME_BUDGET_MS,
+      summarizeChunk: (chunk: string, index: number, total: number, remainingMs: number) => complete(
+        'summarizeChunk',
+        getChunkPrompt(chunk, index, total, isTwitterContent),
+        { ...LLM_CALL_OPTIONS, retries: 2, timeouts: [Math.min(20000, remainingMs / 2)] }
+      ).then(completion => completion.text),
+      summarizeFinal: (content: string, remainingMs: number) => {
+        finalPrompt = getPromptForTone(tone, budget.length, content, isTwitterContent, contentAnalysis, outputLanguage);
+        return complete(
+          'summarize',
+          finalPrompt,
+          { ...LLM_CALL_OPTIONS, timeouts: [Math.min(20000, remainingMs)], maxTokens: budget.maxTokens, onDelta }
+        ).then(completion => {
+          answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+          finishReason = completion.finishReason;
+          return completion.text;
+        });
+      }
+    });
+  } catch (err: any) {
+    if (passRateLimits && isRateLimitError(err)) throw err;
+    // Still give the user something when every provider and fallback model failed
+    console.error('LLM summarization failed, using extractive summary:', err.message);
+    return { ...getExtractiveSummary(threadText, budget.length, 'llm_unavailable', sourceLanguage), ...classification };
+  }
+  
+  console.log('LLM summary:', result.summary);
+  
+  // Apply the tone's post-processing rules (English only), then ensure the summary ends with a complete sentence
+  let summary = ensureCompleteSentence(isEnglish(outputLanguage) ? applyTonePostProcessing(result.summary, tone) : result.summary, { finishReason, language: outputLanguage });
+  
+  // Check names and numbers against the source, regenerating once if figures were made up
+  let faithfulness = checkFaithfulness(summary, threadText, null, { language: outputLanguage });
+  if (shouldRegenerate(faithfulness)) {
+    try {
+      console.log('Summary failed the faithfulness check, regenerating:', faithfulness.unsupported);
+      // Not streamed: the client replaces the streamed text with the final summary
+      const completion = await complete('summarize', getFaithfulnessRetryPrompt(finalPrompt, faithfulness), { ...LLM_CALL_OPTIONS, maxTokens: budget.maxTokens });
+      const retrySummary = ensureCompleteSentence(isEnglish(outputLanguage) ? applyTonePostProcessing(completion.text, tone) : completion.text, { finishReason: completion.finishReason, language: outputLanguage });
+      const retryFaithfulness = checkFaithfulness(retrySummary, threadText, null, { language: outputLanguage });
+      
+      // Keep whichever version has fewer unsupported items
+      if (retryFaithfulness.unsupported.length < faithfulness.unsupported.length) {
+        summary = retrySummary;
+        faithfulness = retryFaithfulness;
+        answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+      }
+      faithfulness.regenerated = true;
+    } catch (err: any) {
+      console.error('Regenerating unfaithful summary failed:', err.message);
+    }
+  }
+  
+  // Anything that takes longer than a minute to read is shortened by the model, then trimmed if still too long
+  const readable = await enforceReadingTime(summary, budget, (prompt: string) =>
+    complete('summarize', prompt, { ...LLM_CALL_OPTIONS, maxTokens: budget.maxTokens })
+      .then(completion => ensureCompleteSentence(isEnglish(outputLanguage) ? applyTonePostProcessing(completion.text, tone) : completion.text, { finishReason: completion.finishReason, language: outputLanguage })));
+  if (readable.compressed) {
+    summary = readable.summary;
+    faithfulness = { ...checkFaithfulness(summary, threadText, null, { language: outputLanguage }), regenerated: faithfulness.regenerated };
+  }
+  
+  return {
+    summary,
+    ...getReadingStats(summary),
+    compressed: readable.compressed,
+    faithfulness,
+    sourceLanguage,
+    targetLanguage: outputLanguage,
+    ...classification,
+    chunksUsed: result.chunksUsed,
+    chunksTotal: result.chunksTotal,
+    truncated: result.truncated,
+    ...answeredBy
+  };
+}
+
+// Build a structured summary (format "structured"), falling back to an extractive one
+// when the LLM is unavailable or its JSON never validates (passRateLimits works as in summarizeThread)
+async function summarizeStructured(threadText: string, isTwitterContent: boolean, tone: string, mode?: string, targetLanguage?: string, contentType?: string, { passRateLimits = false }: { passRateLimits?: boolean } = {}) {
+  const contentAnalysis = analyzeContent(threadText, { contentType: resolveContentType(contentType) });
+  const classification = { contentType: contentAnalysis.contentType, detectedContentType: contentAnalysis.detectedContentType };
+  const sourceLanguage = contentAnalysis.language;
+  const outputLanguage = resolveTargetLanguage(targetLanguage, sourceLanguage);
+  
+  const getExtractiveResult = (reason: string) => {
+    const structured = getExtractiveStructuredSummary(threadText, {
+      contentType: contentAnalysis.contentType,
+      numbers: contentAnalysis.numbers,
+      names: contentAnalysis.names,
+      boostPhrases: [...contentAnalysis.mainPoints, ...contentAnalysis.names]
+    });
+    return { format: 'structured', summary: structured.tldr, structured, ...getReadingStats([structured.tldr, ...structured.keyPoints].join('\n')), extractive: true, extractiveReason: reason, sourceLanguage, targetLanguage: sourceLanguage, ...classification };
+  };
+  
+  if (mode === 'extractive') {
+    return getExtractiveResult('requested');
+  }
+  
+  let answeredBy = {};
+  try {
+    const result = await mapReduceSummarize(threadText, {
+      maxChunkChars: MAX_CHUNK_CHARS,
+      maxChunks: MAX_CHUNKS,
+      timeBudgetMs: TIME_BUDGET_MS,
+      summarizeChunk: (chunk: string, index: number, total: number, remainingMs: number) => complete(
+        'summarizeChunk',
+        getChunkPrompt(chunk, index, total, isTwitterContent),
+        { ...LLM_CALL_OPTIONS, retries: 2, timeouts: [Math.min(20000, remainingMs / 2)] }
+      ).then(completion => completion.text),
+      summarizeFinal: (content: string) => generateStructuredSummary(content, {
+        sourceText: threadText,
+        contentType: contentAnalysis.contentType,
+        tone,
+        isTwitterContent,
+        sourceLanguage,
+        targetLanguage: outputLanguage,
+        maxAttempts: 3,
+        callModel: (prompt: string) => complete('summarizeStructured', prompt, LLM_CALL_OPTIONS).then(completion => {
+          answeredBy = { provider: completion.provider, model: completion.model, fallback: completion.fallback };
+          return completion.text;
+        })
+      })
+    });
+    
+    const { tldr, keyPoints, figures } = result.summary;
+    return {
+      format: 'structured',
+      summary: tldr,
+      structured: result.summary,
+      ...getReadingStats([tldr, ...keyPoints].join('\n')),
+      // Reported only: a repaired structured answer is not worth another model call
+      faithfulness: checkFaithfulness([tldr, ...keyPoints, ...figures.map((figure: { value: string }) => figure.value)].join('\n'), threadText, null, { language: outputLanguage }),
+      sourceLanguage,
+      targetLanguage: outputLanguage,
+      ...classification,
+      chunksUsed: result.chunksUsed,
+      chunksTotal: result.chunksTotal,
+      truncated: result.truncated,
+      ...answeredBy
+    };
+  } catch (err: any) {
+    if (passRateLimits && isRateLimitError(err)) throw err;
+    console.error('Structured summarization failed, using extractive summary:', err.message);
+    return getExtractiveResult('llm_unavailable');
+  }
+}
+
+// Generate prompt for crypto explanation
+function getExplanationPrompt(cleanTerm: string, language: string = 'en'): string {
+  const languageInstruction = getLanguageInstruction(language);
+  return `You are an ultra-passionate crypto expert who explains things like you're talking to your best friend. You're genuinely excited about crypto and want to share that enthusiasm while being incredibly helpful and human.
+
+Explain "${cleanTerm}" in a way that's:
+- Conversational and enthusiastic (like you're genuinely excited to explain this)
+- Easy to understand but not dumbed down
+- Includes practical examples and real-world context
+- Shows why this matters in crypto
+- Uses analogies when helpful
+- Mentions risks/benefits honestly
+- Feels like a human wrote it, not an AI
+
+Be authentic, use contractions, and let your personality shine through. Don't sound corporate or robotic. If it's a complex topic, break it down step by step but keep it engaging.
+
+Keep it comprehensive but digestible - aim for 2-4 paragraphs that really help someone understand both what it is and why they should care.${languageInstruction ? `\n\n${languageInstruction}` : ''}`;
+}
+
+// Explain a crypto term and return the post-processed explanation with the model that answered.
+// The explanation is written in targetLanguage, or the term's own language when that's clear.
+async function explainTerm(cleanTerm: string, targetLanguage?: string, onDelta?: (text: string) => void) {
+  // A single term is too short to tell most Latin-script languages apart, so those default to English
+  const detected = detectLanguage(cleanTerm);
+  const language = resolveTargetLanguage(targetLanguage, detected.reliable ? detected.code : 'en');
+  
+  const completion = await complete('cryptoExplain', getExplanationPrompt(cleanTerm, language), { ...LLM_CALL_OPTIONS, onDelta });
+  console.log('LLM explanation:', completion.text);
+  
+  // Ensure complete sentences, then post-process the explanation into HTML
+  return {
+    explanation: postProcessExplanation(ensureCompleteSentence(completion.text, { finishReason: completion.finishReason, language })),
+    targetLanguage: language,
+    provider: completion.provider,
+    model: completion.model,
+    fallback: completion.fallback
+  };
+}
+
+// Explain a crypto term through the response cache; terms are matched case-insensitively
+async function explainTermWithCache(cleanTerm: string, targetLanguage?: string, bypassCache?: boolean | string, onDelta?: (text: string) => void) {
+  const { result, cache } = await withResponseCache('explanation', {
+    content: cleanTerm.toLowerCase(),
+    feature: 'cryptoExplain',
+    options: { targetLanguage }
+  }, () => explainTerm(cleanTerm, targetLanguage, onDelta), { bypass: isCacheBypassed(bypassCache) });
+  return { ...result, cache };
+}
+
+// Open a Server-Sent Events response
+function startEventStream(res: Response): void {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+type SessionFields = Partial<SummarizeFields> & { sessionId?: string; summary?: string };
+
+// Helper function to open a session for a finished summary, for follow-up questions and refine actions
+function openSummarySession(input: SummarizeInput, fields: Partial<SummarizeFields>, result: { summary?: string; contentType?: string | null; targetLanguage?: string }): Promise<string> {
+  const { tone, length, mode, format } = fields;
+  return createSession({
+    threadText: input.threadText,
+    isTwitterContent: input.isTwitterContent,
+    summary: result.summary,
+    contentType: result.contentType,
+    targetLanguage: result.targetLanguage,
+    options: { tone, length, mode, format }
   });
+}
+
+// Helper function to open a session for a summary response; a failing session store leaves the summary without one
+async function getResponseSessionId(input: SummarizeInput, fields: Partial<SummarizeFields>, result: { summary?: string; contentType?: string | null; targetLanguage?: string }): Promise<string | undefined> {
+  try {
+    return await openSummarySession(input, fields, result);
+  } catch (error: any) {
+    console.error('Could not open a summary session:', error.message);
+    return undefined;
+  }
+}
+
+// Helper function to find a request's summary session, rebuilding it from the original input
+// (and the options and summary sent along) when the server no longer has it; 404 without one
+async function resolveSummarySession(fields: SessionFields) {
+  const session = fields.sessionId ? await getSession(fields.sessionId) : null;
+  if (session) return session;
   
-  return score > 2; // If we find multiple indicators, likely Twitter content
+  if (!fields.threadUrl && !fields.rawText) {
+    throw Object.assign(new Error('This summary has expired. Summarize the thread again to continue.'), { statusCode: 404 });
+  }
+  const input = await resolveThreadText(fields.threadUrl, fields.rawText, resolveTopReplies(fields.topReplies));
+  return (await getSession(await openSummarySession(input, fields, {
+    summary: fields.summary,
+    contentType: resolveContentType(fields.contentType),
+    targetLanguage: fields.targetLanguage
+  })))!;
+}
+
+// Send a Twitter rate limit error with how long to wait
+function sendRateLimitError(res: Response, err: { message: string; retryAfterSeconds: number }): void {
+  res.setHeader('Retry-After', String(err.retryAfterSeconds));
+  res.status(429).json({ error: err.message, retryAfterSeconds: err.retryAfterSeconds });
 }
 
 const app = express();
@@ -96,185 +572,41 @@ const PORT = process.env.PORT || 3000;
 // Increase payload limits to handle larger text inputs
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Document uploads are parsed by lib/documents.js
+app.use(express.raw({ type: 'multipart/form-data', limit: '10mb' }));
 
 // API routes first, before static files
 // summarization endpoint
 app.post('/summarize', async (req: Request, res: Response): Promise<void> => {
-  const { threadUrl, rawText, length, tone } = req.body as { 
-    threadUrl?: string; 
-    rawText?: string; 
-    length: string; 
-    tone: string; 
-  };
-  
   try {
     // Set proper headers for JSON response
     res.setHeader('Content-Type', 'application/json');
     
-    let threadText: string;
-    let isTwitterContent = false;
-    
-    // Input validation
-    if (!threadUrl && !rawText) {
-      res.status(400).json({ error: 'No thread link or text provided.' });
-      return;
-    }
-    
-    if (threadUrl && /https?:\/\/(?:twitter|x)\.com\/[^\/]+\/status\/\d+/.test(threadUrl)) {
-      try {
-        threadText = await fetchThreadTextFromTwitter(threadUrl);
-        isTwitterContent = true;
-      } catch (error) {
-        // If Twitter fetching fails, check if we have rawText as fallback
-        if (rawText && rawText.trim()) {
-          threadText = rawText;
-          isTwitterContent = true;
-        } else {
-          const errorMessage = error instanceof Error ? error.message : 'An unexpected error occurred.';
-          res.status(400).json({ 
-            error: `${errorMessage} You can copy and paste the tweet content directly into the text area instead.` 
-          });
-          return;
-        }
-      }
-    } else if (rawText && rawText.length > 0) {
-      // Check if the raw text contains Twitter URLs or looks like Twitter content
-      const twitterUrls = extractTwitterUrls(rawText);
-      if (twitterUrls.length > 0) {
-        // Try to fetch actual content from Twitter URLs, but don't fail if it doesn't work
-        try {
-          const fetchedContent = await fetchContentFromTwitterUrls(twitterUrls);
-          threadText = `${rawText}\n\n--- FETCHED TWITTER CONTENT ---\n${fetchedContent}`;
-        } catch (error) {
-          console.log('Failed to fetch Twitter URLs from text, using raw text:', error);
-          threadText = rawText; // Use the raw text as fallback
-        }
-        isTwitterContent = true;
-      } else {
-        isTwitterContent = detectTwitterContent(rawText);
-        threadText = rawText;
-      }
-    } else {
-      res.status(400).json({ error: 'No thread link or text provided.' });
-      return;
-    }
-    
-    // Truncate very long text to prevent timeouts and token limits
-    if (threadText.length > 8000) {
-      threadText = threadText.substring(0, 8000) + '...';
-    }
-    
-    console.log('Processing text:', threadText.substring(0, 100) + '...');
-    
-    // Retry logic for API calls
-    const makeApiCallWithRetry = async (retries = 3): Promise<any> => {
-      for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-          console.log(`API call attempt ${attempt}/${retries}`);
-          
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 20000); // 20 second timeout
-          
-          const llmRes = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: { 
-              'Authorization': `Bearer ${requiredEnvVars.OPENROUTER_API_KEY}`, 
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'https://just-one-minute-goldman.netlify.app',
-              'X-Title': 'Just One Minute'
-            },
-            body: JSON.stringify({
-              model: 'openrouter/cypher-alpha:free',
-              messages: [{ 
-                role: 'user', 
-                content: getPromptForTone(tone, length, threadText, isTwitterContent)
-              }],
-              max_tokens: 400,
-              temperature: 0.7
-            }),
-            signal: controller.signal as any
-          });
-          
-          clearTimeout(timeoutId);
-          
-          if (!llmRes.ok) {
-            const errText = await llmRes.text();
-            console.error(`OpenRouter API error (attempt ${attempt}):`, errText);
-            
-            // If it's a 5xx error or rate limit, retry. If it's 4xx (except 429), don't retry
-            if ((llmRes.status >= 500 || llmRes.status === 429) && attempt < retries) {
-              console.log(`Retrying due to server error (${llmRes.status})...`);
-              await new Promise(resolve => setTimeout(resolve, 1000 * attempt * attempt)); // Exponential backoff
-              continue;
-            }
-            
-            throw new Error(`OpenRouter API error (${llmRes.status}): ${errText || 'LLM summarization failed'}`);
-          }
-          
-          return llmRes;
-          
-        } catch (error: any) {
-          console.error(`Attempt ${attempt} failed:`, error);
-          
-          // If it's a timeout or network error and we have retries left, try again
-          if ((error.name === 'AbortError' || error.message?.includes('fetch') || error.code === 'ECONNRESET') && attempt < retries) {
-            console.log(`Retrying due to ${error.name === 'AbortError' ? 'timeout' : 'network error'}...`);
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt * attempt)); // Exponential backoff
-            continue;
-          }
-          
-          // If it's the last attempt or a non-retryable error, throw it
-          throw error;
-        }
-      }
-      
-      throw new Error('All retry attempts failed');
-    };
-
-    const llmRes = await makeApiCallWithRetry();
-    
-    console.log('OpenRouter response status:', llmRes.status);
-    const responseText = await llmRes.text();
-    
-    if (!responseText) {
-      res.status(500).json({ error: 'Empty response from AI service' });
-      return;
-    }
-    
-    let llmData;
-    try {
-      llmData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('Failed to parse OpenRouter response:', responseText);
-      res.status(500).json({ error: 'Invalid response from AI service' });
-      return;
-    }
-    
-    console.log('OpenRouter response data:', JSON.stringify(llmData, null, 2));
-    
-    if (!llmData.choices || !llmData.choices[0] || !llmData.choices[0].message) {
-      console.error('Invalid response structure from OpenRouter:', llmData);
-      res.status(500).json({ error: 'Invalid response structure from AI service' });
-      return;
-    }
-    
-    const summary = llmData.choices[0].message.content?.trim();
-    console.log('LLM summary:', summary);
-    
-    if (!summary) {
-      res.status(500).json({ error: 'Empty summary received from AI service' });
+    if (req.body && req.body.format === 'compare') {
+      const fields = req.body as SummarizeFields;
+      const inputs = await resolveCompareSources(fields);
+      const { result, cache } = await summarizeWithCache(fields, inputs, () => summarizeComparison(inputs, fields.tone, fields.targetLanguage));
+      res.json({ ...result, cache });
       return;
     }
     
-    // Ensure the summary ends with a complete sentence
-    const completeSummary = ensureCompleteSentence(summary);
+    const { fields, input } = await resolveSummarizeRequest(req);
+    const { length, tone, mode, format, targetLanguage, contentType } = fields;
+    const { result, cache } = await summarizeWithCache(fields, [input], () => format === 'structured'
+      ? summarizeStructured(input.threadText, input.isTwitterContent, tone, mode, targetLanguage, contentType)
+      : summarizeThread(input.threadText, input.isTwitterContent, tone, length, mode, targetLanguage, contentType));
     
-    res.json({ summary: completeSummary });
+    // Details of a fetched article or uploaded document are passed back alongside the summary
+    res.json(withExport({ ...result, cache, ...getSourceDetails(input), sessionId: await getResponseSessionId(input, fields, result) }, fields));
   } catch (err: any) {
     console.error('Error in /summarize:', err);
     
     if (!res.headersSent) {
-      if (err.name === 'AbortError') {
+      if (err.statusCode === 400) {
+        res.status(400).json({ error: err.message });
+      } else if (err.retryAfterSeconds) {
+        sendRateLimitError(res, err);
+      } else if (err.message === 'Request timeout') {
         res.status(504).json({ 
           error: 'The AI service is taking longer than usual. We tried multiple times but it\'s still timing out. Try again in a moment or use shorter text.' 
         });
@@ -287,149 +619,197 @@ app.post('/summarize', async (req: Request, res: Response): Promise<void> => {
   }
 });
 
-// crypto explanation endpoint
-app.post('/.netlify/functions/crypto-explain', async (req: Request, res: Response): Promise<void> => {
-  const { term } = req.body as { term: string };
+// streaming summarization endpoint (Server-Sent Events: delta, done, error)
+app.post('/summarize/stream', async (req: Request, res: Response): Promise<void> => {
+  let fields: SummarizeFields;
+  let input: SummarizeInput;
+  // Compare mode (format "compare") has two sources instead of one input
+  let compareInputs: SummarizeInput[] | null = null;
+  try {
+    if (req.body && req.body.format === 'compare') {
+      fields = req.body as SummarizeFields;
+      compareInputs = await resolveCompareSources(fields);
+    } else {
+      ({ fields, input } = await resolveSummarizeRequest(req));
+    }
+  } catch (err: any) {
+    if (err.retryAfterSeconds) {
+      sendRateLimitError(res, err);
+    } else {
+      res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
+    }
+    return;
+  }
+  
+  startEventStream(res);
   
   try {
-    // Set proper headers for JSON response
-    res.setHeader('Content-Type', 'application/json');
-    
-    // Input validation
-    if (!term || typeof term !== 'string' || term.trim().length === 0) {
-      res.status(400).json({ error: 'No term provided or invalid term format.' });
-      return;
+    const { length, tone, mode, format, targetLanguage, contentType } = fields;
+    // Structured summaries, comparisons and cached summaries are JSON, so they only arrive in the final "done" event
+    if (compareInputs) {
+      const inputs = compareInputs;
+      const { result, cache } = await summarizeWithCache(fields, inputs, () => summarizeComparison(inputs, tone, targetLanguage));
+      res.write(formatSseEvent('done', { ...result, cache }));
+    } else {
+      const { result, cache } = await summarizeWithCache(fields, [input!], () => format === 'structured'
+        ? summarizeStructured(input!.threadText, input!.isTwitterContent, tone, mode, targetLanguage, contentType)
+        : summarizeThread(input!.threadText, input!.isTwitterContent, tone, length, mode, targetLanguage, contentType, text => {
+          res.write(formatSseEvent('delta', { text }));
+        }));
+      res.write(formatSseEvent('done', withExport({ ...result, cache, ...getSourceDetails(input!), sessionId: await getResponseSessionId(input!, fields, result) }, fields)));
     }
-    
-    const cleanTerm = term.trim();
-    console.log('Explaining crypto term:', cleanTerm);
-    
-    // Generate prompt for crypto explanation
-    const prompt = `You are an ultra-passionate crypto expert who explains things like you're talking to your best friend. You're genuinely excited about crypto and want to share that enthusiasm while being incredibly helpful and human.
-
-Explain "${cleanTerm}" in a way that's:
-- Conversational and enthusiastic (like you're genuinely excited to explain this)
-- Easy to understand but not dumbed down
-- Includes practical examples and real-world context
-- Shows why this matters in crypto
-- Uses analogies when helpful
-- Mentions risks/benefits honestly
-- Feels like a human wrote it, not an AI
-
-Be authentic, use contractions, and let your personality shine through. Don't sound corporate or robotic. If it's a complex topic, break it down step by step but keep it engaging.
+  } catch (err: any) {
+    console.error('Error in /summarize/stream:', err);
+    res.write(formatSseEvent('error', {
+      statusCode: err.message === 'Request timeout' ? 504 : err.statusCode || 500,
+      error: err.message === 'Request timeout'
+        ? 'The AI service is taking longer than usual. Try again in a moment or use shorter text.'
+        : err.message || 'Internal server error'
+    }));
+  }
+  res.end();
+});
 
-Keep it comprehensive but digestible - aim for 2-4 paragraphs that really help someone understand both what it is and why they should care.`;
-
-    // Retry logic for API calls
-    const makeApiCallWithRetry = async (retries = 3): Promise<any> => {
-      for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-          console.log(`Crypto explain API call attempt ${attempt}/${retries}`);
-          
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 20000); // 20 second timeout
-          
-          const llmRes = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: { 
-              'Authorization': `Bearer ${requiredEnvVars.OPENROUTER_API_KEY}`, 
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'https://just-one-minute-goldman.netlify.app',
-              'X-Title': 'Goldman Crypto Dictionary'
-            },
-            body: JSON.stringify({
-              model: 'deepseek/deepseek-chat-v3-0324',
-              messages: [{ 
-                role: 'user', 
-                content: prompt
-              }],
-              max_tokens: 150,
-              temperature: 0.8
-            }),
-            signal: controller.signal as any
-          });
-          
-          clearTimeout(timeoutId);
-          
-          if (!llmRes.ok) {
-            const errText = await llmRes.text();
-            console.error(`OpenRouter API error (attempt ${attempt}):`, errText);
-            
-            // If it's a 5xx error or rate limit, retry. If it's 4xx (except 429), don't retry
-            if ((llmRes.status >= 500 || llmRes.status === 429) && attempt < retries) {
-              console.log(`Retrying due to server error (${llmRes.status})...`);
-              await new Promise(resolve => setTimeout(resolve, 1000 * attempt * attempt)); // Exponential backoff
-              continue;
-            }
-            
-            throw new Error(`OpenRouter API error (${llmRes.status}): ${errText || 'Crypto explanation failed'}`);
-          }
-          
-          return llmRes;
-          
-        } catch (error: any) {
-          console.error(`Attempt ${attempt} failed:`, error);
-          
-          // If it's a timeout or network error and we have retries left, try again
-          if ((error.name === 'AbortError' || error.message?.includes('fetch') || error.code === 'ECONNRESET') && attempt < retries) {
-            console.log(`Retrying due to ${error.name === 'AbortError' ? 'timeout' : 'network error'}...`);
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt * attempt)); // Exponential backoff
-            continue;
-          }
-          
-          // If it's the last attempt or a non-retryable error, throw it
-          throw error;
-        }
-      }
-      
-      throw new Error('All retry attempts failed');
-    };
+// follow-up questions about a summary, answered from its source with cited tweet numbers
+app.post('/.netlify/functions/follow-up', async (req: Request, res: Response): Promise<void> => {
+  const { question } = req.body as { question?: string };
+  
+  try {
+    validateQuestion(question);
+    const session = await resolveSummarySession(req.body as SessionFields);
+    const result = await answerQuestion(session, question, (prompt: string) => complete('followUp', prompt, { retries: 2, timeouts: [15000], backoffMs: 1000 }));
+    res.json({
+      sessionId: session.id,
+      answer: result.answer,
+      citations: result.citations,
+      unit: result.unit,
+      provider: result.completion.provider,
+      model: result.completion.model,
+      fallback: result.completion.fallback
+    });
+  } catch (err: any) {
+    console.error('Error in follow-up:', err);
+    if (err.retryAfterSeconds) {
+      sendRateLimitError(res, err);
+    } else {
+      res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
+    }
+  }
+});
 
-    const llmRes = await makeApiCallWithRetry();
-    
-    console.log('OpenRouter response status:', llmRes.status);
-    const responseText = await llmRes.text();
+// refine a summary (shorter, longer, casual, regenerate or a custom instruction) from its cached source
+app.post('/.netlify/functions/refine', async (req: Request, res: Response): Promise<void> => {
+  const body = req.body as SessionFields & { action?: string; instruction?: string };
+  
+  try {
+    const { action, instruction } = resolveRefineAction(body.action, body.instruction);
+    const session = await resolveSummarySession(body);
+    const { tone, length, mode, format } = session.options;
     
-    if (!responseText) {
-      res.status(500).json({ error: 'Empty response from AI service' });
+    // A regenerated summary goes through the whole pipeline again, with the session's options
+    if (action === 'regenerate') {
+      const contentType = session.contentAnalysis.contentType;
+      const result = format === 'structured'
+        ? await summarizeStructured(session.threadText, session.isTwitterContent, tone, mode, session.targetLanguage, contentType)
+        : await summarizeThread(session.threadText, session.isTwitterContent, tone, length, mode, session.targetLanguage, contentType);
+      session.summary = result.summary;
+      await saveSession(session);
+      res.json({ ...result, action, sessionId: session.id });
       return;
     }
     
-    let llmData;
-    try {
-      llmData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('Failed to parse OpenRouter response:', responseText);
-      res.status(500).json({ error: 'Invalid response from AI service' });
+    if (format === 'structured') {
+      res.status(400).json({ error: 'Structured summaries can only be regenerated.' });
       return;
     }
     
-    console.log('OpenRouter response data:', JSON.stringify(llmData, null, 2));
-    
-    if (!llmData.choices || !llmData.choices[0] || !llmData.choices[0].message) {
-      console.error('Invalid response structure from OpenRouter:', llmData);
-      res.status(500).json({ error: 'Invalid response structure from AI service' });
-      return;
+    const result = await refineSummary(session, { action, instruction, summary: body.summary }, (prompt: string, maxTokens: number) => complete('refine', prompt, { ...LLM_CALL_OPTIONS, maxTokens }));
+    res.json({
+      action,
+      sessionId: session.id,
+      summary: result.summary,
+      wordCount: result.wordCount,
+      readingTimeSeconds: result.readingTimeSeconds,
+      faithfulness: result.faithfulness,
+      targetLanguage: session.targetLanguage,
+      provider: result.completion.provider,
+      model: result.completion.model,
+      fallback: result.completion.fallback
+    });
+  } catch (err: any) {
+    console.error('Error in refine:', err);
+    if (err.retryAfterSeconds) {
+      sendRateLimitError(res, err);
+    } else {
+      res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
     }
+  }
+});
+
+// Summarize one batch item, the same way /summarize does, except that LLM rate limits are
+// passed on to runBatchJob so the item is retried after a pause
+async function summarizeBatchItem(fields: SummarizeFields) {
+  const { length, tone, mode, format, targetLanguage, contentType } = fields;
+  const input = await resolveThreadText(fields.threadUrl, fields.rawText, resolveTopReplies(fields.topReplies));
+  const { result, cache } = await summarizeWithCache(fields, [input], () => format === 'structured'
+    ? summarizeStructured(input.threadText, input.isTwitterContent, tone, mode, targetLanguage, contentType, { passRateLimits: true })
+    : summarizeThread(input.threadText, input.isTwitterContent, tone, length, mode, targetLanguage, contentType, undefined, { passRateLimits: true }));
+  return withExport({ ...result, cache, ...getSourceDetails(input), sessionId: await getResponseSessionId(input, fields, result) }, fields);
+}
+
+// batch summarization: queue a job, then poll it (or wait for its webhook)
+app.post('/.netlify/functions/batch', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const store = getJobStore();
+    const job = await createBatchJob(store, await resolveBatchRequest(req.body));
+    runBatchJob(store, job.id, summarizeBatchItem)
+      .catch((err: Error) => console.error(`Batch ${job.id} stopped:`, err));
+    res.status(202).json({ ...getJobStatus(job), statusUrl: `/.netlify/functions/batch/${job.id}` });
+  } catch (err: any) {
+    console.error('Error in batch:', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// The Express server runs jobs in its own process, so even the memory job store works
+app.get('/.netlify/functions/batch', (_req: Request, res: Response): void => {
+  res.json({ available: true });
+});
+
+app.get('/.netlify/functions/batch/:id', async (req: Request, res: Response): Promise<void> => {
+  const job = await getJobStore().getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: `Batch job "${req.params.id}" not found` });
+    return;
+  }
+  res.json(getJobStatus(job));
+});
+
+// crypto explanation endpoint
+app.post('/.netlify/functions/crypto-explain', async (req: Request, res: Response): Promise<void> => {
+  const { term, targetLanguage, bypassCache } = req.body as { term: string; targetLanguage?: string; bypassCache?: boolean | string };
+  
+  try {
+    // Set proper headers for JSON response
+    res.setHeader('Content-Type', 'application/json');
     
-    let explanation = llmData.choices[0].message.content?.trim();
-    console.log('LLM explanation:', explanation);
-    
-    if (!explanation) {
-      res.status(500).json({ error: 'Empty explanation received from AI service' });
+    // Input validation
+    if (!term || typeof term !== 'string' || term.trim().length === 0) {
+      res.status(400).json({ error: 'No term provided or invalid term format.' });
       return;
     }
     
-    // Post-process the explanation to make it more human and ensure complete sentences
-    explanation = postProcessExplanation(explanation);
-    explanation = ensureCompleteSentence(explanation);
+    const cleanTerm = term.trim();
+    console.log('Explaining crypto term:', cleanTerm);
     
-    res.json({ explanation });
+    res.json(await explainTermWithCache(cleanTerm, targetLanguage, bypassCache));
   } catch (err: any) {
     console.error('Error in crypto-explain:', err);
     
     if (!res.headersSent) {
-      if (err.name === 'AbortError') {
+      if (err.statusCode === 400) {
+        res.status(400).json({ error: err.message });
+      } else if (err.message === 'Request timeout') {
         res.status(504).json({ 
           error: 'The AI service is taking longer than usual. We tried multiple times but it\'s still timing out. Try again in a moment or try a simpler term.' 
         });
@@ -442,6 +822,162 @@ Keep it comprehensive but digestible - aim for 2-4 paragraphs that really help s
   }
 });
 
+// streaming crypto explanation endpoint (Server-Sent Events: delta, done, error)
+app.post('/.netlify/functions/crypto-explain-stream', async (req: Request, res: Response): Promise<void> => {
+  const { term, targetLanguage, bypassCache } = req.body as { term: string; targetLanguage?: string; bypassCache?: boolean | string };
+  
+  if (!term || typeof term !== 'string' || term.trim().length === 0) {
+    res.status(400).json({ error: 'No term provided or invalid term format.' });
+    return;
+  }
+  
+  const cleanTerm = term.trim();
+  console.log('Streaming explanation for crypto term:', cleanTerm);
+  
+  startEventStream(res);
+  
+  try {
+    const result = await explainTermWithCache(cleanTerm, targetLanguage, bypassCache, text => {
+      res.write(formatSseEvent('delta', { text }));
+    });
+    res.write(formatSseEvent('done', result));
+  } catch (err: any) {
+    console.error('Error in crypto-explain-stream:', err);
+    res.write(formatSseEvent('error', {
+      statusCode: err.message === 'Request timeout' ? 504 : err.statusCode || 500,
+      error: err.message === 'Request timeout'
+        ? 'The AI service is taking longer than usual. Try again in a moment or try a simpler term.'
+        : err.message || 'Internal server error'
+    }));
+  }
+  res.end();
+});
+
+// Helper function to send a tone registry error with its status code
+function sendToneError(res: Response, err: any): void {
+  console.error('Error in tones:', err);
+  res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
+}
+
+// Helper function to reject tone changes without the admin token (all of them when TONES_ADMIN_TOKEN isn't set)
+function requireToneAdmin(req: Request, res: Response): boolean {
+  if (canManageTones(req.headers.authorization)) return true;
+  res.status(process.env.TONES_ADMIN_TOKEN ? 401 : 403).json({ error: getToneAdminError() });
+  return false;
+}
+
+// tone preset registry endpoints (list, get, create, update, delete)
+app.get('/.netlify/functions/tones', (_req: Request, res: Response): void => {
+  // Tone changes are accepted here once an admin token is set
+  res.json({ tones: listTones(), variables: TEMPLATE_VARIABLES, available: Boolean(process.env.TONES_ADMIN_TOKEN) });
+});
+
+app.get('/.netlify/functions/tones/:id', (req: Request, res: Response): void => {
+  const tone = getTone(req.params.id);
+  if (tone) {
+    res.json(tone);
+  } else {
+    res.status(404).json({ error: `No tone with id "${req.params.id}".` });
+  }
+});
+
+app.post('/.netlify/functions/tones', (req: Request, res: Response): void => {
+  if (!requireToneAdmin(req, res)) return;
+  try {
+    res.status(201).json(createTone(req.body));
+  } catch (err: any) {
+    sendToneError(res, err);
+  }
+});
+
+app.put('/.netlify/functions/tones/:id', (req: Request, res: Response): void => {
+  if (!requireToneAdmin(req, res)) return;
+  try {
+    res.json(updateTone(req.params.id, req.body));
+  } catch (err: any) {
+    sendToneError(res, err);
+  }
+});
+
+app.delete('/.netlify/functions/tones/:id', (req: Request, res: Response): void => {
+  if (!requireToneAdmin(req, res)) return;
+  try {
+    res.json({ deleted: deleteTone(req.params.id).id });
+  } catch (err: any) {
+    sendToneError(res, err);
+  }
+});
+
+// export a summary as a tweet thread, Markdown, Notion blocks or Slack blocks
+app.post('/.netlify/functions/export', (req: Request, res: Response): void => {
+  try {
+    const { format, ...summary } = validateExportRequest(req.body);
+    res.json(exportSummary(format, summary));
+  } catch (err: any) {
+    res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// shared result permalinks: create, read and delete shares, then the /s/:id page and its preview image
+app.post('/.netlify/functions/share', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const share = await createShare(req.body);
+    const url = `${getBaseUrl(req.headers)}/s/${share.id}`;
+    res.status(201).json({
+      id: share.id,
+      url,
+      imageUrl: `${url}/image.png`,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      deleteToken: share.deleteToken
+    });
+  } catch (err: any) {
+    console.error('Error in share:', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// The Express server is one process, so even the memory store keeps links working
+app.get('/.netlify/functions/share', (_req: Request, res: Response): void => {
+  res.json({ available: true });
+});
+
+app.get('/.netlify/functions/share/:id', async (req: Request, res: Response): Promise<void> => {
+  const share = await getShare(req.params.id);
+  if (share) {
+    res.json(share);
+  } else {
+    res.status(404).json({ error: 'This shared link has expired or was deleted.' });
+  }
+});
+
+app.delete('/.netlify/functions/share/:id', async (req: Request, res: Response): Promise<void> => {
+  try {
+    await deleteShare(req.params.id, getDeleteToken(req.headers));
+    res.json({ deleted: req.params.id });
+  } catch (err: any) {
+    res.status(err.statusCode || 500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+app.get('/s/:id', async (req: Request, res: Response): Promise<void> => {
+  const share = await getShare(req.params.id);
+  if (!share) {
+    res.status(404).type('html').send(renderMissingSharePage());
+    return;
+  }
+  res.type('html').send(renderSharePage(share, getBaseUrl(req.headers)));
+});
+
+app.get('/s/:id/image.png', async (req: Request, res: Response): Promise<void> => {
+  const share = await getShare(req.params.id);
+  if (!share) {
+    res.status(404).type('text').send('Not found');
+    return;
+  }
+  res.type('png').send(renderShareImage({ title: getShareTitle(share), text: share.text, footer: getShareFooter(share) }));
+});
+
 // Helper function to post-process explanations
 function postProcessExplanation(text: string): string {
   return text
@@ -455,150 +991,15 @@ function postProcessExplanation(text: string): string {
     .trim();
 }
 
-// Helper function to ensure text ends with a complete sentence
-function ensureCompleteSentence(text: string): string {
-  if (!text || text.trim().length === 0) {
-    return text;
-  }
-  
-  let cleanText = text.trim();
-  
-  // Remove any HTML tags for sentence detection
-  const textWithoutHtml = cleanText.replace(/<[^>]*>/g, '');
-  
-  // Check if it ends with proper sentence punctuation
-  const endsWithPunctuation = /[.!?]$/.test(textWithoutHtml.trim());
-  
-  if (endsWithPunctuation) {
-    return cleanText; // Already complete
-  }
-  
-  // Find the last complete sentence
-  const sentences = textWithoutHtml.split(/([.!?]+)/);
-  let completeText = '';
-  let htmlText = cleanText;
-  
-  // Work backwards to find the last complete sentence
-  for (let i = 0; i < sentences.length - 1; i += 2) {
-    const sentence = sentences[i];
-    const punctuation = sentences[i + 1];
-    
-    if (sentence && sentence.trim().length > 0 && punctuation && /[.!?]/.test(punctuation)) {
-      completeText += sentence + punctuation;
-    }
-  }
-  
-  if (completeText.trim().length === 0) {
-    // If no complete sentences found, add a period to the original text
-    // but remove any trailing incomplete words first
-    const words = textWithoutHtml.trim().split(/\s+/);
-    if (words.length > 3) {
-      // Remove the last word if it might be incomplete
-      const truncatedText = words.slice(0, -1).join(' ');
-      
-      // Find this truncated text in the original HTML and cut there
-      const truncatedIndex = cleanText.toLowerCase().lastIndexOf(truncatedText.toLowerCase());
-      if (truncatedIndex !== -1) {
-        htmlText = cleanText.substring(0, truncatedIndex + truncatedText.length);
-      }
-    }
-    
-    // Add period if it doesn't end with punctuation
-    if (!/[.!?]$/.test(htmlText.replace(/<[^>]*>/g, '').trim())) {
-      htmlText += '.';
-    }
-    
-    return htmlText;
-  }
-  
-  // Find where the complete text ends in the original HTML text
-  const completeTextIndex = cleanText.toLowerCase().lastIndexOf(completeText.toLowerCase());
-  if (completeTextIndex !== -1) {
-    return cleanText.substring(0, completeTextIndex + completeText.length);
-  }
-  
-  return completeText;
-}
-
 // Static files after API routes
 app.use(express.static('public'));
 
-// helper: extract thread id from tweet URL (supports twitter.com & x.com)
-function extractThreadId(url: string): string {
-  const match = url.match(/https?:\/\/(?:twitter|x)\.com\/[^\/]+\/status\/(\d+)/);
-  if (!match) throw new Error('Invalid Twitter URL format');
-  return match[1];
-}
-
-// fetch full thread text by conversation_id with improved error handling
-async function fetchThreadTextFromTwitter(url: string): Promise<string> {
-  const threadId = extractThreadId(url);
-  
+// fetch a thread (and optionally its top replies) as text - see lib/twitter-thread.js
+async function fetchThreadTextFromTwitter(url: string, topReplies: number = 0): Promise<string> {
   try {
-    let content = '';
-    
-    try {
-      // First try to get the original tweet
-      const originalTweet = await twitterClient.v2.singleTweet(threadId, {
-        'tweet.fields': ['text', 'created_at', 'conversation_id', 'author_id'],
-        'user.fields': ['username', 'name'],
-        expansions: ['author_id']
-      });
-      
-      if (originalTweet.data) {
-        content = originalTweet.data.text;
-        
-        // Try to get the full conversation/thread
-        try {
-          const response = await twitterClient.v2.search(`conversation_id:${threadId}`, {
-            'tweet.fields': ['text', 'created_at', 'author_id'],
-            'user.fields': ['username', 'name'],
-            max_results: 100,
-            sort_order: 'recency'
-          });
-          
-          const tweets = response.data?.data || [];
-          
-          if (tweets.length > 0) {
-            // Sort tweets chronologically and combine
-            const sorted = tweets.sort((a, b) => {
-              const dateA = a.created_at ? new Date(a.created_at).getTime() : 0;
-              const dateB = b.created_at ? new Date(b.created_at!).getTime() : 0;
-              return dateA - dateB;
-            });
-            
-            content = sorted.map((t, index) => `${index + 1}. ${t.text}`).join('\n\n');
-          }
-        } catch (searchError) {
-          console.log('Thread search failed, using original tweet only:', searchError);
-          // Keep the original tweet content
-        }
-        
-        return content;
-      }
-    } catch (apiError) {
-      console.error('Twitter API error:', apiError);
-      
-      // Provide more specific error messages based on the error type
-      if (apiError && typeof apiError === 'object' && 'code' in apiError) {
-        switch ((apiError as any).code) {
-          case 401:
-            throw new Error('Twitter API authentication failed. Please check your API credentials.');
-          case 403:
-            throw new Error('Tweet is private, protected, or access is forbidden.');
-          case 404:
-            throw new Error('Tweet not found or has been deleted.');
-          case 429:
-            throw new Error('Twitter API rate limit exceeded. Please try again later.');
-          default:
-            throw new Error(`Twitter API error (${(apiError as any).code}). The link may be private, deleted, or require authentication.`);
-        }
-      }
-      
-      throw new Error(`Unable to fetch Twitter content from ${url}. The link may be private, deleted, or require authentication.`);
-    }
-    
-    throw new Error('No content could be retrieved from the Twitter URL');
+    const thread = await fetchThread(extractTweetId(url), { topReplies, timeBudgetMs: TWITTER_TIME_BUDGET_MS });
+    console.log(`Fetched ${thread.tweets.length} tweets and ${thread.replies.length} replies from ${url} (${thread.method})`);
+    return formatThreadText(thread);
   } catch (error) {
     console.error('Error fetching Twitter thread:', error);
     throw error;
@@ -606,32 +1007,34 @@ async function fetchThreadTextFromTwitter(url: string): Promise<string> {
 }
 
 // generate appropriate prompt based on tone with improved instructions
-function getPromptForTone(tone: string, length: string, content: string, isTwitterContent: boolean = false): string {
-  const baseInstruction = "Write like a real human who actually understands this stuff. No corporate speak, no robotic responses. Be conversational, relatable, and authentic. Use natural language, contractions, and explain things like you're talking to a friend. CRITICAL: Keep all important keywords, names, technical terms, numbers, and key details from the original - but explain them in human terms when needed. Never ask questions or request clarification. Provide only the summary without any introductory phrases.";
+function getPromptForTone(tone: string, length: string, content: string, isTwitterContent: boolean = false, contentAnalysis: ReturnType<typeof analyzeContent> | null = null, targetLanguage: string = 'en'): string {
+  const languageInstruction = getLanguageInstruction(targetLanguage, contentAnalysis ? contentAnalysis.language : targetLanguage);
+  // Academic, business, technical, news and thread content each get their own summary shape
+  const shapeInstruction = contentAnalysis ? getContentShapeInstruction(contentAnalysis.contentType, length) : '';
+  const lengthInstruction = getLengthInstruction(getLengthBudget(length, targetLanguage));
+  const baseInstruction = `${lengthInstruction} ` + (languageInstruction ? `${languageInstruction} ` : '') + (shapeInstruction ? `${shapeInstruction} ` : '') + "Write like a real human who actually understands this stuff. No corporate speak, no robotic responses. Be conversational, relatable, and authentic. Use natural language, contractions, and explain things like you're talking to a friend. CRITICAL: Keep all important keywords, names, technical terms, numbers, and key details from the original - but explain them in human terms when needed. Never ask questions or request clarification. Provide only the summary without any introductory phrases.";
   
   const twitterContext = isTwitterContent ? 
-    "This is Twitter/X content. Pull out the main points and make them digestible. Keep all the important stuff - names, numbers, technical terms - but make it actually readable. " : 
+    "This is Twitter/X content. Pull out the main points and make them digestible. Keep all the important stuff - names, numbers, technical terms - but make it actually readable. " + TWEET_ATTACHMENTS_NOTE : 
     "";
   
-  switch (tone) {
-    case 'shitpost':
-      return `${twitterContext}Turn this into a ${length} shitpost that actually slaps. Use internet slang, memes, and make it funny as hell while still hitting the main points. Don't be cringe about it - make it genuinely entertaining. Keep all the important names, numbers, and technical stuff but make it memeable. ${baseInstruction}\n\n${content}`;
-    
-    case 'infographics':
-      return `${twitterContext}Make this into ${length} that would work perfectly in an infographic. Think clean sections, bullet points, key stats, and visual structure. Use emojis naturally (not overdoing it). Keep all the important numbers, names, and technical details but organize them so they're easy to scan and understand. ${baseInstruction}\n\n${content}`;
-    
-    case 'simple':
-      return `${twitterContext}Break this down into ${length} that anyone can understand. Think "explain it like I'm 5" but not condescending. Use analogies, simple examples, and everyday language. Keep all the important names, numbers, and technical stuff but explain what they actually mean in real terms. ${baseInstruction}\n\n${content}`;
-    
-    case 'professional':
-      return `${twitterContext}Write this as ${length} in a professional tone that doesn't sound like corporate BS. Be polished but still human - like how you'd explain it in a good meeting or email to colleagues. Keep all the technical terms, names, numbers, and key details but make it business-appropriate without being stuffy. ${baseInstruction}\n\n${content}`;
-    
-    case 'conversational':
-      return `${twitterContext}Explain this in ${length} like you're talking to a friend over coffee. Be natural, use contractions, throw in some personality. Make it feel like a real conversation - not a presentation. Keep all the important names, numbers, and technical details but explain them in a way that feels genuine and relatable. ${baseInstruction}\n\n${content}`;
-    
-    default:
-      return `${twitterContext}Write this as ${length} with a ${tone} tone that feels authentic and human. Don't sound like a robot or use corporate speak. Keep all the important keywords, names, technical terms, numbers, and key details from the original but make it actually engaging to read. ${baseInstruction}\n\n${content}`;
-  }
+  const bulletInstruction = length === 'bullet list' ?
+    "Format as clean, short bullet points. Use • or - for bullets. " :
+    "";
+  
+  // The tone's template comes from the preset registry in lib/tones.js
+  return buildTonePrompt(tone, {
+    length,
+    content,
+    contentType: contentAnalysis ? contentAnalysis.contentType : 'general',
+    names: contentAnalysis ? contentAnalysis.names.join(', ') : '',
+    numbers: contentAnalysis ? contentAnalysis.numbers.join(', ') : '',
+    technicalTerms: contentAnalysis ? contentAnalysis.technicalTerms.join(', ') : '',
+    complexity: contentAnalysis ? contentAnalysis.complexity : 'medium',
+    twitterContext,
+    bulletInstruction,
+    instructions: baseInstruction
+  });
 }
 
 // serve UI at root
@@ -0,0 +1,116 @@
+delete process.env.ARTICLE_ALLOW_PRIVATE_HOSTS;
+delete process.env.BATCH_WEBHOOK_ALLOW_PRIVATE_HOSTS;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fetch = require('node-fetch');
+const { isPrivateAddress, fetchArticle, getPublicAgent } = require('../netlify/functions/lib/article');
+const { resolveBatchRequest } = require('../netlify/functions/lib/batch');
+
+const PAGE = `<!DOCTYPE html>
+<html><head>
+  <title>Aave lands on Base</title>
+  <meta property="og:title" content="Aave lands on Base">
+  <meta name="author" content="Jane Doe">
+</head><body>
+  <nav>Home | Markets | About</nav>
+  <article>
+    <p>Aave launched its v3 lending market on Base this week, after a governance vote that passed with broad support.</p>
+    <p>Deposits reached $12M within two days, led by USDC and ETH, and risk limits cap each asset for now.</p>
+  </article>
+  <footer>Copyright</footer>
+</body></html>`;
+
+// A local article fixture. /article is the page, /redirect?to=<url> redirects there.
+async function startFixture() {
+  const paths = [];
+  const server = http.createServer((req, res) => {
+    paths.push(req.url);
+    const url = new URL(req.url, 'http://fixture');
+    if (url.pathname === '/redirect') {
+      res.writeHead(302, { Location: url.searchParams.get('to') });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(PAGE);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    paths,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+test('treats private, reserved, IPv4-mapped and NAT64 addresses as private', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '198.18.0.1', '224.0.0.1', '240.0.0.1', '255.255.255.255',
+    '::1', '::', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '::7f00:1', '64:ff9b::7f00:1',
+    'fc00::1', 'fd12::1', 'fe80::1', 'ff02::1', 'not-an-ip'
+  ].forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+
+  ['8.8.8.8', '1.1.1.1', '172.32.0.1', '::ffff:8.8.8.8', '2606:4700:4700::1111'].forEach(address =>
+    assert.strictEqual(isPrivateAddress(address), false, address));
+});
+
+test('fetches and extracts an article from an allowed fixture host', async t => {
+  const fixture = await startFixture();
+  process.env.ARTICLE_ALLOW_PRIVATE_HOSTS = '127.0.0.1';
+  t.after(() => {
+    delete process.env.ARTICLE_ALLOW_PRIVATE_HOSTS;
+    return fixture.close();
+  });
+
+  const article = await fetchArticle(`http://127.0.0.1:${fixture.port}/redirect?to=/article`);
+  assert.strictEqual(article.title, 'Aave lands on Base');
+  assert.strictEqual(article.author, 'Jane Doe');
+  assert.strictEqual(article.url, `http://127.0.0.1:${fixture.port}/article`);
+  assert.match(article.text, /^Aave launched its v3 lending market/);
+  assert.ok(!article.text.includes('Markets'));
+});
+
+test('refuses private addresses, however they are written', async t => {
+  const fixture = await startFixture();
+  t.after(() => fixture.close());
+
+  for (const host of ['127.0.0.1', 'localhost', '[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '[::ffff:a9fe:a9fe]', '[64:ff9b::7f00:1]', '0.0.0.0']) {
+    await assert.rejects(fetchArticle(`http://${host}:${fixture.port}/article`), /private address/, host);
+  }
+  assert.deepStrictEqual(fixture.paths, []);
+});
+
+test('refuses a redirect to a private address', async t => {
+  const fixture = await startFixture();
+  // Only the first hop's host is allowed to be private
+  process.env.ARTICLE_ALLOW_PRIVATE_HOSTS = '127.0.0.1';
+  t.after(() => {
+    delete process.env.ARTICLE_ALLOW_PRIVATE_HOSTS;
+    return fixture.close();
+  });
+
+  for (const target of [`http://localhost:${fixture.port}/article`, `http://[::ffff:7f00:1]:${fixture.port}/article`]) {
+    await assert.rejects(fetchArticle(`http://127.0.0.1:${fixture.port}/redirect?to=${encodeURIComponent(target)}`), /private address/);
+  }
+  assert.ok(fixture.paths.every(path => path.startsWith('/redirect')));
+});
+
+test('connects only to the address its own lookup checked', async t => {
+  const fixture = await startFixture();
+  t.after(() => fixture.close());
+
+  // A host that passed an earlier check and now resolves to a private address
+  await assert.rejects(fetch(`http://localhost:${fixture.port}/article`, { agent: getPublicAgent }), { code: 'EPRIVATEADDRESS' });
+  assert.deepStrictEqual(fixture.paths, []);
+});
+
+test('refuses batch webhooks on private addresses', async () => {
+  for (const webhookUrl of ['http://127.0.0.1/hook', 'http://[::ffff:a9fe:a9fe]/latest/meta-data', 'http://localhost/hook']) {
+    await assert.rejects(resolveBatchRequest({ items: ['text'], webhookUrl }), { statusCode: 400, message: /private address/ });
+  }
+});
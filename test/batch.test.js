@@ -0,0 +1,208 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MODEL = 'mock';
+delete process.env.BATCH_JOB_STORE;
+delete process.env.SESSION_STORE;
+delete process.env.SHARE_BASE_URL;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { resolveBatchRequest, createBatchJob, runBatchJob, getJobStatus, isRateLimitError } = require('../netlify/functions/lib/batch');
+const { createMemoryJobStore, createCacheJobStore, setJobStore } = require('../netlify/functions/lib/job-store');
+const { createMemoryCacheStore } = require('../netlify/functions/lib/response-cache');
+const batch = require('../netlify/functions/batch');
+const batchBackground = require('../netlify/functions/batch-background');
+
+// Stand-in for Netlify's background function endpoint: records each invocation and answers
+// with status, and points URL (the site's address) at itself
+async function startSiteStub(status = 202) {
+  const invocations = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      invocations.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.URL = `http://127.0.0.1:${server.address().port}`;
+  return {
+    invocations,
+    close: () => {
+      delete process.env.URL;
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const ARTICLE = 'Solana fees dropped 40% this month. Validators earn less per transaction. Volume is up threefold.';
+
+// Helper function to build a rate limit error that asks for a short wait
+function rateLimitError() {
+  const error = new Error('AI service error (429): slow down');
+  error.status = 429;
+  error.retryAfterSeconds = 0.05;
+  return error;
+}
+
+test('resolves items with the batch options and their own', async () => {
+  const { items, webhookUrl } = await resolveBatchRequest({
+    items: ['https://x.com/a/status/1', 'Some pasted text', { rawText: 'More text', id: 'mine', tone: 'simple' }],
+    tone: 'professional',
+    length: '1 line'
+  });
+
+  assert.strictEqual(webhookUrl, null);
+  assert.deepStrictEqual(items.map(item => [item.id, item.request.threadUrl || item.request.rawText, item.request.tone, item.request.length]), [
+    [null, 'https://x.com/a/status/1', 'professional', '1 line'],
+    [null, 'Some pasted text', 'professional', '1 line'],
+    ['mine', 'More text', 'simple', '1 line']
+  ]);
+
+  await assert.rejects(resolveBatchRequest({ items: [] }), { statusCode: 400 });
+  await assert.rejects(resolveBatchRequest({ items: [{ tone: 'simple' }] }), { statusCode: 400, message: /Item 1 has no link/ });
+  await assert.rejects(resolveBatchRequest({ items: ['text'], format: 'compare' }), { statusCode: 400 });
+  await assert.rejects(resolveBatchRequest({ items: ['text'], webhookUrl: 'ftp://example.com' }), { statusCode: 400 });
+});
+
+test('recognizes rate limits, including every LLM backend being skipped', () => {
+  assert.strictEqual(isRateLimitError(rateLimitError()), true);
+  assert.strictEqual(isRateLimitError(Object.assign(new Error('all skipped'), { status: 503, rateLimited: true })), true);
+  assert.strictEqual(isRateLimitError(Object.assign(new Error('down'), { status: 503 })), false);
+});
+
+test('retries rate-limited items and records other failures', async () => {
+  const store = createMemoryJobStore();
+  const job = await createBatchJob(store, await resolveBatchRequest({ items: ['first', 'second', 'third'] }));
+  const calls = [];
+
+  const finished = await runBatchJob(store, job.id, async request => {
+    calls.push(request.rawText);
+    if (request.rawText === 'first' && calls.filter(text => text === 'first').length === 1) throw rateLimitError();
+    if (request.rawText === 'third') throw Object.assign(new Error('Bad input'), { statusCode: 400 });
+    return { summary: `summary of ${request.rawText}` };
+  }, { concurrency: 2 });
+
+  const status = getJobStatus(finished);
+  assert.strictEqual(status.status, 'completed');
+  assert.strictEqual(status.completed, 2);
+  assert.strictEqual(status.failed, 1);
+  assert.deepStrictEqual(status.items.map(item => [item.status, item.attempts]), [['done', 2], ['done', 1], ['failed', 1]]);
+  assert.deepStrictEqual(status.items[2].error, { statusCode: 400, message: 'Bad input' });
+});
+
+test('gives up on an item after three rate limits', async () => {
+  const store = createMemoryJobStore();
+  const job = await createBatchJob(store, await resolveBatchRequest({ items: ['text'] }));
+
+  const finished = await runBatchJob(store, job.id, async () => { throw rateLimitError(); });
+  assert.deepStrictEqual(getJobStatus(finished).items[0].attempts, 3);
+  assert.strictEqual(getJobStatus(finished).items[0].error.statusCode, 429);
+});
+
+test('the memory store only evicts finished jobs', async () => {
+  const store = createMemoryJobStore();
+  const newJob = id => ({ id, status: 'queued', finishedAt: null, webhookUrl: null, webhook: null, items: [] });
+
+  await store.createJob(newJob('running'));
+  await store.updateJob('running', { status: 'running' });
+  await store.createJob(newJob('finished'));
+  await store.updateJob('finished', { status: 'completed', finishedAt: new Date().toISOString() });
+  for (let i = 0; i < 98; i++) await store.createJob(newJob(`queued-${i}`));
+
+  // The 101st job pushes out the finished one, never the older running one
+  await store.createJob(newJob('new'));
+  assert.ok(await store.getJob('running'));
+  assert.strictEqual(await store.getJob('finished'), null);
+
+  // With nothing finished left to evict, new jobs are refused
+  await assert.rejects(store.createJob(newJob('one-too-many')), { statusCode: 503 });
+});
+
+test('the cache job store keeps every update from concurrent workers', async () => {
+  const store = createCacheJobStore(createMemoryCacheStore());
+  const job = await createBatchJob(store, await resolveBatchRequest({ items: ['one', 'two', 'three', 'four', 'five'] }));
+
+  const finished = await runBatchJob(store, job.id, async request => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return { summary: `summary of ${request.rawText}` };
+  }, { concurrency: 3 });
+
+  assert.strictEqual(finished.completed, 5);
+  assert.deepStrictEqual(finished.items.map(item => item.status), ['done', 'done', 'done', 'done', 'done']);
+  assert.deepStrictEqual(await store.getJob(job.id), finished);
+
+  // Jobs are copied in and out of the store
+  finished.items[0].status = 'changed';
+  assert.strictEqual((await store.getJob(job.id)).items[0].status, 'done');
+  assert.strictEqual(await store.getJob('missing'), null);
+  await assert.rejects(store.updateJob('missing', { status: 'running' }), { statusCode: 404 });
+  await assert.rejects(store.updateItem(job.id, 9, { status: 'running' }), { statusCode: 404 });
+});
+
+test('the Netlify batch function refuses to queue jobs without a shared job store', async () => {
+  const available = await batch.handler({ httpMethod: 'GET', path: '/.netlify/functions/batch', headers: {} }, {});
+  assert.deepStrictEqual(JSON.parse(available.body), { available: false });
+
+  const res = await batch.handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ items: [ARTICLE] }) }, {});
+  assert.strictEqual(res.statusCode, 503);
+  assert.match(JSON.parse(res.body).error, /BATCH_JOB_STORE/);
+});
+
+test('Netlify batches are queued by the batch function and run in the background function', async t => {
+  setJobStore(createCacheJobStore(createMemoryCacheStore()));
+  const site = await startSiteStub();
+  t.after(() => {
+    setJobStore(null);
+    return site.close();
+  });
+
+  const available = await batch.handler({ httpMethod: 'GET', path: '/.netlify/functions/batch', headers: {} }, {});
+  assert.deepStrictEqual(JSON.parse(available.body), { available: true });
+
+  const bad = await batch.handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ items: [] }) }, {});
+  assert.strictEqual(bad.statusCode, 400);
+
+  const res = await batch.handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ items: [ARTICLE, { id: 'mine', rawText: ARTICLE, length: '1 line' }], mode: 'extractive' }) }, {});
+  assert.strictEqual(res.statusCode, 202);
+  const queued = JSON.parse(res.body);
+  assert.strictEqual(queued.status, 'queued');
+  assert.strictEqual(queued.statusUrl, `/.netlify/functions/batch/${queued.jobId}`);
+  assert.deepStrictEqual(site.invocations, [{ path: '/.netlify/functions/batch-background', body: { jobId: queued.jobId } }]);
+
+  await batchBackground.handler({ httpMethod: 'POST', body: JSON.stringify(site.invocations[0].body) }, {});
+  const poll = () => batch.handler({ httpMethod: 'GET', path: queued.statusUrl, headers: {} }, {});
+  const status = JSON.parse((await poll()).body);
+  assert.strictEqual(status.status, 'completed');
+  assert.strictEqual(status.completed, 2);
+  assert.deepStrictEqual(status.items.map(item => [item.id, item.status]), [[null, 'done'], ['mine', 'done']]);
+  assert.strictEqual(status.items[1].result.extractive, true);
+  assert.match(status.items[1].result.summary, /Solana fees dropped 40%/);
+
+  // A repeated invocation doesn't run the job again
+  await batchBackground.handler({ httpMethod: 'POST', body: JSON.stringify(site.invocations[0].body) }, {});
+  assert.deepStrictEqual(JSON.parse((await poll()).body), status);
+
+  const missing = await batch.handler({ httpMethod: 'GET', path: '/.netlify/functions/batch/nope', headers: {} }, {});
+  assert.strictEqual(missing.statusCode, 404);
+});
+
+test('a Netlify batch that the background function does not accept is marked failed', async t => {
+  const store = createCacheJobStore(createMemoryCacheStore());
+  setJobStore(store);
+  const site = await startSiteStub(500);
+  t.after(() => {
+    setJobStore(null);
+    return site.close();
+  });
+
+  const res = await batch.handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ items: [ARTICLE] }) }, {});
+  assert.strictEqual(res.statusCode, 502);
+  const job = await store.getJob(site.invocations[0].body.jobId);
+  assert.strictEqual(job.status, 'failed');
+  assert.ok(job.finishedAt);
+});
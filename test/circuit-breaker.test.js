@@ -0,0 +1,53 @@
+process.env.LLM_CIRCUIT_THRESHOLD = '3';
+process.env.LLM_CIRCUIT_COOLDOWN_MS = '50';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isCircuitOpen, isCircuitCallable, recordFailure, recordSuccess } = require('../netlify/functions/lib/circuit-breaker');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('opens after the threshold of credit or rate-limit failures', () => {
+  recordFailure('a/model');
+  recordFailure('a/model');
+  assert.strictEqual(isCircuitOpen('a/model'), false);
+  recordFailure('a/model');
+  assert.strictEqual(isCircuitOpen('a/model'), true);
+});
+
+test('failures that are not counted never open a closed circuit', () => {
+  for (let i = 0; i < 5; i++) recordFailure('b/model', { counted: false });
+  assert.strictEqual(isCircuitOpen('b/model'), false);
+});
+
+test('lets one trial call through after the cool-down and closes on success', async () => {
+  for (let i = 0; i < 3; i++) recordFailure('c/model');
+  await sleep(60);
+  assert.strictEqual(isCircuitOpen('c/model'), false);
+  // Only one trial at a time
+  assert.strictEqual(isCircuitOpen('c/model'), true);
+  recordSuccess('c/model');
+  assert.strictEqual(isCircuitOpen('c/model'), false);
+});
+
+test('a trial that fails with a timeout re-opens the circuit for another cool-down', async () => {
+  for (let i = 0; i < 3; i++) recordFailure('d/model');
+  await sleep(60);
+  assert.strictEqual(isCircuitOpen('d/model'), false);
+  recordFailure('d/model', { counted: false });
+  assert.strictEqual(isCircuitOpen('d/model'), true);
+  await sleep(60);
+  // Not stuck: the next cool-down lets another trial through
+  assert.strictEqual(isCircuitOpen('d/model'), false);
+});
+
+test('checking whether a backend is callable leaves its trial call for whoever calls it', async () => {
+  for (let i = 0; i < 3; i++) recordFailure('e/model');
+  assert.strictEqual(isCircuitCallable('e/model'), false);
+  await sleep(60);
+  assert.strictEqual(isCircuitCallable('e/model'), true);
+  assert.strictEqual(isCircuitCallable('e/model'), true);
+  assert.strictEqual(isCircuitOpen('e/model'), false);
+  // The trial is in flight now
+  assert.strictEqual(isCircuitCallable('e/model'), false);
+});
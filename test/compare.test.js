@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCompareSources, compareSources } = require('../netlify/functions/lib/compare');
+
+const SOURCE_A = {
+  threadText: 'Aave launched its v3 market on Base this week. Deposits reached $12M within two days, according to Stani Kulechov. The launch was a success for Base.',
+  isTwitterContent: true
+};
+const SOURCE_B = {
+  threadText: 'Aave opened v3 on Base on Monday. Deposits were $9M after two days, said Marc Zeller. The launch was slower than Base expected.',
+  isTwitterContent: false
+};
+
+// Helper function to compare the two sources with canned model replies, keeping the prompts sent
+async function compareWith(replies, options = {}) {
+  const prompts = [];
+  const result = await compareSources([SOURCE_A, SOURCE_B], {
+    tone: 'simple',
+    callModel: async prompt => {
+      prompts.push(prompt);
+      const reply = replies[prompts.length - 1];
+      return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    },
+    ...options
+  });
+  return { result, prompts };
+}
+
+const reply = fields => ({
+  overview: 'Both sources cover the Aave v3 launch on Base but differ on how it went.',
+  shared: [],
+  disagreements: [],
+  onlyA: [],
+  onlyB: [],
+  conflictingNumbers: [],
+  ...fields
+});
+
+test('needs exactly two sources with a link or text', () => {
+  assert.throws(() => validateCompareSources(undefined), { statusCode: 400, message: /exactly two items/ });
+  assert.throws(() => validateCompareSources([SOURCE_A]), { statusCode: 400 });
+  assert.throws(() => validateCompareSources([{ rawText: 'a' }, { rawText: 'b' }, { rawText: 'c' }]), { statusCode: 400 });
+  assert.throws(() => validateCompareSources([{ rawText: 'a' }, { tone: 'simple' }]), { statusCode: 400, message: 'Source B has no thread link or text.' });
+
+  const sources = [{ threadUrl: 'https://x.com/a/status/1' }, { rawText: 'b' }];
+  assert.strictEqual(validateCompareSources(sources), sources);
+});
+
+test('gives the model both sources with their names and numbers', async () => {
+  const { prompts } = await compareWith([reply()]);
+
+  assert.match(prompts[0], /what does A claim versus B\?/);
+  assert.match(prompts[0], /Write the text values in a simple tone\./);
+  assert.match(prompts[0], /SOURCE A \(a Twitter\/X thread\):\nKey names: [^\n]*Stani Kulechov/);
+  assert.match(prompts[0], /SOURCE B:\nKey names: [^\n]*Marc Zeller/);
+  assert.match(prompts[0], /Numbers: [^\n]*12M/);
+  assert.match(prompts[0], /\n\n---\n\nSOURCE B/);
+
+  // Each side is cut to 6000 characters
+  let sent = null;
+  const long = { threadText: `${'Aave grew on Base. '.repeat(400)}The end.`, isTwitterContent: false };
+  const result = await compareSources([long, SOURCE_B], {
+    callModel: async prompt => {
+      sent = prompt;
+      return JSON.stringify(reply());
+    }
+  });
+  assert.ok(!sent.includes('The end.'));
+  assert.deepStrictEqual(result.sources.map(source => source.truncated), [true, false]);
+});
+
+test('keeps shared points and disagreements, mapping near-misses onto the schema', async () => {
+  const { result } = await compareWith([{
+    summary: 'Both sources cover the Aave v3 launch on Base.',
+    shared_points: ['- Aave launched v3 on Base.', 'Aave launched v3 on Base.', '', 42],
+    disagreements: [
+      { point: 'How the launch went', A: 'It was a success.', B: 'It was slower than expected.' },
+      { topic: 'Who spoke', a: 'Stani Kulechov' }
+    ],
+    only_a: '• A success for Base',
+    uniqueToB: ['Marc Zeller commented']
+  }]);
+
+  const { comparison } = result;
+  assert.strictEqual(comparison.overview, 'Both sources cover the Aave v3 launch on Base.');
+  // Bullets are stripped and repeats dropped
+  assert.deepStrictEqual(comparison.shared, ['Aave launched v3 on Base.', '42']);
+  // A disagreement needs both sides
+  assert.deepStrictEqual(comparison.disagreements, [{ topic: 'How the launch went', a: 'It was a success.', b: 'It was slower than expected.' }]);
+  assert.deepStrictEqual(comparison.onlyA, ['A success for Base']);
+  assert.deepStrictEqual(comparison.onlyB, ['Marc Zeller commented']);
+  assert.deepStrictEqual(comparison.conflictingNumbers, []);
+});
+
+test('only keeps conflicting numbers whose figures appear in their own source', async () => {
+  const { result } = await compareWith([reply({
+    conflictingNumbers: [
+      { about: 'Deposits after two days', a: '$12M', b: '$9M' },
+      // Each side's figure from the other side's text
+      { about: 'Deposits, swapped', a: '$9M', b: '$12M' },
+      { metric: 'Made-up deposits', a: '$12M', b: '$15M' },
+      { about: 'No figures', a: 'a lot', b: 'less' },
+      { about: 'One side only', a: '$12M' }
+    ]
+  })]);
+
+  assert.deepStrictEqual(result.comparison.conflictingNumbers, [{ about: 'Deposits after two days', a: '$12M', b: '$9M' }]);
+});
+
+test('compares the names each side mentions and checks the comparison against both sources', async () => {
+  const { result } = await compareWith([reply({ shared: ['Both report $50M in deposits.'] })]);
+
+  assert.ok(result.entities.shared.includes('Aave'));
+  assert.ok(result.entities.onlyA.includes('Stani Kulechov'));
+  assert.ok(result.entities.onlyB.includes('Marc Zeller'));
+  assert.ok(!result.entities.onlyB.includes('Aave'));
+
+  assert.deepStrictEqual(result.sources.map(source => [source.label, source.truncated]), [['A', false], ['B', false]]);
+  assert.strictEqual(result.targetLanguage, 'en');
+  assert.ok(result.faithfulness.unsupported.some(item => /50/.test(item.value)));
+});
+
+test('asks again after invalid JSON and gives up when there is no time left', async () => {
+  const retried = await compareWith(['Sorry, here is a comparison in prose.', reply()]);
+  assert.strictEqual(retried.prompts.length, 2);
+  assert.match(retried.result.comparison.overview, /differ on how it went/);
+
+  // An answer without an overview doesn't count either
+  await assert.rejects(compareWith([reply({ overview: '' }), '{}']), /Invalid response from AI service/);
+  await assert.rejects(compareWith(['not json', reply()], { canRetry: () => false }), /not valid JSON/);
+});
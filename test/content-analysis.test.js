@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  classifyContent,
+  resolveContentType,
+  getContentShapeInstruction,
+  analyzeContent
+} = require('../netlify/functions/lib/content-analysis');
+const { summarizeThread } = require('../netlify/functions/summarize');
+
+const samples = {
+  academic: 'This study tested the hypothesis that sleep improves recall. Participants (n = 120) were assigned at random, ' +
+    'and the findings were significant (p < 0.05), in line with earlier research (Smith et al., 2021) [3]. ' +
+    'The methodology has limitations: the sample was small and the dataset came from one journal.',
+  business: 'Acme Inc. reported Q3 revenue of $4.2 billion, a 12% increase from last year, as sales to enterprise customers grew. ' +
+    'The CEO raised full-year guidance and the stock rose after earnings beat forecasts; margins held steady for shareholders.',
+  technical: 'The bug was in the cache layer: `getUser()` returned a stale row after each deployment. ' +
+    'We moved the query to the database, added an endpoint to the API and refactored the server config in v2.1.0, ' +
+    'trading some latency for correctness in the backend.',
+  news: 'LONDON — Officials confirmed on Tuesday that the bridge will close for repairs, according to a government statement. ' +
+    'Police said residents were told yesterday, and a spokesperson announced the reopening date to reporters.',
+  social_media: '🧵 Thread: why restaking matters 1/4\n@alice and @bob called it early #DeFi\n2/4 gm, the alpha is in the yields\n3/4 follow for more\n4/4 wagmi'
+};
+
+test('classifies each kind of content by its signals', () => {
+  Object.entries(samples).forEach(([type, text]) => {
+    const result = classifyContent(text);
+    assert.strictEqual(result.contentType, type, `${type}: ${JSON.stringify(result.scores)}`);
+    assert.ok(result.confidence > 0 && result.confidence <= 1);
+  });
+});
+
+test('falls back to general below the minimum score or density', () => {
+  const plain = classifyContent('I walked the dog and then we had lunch in the park.');
+  assert.strictEqual(plain.contentType, 'general');
+  assert.strictEqual(plain.confidence, 0);
+
+  // Two business keywords in a long stretch of plain prose are too sparse to count
+  const filler = Array.from({ length: 60 }, () => 'the weather was nice and we went outside for a walk').join(' ');
+  assert.strictEqual(classifyContent(`${filler} revenue profit market`).contentType, 'general');
+});
+
+test('counts a long thread as social media even when its markers are sparse', () => {
+  const filler = Array.from({ length: 200 }, () => 'restaking lets the same stake secure more than one network').join('. ');
+  const result = classifyContent(`1/3 ${filler}\n2/3 @alice agrees\n3/3 that's the thread`);
+  assert.ok(result.scores.social_media / 20 < 0.5, 'the markers are below the density threshold');
+  assert.strictEqual(result.contentType, 'social_media');
+});
+
+test('resolves content types, aliases and auto', () => {
+  assert.strictEqual(resolveContentType(undefined), null);
+  assert.strictEqual(resolveContentType(''), null);
+  assert.strictEqual(resolveContentType(' Auto '), null);
+  assert.strictEqual(resolveContentType('Technical'), 'technical');
+  assert.strictEqual(resolveContentType('social media'), 'social_media');
+  assert.strictEqual(resolveContentType('Social-Media'), 'social_media');
+  assert.strictEqual(resolveContentType('paper'), 'academic');
+  assert.strictEqual(resolveContentType('tweet'), 'social_media');
+  assert.strictEqual(resolveContentType('finance'), 'business');
+  assert.throws(() => resolveContentType('poetry'), { statusCode: 400, message: /Unsupported contentType "poetry"/ });
+});
+
+test('a contentType override replaces the detected type but keeps it for reference', () => {
+  const detected = analyzeContent(samples.technical);
+  assert.strictEqual(detected.contentType, 'technical');
+  assert.strictEqual(detected.detectedContentType, 'technical');
+
+  const overridden = analyzeContent(samples.technical, { contentType: resolveContentType('research') });
+  assert.strictEqual(overridden.contentType, 'academic');
+  assert.strictEqual(overridden.detectedContentType, 'technical');
+  assert.strictEqual(overridden.contentTypeConfidence, detected.contentTypeConfidence);
+});
+
+test('summaries report the content type used and the one detected', async () => {
+  const params = { threadText: samples.technical, isTwitterContent: false, tone: 'simple', length: '1 line', mode: 'extractive' };
+
+  const detected = await summarizeThread(params);
+  assert.deepStrictEqual([detected.contentType, detected.detectedContentType], ['technical', 'technical']);
+
+  const overridden = await summarizeThread({ ...params, contentTypeOverride: 'news' });
+  assert.deepStrictEqual([overridden.contentType, overridden.detectedContentType], ['news', 'technical']);
+
+  await assert.rejects(summarizeThread({ ...params, contentTypeOverride: 'poetry' }), { statusCode: 400 });
+});
+
+test('builds a summary shape for each non-general type', () => {
+  assert.strictEqual(getContentShapeInstruction('general', '3 sentences'), '');
+
+  const bullets = getContentShapeInstruction('academic', 'bullet list');
+  assert.match(bullets, /This is academic content/);
+  assert.match(bullets, /"Question:", "Method:", "Findings:", "Limitations:" in that order/);
+
+  assert.match(getContentShapeInstruction('social_media', '1 line'), /^SUMMARY SHAPE: This is social media content\. In one line, cover the author's main claim/);
+  assert.match(getContentShapeInstruction('news', '3 sentences'), /around who is involved, what happened, when it happened and where, in that order/);
+});
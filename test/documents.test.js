@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  detectDocumentType,
+  parseMultipart,
+  extractTranscript,
+  extractDocumentText,
+  readUpload,
+  formatDocumentText
+} = require('../netlify/functions/lib/documents');
+const { handler } = require('../netlify/functions/summarize');
+
+test('detects the document type from magic bytes, extension, MIME type and content', () => {
+  assert.strictEqual(detectDocumentType('notes.txt', 'text/plain', Buffer.from('%PDF-1.7 ...')), 'pdf');
+  assert.strictEqual(detectDocumentType('', '', Buffer.from('PK\u0003\u0004...', 'latin1')), 'docx');
+  assert.strictEqual(detectDocumentType('README.md', '', Buffer.from('# Hi')), 'markdown');
+  assert.strictEqual(detectDocumentType('', 'text/html; charset=utf-8', Buffer.from('<p>Hi</p>')), 'html');
+  assert.strictEqual(detectDocumentType('', '', Buffer.from('WEBVTT\n\n00:00.000 --> 00:01.000\nHi')), 'vtt');
+  assert.strictEqual(detectDocumentType('upload', '', Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHi')), 'srt');
+  assert.strictEqual(detectDocumentType('page', 'text/plain', Buffer.from('<!DOCTYPE html><html></html>')), 'html');
+  assert.strictEqual(detectDocumentType('notes', '', Buffer.from('Just text')), 'text');
+});
+
+test('turns SRT cues into timestamped speaker turns and merges consecutive cues', () => {
+  const srt = [
+    '1', '00:00:01,000 --> 00:00:03,000', 'JANE: Welcome back.', '',
+    '2', '00:00:03,500 --> 00:00:05,000', 'JANE: Today we talk budgets.', '',
+    '3', '00:01:10,000 --> 00:01:12,000', '- Bob Smith: Thanks for having me.'
+  ].join('\r\n');
+
+  assert.strictEqual(extractTranscript(srt),
+    '[00:00:01] JANE: Welcome back. Today we talk budgets.' +
+    '\n\n[00:01:10] Bob Smith: Thanks for having me.');
+});
+
+test('reads WebVTT voice spans as speakers', () => {
+  const vtt = 'WEBVTT\n\n00:05.000 --> 00:07.000\n<v Ana Lopez>Hello <b>there</b></v>\n\n00:08.000 --> 00:09.000\nNo speaker here';
+  assert.strictEqual(extractTranscript(vtt), '[00:00:05] Ana Lopez: Hello there\n\n[00:00:08] No speaker here');
+});
+
+test('parses multipart bodies into fields and files', () => {
+  const boundary = 'XyZ';
+  const body = Buffer.from([
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="length"',
+    '',
+    'short',
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="file"; filename="notes.md"',
+    'Content-Type: text/markdown',
+    '',
+    '# Title\nBody',
+    `--${boundary}--`,
+    ''
+  ].join('\r\n'));
+
+  const { fields, files } = parseMultipart(body, `multipart/form-data; boundary="${boundary}"`);
+  assert.deepStrictEqual(fields, { length: 'short' });
+  assert.strictEqual(files.length, 1);
+  assert.strictEqual(files[0].name, 'notes.md');
+  assert.strictEqual(files[0].type, 'text/markdown');
+  assert.strictEqual(files[0].buffer.toString(), '# Title\nBody');
+
+  assert.throws(() => parseMultipart(body, 'multipart/form-data'), { statusCode: 400 });
+});
+
+test('reads JSON bodies with a base64 data URL file', () => {
+  const data = `data:text/plain;base64,${Buffer.from('Hello file').toString('base64')}`;
+  const body = Buffer.from(JSON.stringify({ tone: 'default', file: { name: 'a.txt', type: 'text/plain', data } }));
+
+  const { fields, file } = readUpload(body, 'application/json');
+  assert.strictEqual(fields.tone, 'default');
+  assert.strictEqual(file.name, 'a.txt');
+  assert.strictEqual(file.buffer.toString(), 'Hello file');
+
+  assert.strictEqual(readUpload(Buffer.from('{"text":"hi"}'), 'application/json').file, null);
+});
+
+test('answers a malformed JSON body with a 400', async () => {
+  assert.throws(() => readUpload(Buffer.from('{"rawText": "cut off'), 'application/json'), { statusCode: 400, message: 'Request body must be JSON.' });
+  assert.throws(() => readUpload(Buffer.from('["a"]'), 'application/json'), { statusCode: 400 });
+  assert.deepStrictEqual(readUpload(Buffer.from(''), 'application/json'), { fields: {}, file: null });
+
+  const res = await handler({ httpMethod: 'POST', headers: { 'content-type': 'application/json' }, body: '{"rawText": ' }, {});
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(JSON.parse(res.body).error, 'Request body must be JSON.');
+});
+
+test('strips Markdown syntax down to readable text', async () => {
+  const markdown = '---\ntitle: x\n---\n# Heading\n\nSome **bold** and _italic_ with a [link](https://example.com).\n\n- one\n- two\n\n![img](a.png)';
+  const result = await extractDocumentText({ name: 'doc.md', type: '', buffer: Buffer.from(markdown) });
+
+  assert.strictEqual(result.documentType, 'markdown');
+  assert.strictEqual(result.isTranscript, false);
+  assert.strictEqual(result.text, 'Heading\n\nSome bold and italic with a link.\n\n• one\n• two');
+});
+
+test('extracts plain text and transcripts, and flags transcripts in the summarizer header', async () => {
+  const text = await extractDocumentText({ name: 'a.txt', type: 'text/plain', buffer: Buffer.from('﻿Plain words.\n') });
+  assert.strictEqual(text.text, 'Plain words.');
+  assert.strictEqual(formatDocumentText(text, 'a.txt'), 'Plain words.');
+
+  const transcript = await extractDocumentText({
+    name: 'call.srt',
+    type: '',
+    buffer: Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHi all.')
+  });
+  assert.strictEqual(transcript.isTranscript, true);
+  assert.match(formatDocumentText(transcript, 'call.srt'), /^--- Transcript \(call\.srt\)/);
+});
+
+test('rejects empty uploads and files without text', async () => {
+  await assert.rejects(extractDocumentText({ name: 'a.txt', type: '', buffer: Buffer.alloc(0) }), { statusCode: 400 });
+  await assert.rejects(extractDocumentText({ name: 'a.txt', type: '', buffer: Buffer.from('   \n') }), {
+    statusCode: 400,
+    message: 'No text found in the uploaded file.'
+  });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTweetLength, splitThread, exportSummary, validateExportRequest, withExport } = require('../netlify/functions/lib/export');
+
+const date = '2026-03-01T12:00:00Z';
+const sentence = index => `Point ${index} says $ETH moved while https://example.com/report/${index} has the details for everyone reading.`;
+
+test('counts post length the way X does', () => {
+  assert.strictEqual(getTweetLength('gm'), 2);
+  assert.strictEqual(getTweetLength(`see https://example.com/${'a'.repeat(100)}`), 4 + 23);
+  assert.strictEqual(getTweetLength('比特币'), 6);
+  assert.strictEqual(getTweetLength('up 🚀'), 5);
+});
+
+test('keeps a short summary as one unnumbered post with its source', () => {
+  assert.deepStrictEqual(splitThread('Aave v3 launched on Base.', { source: { url: 'https://x.com/aave/status/1' } }), [
+    'Aave v3 launched on Base.\n\nSource: https://x.com/aave/status/1'
+  ]);
+  assert.deepStrictEqual(splitThread(''), []);
+});
+
+test('numbers long threads and breaks between sentences without cutting links or cashtags', () => {
+  const summary = Array.from({ length: 8 }, (_, index) => sentence(index + 1)).join(' ');
+  const tweets = splitThread(summary);
+
+  assert.ok(tweets.length > 1);
+  tweets.forEach((tweet, index) => {
+    assert.ok(tweet.startsWith(`${index + 1}/${tweets.length} `));
+    assert.ok(getTweetLength(tweet) <= 280, tweet);
+  });
+  const text = tweets.map(tweet => tweet.replace(/^\d+\/\d+ /, '')).join(' ');
+  for (let index = 1; index <= 8; index++) {
+    assert.ok(text.includes(sentence(index)), `sentence ${index} was split`);
+  }
+});
+
+test('makes room for two-digit numbering', () => {
+  const summary = Array.from({ length: 30 }, (_, index) => `- ${sentence(index + 1)}`).join('\n');
+  const tweets = splitThread(summary);
+
+  assert.ok(tweets.length >= 10);
+  assert.ok(tweets[0].startsWith(`1/${tweets.length} • Point 1`));
+  tweets.forEach(tweet => assert.ok(getTweetLength(tweet) <= 280, tweet));
+});
+
+test('breaks an overlong sentence between words', () => {
+  const words = Array.from({ length: 120 }, (_, index) => `word${index}`).join(' ');
+  const tweets = splitThread(`${words}.`);
+
+  assert.ok(tweets.length > 1);
+  tweets.forEach(tweet => assert.ok(getTweetLength(tweet) <= 280));
+  assert.strictEqual(tweets.map(tweet => tweet.replace(/^\d+\/\d+ /, '')).join(' '), `${words}.`);
+});
+
+test('renders Markdown with headings, bullets and a source line', () => {
+  const { markdown } = exportSummary('markdown', {
+    summary: '## Update\nAave launched.\n- **TVL** is up\n- Fees are down',
+    source: { url: 'https://example.com/a', title: 'Aave [news]' },
+    tone: 'simple',
+    date
+  });
+
+  assert.strictEqual(markdown, [
+    '## Aave [news]',
+    '',
+    '### Update',
+    '',
+    'Aave launched.',
+    '',
+    '- **TVL** is up',
+    '- Fees are down',
+    '',
+    '---',
+    '',
+    '*Source: [Aave \\[news\\]](https://example.com/a) · simple tone · summarized 2026-03-01 with just one minute*'
+  ].join('\n'));
+});
+
+test('builds Notion blocks with bold, links and runs of at most 2000 characters', () => {
+  const { blocks } = exportSummary('notion', {
+    summary: `**Big** news at https://example.com\n- ${'a'.repeat(2500)}`,
+    date
+  });
+
+  assert.strictEqual(blocks[0].type, 'heading_2');
+  const [bold, plain, link] = blocks[1].paragraph.rich_text;
+  assert.deepStrictEqual([bold.text.content, bold.annotations.bold], ['Big', true]);
+  assert.strictEqual(plain.text.content, ' news at ');
+  assert.deepStrictEqual(link.text.link, { url: 'https://example.com' });
+  assert.deepStrictEqual(blocks[2].bulleted_list_item.rich_text.map(run => run.text.content.length), [2000, 500]);
+  assert.strictEqual(blocks[3].type, 'divider');
+});
+
+test('builds Slack blocks with escaped mrkdwn and one section per list', () => {
+  const result = exportSummary('slack', {
+    summary: 'Fees <1% & **falling**\n- one\n- two',
+    source: { url: 'https://example.com', title: 'A | B' },
+    date
+  });
+
+  assert.strictEqual(result.text, 'Fees <1% & falling\n• one\n• two');
+  assert.deepStrictEqual(result.blocks.map(block => block.type), ['header', 'section', 'section', 'context']);
+  assert.strictEqual(result.blocks[1].text.text, 'Fees &lt;1% &amp; *falling*');
+  assert.strictEqual(result.blocks[2].text.text, '• one\n• two');
+  assert.match(result.blocks[3].elements[0].text, /^Source: <https:\/\/example\.com\|A - B>/);
+});
+
+test('exports a structured summary as its TL;DR and key points', () => {
+  const { tweets } = exportSummary('thread', { structured: { tldr: 'Aave launched.', keyPoints: ['TVL is up'] }, date });
+  assert.deepStrictEqual(tweets, ['Aave launched.\n• TVL is up']);
+  assert.throws(() => exportSummary('pdf', { summary: 'x' }), { statusCode: 400 });
+  assert.throws(() => exportSummary('markdown', { summary: '  ' }), { statusCode: 400, message: /no summary/ });
+});
+
+test('validates export requests', () => {
+  assert.throws(() => validateExportRequest({ format: 'pdf', summary: 'x' }), { statusCode: 400, message: /"format"/ });
+  assert.throws(() => validateExportRequest({ format: 'thread' }), { statusCode: 400, message: /No summary/ });
+  assert.throws(() => validateExportRequest({ format: 'thread', summary: 'x'.repeat(10001) }), { statusCode: 400 });
+  assert.throws(() => validateExportRequest({ format: 'thread', summary: 'x', source: { url: 'javascript:alert(1)' } }), { message: /source\.url/ });
+
+  assert.deepStrictEqual(validateExportRequest({ format: 'slack', summary: 'x', source: { title: '  T  ' }, tone: 'simple' }), {
+    format: 'slack',
+    summary: 'x',
+    structured: undefined,
+    source: { url: null, title: 'T' },
+    tone: 'simple'
+  });
+});
+
+test('adds an export to summarize responses that ask for one', () => {
+  const response = { summary: 'Aave launched.', article: { title: 'Aave news' } };
+  assert.strictEqual(withExport(response, { format: 'text' }), response);
+
+  const result = withExport(response, { format: 'markdown', rawText: ' https://example.com/aave ', tone: 'simple' });
+  assert.strictEqual(result.summary, 'Aave launched.');
+  assert.match(result.export.markdown, /^## Aave news\n/);
+  assert.match(result.export.markdown, /Source: \[Aave news\]\(https:\/\/example\.com\/aave\) · simple tone/);
+});
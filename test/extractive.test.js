@@ -0,0 +1,81 @@
+// Nothing listens on port 9, so every LLM call fails at once
+process.env.LLM_PROVIDER = 'local';
+process.env.LLM_BASE_URL = 'http://127.0.0.1:9/v1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitSentences, rankSentences, extractiveSummarize } = require('../netlify/functions/lib/extractive');
+const { summarizeThread } = require('../netlify/functions/summarize');
+
+const article = [
+  'Aave launched its v3 lending market on Base this week.',
+  'The Base market drew $12M in deposits within two days of the Aave launch.',
+  'Lunch was pasta.',
+  'Aave governance approved the Base market after a long vote on deposits and risk limits.',
+  'Some people prefer tea over coffee in the morning.',
+  'Risk limits on the Base market cap deposits of each asset for Aave.'
+].join(' ');
+
+test('strips thread numbering, links and short fragments before ranking', () => {
+  const text = '1/ Aave launched v3 on Base today 🧵\n2/ Read more at https://example.com/aave now\nok then\n--- Content from https://x.com/a/status/1 ---';
+  assert.deepStrictEqual(splitSentences(text), ['Aave launched v3 on Base today', 'Read more at now']);
+});
+
+test('ranks sentences that share the most content with the rest highest', () => {
+  const sentences = splitSentences(article);
+  const scores = rankSentences(sentences);
+  const best = sentences[scores.indexOf(Math.max(...scores))];
+  assert.match(best, /Base market/);
+  assert.ok(scores[sentences.indexOf('Some people prefer tea over coffee in the morning.')] < Math.max(...scores));
+});
+
+test('boost phrases move matching sentences up', () => {
+  const sentences = ['Alpha beta gamma delta.', 'Alpha beta gamma epsilon.', 'Zeta eta theta iota.'];
+  const [, , plain] = rankSentences(sentences);
+  const [, , boosted] = rankSentences(sentences, ['theta', 'iota']);
+  assert.ok(boosted > plain);
+});
+
+test('picks as many sentences as the length asks for, in their original order', () => {
+  const oneLine = extractiveSummarize(article, '1 line');
+  assert.strictEqual(splitSentences(oneLine).length, 1);
+
+  const two = extractiveSummarize(article, '2 sentences');
+  const picked = splitSentences(two);
+  assert.strictEqual(picked.length, 2);
+  assert.ok(article.indexOf(picked[0]) < article.indexOf(picked[1]));
+  assert.ok(!two.includes('pasta'));
+});
+
+test('formats a bullet list with three to five bullets', () => {
+  const bullets = extractiveSummarize(article, 'bullet list').split('\n');
+  assert.strictEqual(bullets.length, 3);
+  bullets.forEach(bullet => assert.match(bullet, /^• .+\.$/));
+});
+
+test('ends picked sentences with punctuation', () => {
+  const summary = extractiveSummarize('Aave launched v3 on Base today\nDeposits reached twelve million dollars fast', '2 sentences');
+  assert.strictEqual(summary, 'Aave launched v3 on Base today. Deposits reached twelve million dollars fast.');
+});
+
+test('falls back to the start of the text when there are no full sentences', () => {
+  assert.strictEqual(extractiveSummarize('gm frens', '3 sentences'), 'gm frens');
+  const long = extractiveSummarize('x'.repeat(100) + ' ' + 'y'.repeat(300), '1 line');
+  assert.ok(long.length <= 280);
+  assert.ok(long.endsWith('...'));
+});
+
+test('summarize answers from the input when asked for extractive mode or when the LLM is unavailable', async () => {
+  const params = { threadText: article, isTwitterContent: false, tone: 'simple', length: '1 line' };
+
+  const requested = await summarizeThread({ ...params, mode: 'extractive' });
+  assert.strictEqual(requested.extractive, true);
+  assert.strictEqual(requested.extractiveReason, 'requested');
+  assert.ok(article.includes(requested.summary));
+
+  const fallback = await summarizeThread(params);
+  assert.strictEqual(fallback.extractive, true);
+  assert.strictEqual(fallback.extractiveReason, 'llm_unavailable');
+  assert.strictEqual(fallback.summary, requested.summary);
+  assert.strictEqual(fallback.targetLanguage, 'en');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  extractNumbers,
+  isNumberSupported,
+  extractNames,
+  checkFaithfulness,
+  shouldRegenerate,
+  getFaithfulnessRetryPrompt
+} = require('../netlify/functions/lib/faithfulness');
+
+test('parses currencies, decimals, percentages and scale words', () => {
+  const [billions, percent, millions] = extractNumbers('Revenue hit $4.2B, up 12% on 3.5 million users');
+
+  assert.strictEqual(billions.value, 4.2e9);
+  assert.strictEqual(billions.precision, 1e8);
+  assert.strictEqual(percent.isPercent, true);
+  assert.strictEqual(percent.value, 12);
+  assert.strictEqual(millions.value, 3.5e6);
+});
+
+test('allows rounding to the precision the summary wrote', () => {
+  const source = extractNumbers('The fund raised $94.9 billion');
+  assert.strictEqual(isNumberSupported(extractNumbers('$95B')[0], source), true);
+  assert.strictEqual(isNumberSupported(extractNumbers('$97B')[0], source), false);
+  // A percentage never matches a plain number
+  assert.strictEqual(isNumberSupported(extractNumbers('94.9%')[0], source), false);
+});
+
+test('skips single sentence-initial words without a source', () => {
+  assert.deepStrictEqual(extractNames('Solana grew 40%. Vitalik Buterin spoke at The Merge.'), ['Vitalik Buterin', 'Merge']);
+});
+
+test('counts sentence-initial words the source does not use as ordinary words', () => {
+  const source = 'Daily active addresses on solana grew and revenue doubled.';
+  assert.deepStrictEqual(extractNames('Revenue doubled. Solana grew 40%.', source), []);
+  assert.deepStrictEqual(extractNames('Revenue doubled. Ethereum grew 40%.', source), ['Ethereum']);
+  assert.deepStrictEqual(extractNames('Solana grew 40%.', 'Solana grew 40% this quarter.'), ['Solana']);
+});
+
+test('flags a made-up sentence-initial name', () => {
+  const report = checkFaithfulness('Ethereum grew 40%.', 'Solana grew 40% this quarter, led by DeFi.');
+
+  assert.strictEqual(report.faithful, false);
+  assert.deepStrictEqual(report.unsupported, [{ type: 'name', value: 'Ethereum' }]);
+  // Names alone only warn
+  assert.strictEqual(shouldRegenerate(report), false);
+});
+
+test('reports invented figures and tickers and asks for a regeneration', () => {
+  const source = 'Bitcoin ($BTC) rose 5% to $64,000 while @alice watched.';
+  const good = checkFaithfulness('$BTC rose about 5% to $64k, says @alice.', source);
+  assert.strictEqual(good.faithful, true);
+  assert.strictEqual(good.score, 1);
+
+  const bad = checkFaithfulness('$ETH rose 8% to $64,000.', source);
+  assert.deepStrictEqual(bad.unsupported, [{ type: 'percentage', value: '8%' }, { type: 'ticker', value: '$ETH' }]);
+  assert.strictEqual(shouldRegenerate(bad), true);
+  assert.match(getFaithfulnessRetryPrompt('PROMPT', bad), /^PROMPT\n\nIMPORTANT: .*mentioned 8%, \$ETH/);
+});
+
+test('reads decimal commas and skips names in other languages', () => {
+  const report = checkFaithfulness('Los ingresos subieron un 6,2% en Madrid.', 'Revenue rose 6.2% in Spain.', null, { language: 'es' });
+  assert.strictEqual(report.faithful, true);
+});
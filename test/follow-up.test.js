@@ -0,0 +1,183 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MODEL = 'mock';
+delete process.env.SESSION_STORE;
+delete process.env.QA_SESSION_TTL_MINUTES;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateQuestion, answerQuestion } = require('../netlify/functions/lib/follow-up');
+const { createSession, getSession, saveSession, setSessionStore, isSessionStoreShared } = require('../netlify/functions/lib/sessions');
+const { createMemoryCacheStore } = require('../netlify/functions/lib/response-cache');
+const summarize = require('../netlify/functions/summarize');
+const followUp = require('../netlify/functions/follow-up');
+
+const THREAD = [
+  'Thread by Jane Doe (@janedoe)',
+  '1. Aave launched its v3 market on Base this week.',
+  '2. Deposits reached $12M within two days.',
+  '3. Most of it was USDC and ETH.',
+  '4. Risk limits cap each asset for now.',
+  '--- REPLIES (from other accounts, not part of the thread) ---\n- @bob: Great thread!'
+].join('\n\n');
+
+const ARTICLE = 'Solana fees dropped 40% this month.\n\nValidators earn less per transaction.\n\nVolume is up threefold.';
+
+// Helper function to answer a question with a canned model reply, keeping the prompt it was sent
+async function ask(session, question, reply) {
+  let prompt = null;
+  const result = await answerQuestion(session, question, async sent => {
+    prompt = sent;
+    return { text: reply, finishReason: 'stop', provider: 'test', model: 'test' };
+  });
+  return { ...result, prompt };
+}
+
+const post = (handler, body) => handler({ httpMethod: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) }, {});
+
+test('checks questions', () => {
+  assert.throws(() => validateQuestion('  '), { statusCode: 400, message: 'No question provided.' });
+  assert.throws(() => validateQuestion(42), { statusCode: 400 });
+  assert.throws(() => validateQuestion('x'.repeat(501)), { statusCode: 400, message: /at most 500/ });
+  assert.strictEqual(validateQuestion('  How much?  '), 'How much?');
+});
+
+test('grounds the prompt in the numbered source, the summary and earlier questions', async t => {
+  setSessionStore(createMemoryCacheStore());
+  t.after(() => setSessionStore(null));
+
+  const session = await getSession(await createSession({ threadText: THREAD, isTwitterContent: true, summary: 'Aave v3 is live on Base.' }));
+  const first = await ask(session, 'How much was deposited?', 'Deposits reached $12M [2].');
+
+  assert.match(first.prompt, /about a Twitter\/X thread/);
+  assert.match(first.prompt, /Answer ONLY from the source below, never from outside knowledge/);
+  assert.match(first.prompt, /cite the tweet numbers you used in square brackets/);
+  assert.match(first.prompt, /SUMMARY:\nAave v3 is live on Base\./);
+  assert.match(first.prompt, /\[1\] Aave launched its v3 market on Base this week\.\n\n\[2\] Deposits reached \$12M/);
+  // The byline and replies come along without a number
+  assert.match(first.prompt, /SOURCE \(tweets numbered in brackets\):\nThread by Jane Doe \(@janedoe\)\n\n\[1\]/);
+  assert.match(first.prompt, /\n--- REPLIES[^\n]*\n- @bob: Great thread!/);
+  assert.ok(!first.prompt.includes('EARLIER QUESTIONS'));
+  assert.match(first.prompt, /QUESTION: How much was deposited\?$/);
+
+  const second = await ask(session, 'In which assets?', 'USDC and ETH [3].');
+  assert.match(second.prompt, /EARLIER QUESTIONS:\nQ: How much was deposited\?\nA: Deposits reached \$12M \[2\]\./);
+});
+
+test('cites paragraphs for text that is not a thread', async t => {
+  setSessionStore(createMemoryCacheStore());
+  t.after(() => setSessionStore(null));
+
+  const session = await getSession(await createSession({ threadText: ARTICLE }));
+  const result = await ask(session, 'Why are fees down?', 'Fees dropped 40% [1], and validators earn less [2].');
+
+  assert.strictEqual(result.unit, 'paragraph');
+  assert.match(result.prompt, /about a text that/);
+  assert.match(result.prompt, /cite the paragraph numbers/);
+  assert.deepStrictEqual(result.citations.map(citation => citation.number), [1, 2]);
+});
+
+test('turns cited numbers, lists and ranges into the tweets they point at', async t => {
+  setSessionStore(createMemoryCacheStore());
+  t.after(() => setSessionStore(null));
+
+  const session = await getSession(await createSession({ threadText: THREAD, isTwitterContent: true }));
+  const result = await ask(session, 'What happened?', 'Aave launched [1, 3]. Deposits and limits [2-4]. Again [1]. Made up [9]. A year [2025].');
+
+  assert.strictEqual(result.unit, 'tweet');
+  // In order of first citation, without repeats or numbers that aren't in the source
+  assert.deepStrictEqual(result.citations, [
+    { number: 1, text: 'Aave launched its v3 market on Base this week.' },
+    { number: 3, text: 'Most of it was USDC and ETH.' },
+    { number: 2, text: 'Deposits reached $12M within two days.' },
+    { number: 4, text: 'Risk limits cap each asset for now.' }
+  ]);
+});
+
+test('keeps the parts of a long source that match the question', async t => {
+  setSessionStore(createMemoryCacheStore());
+  t.after(() => setSessionStore(null));
+
+  const filler = index => `Paragraph ${index} is about the weather in the mountains. ${'Clouds and rain. '.repeat(60)}`;
+  const paragraphs = Array.from({ length: 20 }, (_, index) => filler(index + 1));
+  paragraphs[14] = 'The staking yield fell to 3.1% after the upgrade.';
+  const session = await getSession(await createSession({ threadText: paragraphs.join('\n\n') }));
+  const { prompt } = await ask(session, 'What happened to the staking yield?', 'It fell to 3.1% [15].');
+
+  assert.match(prompt, /\[15\] The staking yield fell/);
+  assert.ok(prompt.length < paragraphs.join('\n\n').length);
+  assert.ok(!prompt.includes('[20] Paragraph 20'));
+});
+
+test('rejects an empty answer without adding it to the history', async t => {
+  setSessionStore(createMemoryCacheStore());
+  t.after(() => setSessionStore(null));
+
+  const id = await createSession({ threadText: ARTICLE });
+  await assert.rejects(ask(await getSession(id), 'Why?', '   '), /Empty answer/);
+  assert.deepStrictEqual((await getSession(id)).history, []);
+});
+
+test('sessions expire QA_SESSION_TTL_MINUTES after they were last saved', async t => {
+  const realNow = Date.now;
+  let offsetMs = 0;
+  Date.now = () => realNow() + offsetMs;
+  setSessionStore(createMemoryCacheStore());
+  process.env.QA_SESSION_TTL_MINUTES = '10';
+  t.after(() => {
+    Date.now = realNow;
+    delete process.env.QA_SESSION_TTL_MINUTES;
+    setSessionStore(null);
+  });
+
+  const id = await createSession({ threadText: ARTICLE, summary: 'Fees fell.' });
+  offsetMs = 9 * 60 * 1000;
+  const session = await getSession(id);
+  assert.strictEqual(session.summary, 'Fees fell.');
+
+  // Using the session keeps it for another TTL
+  await ask(session, 'Why?', 'Validators earn less [2].');
+  offsetMs = 18 * 60 * 1000;
+  assert.strictEqual((await getSession(id)).history.length, 1);
+
+  offsetMs = 29 * 60 * 1000;
+  assert.strictEqual(await getSession(id), null);
+  assert.strictEqual(await getSession('../not-an-id'), null);
+});
+
+test('the Netlify follow-up function refuses to run without a shared session store', async () => {
+  assert.strictEqual(isSessionStoreShared(), false);
+
+  const res = await post(followUp.handler, { sessionId: 'abc', question: 'Why?' });
+  assert.strictEqual(res.statusCode, 503);
+  assert.match(JSON.parse(res.body).error, /SESSION_STORE/);
+
+  // Summaries don't get a session the follow-up function couldn't read
+  const summary = await post(summarize.handler, { rawText: ARTICLE, tone: 'simple', length: '1 line', mode: 'extractive' });
+  assert.strictEqual(summary.statusCode, 200);
+  assert.strictEqual(JSON.parse(summary.body).sessionId, undefined);
+});
+
+test('follow-ups use the session summarize saved in the shared store', async t => {
+  const store = createMemoryCacheStore();
+  setSessionStore(store);
+  t.after(() => setSessionStore(null));
+
+  const summary = await post(summarize.handler, { rawText: ARTICLE, tone: 'simple', length: '1 line', mode: 'extractive' });
+  const { sessionId } = JSON.parse(summary.body);
+  assert.ok(await store.get(sessionId));
+
+  const res = await post(followUp.handler, { sessionId, question: 'Why are fees down?' });
+  assert.strictEqual(res.statusCode, 200);
+  const body = JSON.parse(res.body);
+  assert.strictEqual(body.sessionId, sessionId);
+  assert.strictEqual(body.unit, 'paragraph');
+  assert.match(body.answer, /mock response/);
+  assert.strictEqual((await getSession(sessionId)).history[0].question, 'Why are fees down?');
+
+  // A session that's gone can only be rebuilt from the original input
+  const missing = await post(followUp.handler, { sessionId: 'gone', question: 'Why?' });
+  assert.strictEqual(missing.statusCode, 404);
+  const rebuilt = await post(followUp.handler, { sessionId: 'gone', rawText: ARTICLE, question: 'Why?' });
+  assert.strictEqual(rebuilt.statusCode, 200);
+  assert.notStrictEqual(JSON.parse(rebuilt.body).sessionId, 'gone');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  detectLanguage,
+  normalizeLanguage,
+  resolveTargetLanguage,
+  getLanguageInstruction,
+  isEnglish
+} = require('../netlify/functions/lib/language');
+
+test('detects Latin-script languages from common words and diacritics', () => {
+  const samples = {
+    en: 'The team said that the launch is on track and they will ship it this week.',
+    es: 'El equipo dijo que el lanzamiento está listo y que también hay una versión para móviles.',
+    pt: 'A equipe disse que o lançamento não está atrasado e que isso é muito bom para você.',
+    de: 'Die Firma hat gesagt, dass das Produkt nicht fertig ist und auch im Sommer kommt.',
+    fr: 'Les résultats sont bons et la société est confiante pour le reste de l’année avec nous.',
+    tr: 'Bu proje için çok daha fazla zaman var ama değil mi, şu an her şey yolunda.'
+  };
+
+  Object.entries(samples).forEach(([code, text]) => {
+    const result = detectLanguage(text);
+    assert.strictEqual(result.code, code, `${code}: ${JSON.stringify(result)}`);
+    assert.strictEqual(result.reliable, true, code);
+  });
+});
+
+test('detects languages by script, including Japanese kana mixed with Han characters', () => {
+  assert.strictEqual(detectLanguage('새로운 기능이 오늘 출시되었습니다').code, 'ko');
+  assert.strictEqual(detectLanguage('新しい機能が今日リリースされました').code, 'ja');
+  assert.strictEqual(detectLanguage('新功能今天发布了，用户反馈很好').code, 'zh');
+  assert.strictEqual(detectLanguage('Новая функция вышла сегодня').code, 'ru');
+  assert.strictEqual(detectLanguage('Нова функція вийшла сьогодні, і її вже використовують').code, 'uk');
+  assert.strictEqual(detectLanguage('تم إطلاق الميزة الجديدة اليوم').code, 'ar');
+});
+
+test('ignores links, handles and tickers, and falls back to English on too little text', () => {
+  const result = detectLanguage('https://example.com/el/la/de @el_la $BTC 123');
+  assert.deepStrictEqual(result, { code: 'en', name: 'English', confidence: 0, reliable: false });
+  assert.strictEqual(detectLanguage('').code, 'en');
+});
+
+test('normalizes codes, locales and language names', () => {
+  assert.strictEqual(normalizeLanguage('pt-BR'), 'pt');
+  assert.strictEqual(normalizeLanguage('zh_TW'), 'zh');
+  assert.strictEqual(normalizeLanguage('Korean'), 'ko');
+  assert.strictEqual(normalizeLanguage('español'), 'es');
+  assert.strictEqual(normalizeLanguage('auto'), null);
+  assert.strictEqual(normalizeLanguage('klingon'), null);
+  assert.strictEqual(normalizeLanguage(42), null);
+});
+
+test('resolves the target language and rejects unsupported ones', () => {
+  assert.strictEqual(resolveTargetLanguage(undefined, 'de'), 'de');
+  assert.strictEqual(resolveTargetLanguage('auto', 'de'), 'de');
+  assert.strictEqual(resolveTargetLanguage('French', 'de'), 'fr');
+  assert.throws(() => resolveTargetLanguage('klingon'), { statusCode: 400, message: /Unsupported targetLanguage "klingon"/ });
+});
+
+test('builds the prompt language instruction', () => {
+  assert.strictEqual(getLanguageInstruction('en', 'en'), '');
+  assert.match(getLanguageInstruction('es'), /^LANGUAGE: Write your entire response in Spanish\. Keep names/);
+  assert.match(getLanguageInstruction('en', 'ja'), /in English\. The content is in Japanese, so translate as you go\./);
+  assert.strictEqual(isEnglish(undefined), true);
+  assert.strictEqual(isEnglish('fr'), false);
+});
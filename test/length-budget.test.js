@@ -0,0 +1,75 @@
+delete process.env.SUMMARY_READING_WPM;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveLength,
+  getLengthBudget,
+  getLengthInstruction,
+  countWords,
+  getReadingStats,
+  trimToWordBudget,
+  enforceReadingTime
+} = require('../netlify/functions/lib/length-budget');
+
+test('resolves presets, "N sentences" and the default length', () => {
+  assert.strictEqual(resolveLength(undefined).length, '3 sentences');
+  assert.strictEqual(resolveLength(' Bullet List ').words, 120);
+  assert.deepStrictEqual(resolveLength('1 sentence'), {
+    length: '1 sentence',
+    words: 25,
+    instruction: 'exactly 1 sentence, about 25 words in total'
+  });
+  assert.throws(() => resolveLength('11 sentences'), { statusCode: 400 });
+  assert.throws(() => resolveLength('short'), { statusCode: 400, message: /Unsupported length "short"/ });
+});
+
+test('gives other languages a larger token budget for the same words', () => {
+  const english = getLengthBudget('3 sentences');
+  const japanese = getLengthBudget('3 sentences', 'ja');
+
+  assert.strictEqual(english.words, japanese.words);
+  assert.strictEqual(english.maxTokens, Math.ceil(75 * 1.5) + 20);
+  assert.strictEqual(japanese.maxTokens, Math.ceil(75 * 3) + 20);
+  assert.match(getLengthInstruction(english), /^LENGTH: Write exactly 3 sentences.*Never go over 75 words/);
+});
+
+test('caps the word budget at one minute of reading', t => {
+  process.env.SUMMARY_READING_WPM = '100';
+  t.after(() => delete process.env.SUMMARY_READING_WPM);
+
+  const budget = getLengthBudget('10 sentences');
+  assert.strictEqual(budget.words, 100);
+  assert.strictEqual(budget.maxReadingWords, 100);
+});
+
+test('counts unspaced scripts by characters', () => {
+  assert.strictEqual(countWords('Hello, world - 42 times'), 4);
+  assert.strictEqual(countWords('今日は晴れ'), 3);
+  assert.deepStrictEqual(getReadingStats(''), { wordCount: 0, readingTimeSeconds: 0 });
+  assert.deepStrictEqual(getReadingStats('one two three four five six seven eight nine ten'), { wordCount: 10, readingTimeSeconds: 3 });
+});
+
+test('trims to whole sentences or bullets', () => {
+  assert.strictEqual(trimToWordBudget('One two three. Four five six. Seven eight.', 6), 'One two three. Four five six.');
+  assert.strictEqual(trimToWordBudget('• one two\n• three four\n• five six', 4), '• one two\n• three four');
+  assert.strictEqual(trimToWordBudget('A very long first sentence, with too many words.', 4), 'A very long first...');
+});
+
+test('compresses, then trims, summaries over the reading cap', async () => {
+  const budget = { words: 3, maxReadingWords: 4 };
+  const long = 'One two three. Four five six. Seven eight nine.';
+
+  assert.deepStrictEqual(await enforceReadingTime('Short one.', budget, null), { summary: 'Short one.', compressed: false });
+
+  let prompt;
+  const result = await enforceReadingTime(long, budget, async text => {
+    prompt = text;
+    return 'One two. Three four five.';
+  });
+  assert.match(prompt, /at most 3 words/);
+  assert.deepStrictEqual(result, { summary: 'One two.', compressed: true });
+
+  const failed = await enforceReadingTime(long, budget, async () => { throw new Error('down'); });
+  assert.deepStrictEqual(failed, { summary: 'One two three.', compressed: true });
+});
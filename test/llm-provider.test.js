@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { complete } = require('../netlify/functions/lib/llm-provider');
+const { recordFailure, recordSuccess } = require('../netlify/functions/lib/circuit-breaker');
+
+// A stand-in chat completions server. handle(model, req, res) answers each call and every
+// model asked for is recorded.
+async function startStub(handle) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { model } = JSON.parse(body);
+      calls.push(model);
+      handle(model, req, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LLM_CONFIG = JSON.stringify({
+    providers: { stub: { type: 'openai', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, optionalApiKey: true } },
+    features: { summarize: { provider: 'stub', model: 'primary', fallbacks: [{ model: 'backup' }] } }
+  });
+  return {
+    calls,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function streamDelta(res, content) {
+  res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+}
+
+test.afterEach(() => {
+  delete process.env.LLM_CONFIG;
+});
+
+test('a JSON body that stalls after the headers times out', async () => {
+  const stub = await startStub((model, req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"choices": [');
+  });
+  try {
+    const started = Date.now();
+    await assert.rejects(complete('summarize', 'prompt', { retries: 1, timeouts: [200] }), /Request timeout/);
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a stream that stalls after a delta times out without falling back', async () => {
+  const stub = await startStub((model, req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    streamDelta(res, `from ${model} `);
+  });
+  try {
+    const deltas = [];
+    await assert.rejects(complete('summarize', 'prompt', { retries: 2, timeouts: [200], onDelta: text => deltas.push(text) }), /Request timeout/);
+    assert.deepStrictEqual(deltas, ['from primary ']);
+    assert.deepStrictEqual(stub.calls, ['primary']);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a stream that keeps sending deltas is not cut off by the timeout', async () => {
+  const stub = await startStub((model, req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    let sent = 0;
+    const timer = setInterval(() => {
+      streamDelta(res, `${sent} `);
+      if (++sent === 4) {
+        clearInterval(timer);
+        res.end('data: [DONE]\n\n');
+      }
+    }, 100);
+  });
+  try {
+    const result = await complete('summarize', 'prompt', { retries: 1, timeouts: [250], onDelta: () => {} });
+    assert.strictEqual(result.text, '0 1 2 3');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a stream that fails before any delta falls back to the next model', async () => {
+  const stub = await startStub((model, req, res) => {
+    if (model === 'primary') {
+      res.writeHead(503);
+      res.end('overloaded');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    streamDelta(res, 'backup answer');
+    res.end('data: [DONE]\n\n');
+  });
+  try {
+    const deltas = [];
+    const result = await complete('summarize', 'prompt', { retries: 1, timeouts: [1000], onDelta: text => deltas.push(text) });
+    assert.strictEqual(result.text, 'backup answer');
+    assert.strictEqual(result.fallback, true);
+    assert.deepStrictEqual(deltas, ['backup answer']);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a primary model that times out falls back to the next one', async () => {
+  const stub = await startStub((model, req, res) => {
+    if (model === 'primary') return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'backup answer' }, finish_reason: 'stop' }] }));
+  });
+  try {
+    const result = await complete('summarize', 'prompt', { retries: 1, timeouts: [200] });
+    assert.strictEqual(result.text, 'backup answer');
+    assert.strictEqual(result.fallback, true);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('a backend that can\'t be reached falls back to the next one', async () => {
+  const stub = await startStub(() => {});
+  const config = JSON.parse(process.env.LLM_CONFIG);
+  await stub.close();
+  // The primary points at the closed port, the backup at the mock provider
+  config.features.summarize.fallbacks = [{ provider: 'mock', model: 'mock' }];
+  process.env.LLM_CONFIG = JSON.stringify(config);
+  const result = await complete('summarize', 'Summarize this text about the network fallback path please.', { retries: 1, timeouts: [1000] });
+  assert.strictEqual(result.provider, 'mock');
+  assert.strictEqual(result.fallback, true);
+});
+
+test('retries rate limits when the only backend left has its circuit open', async () => {
+  let primaryCalls = 0;
+  const stub = await startStub((model, req, res) => {
+    if (model === 'primary' && ++primaryCalls === 1) {
+      res.writeHead(429);
+      res.end('slow down');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: `${model} answer` }, finish_reason: 'stop' }] }));
+  });
+  for (let i = 0; i < 3; i++) recordFailure('stub/backup');
+  try {
+    const result = await complete('summarize', 'prompt', { retries: 2, timeouts: [1000], backoffMs: 10 });
+    assert.strictEqual(result.text, 'primary answer');
+    assert.deepStrictEqual(stub.calls, ['primary', 'primary']);
+  } finally {
+    recordSuccess('stub/backup');
+    await stub.close();
+  }
+});
+
+test('moves on after a rate limit while a fallback backend can be called', async () => {
+  const stub = await startStub((model, req, res) => {
+    if (model === 'primary') {
+      res.writeHead(429);
+      res.end('slow down');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: `${model} answer` }, finish_reason: 'stop' }] }));
+  });
+  try {
+    const result = await complete('summarize', 'prompt', { retries: 2, timeouts: [1000], backoffMs: 10 });
+    assert.strictEqual(result.text, 'backup answer');
+    assert.deepStrictEqual(stub.calls, ['primary', 'backup']);
+  } finally {
+    recordSuccess('stub/primary');
+    await stub.close();
+  }
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitIntoChunks, mapReduceSummarize } = require('../netlify/functions/lib/map-reduce');
+
+const paragraph = (label, words) => Array.from({ length: words }, (_, index) => `${label}${index}`).join(' ') + '.';
+
+test('packs whole paragraphs into chunks', () => {
+  const text = [paragraph('a', 10), paragraph('b', 10), paragraph('c', 10)].join('\n\n');
+  const chunks = splitIntoChunks(text, 70);
+
+  assert.deepStrictEqual(chunks, [
+    `${paragraph('a', 10)}\n\n${paragraph('b', 10)}`,
+    paragraph('c', 10)
+  ]);
+});
+
+test('splits an oversized paragraph on sentence ends, then between words', () => {
+  const long = paragraph('w', 40);
+  const text = `First sentence here. Second one is here too. ${long}`;
+  const chunks = splitIntoChunks(text, 60);
+
+  chunks.forEach(chunk => assert.ok(chunk.length <= 60, chunk));
+  assert.strictEqual(chunks[0], 'First sentence here. Second one is here too.');
+  assert.strictEqual(chunks.slice(1).join(' '), long);
+});
+
+test('summarizes short input in one pass over the original text', async () => {
+  const calls = [];
+  const result = await mapReduceSummarize('Just one paragraph.', {
+    maxChunkChars: 100,
+    maxChunks: 4,
+    timeBudgetMs: 5000,
+    summarizeChunk: () => assert.fail('no map step for one chunk'),
+    summarizeFinal: async (content, remainingMs, isMerged) => {
+      calls.push({ content, isMerged });
+      return 'summary';
+    }
+  });
+
+  assert.deepStrictEqual(calls, [{ content: 'Just one paragraph.', isMerged: false }]);
+  assert.deepStrictEqual(result, { summary: 'summary', chunksUsed: 1, chunksTotal: 1, truncated: false });
+});
+
+test('merges chunk summaries and reports chunks past maxChunks as truncated', async () => {
+  const text = ['one', 'two', 'three'].map(label => paragraph(label, 8)).join('\n\n');
+  let merged = null;
+  const result = await mapReduceSummarize(text, {
+    maxChunkChars: 60,
+    maxChunks: 2,
+    timeBudgetMs: 5000,
+    summarizeChunk: async (chunk, index, total) => `summary ${index + 1} of ${total}`,
+    summarizeFinal: async (content, remainingMs, isMerged) => {
+      merged = { content, isMerged };
+      return 'merged';
+    }
+  });
+
+  assert.strictEqual(merged.isMerged, true);
+  assert.match(merged.content, /Part 1: summary 1 of 2\n\nPart 2: summary 2 of 2$/);
+  assert.deepStrictEqual(result, { summary: 'merged', chunksUsed: 2, chunksTotal: 3, truncated: true });
+});
+
+test('leaves failed chunks out, and throws when every chunk fails', async () => {
+  const text = ['one', 'two', 'three'].map(label => paragraph(label, 8)).join('\n\n');
+  const options = { maxChunkChars: 60, maxChunks: 4, timeBudgetMs: 5000, summarizeFinal: async content => content };
+
+  const result = await mapReduceSummarize(text, {
+    ...options,
+    summarizeChunk: async (chunk, index) => {
+      if (index === 1) throw new Error('Request timeout');
+      return `chunk ${index + 1}`;
+    }
+  });
+  assert.match(result.summary, /Part 1: chunk 1\n\nPart 3: chunk 3$/);
+  assert.strictEqual(result.chunksUsed, 2);
+  assert.strictEqual(result.chunksTotal, 3);
+  assert.strictEqual(result.truncated, true);
+
+  await assert.rejects(mapReduceSummarize(text, {
+    ...options,
+    summarizeChunk: async () => { throw new Error('AI service error (503)'); }
+  }), /AI service error \(503\)/);
+});
+
+test('summarizes only the first chunk when the budget is running out', async () => {
+  const text = ['one', 'two', 'three'].map(label => paragraph(label, 8)).join('\n\n');
+  let final = null;
+  const result = await mapReduceSummarize(text, {
+    maxChunkChars: 60,
+    maxChunks: 4,
+    timeBudgetMs: 2000,
+    minMapMs: 4500,
+    summarizeChunk: () => assert.fail('no time for the map step'),
+    summarizeFinal: async (content, remainingMs, isMerged) => {
+      final = { content, remainingMs, isMerged };
+      return 'first part only';
+    }
+  });
+
+  assert.strictEqual(final.content, paragraph('one', 8));
+  assert.strictEqual(final.isMerged, false);
+  assert.ok(final.remainingMs > 0 && final.remainingMs <= 2000);
+  assert.deepStrictEqual(result, { summary: 'first part only', chunksUsed: 1, chunksTotal: 3, truncated: true });
+});
+
+test('passes what is left of the budget to each call', async () => {
+  const text = ['one', 'two'].map(label => paragraph(label, 8)).join('\n\n');
+  const seen = [];
+  await mapReduceSummarize(text, {
+    maxChunkChars: 60,
+    maxChunks: 4,
+    timeBudgetMs: 3000,
+    minMapMs: 1000,
+    summarizeChunk: async (chunk, index, total, remainingMs) => {
+      seen.push(remainingMs);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return 'partial';
+    },
+    summarizeFinal: async (content, remainingMs) => {
+      seen.push(remainingMs);
+      return 'merged';
+    }
+  });
+
+  assert.ok(seen[0] <= 3000);
+  assert.ok(seen[2] <= seen[0] - 40, `merge got ${seen[2]}ms after chunks got ${seen[0]}ms`);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectPasteFormat, parsePastedThread, normalizePastedText } = require('../netlify/functions/lib/pasted-thread');
+const { resolveThreadText } = require('../netlify/functions/summarize');
+
+const WEB_COPY = `Jane Doe
+@janedoe
+1/ Solana fees dropped 40% this month.
+Here's why
+@solana
+ shipped the new scheduler.
+10:42 AM · Mar 3, 2025
+·
+1.2M
+Views
+45
+300
+Jane Doe
+@janedoe
+2/ Validators earn less per tx but volume is up 3x.
+Translate post
+Jane Doe
+@janedoe
+3/3 That's the thread.
+Bob
+@bob
+·
+Mar 3
+Replying to
+@janedoe
+Great thread!
+12`;
+
+const MOBILE_COPY = `Jane Doe @janedoe · 2h
+🧵 1/ Gas on Base hit a record low today
+💬 12  🔁 45  ❤️ 300  📊 1.2K
+
+Jane Doe @janedoe · 2h
+2/ Most of it is blob fees (open 24/7)
+💬 3  🔁 4  ❤️ 30`;
+
+const THREADREADER_COPY = `Thread by @janedoe on Thread Reader App
+5 tweets, 2 min read
+Read on Twitter
+
+The Fed held rates at 5.25%.
+
+Markets priced in two cuts for 2025.
+
+• • •
+
+Missing some Tweet in this thread? You can try to force a refresh`;
+
+test('detects where a thread was copied from', () => {
+  assert.strictEqual(detectPasteFormat(WEB_COPY), 'web');
+  assert.strictEqual(detectPasteFormat(MOBILE_COPY), 'mobile');
+  assert.strictEqual(detectPasteFormat(THREADREADER_COPY), 'threadreader');
+});
+
+test('parses a copy from the X website into tweets with authors and counters', () => {
+  const thread = parsePastedThread(WEB_COPY);
+
+  assert.deepStrictEqual(thread.author, { name: 'Jane Doe', handle: 'janedoe' });
+  assert.deepStrictEqual(thread.tweets.map(tweet => [tweet.number, tweet.author.handle, tweet.text]), [
+    [1, 'janedoe', "Solana fees dropped 40% this month.\nHere's why @solana shipped the new scheduler."],
+    [2, 'janedoe', 'Validators earn less per tx but volume is up 3x.'],
+    [3, 'janedoe', "That's the thread."],
+    [null, 'bob', 'Great thread!']
+  ]);
+});
+
+test('writes the author\'s tweets numbered and other accounts as replies', () => {
+  const { text } = normalizePastedText(WEB_COPY);
+
+  assert.strictEqual(text, [
+    'Thread by Jane Doe (@janedoe)',
+    '',
+    "1. Solana fees dropped 40% this month.\nHere's why @solana shipped the new scheduler.",
+    '',
+    '2. Validators earn less per tx but volume is up 3x.',
+    '',
+    "3. That's the thread.",
+    '',
+    '--- REPLIES (from other accounts, not part of the thread) ---',
+    '- @bob: Great thread!'
+  ].join('\n'));
+});
+
+test('drops mobile count rows and keeps text that only looks like a counter', () => {
+  const thread = parsePastedThread(MOBILE_COPY);
+
+  assert.deepStrictEqual(thread.tweets.map(tweet => tweet.text), [
+    'Gas on Base hit a record low today',
+    'Most of it is blob fees (open 24/7)'
+  ]);
+});
+
+test('splits a Thread Reader page into paragraphs and stops at its footer', () => {
+  const thread = parsePastedThread(THREADREADER_COPY);
+
+  assert.deepStrictEqual(thread.author, { name: null, handle: 'janedoe' });
+  assert.deepStrictEqual(thread.tweets.map(tweet => tweet.text), ['The Fed held rates at 5.25%.', 'Markets priced in two cuts for 2025.']);
+  assert.match(normalizePastedText(THREADREADER_COPY).text, /^Thread by @janedoe\n\n1\. The Fed held/);
+});
+
+test('leaves text that is not a copied thread alone', () => {
+  const article = 'Solana fees dropped 40% this month.\n\nValidators earn less per transaction, but volume is up.';
+  assert.strictEqual(parsePastedThread(article), null);
+  assert.deepStrictEqual(normalizePastedText(article), { text: article, thread: null });
+});
+
+test('keeps dated notes as they are but cleans a copy without author headers', () => {
+  const notes = 'Changelog\n\n2025-03-01\nFixed the login bug.\n\nMar 10\nAdded dark mode.';
+  assert.deepStrictEqual(normalizePastedText(notes), { text: notes, thread: null });
+
+  const copy = 'Gas on Base hit a record low today.\n10:42 AM · Mar 3, 2025\n·\n1.2M\nViews';
+  assert.strictEqual(normalizePastedText(copy).text, 'Gas on Base hit a record low today.');
+});
+
+test('summarize passes plain prose through unchanged and normalizes pasted threads', async () => {
+  const prose = 'Meeting notes\n\nMar 3\nWe agreed on the roadmap.   \n\nMar 10\nShipped v2 (open 24/7).';
+  assert.deepStrictEqual(await resolveThreadText(undefined, prose), { threadText: prose, isTwitterContent: false, contentType: 'general_text' });
+
+  const thread = await resolveThreadText(undefined, MOBILE_COPY);
+  assert.strictEqual(thread.threadText, normalizePastedText(MOBILE_COPY).text);
+  assert.strictEqual(thread.isTwitterContent, true);
+});
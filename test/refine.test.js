@@ -0,0 +1,131 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MODEL = 'mock';
+delete process.env.SESSION_STORE;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveRefineAction, refineSummary } = require('../netlify/functions/lib/refine');
+const { getMaxReadingWords, getMaxTokens, countWords } = require('../netlify/functions/lib/length-budget');
+const { createSession, getSession, setSessionStore } = require('../netlify/functions/lib/sessions');
+const { createMemoryCacheStore } = require('../netlify/functions/lib/response-cache');
+const refine = require('../netlify/functions/refine');
+
+const SOURCE = 'Aave launched its v3 market on Base this week. Deposits reached $12M within two days, mostly USDC and ETH. Risk limits cap each asset for now.';
+const words = count => Array.from({ length: count }, (_, index) => `word${index}`).join(' ');
+
+// Helper function to refine with a canned model reply, keeping the prompt and token limit it was sent
+async function refineWith(session, request, reply) {
+  const calls = [];
+  const result = await refineSummary(session, request, async (prompt, maxTokens) => {
+    calls.push({ prompt, maxTokens });
+    return { text: reply, finishReason: 'stop', provider: 'test', model: 'test' };
+  });
+  return { result, call: calls[0] };
+}
+
+// Helper function to open a session in a fresh memory store and read it back
+async function openSession(t, fields) {
+  setSessionStore(createMemoryCacheStore());
+  t.after(() => setSessionStore(null));
+  return getSession(await createSession({ threadText: SOURCE, ...fields }));
+}
+
+const post = body => refine.handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify(body) }, {});
+
+test('checks refine actions and custom instructions', () => {
+  assert.throws(() => resolveRefineAction('funnier'), { statusCode: 400, message: /Unsupported refine action "funnier"\. Use shorter, longer, casual, regenerate, custom\./ });
+  assert.throws(() => resolveRefineAction('toString'), { statusCode: 400 });
+  assert.throws(() => resolveRefineAction(undefined), { statusCode: 400 });
+
+  // Only custom takes an instruction
+  assert.deepStrictEqual(resolveRefineAction('shorter', 'ignored'), { action: 'shorter', instruction: null });
+  assert.deepStrictEqual(resolveRefineAction('regenerate'), { action: 'regenerate', instruction: null });
+
+  assert.throws(() => resolveRefineAction('custom'), { statusCode: 400, message: /No instruction/ });
+  assert.throws(() => resolveRefineAction('custom', '   '), { statusCode: 400, message: /No instruction/ });
+  assert.throws(() => resolveRefineAction('custom', 'x'.repeat(301)), { statusCode: 400, message: /at most 300 characters/ });
+  assert.deepStrictEqual(resolveRefineAction('custom', ` ${'x'.repeat(298)} `), { action: 'custom', instruction: 'x'.repeat(298) });
+});
+
+test('gives each action a word budget from the current summary, capped at one minute of reading', async t => {
+  const session = await openSession(t, { summary: words(40) });
+
+  const shorter = await refineWith(session, { action: 'shorter' }, 'Aave v3 is live on Base.');
+  assert.match(shorter.call.prompt, /Never go over 20 words\./);
+  assert.match(shorter.call.prompt, /INSTRUCTION: Make it about half as long\./);
+  assert.strictEqual(shorter.call.maxTokens, getMaxTokens(20, session.targetLanguage));
+
+  // Never fewer than 10 words
+  const tiny = await refineWith(session, { action: 'shorter', summary: 'Aave is on Base.' }, 'Aave is on Base.');
+  assert.match(tiny.call.prompt, /Never go over 10 words\./);
+  assert.match(tiny.call.prompt, /CURRENT SUMMARY:\nAave is on Base\./);
+
+  const casual = await refineWith(session, { action: 'casual', summary: words(40) }, 'So Aave is on Base now.');
+  assert.match(casual.call.prompt, /Never go over 50 words\./);
+
+  const longer = await refineWith(session, { action: 'longer', summary: words(getMaxReadingWords()) }, 'Aave v3 is live on Base.');
+  assert.match(longer.call.prompt, new RegExp(`Never go over ${getMaxReadingWords()} words\\.`));
+});
+
+test('uses a custom instruction and grounds the rewrite in the source', async t => {
+  const session = await openSession(t, { summary: 'Aave v3 is live on Base.', isTwitterContent: true });
+  const { call } = await refineWith(session, { action: 'custom', instruction: 'focus on the deposits' }, 'Deposits hit $12M in two days.');
+
+  assert.match(call.prompt, /editing a summary of a Twitter\/X thread/);
+  assert.match(call.prompt, /Only use facts from the source/);
+  assert.match(call.prompt, /SOURCE:\nAave launched its v3 market/);
+  assert.match(call.prompt, /INSTRUCTION: focus on the deposits$/);
+  // Custom rewrites can use up to twice the words
+  assert.match(call.prompt, /Never go over 12 words\./);
+});
+
+test('saves the refined summary to the session and checks it against the source', async t => {
+  const session = await openSession(t, { summary: 'Aave v3 is live on Base.' });
+  const { result } = await refineWith(session, { action: 'longer' }, 'Aave v3 is live on Base, with $99M in deposits.');
+
+  assert.strictEqual(result.summary, 'Aave v3 is live on Base, with $99M in deposits.');
+  assert.strictEqual(result.wordCount, countWords(result.summary));
+  assert.ok(result.readingTimeSeconds > 0);
+  assert.ok(result.faithfulness.unsupported.some(item => /99/.test(item.value)));
+  assert.strictEqual((await getSession(session.id)).summary, result.summary);
+});
+
+test('trims an overlong rewrite to one minute of reading', async t => {
+  const session = await openSession(t, { summary: 'Aave v3 is live on Base.' });
+  const sentence = index => `Sentence ${index} says ${words(20)}.`;
+  const reply = Array.from({ length: 40 }, (_, index) => sentence(index)).join(' ');
+  const { result } = await refineWith(session, { action: 'longer' }, reply);
+
+  assert.ok(result.wordCount <= getMaxReadingWords());
+  assert.ok(result.summary.startsWith(sentence(0)));
+});
+
+test('refuses an empty summary and an empty result', async t => {
+  const session = await openSession(t, { summary: '' });
+  await assert.rejects(refineWith(session, { action: 'shorter' }, 'x'), { statusCode: 400, message: 'There is no summary to refine yet.' });
+  await assert.rejects(refineWith(session, { action: 'shorter', summary: '   ' }, 'x'), { statusCode: 400 });
+
+  await assert.rejects(refineWith(session, { action: 'shorter', summary: 'Aave v3 is live on Base.' }, '  '), /Empty summary/);
+  assert.strictEqual((await getSession(session.id)).summary, '');
+});
+
+test('the Netlify refine function refuses to run without a shared session store', async () => {
+  const res = await post({ sessionId: 'abc', action: 'shorter' });
+  assert.strictEqual(res.statusCode, 503);
+  assert.match(JSON.parse(res.body).error, /SESSION_STORE/);
+});
+
+test('the Netlify refine function rewrites the summary in the shared session', async t => {
+  const session = await openSession(t, { summary: 'Aave v3 launched on Base this week and drew $12M in deposits within two days.', options: { tone: 'simple', length: '1 line' } });
+
+  const bad = await post({ sessionId: session.id, action: 'funnier' });
+  assert.strictEqual(bad.statusCode, 400);
+
+  const res = await post({ sessionId: session.id, action: 'shorter' });
+  assert.strictEqual(res.statusCode, 200);
+  const body = JSON.parse(res.body);
+  assert.strictEqual(body.action, 'shorter');
+  assert.strictEqual(body.sessionId, session.id);
+  assert.strictEqual(body.provider, 'mock');
+  assert.strictEqual((await getSession(session.id)).summary, body.summary);
+});
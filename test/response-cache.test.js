@@ -0,0 +1,261 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createRedisCacheStore, createMemoryCacheStore, setCacheStore, withResponseCache, getCacheStats } = require('../netlify/functions/lib/response-cache');
+
+// Helper function to encode a reply in the Redis protocol
+function encodeReply(value) {
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (value === null) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  if (value === 'OK') return '+OK\r\n';
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Helper function to read every complete command (an array of bulk strings) from a buffer.
+// Returns { commands, rest }.
+function readCommands(buffer) {
+  const commands = [];
+  let text = buffer.toString('latin1');
+  for (;;) {
+    const header = /^\*(\d+)\r\n/.exec(text);
+    if (!header) break;
+    let position = header[0].length;
+    const args = [];
+    for (let i = 0; i < Number(header[1]); i++) {
+      const bulk = /^\$(\d+)\r\n/.exec(text.slice(position));
+      if (!bulk) break;
+      const start = position + bulk[0].length;
+      const end = start + Number(bulk[1]);
+      if (text.length < end + 2) break;
+      args.push(Buffer.from(text.slice(start, end), 'latin1').toString('utf8'));
+      position = end + 2;
+    }
+    if (args.length < Number(header[1])) break;
+    commands.push(args);
+    text = text.slice(position);
+  }
+  return { commands, rest: Buffer.from(text, 'latin1') };
+}
+
+// A stand-in Redis server with GET, SET, DEL, HINCRBY, HGETALL, AUTH and SELECT. Every command
+// is recorded with the connection it came on. handle(args, socket) can answer a command itself:
+// return a reply, or undefined to use the default one, or 'hang' to never answer.
+// With splitReplies each reply is written one byte at a time.
+async function startRedisStub({ handle = () => undefined, splitReplies = false } = {}) {
+  const data = new Map();
+  const commands = [];
+  let connections = 0;
+
+  const defaults = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'AUTH':
+      case 'SELECT':
+        return 'OK';
+      case 'GET':
+        return data.has(args[0]) ? data.get(args[0]) : null;
+      case 'SET':
+        data.set(args[0], args[1]);
+        return 'OK';
+      case 'DEL':
+        return data.delete(args[0]) ? 1 : 0;
+      case 'HINCRBY': {
+        const hash = data.get(args[0]) || new Map();
+        hash.set(args[1], (parseInt(hash.get(args[1]) || '0', 10) + Number(args[2])).toString());
+        data.set(args[0], hash);
+        return Number(hash.get(args[1]));
+      }
+      case 'HGETALL':
+        return [...(data.get(args[0]) || new Map())].flat();
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    const connection = ++connections;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      const { commands: received, rest } = readCommands(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      received.forEach(args => {
+        commands.push({ connection, args });
+        const custom = handle(args, socket);
+        if (custom === 'hang' || socket.destroyed) return;
+        const reply = Buffer.from(encodeReply(custom !== undefined ? custom : defaults(args)));
+        if (!splitReplies) return socket.write(reply);
+        for (const byte of reply) socket.write(Buffer.from([byte]));
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    data,
+    commands,
+    connections: () => connections,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const entry = value => ({ value, storedAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+test('stores, reads and deletes entries under the key prefix', async () => {
+  const redis = await startRedisStub();
+  try {
+    const store = createRedisCacheStore(redis.url);
+    await store.set('summary:abc', entry({ summary: 'Fees dropped 40% 🚀' }), 60);
+
+    assert.deepStrictEqual(redis.commands[0].args.slice(0, 2), ['SET', 'jom:cache:summary:abc']);
+    assert.deepStrictEqual(redis.commands[0].args.slice(3), ['EX', '60']);
+    assert.deepStrictEqual((await store.get('summary:abc')).value, { summary: 'Fees dropped 40% 🚀' });
+
+    await store.delete('summary:abc');
+    assert.strictEqual(await store.get('summary:abc'), null);
+    assert.strictEqual(redis.connections(), 1);
+  } finally {
+    await redis.close();
+  }
+});
+
+test('authenticates and selects the database from the URL before the first command', async () => {
+  const redis = await startRedisStub();
+  try {
+    const store = createRedisCacheStore(redis.url.replace('redis://', 'redis://cache:p%40ss@') + '/2');
+    await store.get('missing');
+
+    assert.deepStrictEqual(redis.commands.map(command => command.args), [
+      ['AUTH', 'cache', 'p@ss'],
+      ['SELECT', '2'],
+      ['GET', 'jom:cache:missing']
+    ]);
+  } finally {
+    await redis.close();
+  }
+});
+
+test('parses replies that arrive a byte at a time', async () => {
+  const redis = await startRedisStub({ splitReplies: true });
+  try {
+    const store = createRedisCacheStore(redis.url);
+    const value = { summary: 'Ünïcödé and emoji 🚀🚀 survive byte-level splits', list: [1, 2, 3] };
+    await store.set('key', entry(value), 60);
+    const [first, second] = await Promise.all([store.get('key'), store.get('other')]);
+
+    assert.deepStrictEqual(first.value, value);
+    assert.strictEqual(second, null);
+
+    await store.incrementStat('summary.hits');
+    await store.incrementStat('summary.hits');
+    await store.incrementStat('summary.misses');
+    assert.deepStrictEqual(await store.getStats(), { 'summary.hits': 2, 'summary.misses': 1 });
+  } finally {
+    await redis.close();
+  }
+});
+
+test('rejects on error replies and keeps the connection for the next command', async () => {
+  const redis = await startRedisStub({
+    handle: args => (args[0] === 'GET' && args[1].endsWith('broken') ? new Error('WRONGTYPE Operation against a key holding the wrong kind of value') : undefined)
+  });
+  try {
+    const store = createRedisCacheStore(redis.url);
+    await assert.rejects(store.get('broken'), /WRONGTYPE/);
+    assert.strictEqual(await store.get('fine'), null);
+    assert.strictEqual(redis.connections(), 1);
+  } finally {
+    await redis.close();
+  }
+});
+
+test('a failed AUTH fails the command that opened the connection', async () => {
+  const redis = await startRedisStub({ handle: args => (args[0] === 'AUTH' ? new Error('WRONGPASS invalid username-password pair') : undefined) });
+  try {
+    const store = createRedisCacheStore(redis.url.replace('redis://', 'redis://:bad@'));
+    await assert.rejects(store.get('key'), /WRONGPASS/);
+  } finally {
+    await redis.close();
+  }
+});
+
+test('reconnects after the server closes the connection', async () => {
+  let dropped = false;
+  const redis = await startRedisStub({
+    handle: (args, socket) => {
+      if (args[0] === 'GET' && !dropped) {
+        dropped = true;
+        socket.destroy();
+      }
+      return undefined;
+    }
+  });
+  try {
+    const store = createRedisCacheStore(redis.url);
+    await assert.rejects(store.get('key'), /The Redis connection closed/);
+    await store.set('key', entry('again'), 60);
+    assert.strictEqual((await store.get('key')).value, 'again');
+    assert.strictEqual(redis.connections(), 2);
+  } finally {
+    await redis.close();
+  }
+});
+
+test('times out a command the server never answers and starts over on a new connection', async () => {
+  const redis = await startRedisStub({ handle: args => (args[1] === 'jom:cache:slow' ? 'hang' : undefined) });
+  try {
+    const store = createRedisCacheStore(redis.url);
+    await assert.rejects(store.get('slow'), /took too long/);
+    assert.strictEqual(await store.get('fast'), null);
+    assert.strictEqual(redis.connections(), 2);
+  } finally {
+    await redis.close();
+  }
+});
+
+test('counts hits and misses in the cache store, shared when it is redis', async t => {
+  const redis = await startRedisStub();
+  process.env.RESPONSE_CACHE_STORE = 'redis';
+  process.env.REDIS_URL = redis.url;
+  t.after(async () => {
+    setCacheStore(undefined);
+    delete process.env.RESPONSE_CACHE_STORE;
+    delete process.env.REDIS_URL;
+    await redis.close();
+  });
+
+  // Two stores on the same server stand in for two function instances
+  const keyFields = { content: 'Some thread', feature: 'summarize', options: { tone: 'simple' } };
+  setCacheStore(createRedisCacheStore(redis.url));
+  await withResponseCache('summary', keyFields, async () => ({ summary: 'fresh' }));
+  setCacheStore(createRedisCacheStore(redis.url));
+  const { cache } = await withResponseCache('summary', keyFields, async () => ({ summary: 'unused' }));
+  assert.strictEqual(cache.hit, true);
+
+  // Counters are written without waiting; give them a moment to land
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const stats = await getCacheStats();
+  assert.strictEqual(stats.store, 'redis');
+  assert.strictEqual(stats.shared, true);
+  assert.deepStrictEqual(stats.summary, { hits: 1, misses: 1, bypassed: 0, errors: 0, hitRate: 0.5 });
+  assert.deepStrictEqual(stats.explanation, { hits: 0, misses: 0, bypassed: 0, errors: 0, hitRate: 0 });
+});
+
+test('the memory store keeps its own counters', async t => {
+  setCacheStore(createMemoryCacheStore());
+  t.after(() => setCacheStore(undefined));
+
+  await withResponseCache('explanation', { content: 'DeFi', feature: 'cryptoExplain' }, async () => 'answer', { bypass: true });
+  await new Promise(resolve => setImmediate(resolve));
+  const stats = await getCacheStats();
+  assert.strictEqual(stats.shared, false);
+  assert.strictEqual(stats.explanation.bypassed, 1);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { segmentSentences, ensureCompleteSentence, isTruncated } = require('../netlify/functions/lib/sentences');
+const corpus = require('./fixtures/sentences.json');
+
+// Every case in the fixture corpus is its own test, so a new case only needs a line in the JSON
+corpus.segment.forEach(({ name, text, sentences }) => {
+  test(`segments: ${name}`, () => {
+    assert.deepStrictEqual(segmentSentences(text), sentences);
+  });
+});
+
+corpus.complete.forEach(({ name, text, finishReason, language = 'en', expected }) => {
+  test(`completes: ${name}`, () => {
+    assert.strictEqual(ensureCompleteSentence(text, { finishReason, language }), expected);
+  });
+});
+
+test('recognizes the finish reasons for running out of tokens', () => {
+  assert.strictEqual(isTruncated('length'), true);
+  assert.strictEqual(isTruncated('MAX_TOKENS'), true);
+  assert.strictEqual(isTruncated('stop'), false);
+  assert.strictEqual(isTruncated(null), false);
+});
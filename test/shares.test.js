@@ -0,0 +1,78 @@
+delete process.env.SHARE_STORE;
+delete process.env.SHARE_STORE_DIR;
+delete process.env.SHARE_BASE_URL;
+delete process.env.URL;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { setShareStore, isShareStoreShared } = require('../netlify/functions/lib/shares');
+const { createMemoryCacheStore } = require('../netlify/functions/lib/response-cache');
+const share = require('../netlify/functions/share');
+const sharePage = require('../netlify/functions/share-page');
+
+const post = body => share.handler({ httpMethod: 'POST', path: '/.netlify/functions/share', headers: { host: 'example.com' }, body: JSON.stringify(body) });
+const summary = { kind: 'summary', text: 'Aave v3 launched on Base.', source: { title: 'Aave news' } };
+
+test('refuses to share with the per-instance memory store', async t => {
+  t.after(() => setShareStore(null));
+
+  assert.strictEqual(isShareStoreShared(), false);
+  const status = await share.handler({ httpMethod: 'GET', path: '/.netlify/functions/share', headers: {} });
+  assert.deepStrictEqual(JSON.parse(status.body), { available: false });
+
+  const res = await post(summary);
+  assert.strictEqual(res.statusCode, 503);
+  assert.match(JSON.parse(res.body).error, /SHARE_STORE/);
+});
+
+test('counts the file and redis stores as shared', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+  t.after(() => {
+    delete process.env.SHARE_STORE;
+    delete process.env.SHARE_STORE_DIR;
+    delete process.env.SHARE_REDIS_URL;
+    setShareStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  process.env.SHARE_STORE = 'file';
+  process.env.SHARE_STORE_DIR = dir;
+  setShareStore(null);
+  assert.strictEqual(isShareStoreShared(), true);
+
+  // Without a URL the redis store falls back to memory
+  process.env.SHARE_STORE = 'redis';
+  setShareStore(null);
+  assert.strictEqual(isShareStoreShared(), false);
+  process.env.SHARE_REDIS_URL = 'redis://127.0.0.1:1';
+  setShareStore(null);
+  assert.strictEqual(isShareStoreShared(), true);
+});
+
+test('saves, shows and deletes a share through the two functions', async t => {
+  setShareStore(createMemoryCacheStore());
+  t.after(() => setShareStore(null));
+
+  const status = await share.handler({ httpMethod: 'GET', path: '/.netlify/functions/share', headers: {} });
+  assert.deepStrictEqual(JSON.parse(status.body), { available: true });
+
+  const created = await post(summary);
+  assert.strictEqual(created.statusCode, 201);
+  const { id, url, deleteToken } = JSON.parse(created.body);
+  assert.strictEqual(url, `https://example.com/s/${id}`);
+
+  const page = await sharePage.handler({ httpMethod: 'GET', path: `/s/${id}`, headers: {} });
+  assert.strictEqual(page.statusCode, 200);
+  assert.match(page.body, /Summary: Aave news/);
+
+  const wrongToken = await share.handler({ httpMethod: 'DELETE', path: `/.netlify/functions/share/${id}`, headers: { authorization: 'Bearer nope' } });
+  assert.strictEqual(wrongToken.statusCode, 403);
+  const deleted = await share.handler({ httpMethod: 'DELETE', path: `/.netlify/functions/share/${id}`, headers: { authorization: `Bearer ${deleteToken}` } });
+  assert.strictEqual(deleted.statusCode, 200);
+
+  const gone = await sharePage.handler({ httpMethod: 'GET', path: `/s/${id}`, headers: {} });
+  assert.strictEqual(gone.statusCode, 404);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseJsonLoose,
+  normalizeStructuredOutput,
+  validateStructuredSummary,
+  generateStructuredSummary,
+  getExtractiveStructuredSummary
+} = require('../netlify/functions/lib/structured');
+const { analyzeContent } = require('../netlify/functions/lib/content-analysis');
+
+const TEXT = 'Today the board met in Lisbon. Maria Santos said Acme Labs will hire 40 engineers this year. ' +
+  'The deal with Solana is important because it doubles revenue to 12 million. Investors reacted calmly to the news about $SOL.';
+
+test('the extractive fallback validates against the schema', () => {
+  const analysis = analyzeContent(TEXT);
+  const structured = getExtractiveStructuredSummary(TEXT, {
+    numbers: analysis.numbers,
+    names: analysis.names,
+    boostPhrases: analysis.mainPoints
+  });
+
+  assert.strictEqual(structured.sentiment, 'neutral');
+  assert.deepStrictEqual(validateStructuredSummary(structured), []);
+  assert.deepStrictEqual(structured.entities.tickers, ['SOL']);
+});
+
+test('the extractive fallback sorts source names into people and organizations', () => {
+  const structured = getExtractiveStructuredSummary(TEXT, { names: analyzeContent(TEXT).names });
+
+  assert.deepStrictEqual(structured.entities.people, ['Maria Santos']);
+  assert.ok(structured.entities.organizations.includes('Acme Labs'));
+  assert.ok(structured.entities.organizations.includes('Solana'));
+  // Sentence openers are not entities
+  assert.ok(!structured.entities.organizations.includes('Today'));
+  assert.ok(!structured.entities.organizations.includes('Investors'));
+});
+
+const VALID = { tldr: 'Acme Labs will hire 40 engineers.', keyPoints: ['Hiring 40 engineers', 'Revenue doubles'], entities: { people: [], organizations: ['Acme Labs'], tickers: [] }, figures: [], sentiment: 'positive' };
+
+test('parses JSON wrapped in fences and prose, with smart quotes and trailing commas', () => {
+  assert.deepStrictEqual(parseJsonLoose('Sure! Here it is:\n```json\n{"tldr": "x", "keyPoints": ["a",],}\n```\nHope that helps.'), { tldr: 'x', keyPoints: ['a'] });
+  assert.deepStrictEqual(parseJsonLoose('{“tldr”: “x”}'), { tldr: 'x' });
+  assert.strictEqual(parseJsonLoose('no JSON here'), null);
+  assert.strictEqual(parseJsonLoose('["a list"]'), null);
+  assert.strictEqual(parseJsonLoose(undefined), null);
+});
+
+test('repairs a response cut off by the token limit', () => {
+  // Inside an array the last string is a value, in an object a dangling key
+  assert.deepStrictEqual(parseJsonLoose('{"tldr": "x", "keyPoints": ["a", "b'), { tldr: 'x', keyPoints: ['a', 'b'] });
+  assert.deepStrictEqual(parseJsonLoose('{"tldr": "x", "keyPoints": ["a"], "senti'), { tldr: 'x', keyPoints: ['a'] });
+  assert.deepStrictEqual(parseJsonLoose('{"tldr": "x", "sentiment":'), { tldr: 'x' });
+  assert.deepStrictEqual(parseJsonLoose('{"tldr": "Revenue rose to \\"12'), { tldr: 'Revenue rose to "12' });
+  assert.deepStrictEqual(parseJsonLoose('{"entities": {"people": ["Ann"]}, "figures": [{"value": "40"}'), { entities: { people: ['Ann'] }, figures: [{ value: '40' }] });
+});
+
+test('maps near-miss keys and shapes onto the schema', () => {
+  const summary = normalizeStructuredOutput({
+    tl_dr: ' x ',
+    key_points: '- one\n- two',
+    entities: { persons: [{ name: 'Ann' }], orgs: 'Acme, Beta', symbols: ['$sol', 'SOL'] },
+    key_figures: ['40', { figure: '12 million', description: 'revenue' }],
+    sentiment: 'Positive'
+  }, 'general');
+
+  assert.deepStrictEqual(summary, {
+    tldr: 'x',
+    keyPoints: ['one', 'two'],
+    entities: { people: ['Ann'], organizations: ['Acme', 'Beta'], tickers: ['SOL'] },
+    figures: [{ value: '40', context: '' }, { value: '12 million', context: 'revenue' }],
+    sentiment: 'positive'
+  });
+  assert.deepStrictEqual(validateStructuredSummary(summary), []);
+  assert.deepStrictEqual(validateStructuredSummary({ ...summary, tldr: '', keyPoints: [], sentiment: 'bullish' }), [
+    '"tldr" must be a non-empty string',
+    '"keyPoints" must be a non-empty array of strings',
+    '"sentiment" must be one of positive, negative, neutral, mixed'
+  ]);
+});
+
+test('asks the model to repair output that does not validate, then returns the summary', async () => {
+  const prompts = [];
+  const outputs = ['I cannot answer in JSON.', JSON.stringify({ ...VALID, sentiment: 'bullish' }), JSON.stringify(VALID)];
+  const summary = await generateStructuredSummary(TEXT, {
+    sourceText: TEXT,
+    maxAttempts: 3,
+    callModel: async (prompt, attempt) => {
+      prompts.push(prompt);
+      return outputs[attempt - 1];
+    }
+  });
+
+  assert.strictEqual(prompts.length, 3);
+  assert.match(prompts[1], /- the answer was not a JSON object\n[\s\S]*Previous answer:\nI cannot answer in JSON\./);
+  assert.match(prompts[2], /"sentiment" must be one of/);
+  assert.strictEqual(summary.tldr, VALID.tldr);
+  // Tickers in the source are added even when the model missed them
+  assert.deepStrictEqual(summary.entities.tickers, ['SOL']);
+  assert.strictEqual(summary.contentType, 'general');
+});
+
+test('gives up when the retries or the time for them run out', async () => {
+  let calls = 0;
+  const callModel = async () => {
+    calls++;
+    return '{"tldr": ""}';
+  };
+
+  await assert.rejects(generateStructuredSummary(TEXT, { callModel }), /Invalid response from AI service: structured summary did not validate \("tldr" must be a non-empty string/);
+  assert.strictEqual(calls, 2);
+
+  calls = 0;
+  await assert.rejects(generateStructuredSummary(TEXT, { callModel, maxAttempts: 3, canRetry: () => false }), /did not validate/);
+  assert.strictEqual(calls, 1);
+});
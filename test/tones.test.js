@@ -0,0 +1,60 @@
+process.env.MAX_CUSTOM_TONES = '2';
+delete process.env.TONE_PRESETS_FILE;
+delete process.env.TONES_ADMIN_TOKEN;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { canManageTones, getToneAdminError, createTone, deleteTone, buildTonePrompt, applyTonePostProcessing } = require('../netlify/functions/lib/tones');
+const tones = require('../netlify/functions/tones');
+
+const tone = name => ({ name, template: 'Write {length} about {content}' });
+
+test('denies tone changes when TONES_ADMIN_TOKEN is not set', () => {
+  assert.strictEqual(canManageTones(undefined), false);
+  assert.strictEqual(canManageTones('Bearer '), false);
+  assert.match(getToneAdminError(), /disabled/);
+});
+
+test('requires the exact admin token when it is set', t => {
+  process.env.TONES_ADMIN_TOKEN = 's3cret';
+  t.after(() => delete process.env.TONES_ADMIN_TOKEN);
+
+  assert.strictEqual(canManageTones('Bearer s3cret'), true);
+  assert.strictEqual(canManageTones('Bearer s3cre'), false);
+  assert.strictEqual(canManageTones(undefined), false);
+  assert.match(getToneAdminError(), /valid admin token/);
+});
+
+test('caps the number of custom tones', () => {
+  createTone(tone('first'));
+  createTone(tone('second'));
+  assert.throws(() => createTone(tone('third')), { statusCode: 409, message: /already 2 custom tones/ });
+
+  deleteTone('first');
+  assert.strictEqual(createTone(tone('third')).id, 'third');
+});
+
+test('fills templates and appends missing instructions', () => {
+  const prompt = buildTonePrompt('third', { length: '3 sentences', content: 'A {brace} body', instructions: 'RULES' });
+  assert.strictEqual(prompt, 'Write 3 sentences about A {brace} body RULES');
+  assert.strictEqual(applyTonePostProcessing('Utilize it.', 'simple'), 'Use it.');
+});
+
+test('the Netlify tones function is read-only, since summarize would never see its changes', async t => {
+  process.env.TONES_ADMIN_TOKEN = 's3cret';
+  t.after(() => delete process.env.TONES_ADMIN_TOKEN);
+
+  const list = await tones.handler({ httpMethod: 'GET', path: '/.netlify/functions/tones', headers: {} });
+  assert.strictEqual(JSON.parse(list.body).available, false);
+
+  const created = await tones.handler({
+    httpMethod: 'POST',
+    path: '/.netlify/functions/tones',
+    headers: { authorization: 'Bearer s3cret' },
+    body: JSON.stringify(tone('house style'))
+  });
+  assert.strictEqual(created.statusCode, 503);
+  assert.match(JSON.parse(created.body).error, /TONE_PRESETS_FILE/);
+  const removed = await tones.handler({ httpMethod: 'DELETE', path: '/.netlify/functions/tones/third', headers: { authorization: 'Bearer s3cret' } });
+  assert.strictEqual(removed.statusCode, 503);
+});
@@ -0,0 +1,140 @@
+process.env.TWITTER_BEARER_TOKEN = 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { twitterGet, getRateLimitStates } = require('../netlify/functions/lib/twitter-client');
+
+// Rate limits are tracked per endpoint for the life of the module, so each test calls its own path.
+// routes maps a path to (request count) => { status, headers, body, delayMs }.
+async function startApiStub(routes) {
+  const counts = {};
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    counts[pathname] = (counts[pathname] || 0) + 1;
+    const { status = 200, headers = {}, body = {}, delayMs = 0 } = routes[pathname](counts[pathname]);
+    setTimeout(() => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.TWITTER_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  return {
+    counts,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const deadline = () => Date.now() + 2000;
+const epochSeconds = offsetSeconds => String(Math.floor(Date.now() / 1000) + offsetSeconds);
+
+test('caches responses for TWITTER_CACHE_TTL_SECONDS and shares identical calls in flight', async t => {
+  const stub = await startApiStub({ '/2/cached': count => ({ body: { data: { count } }, delayMs: 50 }) });
+  process.env.TWITTER_CACHE_TTL_SECONDS = '1';
+  t.after(() => {
+    delete process.env.TWITTER_CACHE_TTL_SECONDS;
+    return stub.close();
+  });
+
+  const [first, second] = await Promise.all([twitterGet('/2/cached', { id: '1' }, deadline()), twitterGet('/2/cached', { id: '1' }, deadline())]);
+  assert.deepStrictEqual([first.data.count, second.data.count], [1, 1]);
+  assert.strictEqual((await twitterGet('/2/cached', { id: '1' }, deadline())).data.count, 1);
+  // Different params are a different request
+  assert.strictEqual((await twitterGet('/2/cached', { id: '2' }, deadline())).data.count, 2);
+  assert.strictEqual(stub.counts['/2/cached'], 2);
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.strictEqual((await twitterGet('/2/cached', { id: '1' }, deadline())).data.count, 3);
+});
+
+test('a TTL of 0 turns the cache off, and errors are never cached', async t => {
+  const stub = await startApiStub({
+    '/2/uncached': count => ({ body: { data: { count } } }),
+    '/2/failing': () => ({ status: 401, body: { title: 'Unauthorized' } })
+  });
+  process.env.TWITTER_CACHE_TTL_SECONDS = '0';
+  t.after(() => {
+    delete process.env.TWITTER_CACHE_TTL_SECONDS;
+    return stub.close();
+  });
+
+  await twitterGet('/2/uncached', {}, deadline());
+  assert.strictEqual((await twitterGet('/2/uncached', {}, deadline())).data.count, 2);
+
+  process.env.TWITTER_CACHE_TTL_SECONDS = '60';
+  for (let attempt = 0; attempt < 2; attempt++) {
+    await assert.rejects(twitterGet('/2/failing', {}, deadline()), { status: 401, message: 'Twitter API authentication failed' });
+  }
+  assert.strictEqual(stub.counts['/2/failing'], 2);
+});
+
+test('stops calling an endpoint once its window is used up', async t => {
+  const stub = await startApiStub({
+    '/2/tweets/1': () => ({ headers: { 'x-rate-limit-limit': '300', 'x-rate-limit-remaining': '0', 'x-rate-limit-reset': epochSeconds(90) }, body: { data: {} } }),
+    '/2/tweets/2': () => ({ body: { data: {} } })
+  });
+  process.env.TWITTER_CACHE_TTL_SECONDS = '0';
+  t.after(() => {
+    delete process.env.TWITTER_CACHE_TTL_SECONDS;
+    return stub.close();
+  });
+
+  // The call that used up the window still succeeds
+  await twitterGet('/2/tweets/1', {}, deadline());
+  const state = getRateLimitStates()['/2/tweets/:id'];
+  assert.strictEqual(state.limit, 300);
+  assert.strictEqual(state.remaining, 0);
+  assert.ok(state.resetsInSeconds > 80 && state.resetsInSeconds <= 91);
+
+  // Other tweet ids share the endpoint's window, so they aren't sent either
+  await assert.rejects(twitterGet('/2/tweets/2', {}, deadline()), error => {
+    assert.strictEqual(error.status, 429);
+    assert.ok(error.retryAfterSeconds > 80 && error.retryAfterSeconds <= 91);
+    assert.match(error.message, /Retry after \d+ seconds/);
+    return true;
+  });
+  assert.strictEqual(stub.counts['/2/tweets/2'], undefined);
+});
+
+test('calls an endpoint again once its window has reset', async t => {
+  const stub = await startApiStub({
+    '/2/reset': count => ({ headers: { 'x-rate-limit-remaining': '0', 'x-rate-limit-reset': epochSeconds(count === 1 ? -1 : 90) }, body: { data: { count } } })
+  });
+  process.env.TWITTER_CACHE_TTL_SECONDS = '0';
+  t.after(() => {
+    delete process.env.TWITTER_CACHE_TTL_SECONDS;
+    return stub.close();
+  });
+
+  await twitterGet('/2/reset', {}, deadline());
+  assert.strictEqual((await twitterGet('/2/reset', {}, deadline())).data.count, 2);
+});
+
+test('turns a 429 into a retry-after error and holds off until then', async t => {
+  const stub = await startApiStub({
+    '/2/limited': () => ({ status: 429, headers: { 'retry-after': '30' }, body: { title: 'Too Many Requests' } }),
+    '/2/limited-no-headers': () => ({ status: 429, body: {} })
+  });
+  t.after(() => stub.close());
+
+  await assert.rejects(twitterGet('/2/limited', {}, deadline()), { status: 429, retryAfterSeconds: 30 });
+  await assert.rejects(twitterGet('/2/limited', {}, deadline()), error => error.status === 429 && error.retryAfterSeconds <= 30);
+  assert.strictEqual(stub.counts['/2/limited'], 1);
+  assert.strictEqual(getRateLimitStates()['/2/limited'].remaining, 0);
+
+  // Without Retry-After or a reset time the client waits a minute
+  await assert.rejects(twitterGet('/2/limited-no-headers', {}, deadline()), { status: 429, retryAfterSeconds: 60 });
+});
+
+test('gives up at the deadline', async t => {
+  const stub = await startApiStub({ '/2/slow': () => ({ body: {}, delayMs: 500 }) });
+  t.after(() => stub.close());
+
+  await assert.rejects(twitterGet('/2/slow', {}, Date.now() + 100), /Twitter API timeout/);
+  await assert.rejects(twitterGet('/2/slow', {}, Date.now() - 1), /Twitter API timeout/);
+});
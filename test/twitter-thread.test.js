@@ -0,0 +1,262 @@
+process.env.TWITTER_BEARER_TOKEN = 'test-token';
+process.env.TWITTER_CACHE_TTL_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { fetchThread, formatThreadText } = require('../netlify/functions/lib/twitter-thread');
+
+const HOUR_MS = 60 * 60 * 1000;
+const USERS = {
+  1: { id: '1', username: 'alice', name: 'Alice' },
+  2: { id: '2', username: 'bob', name: 'Bob' },
+  3: { id: '3', username: 'carol', name: 'Carol' }
+};
+
+// Helper function to build a tweet posted hoursAgo, optionally replying to another tweet
+function tweet(id, authorId, conversationId, hoursAgo, { replyTo = null, likes = 0, retweets = 0 } = {}) {
+  return {
+    id,
+    text: `Tweet ${id} by ${USERS[authorId].username}`,
+    author_id: authorId,
+    conversation_id: conversationId,
+    created_at: new Date(Date.now() - hoursAgo * HOUR_MS).toISOString(),
+    ...(replyTo ? { referenced_tweets: [{ type: 'replied_to', id: replyTo }] } : {}),
+    public_metrics: { like_count: likes, retweet_count: retweets, reply_count: 0, quote_count: 0 }
+  };
+}
+
+const TWEETS = [
+  // A recent five-tweet thread by alice, with replies from bob and carol
+  tweet('100', '1', '100', 5),
+  tweet('101', '1', '100', 4.9, { replyTo: '100' }),
+  tweet('102', '1', '100', 4.8, { replyTo: '101' }),
+  tweet('103', '1', '100', 4.7, { replyTo: '102' }),
+  tweet('104', '1', '100', 4.6, { replyTo: '103' }),
+  tweet('201', '2', '100', 4, { replyTo: '100', likes: 5 }),
+  tweet('202', '3', '100', 4, { replyTo: '102', likes: 50 }),
+  tweet('203', '2', '100', 4, { replyTo: '101', likes: 1, retweets: 30 }),
+  // A thread from 30 days ago, outside the recent-search window
+  tweet('300', '1', '300', 30 * 24),
+  tweet('301', '1', '300', 30 * 24 - 0.1, { replyTo: '300' }),
+  tweet('302', '1', '300', 30 * 24 - 0.2, { replyTo: '301' }),
+  // A tweet by alice with a link, an image, a poll and a quoted tweet, and a poll reply from bob
+  {
+    ...tweet('400', '1', '400', 3),
+    text: 'Aave &amp; Base are live: https://t.co/a1 https://t.co/q1 https://t.co/m1',
+    entities: {
+      urls: [
+        { url: 'https://t.co/a1', expanded_url: 'https://example.com/post', unwound_url: 'https://example.com/post?id=1', title: ' Aave lands on Base ' },
+        { url: 'https://t.co/q1', expanded_url: 'https://twitter.com/carol/status/500' },
+        { url: 'https://t.co/m1', expanded_url: 'https://twitter.com/alice/status/400/photo/1', media_key: 'm1' }
+      ]
+    },
+    attachments: { media_keys: ['m1'], poll_ids: ['p1'] },
+    referenced_tweets: [{ type: 'quoted', id: '500' }]
+  },
+  { ...tweet('401', '2', '400', 2, { replyTo: '400' }), text: 'Which way?', attachments: { poll_ids: ['p2'] } }
+];
+
+// Tweets, media and polls that only come back in "includes"
+const QUOTED = {
+  500: { ...tweet('500', '3', '500', 10), text: 'Quoted take', attachments: { media_keys: ['m2'] }, referenced_tweets: [{ type: 'quoted', id: '600' }] },
+  600: { ...tweet('600', '2', '600', 20), text: 'A quote of a quote' }
+};
+const MEDIA = {
+  m1: { media_key: 'm1', type: 'photo', alt_text: 'A chart of\n  TVL by week' },
+  m2: { media_key: 'm2', type: 'video' }
+};
+const POLLS = {
+  p1: { id: 'p1', voting_status: 'closed', options: [{ position: 2, label: 'No', votes: 250 }, { position: 1, label: 'Yes', votes: 1750 }] },
+  p2: { id: 'p2', voting_status: 'open', options: [{ position: 1, label: 'Up', votes: 0 }, { position: 2, label: 'Down', votes: 0 }] }
+};
+
+// A stand-in for the Twitter API v2 tweet lookup and recent search endpoints. Search answers
+// pageSize tweets per page, oldest first, with a next_token while more are left. Every request
+// is recorded as { path, params }.
+async function startTwitterStub({ pageSize = 2, failSearch = false } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+    requests.push({ path: url.pathname, params });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const withIncludes = tweets => {
+      const quoted = tweets.flatMap(item => (item.referenced_tweets || []).filter(reference => reference.type === 'quoted'))
+        .map(reference => QUOTED[reference.id]);
+      const all = [...tweets, ...quoted];
+      return {
+        users: [...new Set(all.map(item => item.author_id))].map(id => USERS[id]),
+        // Every quoted tweet comes back, so following a quote of a quote would find it
+        ...(quoted.length ? { tweets: Object.values(QUOTED) } : {}),
+        media: all.flatMap(item => (item.attachments && item.attachments.media_keys) || []).map(key => MEDIA[key]),
+        polls: tweets.flatMap(item => (item.attachments && item.attachments.poll_ids) || []).map(id => POLLS[id])
+      };
+    };
+
+    if (req.headers.authorization !== 'Bearer test-token') {
+      return send(401, { title: 'Unauthorized' });
+    }
+
+    if (url.pathname === '/2/tweets/search/recent') {
+      if (failSearch) return send(503, { title: 'Service Unavailable' });
+
+      const conversation = /conversation_id:(\d+)/.exec(params.query)[1];
+      const [, exclude, authorId] = /(-?)from:(\d+)/.exec(params.query);
+      const matches = TWEETS.filter(item => item.conversation_id === conversation &&
+        (exclude ? item.author_id !== authorId : item.author_id === authorId));
+      const start = parseInt(params.next_token || '0', 10);
+      const page = matches.slice(start, start + pageSize);
+      const next = start + pageSize < matches.length ? String(start + pageSize) : undefined;
+      return send(200, {
+        ...(page.length ? { data: page, includes: withIncludes(page) } : {}),
+        meta: { result_count: page.length, ...(next ? { next_token: next } : {}) }
+      });
+    }
+
+    const lookup = /^\/2\/tweets\/(\d+)$/.exec(url.pathname);
+    const found = lookup && TWEETS.find(item => item.id === lookup[1]);
+    if (found) return send(200, { data: found, includes: withIncludes([found]) });
+    // Missing tweets are a 200 with an errors list
+    return send(200, { errors: [{ title: 'Not Found Error', type: 'https://api.twitter.com/2/problems/resource-not-found' }] });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.TWITTER_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  return {
+    requests,
+    searches: () => requests.filter(request => request.path === '/2/tweets/search/recent'),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const ids = tweets => tweets.map(item => item.id);
+
+test('rebuilds a recent thread from paged search results', async () => {
+  const stub = await startTwitterStub({ pageSize: 2 });
+  try {
+    const thread = await fetchThread('102');
+
+    assert.deepStrictEqual(ids(thread.tweets), ['100', '101', '102', '103', '104']);
+    assert.strictEqual(thread.method, 'search');
+    assert.strictEqual(thread.complete, true);
+    assert.strictEqual(thread.author.username, 'alice');
+    assert.deepStrictEqual(thread.replies, []);
+
+    // Five author tweets at two per page: three pages, following next_token
+    const searches = stub.searches();
+    assert.deepStrictEqual(searches.map(search => search.params.next_token), [undefined, '2', '4']);
+    assert.strictEqual(searches[0].params.query, 'conversation_id:100 from:1');
+    // Search found every parent, so only the linked tweet was looked up
+    assert.strictEqual(stub.requests.length - searches.length, 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('falls back to the reply chain for threads older than the search window', async () => {
+  const stub = await startTwitterStub();
+  try {
+    const thread = await fetchThread('302', { topReplies: 3 });
+
+    assert.deepStrictEqual(ids(thread.tweets), ['300', '301', '302']);
+    assert.strictEqual(thread.method, 'reply_chain');
+    assert.strictEqual(thread.complete, false);
+    assert.deepStrictEqual(thread.replies, []);
+    assert.deepStrictEqual(stub.searches(), []);
+    assert.deepStrictEqual(stub.requests.map(request => request.path), ['/2/tweets/302', '/2/tweets/301', '/2/tweets/300']);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('falls back to the reply chain when search fails', async () => {
+  const stub = await startTwitterStub({ failSearch: true });
+  try {
+    const thread = await fetchThread('102');
+
+    // Nothing after the linked tweet is known without search
+    assert.deepStrictEqual(ids(thread.tweets), ['100', '101', '102']);
+    assert.strictEqual(thread.method, 'reply_chain');
+    assert.strictEqual(thread.complete, false);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('adds the most engaged replies from other accounts', async () => {
+  const stub = await startTwitterStub({ pageSize: 10 });
+  try {
+    const thread = await fetchThread('100', { topReplies: 2 });
+
+    // 203 has 1 like and 30 retweets (61), 202 has 50 likes, 201 only 5
+    assert.deepStrictEqual(ids(thread.replies), ['203', '202']);
+    assert.strictEqual(stub.searches()[1].params.query, 'conversation_id:100 -from:1');
+
+    const text = formatThreadText(thread);
+    assert.match(text, /^1\. Tweet 100 by alice\n\n2\. Tweet 101 by alice/);
+    assert.match(text, /--- TOP REPLIES \(from other accounts, not part of the thread\) ---\n- @bob: Tweet 203 by bob\n- @carol: Tweet 202 by carol$/);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('reports a missing tweet as not found', async () => {
+  const stub = await startTwitterStub();
+  try {
+    await assert.rejects(fetchThread('999'), { status: 404, message: 'Tweet not found or has been deleted' });
+  } finally {
+    await stub.close();
+  }
+});
+
+test('renders links, alt text, polls and quoted tweets', async () => {
+  const stub = await startTwitterStub();
+  try {
+    const thread = await fetchThread('400', { topReplies: 1 });
+
+    assert.strictEqual(thread.tweets[0].quoted.id, '500');
+    // Quotes of quotes aren't followed
+    assert.strictEqual(thread.tweets[0].quoted.quoted, null);
+    assert.strictEqual(formatThreadText(thread), [
+      'Aave & Base are live: https://example.com/post?id=1 ("Aave lands on Base")',
+      '[Image: A chart of TVL by week]',
+      '[Poll, final results, 2,000 votes: Yes 88% (1,750 votes); No 13% (250 votes)]',
+      '[Quoting @carol: Quoted take [Video, no description]]',
+      '',
+      '--- TOP REPLIES (from other accounts, not part of the thread) ---',
+      '- @bob: Which way? [Poll, voting open, 0 votes: Up (0 votes); Down (0 votes)]'
+    ].join('\n'));
+  } finally {
+    await stub.close();
+  }
+});
+
+test('keeps a link without a title and drops only the quoted tweet\'s own link', async () => {
+  const thread = {
+    tweets: [{
+      id: '1',
+      text: 'Compare https://t.co/x1 with https://t.co/q1',
+      entities: {
+        urls: [
+          { url: 'https://t.co/x1', expanded_url: 'https://example.com/a' },
+          { url: 'https://t.co/q1', expanded_url: 'https://x.com/bob/status/123456' }
+        ]
+      },
+      media: [],
+      poll: null,
+      quoted: { id: '12345', text: 'Earlier post', author: null, media: [], poll: null, quoted: null }
+    }],
+    replies: []
+  };
+
+  // The link is to status 123456, not the quoted 12345, so it stays
+  assert.strictEqual(formatThreadText(thread), 'Compare https://example.com/a with https://x.com/bob/status/123456\n[Quoting another tweet: Earlier post]');
+});